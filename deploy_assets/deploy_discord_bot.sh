@@ -50,6 +50,10 @@ su - ec2-user -c "
   echo \"DISCORD_TOKEN=$DISCORD_TOKEN\" >.env
   echo \"CLIENT_ID=$CLIENT_ID\" >>.env
   echo \"GUILD_ID=$GUILD_ID\" >>.env
+  echo \"GITHUB_CLIENT_ID=$GITHUB_CLIENT_ID\" >>.env
+  echo \"GITHUB_TOKEN=$GITHUB_TOKEN\" >>.env
+  echo \"POLL_VOTER_SECRET=$POLL_VOTER_SECRET\" >>.env
+  echo \"WELCOME_CHANNEL_ID=$WELCOME_CHANNEL_ID\" >>.env
   echo \"DISCORD_BOT_WEB_PORT=$DISCORD_BOT_WEB_PORT\" >>.env
   echo \"Environment variables for Discord bot updated.\"
 
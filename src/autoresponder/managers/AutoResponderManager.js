@@ -0,0 +1,225 @@
+const fs = require("fs").promises;
+const path = require("path");
+const AutoResponse = require("../models/AutoResponse");
+
+// Every rule is tested against each message of the guild
+const MAX_RULES_PER_GUILD = 50;
+
+// The coffee easter egg that used to be hardcoded in messageCreate
+const COFFEE_KEYWORDS = [
+	"cafecito",
+	"cafetera",
+	"cafes",
+	"café",
+	"iced coffee",
+	"flat white",
+	"cold brew",
+	"drip coffee",
+	"turkish coffee",
+	"french press",
+	"clever dripper",
+	"coffee maker",
+	"coffee grinder",
+	"coffee beans",
+	"coffee grounds",
+	"coffee break",
+	"coffee shop",
+	"coffee pot",
+	"pour over",
+	"aeropress",
+	"cappuccino",
+	"percolator",
+	"americano",
+	"macchiato",
+	"cafetière",
+	"espresso",
+	"cortado",
+	"caffeine",
+	"affogato",
+	"ristretto",
+	"frappe",
+	"siphon",
+	"chemex",
+	"barista",
+	"arabica",
+	"robusta",
+	"greca",
+	"geisha",
+	"decaf",
+	"latte",
+	"mocha",
+	"lungo",
+	"kaffe",
+	"moka",
+	"cafe",
+	"coffee",
+	"beans",
+	"bean",
+	"brew",
+	"roast",
+	"kalua",
+];
+
+/**
+ * Build the rules a guild starts with
+ * @param {string} guildId - Discord guild ID
+ * @returns {AutoResponse[]}
+ */
+function buildDefaultRules(guildId) {
+	const coffee = new AutoResponse(
+		guildId,
+		"keyword",
+		COFFEE_KEYWORDS.join(", "),
+		"text",
+		"HTTP/1.1 418 I'm a teapot",
+	);
+	coffee.id = 1;
+	return [coffee];
+}
+
+/**
+ * AutoResponderManager handles persistence and retrieval of the per-guild auto-responder rules
+ */
+class AutoResponderManager {
+	constructor() {
+		this.dataDir = path.join(__dirname, "../../data/autoresponder");
+		this.rulesFile = path.join(this.dataDir, "rules.json");
+		this.rules = new Map(); // guildId -> AutoResponse[]
+		this.initialized = false;
+	}
+
+	/**
+	 * Initialize the manager by loading existing data
+	 */
+	async initialize() {
+		if (this.initialized) {
+			return;
+		}
+
+		try {
+			// Ensure data directory exists
+			await fs.mkdir(this.dataDir, { recursive: true });
+
+			// Load existing rules
+			await this.loadRules();
+			this.initialized = true;
+		} catch (error) {
+			console.error("Error initializing AutoResponderManager:", error);
+			throw error;
+		}
+	}
+
+	/**
+	 * Load rules from JSON file
+	 */
+	async loadRules() {
+		try {
+			const data = await fs.readFile(this.rulesFile, "utf8");
+			const rulesData = JSON.parse(data);
+
+			this.rules.clear();
+			for (const [guildId, guildRules] of Object.entries(rulesData)) {
+				this.rules.set(
+					guildId,
+					guildRules.map((ruleData) => AutoResponse.fromJSON(ruleData)),
+				);
+			}
+		} catch (error) {
+			if (error.code === "ENOENT") {
+				// File doesn't exist yet, every guild uses the default rules
+				this.rules.clear();
+			} else {
+				console.error("Error loading auto-responder rules:", error);
+				throw error;
+			}
+		}
+	}
+
+	/**
+	 * Save rules to JSON file
+	 */
+	async saveRules() {
+		try {
+			const rulesData = {};
+			for (const [guildId, guildRules] of this.rules.entries()) {
+				rulesData[guildId] = guildRules.map((rule) => rule.toJSON());
+			}
+
+			await fs.writeFile(this.rulesFile, JSON.stringify(rulesData, null, 2));
+		} catch (error) {
+			console.error("Error saving auto-responder rules:", error);
+			throw error;
+		}
+	}
+
+	/**
+	 * Get the rules of a guild, falling back to the defaults
+	 * @param {string} guildId - Discord guild ID
+	 * @returns {AutoResponse[]}
+	 */
+	async getRules(guildId) {
+		await this.initialize();
+
+		// Defaults are stored on first use so every message reuses the same compiled rules
+		if (!this.rules.has(guildId)) {
+			this.rules.set(guildId, buildDefaultRules(guildId));
+		}
+		return [...this.rules.get(guildId)];
+	}
+
+	/**
+	 * Add a rule to a guild if it passes validation
+	 * @param {AutoResponse} rule - Rule to add
+	 * @returns {Object} Validation result with isValid, errors and the stored rule
+	 */
+	async addRule(rule) {
+		const rules = await this.getRules(rule.guildId);
+
+		if (rules.length >= MAX_RULES_PER_GUILD) {
+			return {
+				isValid: false,
+				errors: [
+					`El servidor ya tiene el máximo de ${MAX_RULES_PER_GUILD} reglas; elimina alguna antes de crear otra`,
+				],
+				rule,
+			};
+		}
+
+		const result = rule.validate();
+		if (!result.isValid) {
+			return { ...result, rule };
+		}
+
+		rule.id =
+			rules.length > 0 ? Math.max(...rules.map((entry) => entry.id)) + 1 : 1;
+		this.rules.set(rule.guildId, [...rules, rule]);
+		await this.saveRules();
+		return { ...result, rule };
+	}
+
+	/**
+	 * Remove a rule of a guild
+	 * @param {string} guildId - Discord guild ID
+	 * @param {number} id - Rule ID
+	 * @returns {AutoResponse|null} Removed rule
+	 */
+	async removeRule(guildId, id) {
+		const rules = await this.getRules(guildId);
+
+		const rule = rules.find((entry) => entry.id === id);
+		if (!rule) {
+			return null;
+		}
+
+		this.rules.set(
+			guildId,
+			rules.filter((entry) => entry !== rule),
+		);
+		await this.saveRules();
+		return rule;
+	}
+}
+
+AutoResponderManager.MAX_RULES_PER_GUILD = MAX_RULES_PER_GUILD;
+
+module.exports = AutoResponderManager;
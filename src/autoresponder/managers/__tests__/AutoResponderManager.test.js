@@ -0,0 +1,99 @@
+const { test, describe, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs").promises;
+const path = require("path");
+const AutoResponderManager = require("../AutoResponderManager");
+const AutoResponse = require("../../models/AutoResponse");
+
+describe("AutoResponderManager", () => {
+	let manager;
+	let tempDir;
+
+	const createManager = () => {
+		const instance = new AutoResponderManager();
+		// Override the data directory for testing
+		instance.dataDir = tempDir;
+		instance.rulesFile = path.join(tempDir, "rules.json");
+		return instance;
+	};
+
+	beforeEach(async () => {
+		// Create a temporary directory for testing
+		tempDir = path.join(__dirname, "temp-autoresponder-data");
+		await fs.mkdir(tempDir, { recursive: true });
+
+		manager = createManager();
+	});
+
+	afterEach(async () => {
+		// Clean up temporary directory
+		try {
+			await fs.rm(tempDir, { recursive: true, force: true });
+		} catch (_error) {
+			// Ignore cleanup errors
+		}
+	});
+
+	test("should start every guild with the coffee rule", async () => {
+		const rules = await manager.getRules("guild1");
+
+		assert.strictEqual(rules.length, 1);
+		assert.strictEqual(rules[0].response, "HTTP/1.1 418 I'm a teapot");
+		assert.strictEqual(rules[0].matches("Un espresso, por favor"), true);
+	});
+
+	test("should keep added rules across restarts", async () => {
+		const result = await manager.addRule(
+			new AutoResponse("guild1", "exact", "ping", "text", "pong"),
+		);
+
+		assert.strictEqual(result.isValid, true);
+		assert.strictEqual(result.rule.id, 2);
+
+		const rules = await createManager().getRules("guild1");
+		assert.deepStrictEqual(
+			rules.map((rule) => rule.id),
+			[1, 2],
+		);
+		assert.ok(rules[1] instanceof AutoResponse);
+	});
+
+	test("should not store invalid rules", async () => {
+		const result = await manager.addRule(
+			new AutoResponse("guild1", "regex", "(", "text", "pong"),
+		);
+
+		assert.strictEqual(result.isValid, false);
+		assert.strictEqual((await manager.getRules("guild1")).length, 1);
+	});
+
+	test("should limit the number of rules per guild", async () => {
+		for (let i = 1; i < AutoResponderManager.MAX_RULES_PER_GUILD; i++) {
+			await manager.addRule(
+				new AutoResponse("guild1", "exact", `ping ${i}`, "text", "pong"),
+			);
+		}
+
+		const result = await manager.addRule(
+			new AutoResponse("guild1", "exact", "otra", "text", "pong"),
+		);
+
+		assert.strictEqual(result.isValid, false);
+		assert.strictEqual(
+			(await manager.getRules("guild1")).length,
+			AutoResponderManager.MAX_RULES_PER_GUILD,
+		);
+	});
+
+	test("should let guilds remove the default rule", async () => {
+		const removed = await manager.removeRule("guild1", 1);
+
+		assert.strictEqual(removed.id, 1);
+		assert.deepStrictEqual(await createManager().getRules("guild1"), []);
+		assert.strictEqual((await manager.getRules("guild2")).length, 1);
+	});
+
+	test("should return null when removing unknown rules", async () => {
+		assert.strictEqual(await manager.removeRule("guild1", 42), null);
+	});
+});
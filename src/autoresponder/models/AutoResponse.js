@@ -0,0 +1,280 @@
+const MATCH_TYPES = ["keyword", "regex", "exact"];
+const RESPONSE_TYPES = ["text", "reaction", "embed"];
+const MAX_PATTERN_LENGTH = 1000;
+const MAX_REGEX_LENGTH = 200;
+// Regular expressions only see the start of long messages, which bounds the cost of a match
+const MAX_MATCH_LENGTH = 2000;
+const MAX_COOLDOWN_SECONDS = 24 * 60 * 60;
+const MAX_RESPONSE_LENGTH = { text: 2000, reaction: 100, embed: 4096 };
+const CUSTOM_EMOJI = /^<a?:\w{2,32}:\d{17,20}>$/;
+const UNICODE_EMOJI =
+	/^(?:\p{Extended_Pictographic}|\p{Regional_Indicator}|[#*0-9]\uFE0F?\u20E3)(?:\p{Extended_Pictographic}|\p{Regional_Indicator}|\p{Emoji_Modifier}|\uFE0F|\u200D)*$/u;
+
+/**
+ * Escape a text so it can be used literally inside a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string}
+ */
+function escapeRegex(text) {
+	return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Check whether a regular expression can backtrack catastrophically
+ * Rejects backreferences and repeated groups that contain a quantifier or an alternation, such as (a+)+ or (a|a)*
+ * @param {string} pattern - Regular expression source
+ * @returns {boolean}
+ */
+function isUnsafeRegex(pattern) {
+	const groups = [{ quantified: false, alternation: false }];
+	for (let i = 0; i < pattern.length; i++) {
+		const char = pattern[i];
+
+		if (char === "\\") {
+			if (/[1-9k]/.test(pattern[i + 1] ?? "")) {
+				return true;
+			}
+			i++;
+		} else if (char === "[") {
+			// Quantifiers and parentheses are literal inside a character class
+			for (i++; i < pattern.length && pattern[i] !== "]"; i++) {
+				if (pattern[i] === "\\") {
+					i++;
+				}
+			}
+		} else if (char === "(") {
+			groups.push({ quantified: false, alternation: false });
+			if (pattern[i + 1] === "?") {
+				const prefix = pattern.slice(i + 1).match(/^\?(?:<[=!]|<[^>]*>|[:=!])/);
+				i += prefix ? prefix[0].length : 1;
+			}
+		} else if (char === ")") {
+			const group = groups.length > 1 ? groups.pop() : groups[0];
+			const quantifier = pattern
+				.slice(i + 1)
+				.match(/^(?:[*+?]|\{\d+(?:,\d*)?\})/);
+			if (quantifier) {
+				const repeats = !/^(?:\?|\{[01](?:,[01])?\})$/.test(quantifier[0]);
+				if (repeats && (group.quantified || group.alternation)) {
+					return true;
+				}
+				i += quantifier[0].length;
+			}
+			const parent = groups.at(-1);
+			parent.quantified ||= group.quantified || Boolean(quantifier);
+		} else if (char === "|") {
+			groups.at(-1).alternation = true;
+		} else if (
+			/[*+?]/.test(char) ||
+			/^\{\d+(?:,\d*)?\}/.test(pattern.slice(i))
+		) {
+			groups.at(-1).quantified = true;
+		}
+	}
+	return false;
+}
+
+/**
+ * AutoResponse model representing a rule that answers messages matching a trigger
+ */
+class AutoResponse {
+	constructor(guildId, matchType, pattern, responseType, response) {
+		this.id = null;
+		this.guildId = guildId;
+		this.matchType = matchType;
+		this.pattern = pattern;
+		this.responseType = responseType;
+		this.response = response;
+		this.channelIds = []; // Empty means every channel
+		this.userCooldownSeconds = 0;
+		this.channelCooldownSeconds = 0;
+		this.createdBy = null;
+		this.createdAt = new Date().toISOString();
+		this.matcher = null;
+	}
+
+	/**
+	 * Create AutoResponse from JSON data
+	 * @param {Object} data - JSON data
+	 * @returns {AutoResponse}
+	 */
+	static fromJSON(data) {
+		const rule = new AutoResponse(
+			data.guildId,
+			data.matchType,
+			data.pattern,
+			data.responseType,
+			data.response,
+		);
+		Object.assign(rule, data);
+		rule.channelIds = [...(data.channelIds || [])];
+		rule.matcher = null;
+		return rule;
+	}
+
+	/**
+	 * Convert AutoResponse to JSON
+	 * @returns {Object}
+	 */
+	toJSON() {
+		return {
+			id: this.id,
+			guildId: this.guildId,
+			matchType: this.matchType,
+			pattern: this.pattern,
+			responseType: this.responseType,
+			response: this.response,
+			channelIds: [...this.channelIds],
+			userCooldownSeconds: this.userCooldownSeconds,
+			channelCooldownSeconds: this.channelCooldownSeconds,
+			createdBy: this.createdBy,
+			createdAt: this.createdAt,
+		};
+	}
+
+	/**
+	 * Get the keywords of a keyword rule, which are separated by commas
+	 * @returns {string[]}
+	 */
+	getKeywords() {
+		return this.pattern
+			.split(",")
+			.map((keyword) => keyword.trim())
+			.filter(Boolean);
+	}
+
+	/**
+	 * Build the regular expression used to test messages
+	 * Keywords only match whole words, including accented ones that \b does not handle
+	 * @returns {RegExp|null} null for exact rules
+	 */
+	buildMatcher() {
+		if (this.matchType === "regex") {
+			return new RegExp(this.pattern, "i");
+		}
+		if (this.matchType === "keyword") {
+			const alternatives = this.getKeywords()
+				.map(escapeRegex)
+				.sort((a, b) => b.length - a.length)
+				.join("|");
+			return new RegExp(
+				`(?<![\\p{L}\\p{N}_])(?:${alternatives})(?![\\p{L}\\p{N}_])`,
+				"iu",
+			);
+		}
+		return null;
+	}
+
+	/**
+	 * Check whether a message triggers the rule
+	 * @param {string} content - Message content
+	 * @returns {boolean}
+	 */
+	matches(content) {
+		if (this.matchType === "exact") {
+			return (
+				content.trim().toLocaleLowerCase() ===
+				this.pattern.trim().toLocaleLowerCase()
+			);
+		}
+
+		this.matcher ??= this.buildMatcher();
+		return this.matcher.test(
+			this.matchType === "regex" ? content.slice(0, MAX_MATCH_LENGTH) : content,
+		);
+	}
+
+	/**
+	 * Check whether the rule answers in a channel
+	 * @param {string} channelId - Discord channel ID
+	 * @returns {boolean}
+	 */
+	isAllowedIn(channelId) {
+		return this.channelIds.length === 0 || this.channelIds.includes(channelId);
+	}
+
+	/**
+	 * Validate rule values
+	 * @returns {Object} Validation result with isValid and errors
+	 */
+	validate() {
+		const errors = [];
+
+		if (!MATCH_TYPES.includes(this.matchType)) {
+			errors.push(`Tipo de coincidencia desconocido: ${this.matchType}`);
+		}
+		if (!RESPONSE_TYPES.includes(this.responseType)) {
+			errors.push(`Tipo de respuesta desconocido: ${this.responseType}`);
+		}
+
+		if (!this.pattern?.trim()) {
+			errors.push("El patrón no puede estar vacío");
+		} else if (this.pattern.length > MAX_PATTERN_LENGTH) {
+			errors.push(
+				`El patrón puede tener como máximo ${MAX_PATTERN_LENGTH} caracteres`,
+			);
+		} else if (
+			this.matchType === "keyword" &&
+			this.getKeywords().length === 0
+		) {
+			errors.push("Indica al menos una palabra clave");
+		} else if (this.matchType === "regex") {
+			if (this.pattern.length > MAX_REGEX_LENGTH) {
+				errors.push(
+					`La expresión regular puede tener como máximo ${MAX_REGEX_LENGTH} caracteres`,
+				);
+			} else {
+				try {
+					this.buildMatcher();
+					if (isUnsafeRegex(this.pattern)) {
+						errors.push(
+							"La expresión regular podría bloquear el bot: evita repetir grupos que ya repiten algo, como (a+)+ o (a|b)*, y las referencias como \\1",
+						);
+					}
+				} catch {
+					errors.push("La expresión regular no es válida");
+				}
+			}
+		}
+
+		if (!this.response?.trim()) {
+			errors.push("La respuesta no puede estar vacía");
+		} else if (
+			this.response.length > (MAX_RESPONSE_LENGTH[this.responseType] ?? 0)
+		) {
+			errors.push(
+				`La respuesta puede tener como máximo ${MAX_RESPONSE_LENGTH[this.responseType]} caracteres`,
+			);
+		} else if (
+			this.responseType === "reaction" &&
+			!CUSTOM_EMOJI.test(this.response.trim()) &&
+			!UNICODE_EMOJI.test(this.response.trim())
+		) {
+			errors.push("La reacción debe ser un único emoji");
+		}
+
+		for (const cooldown of [
+			this.userCooldownSeconds,
+			this.channelCooldownSeconds,
+		]) {
+			if (
+				!Number.isInteger(cooldown) ||
+				cooldown < 0 ||
+				cooldown > MAX_COOLDOWN_SECONDS
+			) {
+				errors.push("Los cooldowns deben estar entre 0 segundos y 24 horas");
+				break;
+			}
+		}
+
+		return {
+			isValid: errors.length === 0,
+			errors,
+		};
+	}
+}
+
+AutoResponse.MATCH_TYPES = MATCH_TYPES;
+AutoResponse.RESPONSE_TYPES = RESPONSE_TYPES;
+
+module.exports = AutoResponse;
@@ -0,0 +1,133 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert");
+const AutoResponse = require("../AutoResponse");
+
+describe("AutoResponse", () => {
+	const createRule = (
+		matchType,
+		pattern,
+		responseType = "text",
+		response = "Hola",
+	) => new AutoResponse("guild1", matchType, pattern, responseType, response);
+
+	test("should match whole keywords, including accented ones", () => {
+		const rule = createRule("keyword", "café, cold brew");
+
+		assert.strictEqual(rule.matches("¿Alguien quiere un CAFÉ?"), true);
+		assert.strictEqual(rule.matches("Prefiero el cold brew"), true);
+		assert.strictEqual(rule.matches("Voy a la cafetería"), false);
+		assert.strictEqual(rule.matches("cafés"), false);
+	});
+
+	test("should treat keyword characters literally", () => {
+		const rule = createRule("keyword", "c++");
+
+		assert.strictEqual(rule.matches("Aprendiendo c++ hoy"), true);
+		assert.strictEqual(rule.matches("Aprendiendo c hoy"), false);
+	});
+
+	test("should match regular expressions case-insensitively", () => {
+		const rule = createRule("regex", "^!ayuda\\b");
+
+		assert.strictEqual(rule.matches("!AYUDA por favor"), true);
+		assert.strictEqual(rule.matches("necesito !ayuda"), false);
+	});
+
+	test("should only match exact messages", () => {
+		const rule = createRule("exact", "ping");
+
+		assert.strictEqual(rule.matches("  Ping "), true);
+		assert.strictEqual(rule.matches("ping pong"), false);
+	});
+
+	test("should answer in every channel unless restricted", () => {
+		const rule = createRule("exact", "ping");
+		assert.strictEqual(rule.isAllowedIn("channel1"), true);
+
+		rule.channelIds = ["channel2"];
+		assert.strictEqual(rule.isAllowedIn("channel1"), false);
+		assert.strictEqual(rule.isAllowedIn("channel2"), true);
+	});
+
+	test("should validate a correct rule", () => {
+		const rule = createRule("keyword", "café", "reaction", "☕");
+		rule.userCooldownSeconds = 30;
+
+		assert.deepStrictEqual(rule.validate(), { isValid: true, errors: [] });
+	});
+
+	test("should reject invalid regular expressions", () => {
+		const result = createRule("regex", "(sin cerrar").validate();
+
+		assert.strictEqual(result.isValid, false);
+		assert.deepStrictEqual(result.errors, [
+			"La expresión regular no es válida",
+		]);
+	});
+
+	test("should reject expressions prone to catastrophic backtracking", () => {
+		for (const pattern of [
+			"(a+)+$",
+			"(\\w+\\s?)*x",
+			"(a|aa)*b",
+			"(?:x*)+",
+			"(a)\\1",
+		]) {
+			assert.strictEqual(
+				createRule("regex", pattern).validate().isValid,
+				false,
+				pattern,
+			);
+		}
+	});
+
+	test("should accept ordinary expressions", () => {
+		for (const pattern of [
+			"^!ayuda\\b",
+			"(hola|buenas)\\s+bot",
+			"[(+*]+",
+			"(?:ab)+c",
+			"\\d{2,4}",
+		]) {
+			assert.strictEqual(
+				createRule("regex", pattern).validate().isValid,
+				true,
+				pattern,
+			);
+		}
+	});
+
+	test("should reject reactions that are not a single emoji", () => {
+		assert.strictEqual(
+			createRule("exact", "ping", "reaction", "hola").validate().isValid,
+			false,
+		);
+		assert.strictEqual(
+			createRule(
+				"exact",
+				"ping",
+				"reaction",
+				"<:pepe:123456789012345678>",
+			).validate().isValid,
+			true,
+		);
+	});
+
+	test("should reject out of range cooldowns", () => {
+		const rule = createRule("exact", "ping");
+		rule.channelCooldownSeconds = -1;
+
+		assert.strictEqual(rule.validate().isValid, false);
+	});
+
+	test("should round-trip through JSON", () => {
+		const rule = createRule("keyword", "café");
+		rule.id = 3;
+		rule.channelIds = ["channel1"];
+
+		const copy = AutoResponse.fromJSON(rule.toJSON());
+
+		assert.deepStrictEqual(copy.toJSON(), rule.toJSON());
+		assert.strictEqual(copy.matches("un café"), true);
+	});
+});
@@ -0,0 +1,136 @@
+const { EmbedBuilder } = require("discord.js");
+
+// Cooldown entries are pruned once the map grows past this size
+const MAX_COOLDOWN_ENTRIES = 5000;
+
+/**
+ * AutoResponderService answers messages that trigger an auto-responder rule
+ */
+class AutoResponderService {
+	/**
+	 * @param {import("../managers/AutoResponderManager")} ruleManager - Rule storage
+	 */
+	constructor(ruleManager) {
+		this.ruleManager = ruleManager;
+		this.cooldowns = new Map(); // cooldown key -> timestamp when it ends
+	}
+
+	/**
+	 * Build the payload a rule sends as a reply
+	 * Reactions are not messages, so they have no payload
+	 * @param {import("../models/AutoResponse")} rule - Rule
+	 * @returns {Object|null}
+	 */
+	static buildResponse(rule) {
+		if (rule.responseType === "embed") {
+			return {
+				embeds: [
+					new EmbedBuilder().setColor(0x5865f2).setDescription(rule.response),
+				],
+			};
+		}
+		if (rule.responseType === "text") {
+			return { content: rule.response };
+		}
+		return null;
+	}
+
+	/**
+	 * Get the cooldown keys a rule sets when it fires
+	 * @param {import("../models/AutoResponse")} rule - Rule
+	 * @param {import("discord.js").Message} message - Triggering message
+	 * @returns {{key: string, seconds: number}[]}
+	 */
+	static getCooldownKeys(rule, message) {
+		const prefix = `${rule.guildId}:${rule.id}`;
+		return [
+			{
+				key: `${prefix}:user:${message.author.id}`,
+				seconds: rule.userCooldownSeconds,
+			},
+			{
+				key: `${prefix}:channel:${message.channelId}`,
+				seconds: rule.channelCooldownSeconds,
+			},
+		].filter((cooldown) => cooldown.seconds > 0);
+	}
+
+	/**
+	 * Check whether a rule is cooling down for the author or the channel of a message
+	 * @param {import("../models/AutoResponse")} rule - Rule
+	 * @param {import("discord.js").Message} message - Message
+	 * @param {number} now - Current timestamp
+	 * @returns {boolean}
+	 */
+	isOnCooldown(rule, message, now = Date.now()) {
+		return AutoResponderService.getCooldownKeys(rule, message).some(
+			({ key }) => (this.cooldowns.get(key) ?? 0) > now,
+		);
+	}
+
+	/**
+	 * Start the cooldowns of a rule that just fired
+	 * @param {import("../models/AutoResponse")} rule - Rule
+	 * @param {import("discord.js").Message} message - Triggering message
+	 * @param {number} now - Current timestamp
+	 */
+	startCooldown(rule, message, now = Date.now()) {
+		if (this.cooldowns.size >= MAX_COOLDOWN_ENTRIES) {
+			for (const [key, endsAt] of this.cooldowns) {
+				if (endsAt <= now) {
+					this.cooldowns.delete(key);
+				}
+			}
+		}
+		for (const { key, seconds } of AutoResponderService.getCooldownKeys(
+			rule,
+			message,
+		)) {
+			this.cooldowns.set(key, now + seconds * 1000);
+		}
+	}
+
+	/**
+	 * Get the rules of a guild a text would trigger, ignoring channels and cooldowns
+	 * @param {string} guildId - Discord guild ID
+	 * @param {string} content - Text to test
+	 * @returns {Promise<import("../models/AutoResponse")[]>}
+	 */
+	async findMatches(guildId, content) {
+		const rules = await this.ruleManager.getRules(guildId);
+		return rules.filter((rule) => rule.matches(content));
+	}
+
+	/**
+	 * Answer a message with the first rule it triggers
+	 * @param {import("discord.js").Message} message - Message sent in a guild
+	 * @returns {Promise<import("../models/AutoResponse")|null>} Rule that fired
+	 */
+	async handleMessage(message) {
+		if (message.author.bot || !message.guildId || !message.content) {
+			return null;
+		}
+
+		const rules = await this.ruleManager.getRules(message.guildId);
+		const rule = rules.find(
+			(candidate) =>
+				candidate.isAllowedIn(message.channelId) &&
+				!this.isOnCooldown(candidate, message) &&
+				candidate.matches(message.content),
+		);
+		if (!rule) {
+			return null;
+		}
+
+		// The cooldown starts before answering so a burst of messages gets a single reply
+		this.startCooldown(rule, message);
+		if (rule.responseType === "reaction") {
+			await message.react(rule.response.trim());
+		} else {
+			await message.channel.send(AutoResponderService.buildResponse(rule));
+		}
+		return rule;
+	}
+}
+
+module.exports = AutoResponderService;
@@ -0,0 +1,143 @@
+const { test, describe, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const AutoResponderService = require("../AutoResponderService");
+const AutoResponse = require("../../models/AutoResponse");
+
+describe("AutoResponderService", () => {
+	let rules;
+	let service;
+	let sent;
+
+	const createRule = (
+		id,
+		pattern,
+		responseType = "text",
+		response = "pong",
+	) => {
+		const rule = new AutoResponse(
+			"guild1",
+			"keyword",
+			pattern,
+			responseType,
+			response,
+		);
+		rule.id = id;
+		return rule;
+	};
+
+	const createMessage = (
+		content,
+		{ authorId = "user1", channelId = "channel1" } = {},
+	) => ({
+		content,
+		guildId: "guild1",
+		channelId,
+		author: { id: authorId, bot: false },
+		channel: {
+			send: async (payload) => {
+				sent.push({ channelId, payload });
+			},
+		},
+		react: async (emoji) => {
+			sent.push({ channelId, reaction: emoji });
+		},
+	});
+
+	beforeEach(() => {
+		rules = [];
+		sent = [];
+		service = new AutoResponderService({ getRules: async () => [...rules] });
+	});
+
+	test("should answer with the first matching rule only", async () => {
+		rules.push(
+			createRule(1, "ping"),
+			createRule(2, "ping, pong", "text", "otra"),
+		);
+
+		const rule = await service.handleMessage(createMessage("ping"));
+
+		assert.strictEqual(rule.id, 1);
+		assert.deepStrictEqual(sent, [
+			{ channelId: "channel1", payload: { content: "pong" } },
+		]);
+	});
+
+	test("should react instead of replying for reaction rules", async () => {
+		rules.push(createRule(1, "café", "reaction", "☕"));
+
+		await service.handleMessage(createMessage("un café"));
+
+		assert.deepStrictEqual(sent, [{ channelId: "channel1", reaction: "☕" }]);
+	});
+
+	test("should ignore channels outside the rule", async () => {
+		const rule = createRule(1, "ping");
+		rule.channelIds = ["channel2"];
+		rules.push(rule);
+
+		assert.strictEqual(
+			await service.handleMessage(createMessage("ping")),
+			null,
+		);
+		assert.ok(
+			await service.handleMessage(
+				createMessage("ping", { channelId: "channel2" }),
+			),
+		);
+	});
+
+	test("should respect the per-user cooldown", async () => {
+		const rule = createRule(1, "ping");
+		rule.userCooldownSeconds = 60;
+		rules.push(rule);
+
+		assert.ok(await service.handleMessage(createMessage("ping")));
+		assert.strictEqual(
+			await service.handleMessage(createMessage("ping")),
+			null,
+		);
+		assert.ok(
+			await service.handleMessage(createMessage("ping", { authorId: "user2" })),
+		);
+	});
+
+	test("should respect the per-channel cooldown", async () => {
+		const rule = createRule(1, "ping");
+		rule.channelCooldownSeconds = 60;
+		rules.push(rule);
+
+		assert.ok(await service.handleMessage(createMessage("ping")));
+		assert.strictEqual(
+			await service.handleMessage(createMessage("ping", { authorId: "user2" })),
+			null,
+		);
+		assert.ok(
+			await service.handleMessage(
+				createMessage("ping", { channelId: "channel2" }),
+			),
+		);
+	});
+
+	test("should fall through to the next rule while one cools down", async () => {
+		const first = createRule(1, "ping");
+		first.userCooldownSeconds = 60;
+		rules.push(first, createRule(2, "ping", "text", "otra"));
+
+		await service.handleMessage(createMessage("ping"));
+		const rule = await service.handleMessage(createMessage("ping"));
+
+		assert.strictEqual(rule.id, 2);
+	});
+
+	test("should let cooldowns expire", () => {
+		const rule = createRule(1, "ping");
+		rule.userCooldownSeconds = 10;
+		const message = createMessage("ping");
+
+		service.startCooldown(rule, message, 0);
+
+		assert.strictEqual(service.isOnCooldown(rule, message, 9_999), true);
+		assert.strictEqual(service.isOnCooldown(rule, message, 10_000), false);
+	});
+});
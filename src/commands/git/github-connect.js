@@ -0,0 +1,86 @@
+const {
+	SlashCommandBuilder,
+	EmbedBuilder,
+	InteractionContextType,
+} = require("discord.js");
+const GitHubAccountService = require("../../github/services/GitHubAccountService");
+
+module.exports = {
+	data: new SlashCommandBuilder()
+		.setName("github-connect")
+		.setDescription("Conecta tu cuenta de GitHub con tu perfil del servidor.")
+		.setContexts(InteractionContextType.Guild),
+
+	async execute(interaction) {
+		const { githubAccounts, userStateManager, onboarding } = interaction.client;
+		const state = await userStateManager.getUserState(
+			interaction.user.id,
+			interaction.guild.id,
+		);
+
+		if (state?.githubConnected) {
+			return interaction.reply({
+				content: `🔗 Ya tienes conectada la cuenta **${state.githubUsername}**. Usa \`/github-disconnect\` si quieres cambiarla.`,
+				ephemeral: true,
+			});
+		}
+		if (!githubAccounts.isConfigured()) {
+			return interaction.reply({
+				content:
+					"❌ La conexión con GitHub no está configurada en este servidor.",
+				ephemeral: true,
+			});
+		}
+		if (githubAccounts.isLinking(interaction.user.id)) {
+			return interaction.reply({
+				content: GitHubAccountService.describeError({
+					code: "already_linking",
+				}),
+				ephemeral: true,
+			});
+		}
+
+		await interaction.deferReply({ ephemeral: true });
+
+		let linked;
+		try {
+			linked = await githubAccounts.link(
+				interaction.user.id,
+				interaction.guild.id,
+				(deviceCode) =>
+					interaction.editReply(
+						GitHubAccountService.buildCodePayload(deviceCode),
+					),
+			);
+		} catch (error) {
+			console.error(error);
+			return interaction.editReply({
+				content: GitHubAccountService.describeError(error),
+				embeds: [],
+				components: [],
+			});
+		}
+
+		const connectedEmbed = new EmbedBuilder()
+			.setColor(0x00ff00)
+			.setTitle("✅ GitHub Conectado")
+			.setDescription(
+				`Tu cuenta de Discord está vinculada a [${linked.githubUsername}](https://github.com/${linked.githubUsername}).`,
+			)
+			.setTimestamp();
+
+		await interaction.editReply({
+			embeds: [connectedEmbed],
+			components: [],
+		});
+
+		// Si estaba en el paso de GitHub del onboarding, continúa con el siguiente
+		const nextStep = await onboarding.continueAfterGitHubLink(
+			interaction.user.id,
+			interaction.guild.id,
+		);
+		if (nextStep) {
+			await interaction.followUp({ ...nextStep, ephemeral: true });
+		}
+	},
+};
@@ -0,0 +1,27 @@
+const { SlashCommandBuilder, InteractionContextType } = require("discord.js");
+
+module.exports = {
+	data: new SlashCommandBuilder()
+		.setName("github-disconnect")
+		.setDescription("Desvincula tu cuenta de GitHub de tu perfil del servidor.")
+		.setContexts(InteractionContextType.Guild),
+
+	async execute(interaction) {
+		const username = await interaction.client.githubAccounts.unlink(
+			interaction.user.id,
+			interaction.guild.id,
+		);
+
+		if (!username) {
+			return interaction.reply({
+				content: "⚠️ No tienes ninguna cuenta de GitHub conectada.",
+				ephemeral: true,
+			});
+		}
+
+		await interaction.reply({
+			content: `🔌 Se desvinculó la cuenta **${username}**. Si quieres, también puedes revocar el acceso de la aplicación en https://github.com/settings/applications.`,
+			ephemeral: true,
+		});
+	},
+};
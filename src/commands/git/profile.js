@@ -1,14 +1,167 @@
-const { SlashCommandBuilder } = require("discord.js");
+const {
+	SlashCommandBuilder,
+	EmbedBuilder,
+	InteractionContextType,
+} = require("discord.js");
+
+const STEP_LABELS = {
+	welcome: "Bienvenida",
+	rules: "Aceptar las reglas",
+	github: "Conectar GitHub",
+	tutorial: "Tutorial",
+};
+
+/**
+ * Describe el progreso del onboarding de un usuario
+ * @param {import("../../onboarding/models/UserState")|null} state - Estado de onboarding
+ * @returns {string}
+ */
+function describeOnboarding(state) {
+	// Quien solo conectó GitHub tiene estado, pero nunca pasó por el onboarding
+	if (!state || state.onboardingStep === null) {
+		return "Sin registro";
+	}
+	if (state.isComplete()) {
+		return state.onboardingCompletedAt
+			? `✅ Completado <t:${Math.floor(new Date(state.onboardingCompletedAt).getTime() / 1000)}:R>`
+			: "✅ Completado";
+	}
+	return `⏳ En curso: ${STEP_LABELS[state.onboardingStep] || state.onboardingStep}`;
+}
 
 module.exports = {
 	data: new SlashCommandBuilder()
 		.setName("profile")
-		.setDescription("Este comando aún está en construcción."),
+		.setDescription("Muestra la tarjeta de desarrollador de un miembro.")
+		.setContexts(InteractionContextType.Guild)
+		.addUserOption((option) =>
+			option
+				.setName("usuario")
+				.setDescription("El miembro cuyo perfil quieres ver. Por defecto, tú."),
+		),
 
 	async execute(interaction) {
-		await interaction.reply({
-			content: "Este comando aún no está implementado.",
-			ephemeral: true,
-		});
+		const user = interaction.options.getUser("usuario") || interaction.user;
+		const member =
+			interaction.options.getMember("usuario") ||
+			(user.id === interaction.user.id ? interaction.member : null);
+		const { userStateManager, developerProfiles, repositoryManager } =
+			interaction.client;
+
+		// Las consultas a GitHub pueden tardar más de 3 segundos
+		await interaction.deferReply();
+
+		const state = await userStateManager.getUserState(
+			user.id,
+			interaction.guild.id,
+		);
+		const submittedRepos = await repositoryManager.getUserRepositories(user.id);
+
+		const profileEmbed = new EmbedBuilder()
+			.setColor(0x24292e)
+			.setAuthor({
+				name: `Perfil de ${user.tag}`,
+				iconURL: user.displayAvatarURL({ dynamic: true }),
+			})
+			.addFields(
+				{
+					name: "📅 En el servidor desde",
+					value: member?.joinedAt
+						? `<t:${Math.floor(member.joinedAt.getTime() / 1000)}:D>`
+						: "No es miembro",
+					inline: true,
+				},
+				{
+					name: "👋 Onboarding",
+					value: describeOnboarding(state),
+					inline: true,
+				},
+				{
+					name: `📦 Repos compartidos (${submittedRepos.length})`,
+					value:
+						submittedRepos.length > 0
+							? submittedRepos
+									.slice(-5)
+									.reverse()
+									.map(
+										(repo) =>
+											`\`${repo.id}.\` [${repo.getName()}](${repo.url})`,
+									)
+									.join("\n")
+							: "Todavía no ha compartido repositorios con `/repoadd`.",
+				},
+			)
+			.setTimestamp();
+
+		if (!state?.githubConnected) {
+			profileEmbed.setDescription(
+				user.id === interaction.user.id
+					? "🔗 No has conectado tu cuenta de GitHub. Usa `/github-connect` para mostrar tu actividad aquí."
+					: "🔗 Este miembro no ha conectado su cuenta de GitHub.",
+			);
+			return interaction.editReply({ embeds: [profileEmbed] });
+		}
+
+		let github;
+		try {
+			github = await developerProfiles.getGitHubSummary(state.githubUsername);
+		} catch (error) {
+			console.error(error);
+			profileEmbed.setDescription(
+				error.code === "not_found"
+					? `⚠️ La cuenta de GitHub **${state.githubUsername}** ya no existe.`
+					: `⚠️ No pude obtener los datos de GitHub de **${state.githubUsername}** en este momento.`,
+			);
+			return interaction.editReply({ embeds: [profileEmbed] });
+		}
+
+		profileEmbed
+			.setTitle(github.name ? `${github.name} (${github.login})` : github.login)
+			.setURL(github.url)
+			.setThumbnail(github.avatarUrl)
+			.setDescription(github.bio || null)
+			.spliceFields(
+				0,
+				0,
+				{
+					name: "📚 Repos públicos",
+					value: `${github.publicRepos}`,
+					inline: true,
+				},
+				{
+					name: "👥 Seguidores",
+					value: `${github.followers}`,
+					inline: true,
+				},
+				{
+					name: "⭐ Estrellas",
+					value: `${github.totalStars}`,
+					inline: true,
+				},
+				{
+					name: "🧑‍💻 Lenguajes principales",
+					value:
+						github.topLanguages.length > 0
+							? github.topLanguages
+									.map(({ language, count }) => `${language} (${count})`)
+									.join(" · ")
+							: "Sin datos",
+				},
+				{
+					name: "🕒 Actividad reciente",
+					value:
+						github.recentActivity.length > 0
+							? github.recentActivity
+									.map(
+										({ description, createdAt }) =>
+											`${description} · <t:${Math.floor(new Date(createdAt).getTime() / 1000)}:R>`,
+									)
+									.join("\n")
+									.slice(0, 1024)
+							: "Sin actividad pública reciente",
+				},
+			);
+
+		await interaction.editReply({ embeds: [profileEmbed] });
 	},
 };
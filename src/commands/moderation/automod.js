@@ -0,0 +1,199 @@
+const {
+	SlashCommandBuilder,
+	EmbedBuilder,
+	PermissionFlagsBits,
+	InteractionContextType,
+} = require("discord.js");
+const AutoModService = require("../../moderation/services/AutoModService");
+const ModerationConfig = require("../../moderation/models/ModerationConfig");
+
+const ACTION_LABELS = {
+	delete: "borrar el mensaje",
+	warn: "borrar y advertir",
+	timeout: "borrar y aplicar timeout",
+	log: "solo registrar",
+};
+
+module.exports = {
+	data: new SlashCommandBuilder()
+		.setName("automod")
+		.setDescription("Configura la moderación automática de mensajes.")
+		.setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+		.setContexts(InteractionContextType.Guild)
+		.addSubcommand((subcommand) =>
+			subcommand
+				.setName("view")
+				.setDescription("Muestra la configuración actual de los filtros."),
+		)
+		.addSubcommand((subcommand) =>
+			subcommand
+				.setName("filter")
+				.setDescription("Activa, desactiva o ajusta un filtro.")
+				.addStringOption((option) =>
+					option
+						.setName("filtro")
+						.setDescription("El filtro a configurar.")
+						.setRequired(true)
+						.addChoices(
+							...AutoModService.FILTERS.map((filter) => ({
+								name: filter.label,
+								value: filter.name,
+							})),
+						),
+				)
+				.addBooleanOption((option) =>
+					option
+						.setName("activar")
+						.setDescription("Si el filtro está activo.")
+						.setRequired(true),
+				)
+				.addStringOption((option) =>
+					option
+						.setName("acción")
+						.setDescription("Qué hacer con los mensajes que lo incumplan.")
+						.addChoices(
+							...ModerationConfig.AUTOMOD_ACTIONS.map((action) => ({
+								name: ACTION_LABELS[action],
+								value: action,
+							})),
+						),
+				)
+				.addIntegerOption((option) =>
+					option
+						.setName("límite")
+						.setDescription(
+							"Mensajes, repeticiones, menciones o porcentaje de mayúsculas permitidos.",
+						)
+						.setMinValue(1)
+						.setMaxValue(100),
+				)
+				.addStringOption((option) =>
+					option
+						.setName("duración")
+						.setDescription("Duración del timeout (ej: 10m, 1h, 1d)."),
+				),
+		)
+		.addSubcommand((subcommand) =>
+			subcommand
+				.setName("block-domain")
+				.setDescription("Bloquea los enlaces a un dominio y sus subdominios.")
+				.addStringOption((option) =>
+					option
+						.setName("dominio")
+						.setDescription("El dominio a bloquear (ej: ejemplo.com).")
+						.setRequired(true)
+						.setMaxLength(253),
+				),
+		)
+		.addSubcommand((subcommand) =>
+			subcommand
+				.setName("unblock-domain")
+				.setDescription("Vuelve a permitir los enlaces a un dominio.")
+				.addStringOption((option) =>
+					option
+						.setName("dominio")
+						.setDescription("El dominio a desbloquear.")
+						.setRequired(true)
+						.setMaxLength(253),
+				),
+		),
+
+	async execute(interaction) {
+		const subcommand = interaction.options.getSubcommand();
+		const { moderationConfigManager } = interaction.client;
+		const guildId = interaction.guild.id;
+
+		let result;
+		if (subcommand === "filter") {
+			const updates = { enabled: interaction.options.getBoolean("activar") };
+			const action = interaction.options.getString("acción");
+			const threshold = interaction.options.getInteger("límite");
+			const duration = interaction.options.getString("duración");
+			if (action) {
+				updates.action = action;
+			}
+			if (threshold !== null) {
+				updates.threshold = threshold;
+			}
+			if (duration) {
+				updates.duration = duration;
+			}
+			result = await moderationConfigManager.updateConfig(guildId, (config) =>
+				config.setAutoModFilter(
+					interaction.options.getString("filtro"),
+					updates,
+				),
+			);
+		} else if (subcommand === "block-domain") {
+			const domain = interaction.options.getString("dominio");
+			let added = false;
+			result = await moderationConfigManager.updateConfig(guildId, (config) => {
+				added = config.blockDomain(domain);
+			});
+			if (result.isValid && !added) {
+				return interaction.reply({
+					content: `❌ El dominio **${ModerationConfig.normalizeDomain(domain)}** ya está bloqueado.`,
+					ephemeral: true,
+				});
+			}
+		} else if (subcommand === "unblock-domain") {
+			const domain = interaction.options.getString("dominio");
+			let removed = false;
+			result = await moderationConfigManager.updateConfig(guildId, (config) => {
+				removed = config.unblockDomain(domain);
+			});
+			if (!removed) {
+				return interaction.reply({
+					content: `❌ El dominio **${ModerationConfig.normalizeDomain(domain)}** no está bloqueado.`,
+					ephemeral: true,
+				});
+			}
+		} else {
+			result = {
+				isValid: true,
+				config: await moderationConfigManager.getConfig(guildId),
+			};
+		}
+
+		if (!result.isValid) {
+			return interaction.reply({
+				content: `❌ No se aplicó el cambio:\n${result.errors.map((error) => `- ${error}`).join("\n")}`,
+				ephemeral: true,
+			});
+		}
+
+		const { config } = result;
+		const autoModEmbed = new EmbedBuilder()
+			.setColor(0x5865f2)
+			.setTitle("🛡️ Moderación Automática")
+			.setDescription(
+				"Los miembros con permiso para gestionar mensajes no se ven afectados.",
+			)
+			.addFields(
+				...AutoModService.FILTERS.map((filter) => {
+					const settings = config.getAutoModFilter(filter.name);
+					const action =
+						settings.action === "timeout"
+							? `${ACTION_LABELS.timeout} (${settings.duration})`
+							: ACTION_LABELS[settings.action];
+					return {
+						name: `${settings.enabled ? "✅" : "⬜"} ${filter.label}`,
+						value: `${filter.describe(settings.threshold)} → ${action}`,
+					};
+				}),
+				{
+					name: "Dominios Bloqueados",
+					value:
+						config.blockedDomains.length > 0
+							? config.blockedDomains
+									.map((domain) => `\`${domain}\``)
+									.join(", ")
+									.slice(0, 1024)
+							: "Ninguno.",
+				},
+			)
+			.setTimestamp();
+
+		await interaction.reply({ embeds: [autoModEmbed], ephemeral: true });
+	},
+};
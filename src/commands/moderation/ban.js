@@ -3,6 +3,10 @@ const {
 	EmbedBuilder,
 	PermissionFlagsBits,
 } = require("discord.js");
+const ModLogService = require("../../moderation/services/ModLogService");
+const ms = require("ms");
+const { banMember } = require("../../moderation/services/memberActions");
+const TempBanService = require("../../moderation/services/TempBanService");
 
 module.exports = {
 	data: new SlashCommandBuilder()
@@ -17,12 +21,21 @@ module.exports = {
 		.addStringOption((option) =>
 			option.setName("razón").setDescription("La razón para el baneo."),
 		)
+		.addStringOption((option) =>
+			option
+				.setName("duración")
+				.setDescription(
+					"Duración del baneo temporal (ej: 1h, 7d). Déjalo en blanco para un baneo permanente.",
+				),
+		)
 		.setDefaultMemberPermissions(PermissionFlagsBits.BanMembers),
 
 	async execute(interaction) {
 		const target = interaction.options.getMember("usuario");
 		const reason =
 			interaction.options.getString("razón") || "No se proporcionó una razón.";
+		const durationStr = interaction.options.getString("duración");
+		const durationMs = durationStr ? ms(durationStr) : null;
 
 		if (!target) {
 			return interaction.reply({
@@ -36,6 +49,12 @@ module.exports = {
 				ephemeral: true,
 			});
 		}
+		if (durationStr && !(durationMs > 0)) {
+			return interaction.reply({
+				content: "Por favor, proporciona una duración válida (ej: 5m, 2h, 3d).",
+				ephemeral: true,
+			});
+		}
 		if (!target.bannable) {
 			return interaction.reply({
 				content:
@@ -54,18 +73,38 @@ module.exports = {
 			)
 			.setTimestamp();
 
-		try {
-			await target.send(
-				`Has sido baneado del servidor **${interaction.guild.name}** por la siguiente razón: ${reason}`,
-			);
-		} catch (error) {
-			console.log(
-				`No se pudo enviar el MD a ${target.user.tag}. Error: ${error}`,
+		await banMember(target, reason, durationStr);
+
+		const modCase = await interaction.client.modLog.log(interaction.guild, {
+			action: "ban",
+			moderator: interaction.user,
+			target: target.user,
+			reason,
+			duration: durationStr,
+		});
+		banEmbed.setFooter({ text: ModLogService.getCaseFooter(modCase) });
+
+		if (durationMs) {
+			const expiresAt = new Date(Date.now() + durationMs);
+			await interaction.client.tempBans.schedule(
+				target.id,
+				interaction.guild.id,
+				expiresAt,
+				modCase?.id ?? null,
 			);
+			banEmbed.addFields({
+				name: "Duración",
+				value: `${durationStr} (se levanta <t:${Math.floor(expiresAt.getTime() / 1000)}:R>)`,
+			});
 		}
 
-		await target.ban({ reason: reason });
-
 		await interaction.reply({ embeds: [banEmbed] });
 	},
+
+	jobs: {
+		[TempBanService.JOB_NAME]: (job, client) =>
+			client.tempBans.lift(job.data, client),
+		[TempBanService.LOG_JOB_NAME]: (job, client) =>
+			client.tempBans.logLift(job.data, client),
+	},
 };
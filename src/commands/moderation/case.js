@@ -0,0 +1,133 @@
+const {
+	SlashCommandBuilder,
+	EmbedBuilder,
+	PermissionFlagsBits,
+	InteractionContextType,
+} = require("discord.js");
+const ModLogService = require("../../moderation/services/ModLogService");
+
+module.exports = {
+	data: new SlashCommandBuilder()
+		.setName("case")
+		.setDescription("Consulta y edita los casos de moderación.")
+		.setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers)
+		.setContexts(InteractionContextType.Guild)
+		.addSubcommand((subcommand) =>
+			subcommand
+				.setName("view")
+				.setDescription("Muestra un caso de moderación.")
+				.addIntegerOption((option) =>
+					option
+						.setName("id")
+						.setDescription("El número del caso.")
+						.setRequired(true)
+						.setMinValue(1),
+				),
+		)
+		.addSubcommand((subcommand) =>
+			subcommand
+				.setName("reason")
+				.setDescription(
+					"Cambia la razón de un caso y su mensaje en el registro.",
+				)
+				.addIntegerOption((option) =>
+					option
+						.setName("id")
+						.setDescription("El número del caso.")
+						.setRequired(true)
+						.setMinValue(1),
+				)
+				.addStringOption((option) =>
+					option
+						.setName("razón")
+						.setDescription("La nueva razón.")
+						.setRequired(true)
+						.setMaxLength(1024),
+				),
+		)
+		.addSubcommand((subcommand) =>
+			subcommand
+				.setName("history")
+				.setDescription("Muestra el historial de moderación de un usuario.")
+				.addUserOption((option) =>
+					option
+						.setName("usuario")
+						.setDescription("El usuario cuyo historial quieres ver.")
+						.setRequired(true),
+				),
+		),
+
+	async execute(interaction) {
+		const subcommand = interaction.options.getSubcommand();
+		const { caseManager, modLog } = interaction.client;
+
+		if (subcommand === "history") {
+			const target = interaction.options.getUser("usuario");
+			const cases = await caseManager.getUserCases(
+				interaction.guild.id,
+				target.id,
+			);
+
+			if (cases.length === 0) {
+				return interaction.reply({
+					content: `✅ El usuario ${target.tag} no tiene casos de moderación.`,
+					ephemeral: true,
+				});
+			}
+
+			// La descripción admite 4096 caracteres: se muestran los casos más recientes
+			const lines = [];
+			let length = 0;
+			for (const modCase of cases.reverse()) {
+				const reason = modCase.reason || "Sin razón";
+				const line = `\`#${modCase.id}\` ${ModLogService.getActionLabel(modCase.action)} · <t:${Math.floor(new Date(modCase.createdAt).getTime() / 1000)}:d> · ${reason.length > 80 ? `${reason.slice(0, 77)}...` : reason}`;
+				if (length + line.length + 1 > 4000) {
+					break;
+				}
+				lines.push(line);
+				length += line.length + 1;
+			}
+
+			const historyEmbed = new EmbedBuilder()
+				.setColor(0x5865f2)
+				.setTitle(`🗂️ Historial de Moderación de ${target.tag}`)
+				.setThumbnail(target.displayAvatarURL({ dynamic: true }))
+				.setDescription(lines.join("\n"))
+				.setFooter({
+					text: `${cases.length} caso(s)${lines.length < cases.length ? `, mostrando los ${lines.length} más recientes` : ""}`,
+				});
+
+			return interaction.reply({ embeds: [historyEmbed], ephemeral: true });
+		}
+
+		const id = interaction.options.getInteger("id");
+		let modCase;
+
+		if (subcommand === "reason") {
+			modCase = await modLog.updateReason(
+				interaction.guild,
+				id,
+				interaction.options.getString("razón"),
+				interaction.user,
+			);
+		} else {
+			modCase = await caseManager.getCase(interaction.guild.id, id);
+		}
+
+		if (!modCase) {
+			return interaction.reply({
+				content: `❌ No existe ningún caso con el número \`${id}\`.`,
+				ephemeral: true,
+			});
+		}
+
+		await interaction.reply({
+			content:
+				subcommand === "reason"
+					? `✅ Razón del caso \`#${id}\` actualizada.`
+					: undefined,
+			embeds: [ModLogService.buildEmbed(modCase)],
+			ephemeral: true,
+		});
+	},
+};
@@ -3,6 +3,7 @@ const {
 	EmbedBuilder,
 	PermissionFlagsBits,
 } = require("discord.js");
+const ModLogService = require("../../moderation/services/ModLogService");
 
 module.exports = {
 	data: new SlashCommandBuilder()
@@ -24,11 +25,19 @@ module.exports = {
 		try {
 			const messages = await interaction.channel.bulkDelete(amount, true);
 
+			const modCase = await interaction.client.modLog.log(interaction.guild, {
+				action: "clear",
+				moderator: interaction.user,
+				channel: interaction.channel,
+				details: `Mensajes borrados: ${messages.size}`,
+			});
+
 			const successEmbed = new EmbedBuilder()
 				.setColor(0x00ff00)
 				.setDescription(
 					`✅ Se han borrado exitosamente **${messages.size}** mensajes.`,
-				);
+				)
+				.setFooter({ text: ModLogService.getCaseFooter(modCase) });
 
 			await interaction.reply({ embeds: [successEmbed], ephemeral: true });
 		} catch (error) {
@@ -3,6 +3,8 @@ const {
 	EmbedBuilder,
 	PermissionFlagsBits,
 } = require("discord.js");
+const ModLogService = require("../../moderation/services/ModLogService");
+const { kickMember } = require("../../moderation/services/memberActions");
 
 module.exports = {
 	data: new SlashCommandBuilder()
@@ -54,17 +56,15 @@ module.exports = {
 			)
 			.setTimestamp();
 
-		try {
-			await target.send(
-				`Has sido expulsado del servidor **${interaction.guild.name}** por la siguiente razón: ${reason}`,
-			);
-		} catch (error) {
-			console.log(
-				`No se pudo enviar el MD a ${target.user.tag}. Error: ${error}`,
-			);
-		}
+		await kickMember(target, reason);
 
-		await target.kick(reason);
+		const modCase = await interaction.client.modLog.log(interaction.guild, {
+			action: "kick",
+			moderator: interaction.user,
+			target: target.user,
+			reason,
+		});
+		kickEmbed.setFooter({ text: ModLogService.getCaseFooter(modCase) });
 
 		await interaction.reply({ embeds: [kickEmbed] });
 	},
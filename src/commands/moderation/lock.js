@@ -5,6 +5,7 @@ const {
 	ChannelType,
 	InteractionContextType,
 } = require("discord.js");
+const ModLogService = require("../../moderation/services/ModLogService");
 
 module.exports = {
 	data: new SlashCommandBuilder()
@@ -52,11 +53,19 @@ module.exports = {
 				SendMessages: false,
 			});
 
+			const modCase = await interaction.client.modLog.log(interaction.guild, {
+				action: "lock",
+				moderator: interaction.user,
+				channel,
+				reason,
+			});
+
 			const lockEmbed = new EmbedBuilder()
 				.setColor(0xff0000)
 				.setTitle("🔒 Canal Bloqueado")
 				.setDescription(`El canal ${channel} ha sido bloqueado.`)
 				.addFields({ name: "Razón", value: reason })
+				.setFooter({ text: ModLogService.getCaseFooter(modCase) })
 				.setTimestamp();
 
 			await interaction.reply({ embeds: [lockEmbed] });
@@ -65,12 +74,19 @@ module.exports = {
 				SendMessages: null, // Restaura el permiso por defecto
 			});
 
+			const modCase = await interaction.client.modLog.log(interaction.guild, {
+				action: "unlock",
+				moderator: interaction.user,
+				channel,
+			});
+
 			const unlockEmbed = new EmbedBuilder()
 				.setColor(0x00ff00)
 				.setTitle("🔓 Canal Desbloqueado")
 				.setDescription(
 					`El canal ${channel} ha sido desbloqueado y ahora permite enviar mensajes.`,
 				)
+				.setFooter({ text: ModLogService.getCaseFooter(modCase) })
 				.setTimestamp();
 
 			await interaction.reply({ embeds: [unlockEmbed] });
@@ -0,0 +1,94 @@
+const {
+	SlashCommandBuilder,
+	EmbedBuilder,
+	PermissionFlagsBits,
+	ChannelType,
+	InteractionContextType,
+} = require("discord.js");
+
+module.exports = {
+	data: new SlashCommandBuilder()
+		.setName("modlog")
+		.setDescription(
+			"Configura el canal donde se registran las acciones de moderación.",
+		)
+		.setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+		.setContexts(InteractionContextType.Guild)
+		.addSubcommand((subcommand) =>
+			subcommand
+				.setName("set")
+				.setDescription("Establece el canal de registro de moderación.")
+				.addChannelOption((option) =>
+					option
+						.setName("canal")
+						.setDescription("El canal donde se publicarán los casos.")
+						.addChannelTypes(ChannelType.GuildText)
+						.setRequired(true),
+				),
+		)
+		.addSubcommand((subcommand) =>
+			subcommand
+				.setName("off")
+				.setDescription("Desactiva el registro de moderación."),
+		)
+		.addSubcommand((subcommand) =>
+			subcommand
+				.setName("view")
+				.setDescription("Muestra el canal de registro actual."),
+		),
+
+	async execute(interaction) {
+		const subcommand = interaction.options.getSubcommand();
+		const { moderationConfigManager } = interaction.client;
+		const guildId = interaction.guild.id;
+
+		if (subcommand === "view") {
+			const config = await moderationConfigManager.getConfig(guildId);
+			return interaction.reply({
+				content: config.modLogChannelId
+					? `📋 El registro de moderación se publica en <#${config.modLogChannelId}>.`
+					: "📋 El registro de moderación está desactivado.",
+				ephemeral: true,
+			});
+		}
+
+		if (subcommand === "off") {
+			await moderationConfigManager.updateConfig(guildId, (config) =>
+				config.update({ modLogChannelId: null }),
+			);
+			return interaction.reply({
+				content: "🔕 El registro de moderación ha sido desactivado.",
+				ephemeral: true,
+			});
+		}
+
+		const channel = interaction.options.getChannel("canal");
+		const permissions = channel.permissionsFor(interaction.client.user);
+		if (
+			!permissions?.has([
+				PermissionFlagsBits.ViewChannel,
+				PermissionFlagsBits.SendMessages,
+				PermissionFlagsBits.EmbedLinks,
+			])
+		) {
+			return interaction.reply({
+				content: `❌ No tengo permisos para enviar embeds en ${channel}.`,
+				ephemeral: true,
+			});
+		}
+
+		await moderationConfigManager.updateConfig(guildId, (config) =>
+			config.update({ modLogChannelId: channel.id }),
+		);
+
+		const modLogEmbed = new EmbedBuilder()
+			.setColor(0x00ff00)
+			.setTitle("📋 Registro de Moderación Configurado")
+			.setDescription(
+				`A partir de ahora, todas las acciones de moderación se registrarán en ${channel}.`,
+			)
+			.setTimestamp();
+
+		await interaction.reply({ embeds: [modLogEmbed], ephemeral: true });
+	},
+};
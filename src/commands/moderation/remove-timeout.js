@@ -4,6 +4,7 @@ const {
 	PermissionFlagsBits,
 	InteractionContextType,
 } = require("discord.js");
+const ModLogService = require("../../moderation/services/ModLogService");
 
 module.exports = {
 	data: new SlashCommandBuilder()
@@ -45,6 +46,13 @@ module.exports = {
 		try {
 			await target.timeout(null, reason);
 
+			const modCase = await interaction.client.modLog.log(interaction.guild, {
+				action: "remove-timeout",
+				moderator: interaction.user,
+				target: target.user,
+				reason,
+			});
+
 			const removeTimeoutEmbed = new EmbedBuilder()
 				.setColor(0x00ff00)
 				.setTitle("🟢 Silencio Levantado")
@@ -54,6 +62,7 @@ module.exports = {
 					{ name: "Moderador", value: interaction.user.tag, inline: true },
 					{ name: "Razón", value: reason },
 				)
+				.setFooter({ text: ModLogService.getCaseFooter(modCase) })
 				.setTimestamp();
 
 			await interaction.reply({ embeds: [removeTimeoutEmbed] });
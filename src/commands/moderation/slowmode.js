@@ -5,6 +5,7 @@ const {
 	ChannelType,
 	InteractionContextType,
 } = require("discord.js");
+const ModLogService = require("../../moderation/services/ModLogService");
 
 module.exports = {
 	data: new SlashCommandBuilder()
@@ -42,6 +43,14 @@ module.exports = {
 				`Modo lento gestionado por ${interaction.user.tag}`,
 			);
 
+			const modCase = await interaction.client.modLog.log(interaction.guild, {
+				action: "slowmode",
+				moderator: interaction.user,
+				channel,
+				duration: seconds > 0 ? `${seconds} segundos` : null,
+				details: seconds > 0 ? "Modo lento activado" : "Modo lento desactivado",
+			});
+
 			const slowmodeEmbed = new EmbedBuilder()
 				.setColor(seconds > 0 ? 0xffa500 : 0x00ff00)
 				.setTitle(
@@ -50,6 +59,7 @@ module.exports = {
 				.setDescription(
 					`El modo lento en ${channel} ha sido ${seconds > 0 ? `establecido en **${seconds} segundos**` : "**desactivado**"}.`,
 				)
+				.setFooter({ text: ModLogService.getCaseFooter(modCase) })
 				.setTimestamp();
 
 			await interaction.reply({ embeds: [slowmodeEmbed] });
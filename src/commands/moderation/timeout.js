@@ -3,7 +3,9 @@ const {
 	EmbedBuilder,
 	PermissionFlagsBits,
 } = require("discord.js");
+const ModLogService = require("../../moderation/services/ModLogService");
 const ms = require("ms");
+const { timeoutMember } = require("../../moderation/services/memberActions");
 
 module.exports = {
 	data: new SlashCommandBuilder()
@@ -60,7 +62,7 @@ module.exports = {
 			});
 		}
 
-		await target.timeout(durationMs, reason);
+		await timeoutMember(target, durationMs, reason);
 
 		const timeoutEmbed = new EmbedBuilder()
 			.setColor(0x5865f2)
@@ -73,6 +75,15 @@ module.exports = {
 			)
 			.setTimestamp();
 
+		const modCase = await interaction.client.modLog.log(interaction.guild, {
+			action: "timeout",
+			moderator: interaction.user,
+			target: target.user,
+			reason,
+			duration: durationStr,
+		});
+		timeoutEmbed.setFooter({ text: ModLogService.getCaseFooter(modCase) });
+
 		await interaction.reply({ embeds: [timeoutEmbed] });
 	},
 };
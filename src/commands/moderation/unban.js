@@ -4,6 +4,8 @@ const {
 	PermissionFlagsBits,
 	InteractionContextType,
 } = require("discord.js");
+const ModLogService = require("../../moderation/services/ModLogService");
+const { unbanUser } = require("../../moderation/services/memberActions");
 
 module.exports = {
 	data: new SlashCommandBuilder()
@@ -29,9 +31,15 @@ module.exports = {
 			interaction.options.getString("razón") || "No se proporcionó una razón.";
 
 		try {
-			const bannedUser = await interaction.client.users.fetch(userId);
+			const bannedUser = await unbanUser(interaction.guild, userId, reason);
+			await interaction.client.tempBans.cancel(userId, interaction.guild.id);
 
-			await interaction.guild.members.unban(bannedUser, reason);
+			const modCase = await interaction.client.modLog.log(interaction.guild, {
+				action: "unban",
+				moderator: interaction.user,
+				target: bannedUser,
+				reason,
+			});
 
 			const unbanEmbed = new EmbedBuilder()
 				.setColor(0x00ff00)
@@ -42,6 +50,7 @@ module.exports = {
 					{ name: "Moderador", value: interaction.user.tag, inline: true },
 					{ name: "Razón", value: reason },
 				)
+				.setFooter({ text: ModLogService.getCaseFooter(modCase) })
 				.setTimestamp();
 
 			await interaction.reply({ embeds: [unbanEmbed] });
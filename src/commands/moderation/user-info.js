@@ -2,6 +2,7 @@ const {
 	SlashCommandBuilder,
 	EmbedBuilder,
 	InteractionContextType,
+	PermissionFlagsBits,
 } = require("discord.js");
 
 module.exports = {
@@ -57,5 +58,41 @@ module.exports = {
 			.setTimestamp();
 
 		await interaction.reply({ embeds: [userInfoEmbed] });
+
+		// El historial de moderación solo lo ve el staff, en un mensaje efímero
+		if (
+			!interaction.memberPermissions?.has(PermissionFlagsBits.ModerateMembers)
+		) {
+			return;
+		}
+
+		const { caseManager, warningManager, moderationConfigManager } =
+			interaction.client;
+		const cases = await caseManager.getUserCases(
+			interaction.guild.id,
+			member.id,
+		);
+		const { warningExpiryDays } = await moderationConfigManager.getConfig(
+			interaction.guild.id,
+		);
+		const activeWarnings = await warningManager.getActiveWarnings(
+			member.id,
+			interaction.guild.id,
+			warningExpiryDays,
+		);
+		const countOf = (action) =>
+			cases.filter((modCase) => modCase.action === action).length;
+		const lastCase = cases[cases.length - 1];
+
+		const recordEmbed = new EmbedBuilder()
+			.setColor(0x5865f2)
+			.setTitle(`🛡️ Historial de Moderación de ${member.user.username}`)
+			.setDescription(
+				cases.length > 0
+					? `**${activeWarnings.length}** advertencia(s) activa(s) de **${countOf("warn")}** · **${countOf("timeout")}** timeout(s) · **${countOf("kick")}** expulsión(es) · **${countOf("ban")}** baneo(s)\nÚltimo caso: \`#${lastCase.id}\` <t:${Math.floor(new Date(lastCase.createdAt).getTime() / 1000)}:R> · Usa \`/case history\` para ver el detalle.`
+					: "Sin casos de moderación.",
+			);
+
+		await interaction.followUp({ embeds: [recordEmbed], ephemeral: true });
 	},
 };
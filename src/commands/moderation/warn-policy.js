@@ -0,0 +1,157 @@
+const {
+	SlashCommandBuilder,
+	EmbedBuilder,
+	PermissionFlagsBits,
+	InteractionContextType,
+} = require("discord.js");
+const EscalationService = require("../../moderation/services/EscalationService");
+
+module.exports = {
+	data: new SlashCommandBuilder()
+		.setName("warn-policy")
+		.setDescription(
+			"Configura las sanciones automáticas por acumulación de advertencias.",
+		)
+		.setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+		.setContexts(InteractionContextType.Guild)
+		.addSubcommand((subcommand) =>
+			subcommand
+				.setName("view")
+				.setDescription("Muestra la política de escalado actual."),
+		)
+		.addSubcommand((subcommand) =>
+			subcommand
+				.setName("set-rule")
+				.setDescription(
+					"Define la sanción al alcanzar un número de advertencias.",
+				)
+				.addIntegerOption((option) =>
+					option
+						.setName("umbral")
+						.setDescription(
+							"Número de advertencias activas que activa la regla.",
+						)
+						.setRequired(true)
+						.setMinValue(1)
+						.setMaxValue(50),
+				)
+				.addStringOption((option) =>
+					option
+						.setName("acción")
+						.setDescription("La sanción a aplicar.")
+						.setRequired(true)
+						.addChoices(
+							{ name: "timeout", value: "timeout" },
+							{ name: "kick", value: "kick" },
+							{ name: "ban", value: "ban" },
+						),
+				)
+				.addStringOption((option) =>
+					option
+						.setName("duración")
+						.setDescription("Duración del timeout (ej: 10m, 1h, 1d)."),
+				),
+		)
+		.addSubcommand((subcommand) =>
+			subcommand
+				.setName("remove-rule")
+				.setDescription("Elimina la regla de un umbral.")
+				.addIntegerOption((option) =>
+					option
+						.setName("umbral")
+						.setDescription("El umbral de la regla a eliminar.")
+						.setRequired(true)
+						.setMinValue(1),
+				),
+		)
+		.addSubcommand((subcommand) =>
+			subcommand
+				.setName("expiry")
+				.setDescription("Define tras cuántos días caducan las advertencias.")
+				.addIntegerOption((option) =>
+					option
+						.setName("días")
+						.setDescription(
+							"Días hasta que caducan (0 para que nunca caduquen).",
+						)
+						.setRequired(true)
+						.setMinValue(0)
+						.setMaxValue(365),
+				),
+		),
+
+	async execute(interaction) {
+		const subcommand = interaction.options.getSubcommand();
+		const { moderationConfigManager } = interaction.client;
+		const guildId = interaction.guild.id;
+
+		let result;
+		if (subcommand === "set-rule") {
+			const action = interaction.options.getString("acción");
+			const rule = {
+				threshold: interaction.options.getInteger("umbral"),
+				action,
+			};
+			if (action === "timeout") {
+				rule.duration = interaction.options.getString("duración");
+			}
+			result = await moderationConfigManager.updateConfig(guildId, (config) =>
+				config.setEscalationRule(rule),
+			);
+		} else if (subcommand === "remove-rule") {
+			const threshold = interaction.options.getInteger("umbral");
+			let removed = false;
+			result = await moderationConfigManager.updateConfig(guildId, (config) => {
+				removed = config.removeEscalationRule(threshold);
+			});
+			if (!removed) {
+				return interaction.reply({
+					content: `❌ No hay ninguna regla para **${threshold}** advertencias.`,
+					ephemeral: true,
+				});
+			}
+		} else if (subcommand === "expiry") {
+			const days = interaction.options.getInteger("días");
+			result = await moderationConfigManager.updateConfig(guildId, (config) =>
+				config.update({ warningExpiryDays: days || null }),
+			);
+		} else {
+			result = {
+				isValid: true,
+				config: await moderationConfigManager.getConfig(guildId),
+			};
+		}
+
+		if (!result.isValid) {
+			return interaction.reply({
+				content: `❌ No se aplicó el cambio:\n${result.errors.map((error) => `- ${error}`).join("\n")}`,
+				ephemeral: true,
+			});
+		}
+
+		const { config } = result;
+		const policyEmbed = new EmbedBuilder()
+			.setColor(0x5865f2)
+			.setTitle("⚖️ Política de Escalado")
+			.addFields(
+				{
+					name: "Reglas",
+					value:
+						config.escalationRules.length > 0
+							? config.escalationRules
+									.map((rule) => `- ${EscalationService.describeRule(rule)}`)
+									.join("\n")
+							: "No hay reglas configuradas.",
+				},
+				{
+					name: "Caducidad de Advertencias",
+					value: config.warningExpiryDays
+						? `${config.warningExpiryDays} días`
+						: "Nunca caducan",
+				},
+			)
+			.setTimestamp();
+
+		await interaction.reply({ embeds: [policyEmbed], ephemeral: true });
+	},
+};
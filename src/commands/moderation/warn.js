@@ -4,13 +4,13 @@ const {
 	PermissionFlagsBits,
 	InteractionContextType,
 } = require("discord.js");
+const ModLogService = require("../../moderation/services/ModLogService");
+const EscalationService = require("../../moderation/services/EscalationService");
 
 module.exports = {
 	data: new SlashCommandBuilder()
 		.setName("warn")
-		.setDescription(
-			"Añade una advertencia a un miembro (requiere base de datos).",
-		)
+		.setDescription("Añade una advertencia a un miembro.")
 		.setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers)
 		.setContexts(InteractionContextType.Guild)
 		.addUserOption((option) =>
@@ -58,12 +58,27 @@ module.exports = {
 			});
 		}
 
-		// --- LÓGICA DE BASE DE DATOS AQUÍ ---
-		// 1. Conectar a tu base de datos.
-		// 2. Guardar la nueva advertencia: { userId: target.id, guildId: interaction.guild.id, moderatorId: interaction.user.id, reason: reason, timestamp: Date.now() }
-		// 3. Obtener el número total de advertencias del usuario en este servidor.
-		// const totalWarnings = await db.warnings.count({ userId: target.id, guildId: interaction.guild.id });
-		const totalWarnings = "X (desde la BD)"; // Valor de ejemplo para la respuesta visual
+		// Registrar, notificar y escalar puede superar los 3 segundos de Discord
+		await interaction.deferReply();
+
+		const { warningManager, moderationConfigManager, escalation, modLog } =
+			interaction.client;
+		const config = await moderationConfigManager.getConfig(
+			interaction.guild.id,
+		);
+		const warning = await warningManager.addWarning(
+			target.id,
+			interaction.guild.id,
+			interaction.user.id,
+			reason,
+		);
+		const activeWarnings = (
+			await warningManager.getActiveWarnings(
+				target.id,
+				interaction.guild.id,
+				config.warningExpiryDays,
+			)
+		).length;
 
 		const dmEmbed = new EmbedBuilder()
 			.setColor(0xffff00)
@@ -85,22 +100,43 @@ module.exports = {
 			);
 		}
 
+		const modCase = await modLog.log(interaction.guild, {
+			action: "warn",
+			moderator: interaction.user,
+			target: target.user,
+			reason,
+			details: `Advertencia #${warning.id}`,
+		});
+
+		// La advertencia se notifica antes de que una posible expulsión cierre los MD
+		const escalationResult = await escalation.escalate(target);
+
 		const publicWarnEmbed = new EmbedBuilder()
 			.setColor(0xffff00)
-			.setTitle("🟡 Nueva Advertencia")
+			.setTitle(`🟡 Nueva Advertencia #${warning.id}`)
 			.setThumbnail(target.user.displayAvatarURL({ dynamic: true }))
 			.addFields(
 				{ name: "Usuario", value: target.user.tag, inline: true },
 				{
-					name: "Advertencias Totales",
-					value: `${totalWarnings}`,
+					name: "Advertencias Activas",
+					value: `${activeWarnings}`,
 					inline: true,
 				},
 				{ name: "Moderador", value: interaction.user.tag, inline: false },
 				{ name: "Razón", value: reason },
 			)
+			.setFooter({ text: ModLogService.getCaseFooter(modCase) })
 			.setTimestamp();
 
-		await interaction.reply({ embeds: [publicWarnEmbed] });
+		if (escalationResult) {
+			publicWarnEmbed.addFields({
+				name: "⚖️ Escalado Automático",
+				value: escalationResult.applied
+					? `Se aplicó la regla **${EscalationService.describeRule(escalationResult.rule)}**${escalationResult.modCase ? ` (caso #${escalationResult.modCase.id})` : ""}.`
+					: `La regla **${EscalationService.describeRule(escalationResult.rule)}** no pudo aplicarse. Revisa mis permisos y roles.`,
+			});
+		}
+
+		await interaction.editReply({ embeds: [publicWarnEmbed] });
 	},
 };
@@ -4,72 +4,241 @@ const {
 	PermissionFlagsBits,
 	InteractionContextType,
 } = require("discord.js");
+const ModLogService = require("../../moderation/services/ModLogService");
 
 module.exports = {
 	data: new SlashCommandBuilder()
 		.setName("warnings")
-		.setDescription(
-			"Muestra todas las advertencias de un miembro (requiere base de datos).",
-		)
+		.setDescription("Consulta y gestiona las advertencias de un miembro.")
 		.setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers)
 		.setContexts(InteractionContextType.Guild)
-		.addUserOption((option) =>
-			option
-				.setName("usuario")
-				.setDescription("El miembro cuyas advertencias quieres ver.")
-				.setRequired(true),
+		.addSubcommand((subcommand) =>
+			subcommand
+				.setName("list")
+				.setDescription("Muestra todas las advertencias de un miembro.")
+				.addUserOption((option) =>
+					option
+						.setName("usuario")
+						.setDescription("El miembro cuyas advertencias quieres ver.")
+						.setRequired(true),
+				),
+		)
+		.addSubcommand((subcommand) =>
+			subcommand
+				.setName("remove")
+				.setDescription("Perdona una advertencia por su ID.")
+				.addIntegerOption((option) =>
+					option
+						.setName("id")
+						.setDescription("El ID de la advertencia a perdonar.")
+						.setRequired(true)
+						.setMinValue(1),
+				)
+				.addStringOption((option) =>
+					option.setName("razón").setDescription("La razón del perdón."),
+				),
+		)
+		.addSubcommand((subcommand) =>
+			subcommand
+				.setName("clear")
+				.setDescription("Perdona todas las advertencias activas de un miembro.")
+				.addUserOption((option) =>
+					option
+						.setName("usuario")
+						.setDescription("El miembro cuyo historial quieres limpiar.")
+						.setRequired(true),
+				)
+				.addStringOption((option) =>
+					option.setName("razón").setDescription("La razón del perdón."),
+				),
 		),
 
 	async execute(interaction) {
-		const target = interaction.options.getMember("usuario");
-
-		// --- LÓGICA DE BASE DE DATOS AQUÍ ---
-		// 1. Conectar a tu base de datos.
-		// 2. Buscar todas las advertencias donde `userId` y `guildId` coincidan.
-		// const warnings = await db.warnings.find({ userId: target.id, guildId: interaction.guild.id }).sort({ timestamp: -1 });
-
-		// Ejemplo de datos para demostración (borra esto cuando implementes tu BD)
-		const warnings = [
-			{
-				moderatorId: "ID_DEL_MOD_1",
-				reason: "Spam en el canal general.",
-				timestamp: Date.now() - 86400000 * 5,
-			},
-			{
-				moderatorId: "ID_DEL_MOD_2",
-				reason: "Uso excesivo de mayúsculas.",
-				timestamp: Date.now() - 86400000 * 2,
-			},
-			{
-				moderatorId: "ID_DEL_MOD_1",
-				reason: "Comportamiento disruptivo en canal de voz.",
-				timestamp: Date.now(),
-			},
-		];
+		const subcommand = interaction.options.getSubcommand();
+		const { warningManager } = interaction.client;
+		const reason =
+			interaction.options.getString("razón") || "No se proporcionó una razón.";
+
+		if (subcommand === "remove") {
+			const id = interaction.options.getInteger("id");
+			const warning = await warningManager.getWarning(interaction.guild.id, id);
+
+			if (!warning) {
+				return interaction.reply({
+					content: `❌ No existe ninguna advertencia con ID \`${id}\`.`,
+					ephemeral: true,
+				});
+			}
+			if (!warning.isActive()) {
+				return interaction.reply({
+					content: `⚠️ La advertencia \`#${id}\` ya fue perdonada.`,
+					ephemeral: true,
+				});
+			}
+
+			await warningManager.pardonWarning(
+				interaction.guild.id,
+				id,
+				interaction.user.id,
+				reason,
+			);
+
+			const pardonedUser = await interaction.client.users
+				.fetch(warning.userId)
+				.catch(() => ({ id: warning.userId, tag: warning.userId }));
+			const modCase = await interaction.client.modLog.log(interaction.guild, {
+				action: "unwarn",
+				moderator: interaction.user,
+				target: pardonedUser,
+				reason,
+				details: `Advertencia #${id}: ${warning.reason}`,
+			});
+
+			const removeEmbed = new EmbedBuilder()
+				.setColor(0x00ff00)
+				.setTitle(`🟢 Advertencia #${id} Perdonada`)
+				.addFields(
+					{ name: "Usuario", value: `<@${warning.userId}>`, inline: true },
+					{ name: "Moderador", value: interaction.user.tag, inline: true },
+					{ name: "Advertencia Original", value: warning.reason },
+					{ name: "Razón del Perdón", value: reason },
+				)
+				.setFooter({ text: ModLogService.getCaseFooter(modCase) })
+				.setTimestamp();
+
+			return interaction.reply({ embeds: [removeEmbed], ephemeral: true });
+		}
+
+		const target = interaction.options.getUser("usuario");
+
+		if (subcommand === "clear") {
+			const cleared = await warningManager.clearUserWarnings(
+				target.id,
+				interaction.guild.id,
+				interaction.user.id,
+				reason,
+			);
+
+			if (cleared.length === 0) {
+				return interaction.reply({
+					content: `✅ El usuario ${target.tag} no tiene advertencias activas.`,
+					ephemeral: true,
+				});
+			}
+
+			const modCase = await interaction.client.modLog.log(interaction.guild, {
+				action: "unwarn",
+				moderator: interaction.user,
+				target,
+				reason,
+				details: `Advertencias perdonadas: ${cleared.map((warn) => `#${warn.id}`).join(", ")}`,
+			});
+
+			const clearEmbed = new EmbedBuilder()
+				.setColor(0x00ff00)
+				.setTitle("🧹 Historial de Advertencias Limpiado")
+				.setThumbnail(target.displayAvatarURL({ dynamic: true }))
+				.addFields(
+					{ name: "Usuario", value: target.tag, inline: true },
+					{ name: "Moderador", value: interaction.user.tag, inline: true },
+					{
+						name: "Advertencias Perdonadas",
+						value: cleared.map((warn) => `\`#${warn.id}\``).join(", "),
+					},
+					{ name: "Razón del Perdón", value: reason },
+				)
+				.setFooter({ text: ModLogService.getCaseFooter(modCase) })
+				.setTimestamp();
+
+			return interaction.reply({ embeds: [clearEmbed], ephemeral: true });
+		}
+
+		// Consultar los tags de los moderadores puede superar los 3 segundos de Discord
+		await interaction.deferReply({ ephemeral: true });
+
+		const warnings = await warningManager.getUserWarnings(
+			target.id,
+			interaction.guild.id,
+		);
 
 		if (!warnings || warnings.length === 0) {
-			return interaction.reply({
-				content: `✅ El usuario ${target.user.tag} no tiene ninguna advertencia.`,
-				ephemeral: true,
+			return interaction.editReply({
+				content: `✅ El usuario ${target.tag} no tiene ninguna advertencia.`,
 			});
 		}
 
+		const { warningExpiryDays } =
+			await interaction.client.moderationConfigManager.getConfig(
+				interaction.guild.id,
+			);
+		const activeCount = warnings.filter(
+			(warn) => warn.isActive() && !warn.isExpired(warningExpiryDays),
+		).length;
+		// Un embed admite 25 campos como máximo: se muestran las más recientes
+		const recent = warnings.reverse().slice(0, 25);
+
+		// Cada moderador se consulta una sola vez, todos en paralelo
+		const userIds = [
+			...new Set(
+				recent.flatMap((warn) =>
+					warn.isActive()
+						? [warn.moderatorId]
+						: [warn.moderatorId, warn.pardonedBy],
+				),
+			),
+		];
+		const tags = new Map(
+			await Promise.all(
+				userIds.map((userId) =>
+					interaction.client.users
+						.fetch(userId)
+						.then((user) => [userId, user.tag])
+						.catch(() => [userId, "Moderador Desconocido"]),
+				),
+			),
+		);
+
+		const title = `📜 Historial de Advertencias de ${target.tag}`;
+		const fields = [];
+		// Se reserva espacio para el título y la descripción dentro de los 6000 caracteres del embed
+		let length = title.length + 200;
+		for (const warn of recent) {
+			let lines = [
+				`**Razón:** ${warn.reason}`,
+				`**Moderador:** \`${tags.get(warn.moderatorId)}\``,
+			];
+
+			// Las advertencias perdonadas se muestran tachadas, nunca se ocultan
+			if (!warn.isActive()) {
+				lines = lines.map((line) => `~~${line}~~`);
+				lines.push(
+					`**Perdonada por** \`${tags.get(warn.pardonedBy)}\` <t:${Math.floor(new Date(warn.pardonedAt).getTime() / 1000)}:R>: ${warn.pardonReason}`,
+				);
+			} else if (warn.isExpired(warningExpiryDays)) {
+				lines.push("⌛ Caducada: ya no cuenta para las sanciones automáticas.");
+			}
+
+			const value = lines.join("\n");
+			const field = {
+				name: `#${warn.id} · 🗓️ ${new Date(warn.createdAt).toLocaleDateString()}`,
+				value: value.length > 1024 ? `${value.slice(0, 1021)}...` : value,
+			};
+			if (length + field.name.length + field.value.length > 6000) {
+				break;
+			}
+			length += field.name.length + field.value.length;
+			fields.push(field);
+		}
+
 		const warningsEmbed = new EmbedBuilder()
 			.setColor(0xffff00)
-			.setTitle(`📜 Historial de Advertencias de ${target.user.tag}`)
-			.setDescription(`Se encontraron **${warnings.length}** advertencia(s).`)
-			.setThumbnail(target.user.displayAvatarURL({ dynamic: true }));
-
-		for (const warn of warnings) {
-			const moderator = await interaction.client.users
-				.fetch(warn.moderatorId)
-				.catch(() => ({ tag: "Moderador Desconocido" }));
-			warningsEmbed.addFields({
-				name: `🗓️ ${new Date(warn.timestamp).toLocaleDateString()}`,
-				value: `**Razón:** ${warn.reason}\n**Moderador:** \`${moderator.tag}\``,
-			});
-		}
+			.setTitle(title)
+			.setDescription(
+				`Se encontraron **${warnings.length}** advertencia(s), **${activeCount}** activa(s).${warnings.length > fields.length ? ` Mostrando las ${fields.length} más recientes.` : ""}`,
+			)
+			.setThumbnail(target.displayAvatarURL({ dynamic: true }))
+			.addFields(fields);
 
-		await interaction.reply({ embeds: [warningsEmbed], ephemeral: true });
+		await interaction.editReply({ embeds: [warningsEmbed] });
 	},
 };
@@ -0,0 +1,478 @@
+const {
+	SlashCommandBuilder,
+	EmbedBuilder,
+	ActionRowBuilder,
+	ModalBuilder,
+	TextInputBuilder,
+	TextInputStyle,
+	PermissionFlagsBits,
+	ChannelType,
+	InteractionContextType,
+} = require("discord.js");
+
+// Los textos se muestran en la descripción de un embed, limitada a 4096 caracteres
+const MAX_TEXT_LENGTH = 4000;
+
+const TEXT_FIELDS = {
+	welcome: { property: "welcomeMessage", label: "Mensaje de bienvenida" },
+	rules: { property: "rulesContent", label: "Reglas del servidor" },
+};
+
+const FEATURES = {
+	github: {
+		property: "githubIntegrationEnabled",
+		label: "Conexión con GitHub",
+	},
+	tutorial: { property: "tutorialEnabled", label: "Tutorial" },
+};
+
+/**
+ * Construye el embed con la configuración de onboarding de un servidor
+ * @param {import("../../onboarding/models/OnboardingConfig")} config - Configuración del servidor
+ * @returns {EmbedBuilder}
+ */
+function buildConfigEmbed(config) {
+	const preview = (text) =>
+		text.length > 300 ? `${text.slice(0, 297)}...` : text;
+	const channel = (channelId) =>
+		channelId ? `<#${channelId}>` : "Sin configurar";
+	const toggle = (enabled) => (enabled ? "✅ Activado" : "❌ Desactivado");
+
+	return new EmbedBuilder()
+		.setColor(0x5865f2)
+		.setTitle("👋 Configuración de Onboarding")
+		.addFields(
+			{
+				name: "Canal de Bienvenida",
+				value: channel(config.welcomeChannelId),
+				inline: true,
+			},
+			{
+				name: "Canal de Reglas",
+				value: channel(config.rulesChannelId),
+				inline: true,
+			},
+			{
+				name: "Rol Verificado",
+				value: config.verifiedRoleId
+					? `<@&${config.verifiedRoleId}>`
+					: "Sin configurar",
+				inline: true,
+			},
+			{
+				name: FEATURES.github.label,
+				value: toggle(config.githubIntegrationEnabled),
+				inline: true,
+			},
+			{
+				name: FEATURES.tutorial.label,
+				value: toggle(config.tutorialEnabled),
+				inline: true,
+			},
+			{
+				name: "Modo Restringido",
+				value: config.gateEnabled
+					? "🔒 Solo los verificados ven el servidor"
+					: "🔓 Desactivado",
+				inline: true,
+			},
+			{
+				name: "Recordatorios",
+				value:
+					config.maxReminders > 0
+						? `Cada ${config.reminderIntervalHours} h, máximo ${config.maxReminders}`
+						: "Desactivados",
+				inline: true,
+			},
+			{
+				name: TEXT_FIELDS.welcome.label,
+				value: preview(config.welcomeMessage),
+			},
+			{ name: TEXT_FIELDS.rules.label, value: preview(config.rulesContent) },
+			{
+				name: `Páginas del Tutorial (${config.tutorialPages.length})`,
+				value:
+					config.tutorialPages.length > 0
+						? config.tutorialPages
+								.map(
+									(page, index) =>
+										`${index + 1}. ${page.title}${page.command ? ` · \`/${page.command}\`` : ""}`,
+								)
+								.join("\n")
+								.slice(0, 1024)
+						: "Sin páginas",
+			},
+		)
+		.setTimestamp();
+}
+
+/**
+ * Activa o desactiva el modo restringido aplicando los permisos en el servidor
+ * @param {import("discord.js").ChatInputCommandInteraction} interaction - Interacción del comando
+ * @param {boolean} enabled - Si el modo restringido debe quedar activo
+ */
+async function setGate(interaction, enabled) {
+	const { onboardingConfigManager, onboarding } = interaction.client;
+	const { guild } = interaction;
+
+	const result = await onboardingConfigManager.updateConfig(
+		guild.id,
+		(config) => config.update({ gateEnabled: enabled }),
+	);
+	if (!result.isValid) {
+		return interaction.reply({
+			content: `❌ No se aplicó el cambio:\n${result.errors.map((error) => `- ${error}`).join("\n")}`,
+			ephemeral: true,
+		});
+	}
+
+	// Dar el rol a todos los miembros actuales puede tardar más de 3 segundos
+	await interaction.deferReply({ ephemeral: true });
+
+	let content;
+	try {
+		if (enabled) {
+			// Los miembros actuales se verifican antes de cerrar el servidor
+			const verified = await onboarding.verifyExistingMembers(
+				guild,
+				result.config,
+			);
+			await onboarding.setGate(guild, result.config, true);
+			content = `🔒 Modo restringido activado. ${verified} miembro(s) existentes recibieron el rol verificado.`;
+		} else {
+			await onboarding.setGate(guild, result.config, false);
+			content = "🔓 Modo restringido desactivado.";
+		}
+	} catch (error) {
+		console.error(error);
+		await onboardingConfigManager.updateConfig(guild.id, (config) =>
+			config.update({ gateEnabled: !enabled }),
+		);
+		return interaction.editReply({
+			content:
+				"❌ No pude aplicar los permisos. Asegúrate de que tengo los permisos `Gestionar roles` y `Gestionar canales`.",
+		});
+	}
+
+	await interaction.editReply({
+		content,
+		embeds: [buildConfigEmbed(result.config)],
+	});
+}
+
+module.exports = {
+	data: new SlashCommandBuilder()
+		.setName("onboarding-config")
+		.setDescription("Configura el onboarding de los nuevos miembros.")
+		.setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+		.setContexts(InteractionContextType.Guild)
+		.addSubcommand((subcommand) =>
+			subcommand
+				.setName("view")
+				.setDescription("Muestra la configuración actual."),
+		)
+		.addSubcommand((subcommand) =>
+			subcommand
+				.setName("welcome-channel")
+				.setDescription(
+					"Canal donde se envía el onboarding si los MD están cerrados.",
+				)
+				.addChannelOption((option) =>
+					option
+						.setName("canal")
+						.setDescription("El canal de bienvenida.")
+						.addChannelTypes(ChannelType.GuildText)
+						.setRequired(true),
+				),
+		)
+		.addSubcommand((subcommand) =>
+			subcommand
+				.setName("rules-channel")
+				.setDescription("Canal donde están publicadas las reglas.")
+				.addChannelOption((option) =>
+					option
+						.setName("canal")
+						.setDescription("El canal de reglas.")
+						.addChannelTypes(ChannelType.GuildText)
+						.setRequired(true),
+				),
+		)
+		.addSubcommand((subcommand) =>
+			subcommand
+				.setName("verified-role")
+				.setDescription("Rol que se asigna al aceptar las reglas.")
+				.addRoleOption((option) =>
+					option
+						.setName("rol")
+						.setDescription("El rol de miembro verificado.")
+						.setRequired(true),
+				),
+		)
+		.addSubcommand((subcommand) =>
+			subcommand
+				.setName("gate")
+				.setDescription(
+					"Haz que los miembros sin verificar solo vean el canal de reglas.",
+				)
+				.addBooleanOption((option) =>
+					option
+						.setName("activado")
+						.setDescription("Si el modo restringido está activo.")
+						.setRequired(true),
+				),
+		)
+		.addSubcommand((subcommand) =>
+			subcommand
+				.setName("edit-text")
+				.setDescription("Edita el mensaje de bienvenida o las reglas.")
+				.addStringOption((option) =>
+					option
+						.setName("texto")
+						.setDescription("El texto que quieres editar.")
+						.setRequired(true)
+						.addChoices(
+							{ name: "Mensaje de bienvenida", value: "welcome" },
+							{ name: "Reglas", value: "rules" },
+						),
+				),
+		)
+		.addSubcommand((subcommand) =>
+			subcommand
+				.setName("tutorial-add")
+				.setDescription("Añade una página al tutorial.")
+				.addIntegerOption((option) =>
+					option
+						.setName("posición")
+						.setDescription("Número de la nueva página. Por defecto, al final.")
+						.setMinValue(1),
+				),
+		)
+		.addSubcommand((subcommand) =>
+			subcommand
+				.setName("tutorial-remove")
+				.setDescription("Elimina una página del tutorial.")
+				.addIntegerOption((option) =>
+					option
+						.setName("página")
+						.setDescription("Número de la página a eliminar.")
+						.setRequired(true)
+						.setMinValue(1),
+				),
+		)
+		.addSubcommand((subcommand) =>
+			subcommand
+				.setName("toggle")
+				.setDescription("Activa o desactiva un paso opcional.")
+				.addStringOption((option) =>
+					option
+						.setName("paso")
+						.setDescription("El paso que quieres cambiar.")
+						.setRequired(true)
+						.addChoices(
+							{ name: "GitHub", value: "github" },
+							{ name: "Tutorial", value: "tutorial" },
+						),
+				)
+				.addBooleanOption((option) =>
+					option
+						.setName("activado")
+						.setDescription("Si el paso forma parte del onboarding.")
+						.setRequired(true),
+				),
+		)
+		.addSubcommand((subcommand) =>
+			subcommand
+				.setName("reminders")
+				.setDescription("Configura los recordatorios para aceptar las reglas.")
+				.addIntegerOption((option) =>
+					option
+						.setName("intervalo")
+						.setDescription("Horas entre recordatorios (1-168).")
+						.setRequired(true),
+				)
+				.addIntegerOption((option) =>
+					option
+						.setName("máximo")
+						.setDescription("Número máximo de recordatorios (0-10).")
+						.setRequired(true),
+				),
+		),
+
+	async execute(interaction) {
+		const subcommand = interaction.options.getSubcommand();
+		const { onboardingConfigManager } = interaction.client;
+		const guildId = interaction.guild.id;
+
+		if (subcommand === "edit-text") {
+			const text = TEXT_FIELDS[interaction.options.getString("texto")];
+			const config = await onboardingConfigManager.getConfig(guildId);
+
+			const modal = new ModalBuilder()
+				.setCustomId(
+					`onboarding-config:${interaction.options.getString("texto")}`,
+				)
+				.setTitle(`Editar ${text.label.toLowerCase()}`)
+				.addComponents(
+					new ActionRowBuilder().addComponents(
+						new TextInputBuilder()
+							.setCustomId("text")
+							.setLabel(text.label)
+							.setStyle(TextInputStyle.Paragraph)
+							.setMaxLength(MAX_TEXT_LENGTH)
+							.setValue(config[text.property].slice(0, MAX_TEXT_LENGTH))
+							.setRequired(true),
+					),
+				);
+
+			// El cambio se guarda al enviar el modal, ver components/onboarding/onboarding-config.js
+			return interaction.showModal(modal);
+		}
+
+		if (subcommand === "tutorial-add") {
+			const position = interaction.options.getInteger("posición");
+			const modal = new ModalBuilder()
+				.setCustomId(`onboarding-config:tutorial:${position ?? "end"}`)
+				.setTitle("Nueva página del tutorial")
+				.addComponents(
+					new ActionRowBuilder().addComponents(
+						new TextInputBuilder()
+							.setCustomId("title")
+							.setLabel("Título")
+							.setStyle(TextInputStyle.Short)
+							.setMaxLength(200)
+							.setRequired(true),
+					),
+					new ActionRowBuilder().addComponents(
+						new TextInputBuilder()
+							.setCustomId("text")
+							.setLabel("Texto")
+							.setStyle(TextInputStyle.Paragraph)
+							.setMaxLength(MAX_TEXT_LENGTH)
+							.setRequired(true),
+					),
+					new ActionRowBuilder().addComponents(
+						new TextInputBuilder()
+							.setCustomId("command")
+							.setLabel("Comando a probar (opcional, sin /)")
+							.setStyle(TextInputStyle.Short)
+							.setMaxLength(32)
+							.setRequired(false),
+					),
+				);
+
+			return interaction.showModal(modal);
+		}
+
+		if (subcommand === "gate") {
+			return setGate(interaction, interaction.options.getBoolean("activado"));
+		}
+
+		let result;
+		if (subcommand === "welcome-channel" || subcommand === "rules-channel") {
+			const channel = interaction.options.getChannel("canal");
+			if (
+				subcommand === "welcome-channel" &&
+				!channel
+					.permissionsFor(interaction.client.user)
+					?.has([
+						PermissionFlagsBits.ViewChannel,
+						PermissionFlagsBits.SendMessages,
+						PermissionFlagsBits.EmbedLinks,
+					])
+			) {
+				return interaction.reply({
+					content: `❌ No tengo permisos para enviar embeds en ${channel}.`,
+					ephemeral: true,
+				});
+			}
+
+			const property =
+				subcommand === "welcome-channel"
+					? "welcomeChannelId"
+					: "rulesChannelId";
+			result = await onboardingConfigManager.updateConfig(guildId, (config) =>
+				config.update({ [property]: channel.id }),
+			);
+		} else if (subcommand === "verified-role") {
+			const role = interaction.options.getRole("rol");
+			if (role.id === interaction.guild.id || role.managed || !role.editable) {
+				return interaction.reply({
+					content: `❌ No puedo asignar el rol ${role}. Debe estar por debajo de mi rol más alto y no ser gestionado por una integración.`,
+					ephemeral: true,
+				});
+			}
+
+			result = await onboardingConfigManager.updateConfig(guildId, (config) =>
+				config.update({ verifiedRoleId: role.id }),
+			);
+		} else if (subcommand === "tutorial-remove") {
+			const page = interaction.options.getInteger("página");
+			let removed = false;
+			result = await onboardingConfigManager.updateConfig(guildId, (config) => {
+				removed = config.removeTutorialPage(page - 1);
+			});
+			if (!removed) {
+				return interaction.reply({
+					content: `❌ El tutorial no tiene una página ${page}.`,
+					ephemeral: true,
+				});
+			}
+		} else if (subcommand === "toggle") {
+			const feature = FEATURES[interaction.options.getString("paso")];
+			result = await onboardingConfigManager.updateConfig(guildId, (config) =>
+				config.update({
+					[feature.property]: interaction.options.getBoolean("activado"),
+				}),
+			);
+		} else if (subcommand === "reminders") {
+			result = await onboardingConfigManager.updateConfig(guildId, (config) =>
+				config.update({
+					reminderIntervalHours: interaction.options.getInteger("intervalo"),
+					maxReminders: interaction.options.getInteger("máximo"),
+				}),
+			);
+		} else {
+			result = {
+				isValid: true,
+				config: await onboardingConfigManager.getConfig(guildId),
+			};
+		}
+
+		if (!result.isValid) {
+			return interaction.reply({
+				content: `❌ No se aplicó el cambio:\n${result.errors.map((error) => `- ${error}`).join("\n")}`,
+				ephemeral: true,
+			});
+		}
+
+		// Con el modo restringido activo, el nuevo rol o canal necesita sus permisos
+		let content;
+		if (
+			result.config.gateEnabled &&
+			(subcommand === "verified-role" || subcommand === "rules-channel")
+		) {
+			try {
+				await interaction.client.onboarding.setGate(
+					interaction.guild,
+					result.config,
+					true,
+				);
+			} catch (error) {
+				console.error(error);
+				content =
+					subcommand === "verified-role"
+						? "⚠️ Se guardó el rol, pero no pude darle el permiso `Ver canales`. Asegúrate de que tengo el permiso `Gestionar roles` y de que el rol está por debajo del mío, y vuelve a activar el modo restringido."
+						: "⚠️ Se guardó el canal, pero no pude actualizar sus permisos. Asegúrate de que tengo el permiso `Gestionar canales` y vuelve a activar el modo restringido.";
+			}
+		}
+
+		await interaction.reply({
+			content,
+			embeds: [buildConfigEmbed(result.config)],
+			ephemeral: true,
+		});
+	},
+
+	buildConfigEmbed,
+	TEXT_FIELDS,
+};
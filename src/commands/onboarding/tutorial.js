@@ -0,0 +1,48 @@
+const { SlashCommandBuilder, InteractionContextType } = require("discord.js");
+
+module.exports = {
+	data: new SlashCommandBuilder()
+		.setName("tutorial")
+		.setDescription("Retoma el tutorial del servidor donde lo dejaste.")
+		.setContexts(InteractionContextType.Guild),
+
+	async execute(interaction) {
+		const { onboarding, userStateManager } = interaction.client;
+		const state = await userStateManager.getUserState(
+			interaction.user.id,
+			interaction.guild.id,
+		);
+
+		if (state?.onboardingStep !== "tutorial") {
+			return interaction.reply({
+				content: state?.isComplete()
+					? "✅ Ya completaste el onboarding de este servidor."
+					: "⚠️ Todavía no has llegado al tutorial. Termina antes los pasos anteriores.",
+				ephemeral: true,
+			});
+		}
+
+		const config = await onboarding.getConfig(interaction.guild.id);
+		if (config.tutorialPages.length === 0) {
+			return interaction.reply({
+				content: "⚠️ Este servidor no tiene páginas de tutorial.",
+				ephemeral: true,
+			});
+		}
+
+		const payload = onboarding.buildTutorialPayload(config, state);
+		try {
+			await interaction.user.send(payload);
+			await interaction.reply({
+				content: "📬 Te envié el tutorial por mensaje directo.",
+				ephemeral: true,
+			});
+		} catch (_error) {
+			await interaction.reply({
+				...payload,
+				content: config.getMessages().ERROR_DM_FAILED,
+				ephemeral: true,
+			});
+		}
+	},
+};
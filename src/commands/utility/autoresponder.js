@@ -0,0 +1,244 @@
+const {
+	SlashCommandBuilder,
+	EmbedBuilder,
+	PermissionFlagsBits,
+	InteractionContextType,
+} = require("discord.js");
+const AutoResponse = require("../../autoresponder/models/AutoResponse");
+const AutoResponderService = require("../../autoresponder/services/AutoResponderService");
+
+const MATCH_LABELS = {
+	keyword: "palabra clave",
+	regex: "expresión regular",
+	exact: "mensaje exacto",
+};
+const RESPONSE_LABELS = {
+	text: "texto",
+	reaction: "reacción",
+	embed: "embed",
+};
+
+/**
+ * Resume una regla en una línea
+ * @param {AutoResponse} rule - Regla de autorespuesta
+ * @returns {string}
+ */
+function describeRule(rule) {
+	const pattern =
+		rule.pattern.length > 60 ? `${rule.pattern.slice(0, 57)}...` : rule.pattern;
+	const response =
+		rule.response.length > 40
+			? `${rule.response.slice(0, 37)}...`
+			: rule.response;
+	const limits = [
+		rule.channelIds.length > 0 &&
+			`en ${rule.channelIds.map((id) => `<#${id}>`).join(" ")}`,
+		rule.userCooldownSeconds > 0 && `${rule.userCooldownSeconds}s por usuario`,
+		rule.channelCooldownSeconds > 0 &&
+			`${rule.channelCooldownSeconds}s por canal`,
+	].filter(Boolean);
+
+	return `\`#${rule.id}\` ${MATCH_LABELS[rule.matchType]} \`${pattern}\` → ${RESPONSE_LABELS[rule.responseType]}: ${response}${limits.length > 0 ? ` · ${limits.join(" · ")}` : ""}`;
+}
+
+module.exports = {
+	data: new SlashCommandBuilder()
+		.setName("autoresponder")
+		.setDescription("Administra las respuestas automáticas del servidor.")
+		.setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+		.setContexts(InteractionContextType.Guild)
+		.addSubcommand((subcommand) =>
+			subcommand
+				.setName("add")
+				.setDescription("Crea una regla de respuesta automática.")
+				.addStringOption((option) =>
+					option
+						.setName("tipo")
+						.setDescription("Cómo se detecta el mensaje.")
+						.setRequired(true)
+						.addChoices(
+							{
+								name: "palabras clave (separadas por comas)",
+								value: "keyword",
+							},
+							{ name: "expresión regular", value: "regex" },
+							{ name: "mensaje exacto", value: "exact" },
+						),
+				)
+				.addStringOption((option) =>
+					option
+						.setName("patrón")
+						.setDescription(
+							"Las palabras, la expresión o el mensaje a detectar.",
+						)
+						.setRequired(true)
+						.setMaxLength(1000),
+				)
+				.addStringOption((option) =>
+					option
+						.setName("respuesta-tipo")
+						.setDescription("Cómo responde el bot.")
+						.setRequired(true)
+						.addChoices(
+							{ name: "texto", value: "text" },
+							{ name: "reacción", value: "reaction" },
+							{ name: "embed", value: "embed" },
+						),
+				)
+				.addStringOption((option) =>
+					option
+						.setName("respuesta")
+						.setDescription("El texto, el emoji o el contenido del embed.")
+						.setRequired(true),
+				)
+				.addStringOption((option) =>
+					option
+						.setName("canales")
+						.setDescription(
+							"Canales donde responde, mencionados (ej: #general #off-topic). Por defecto, todos.",
+						),
+				)
+				.addIntegerOption((option) =>
+					option
+						.setName("cooldown-usuario")
+						.setDescription(
+							"Segundos antes de volver a responder al mismo usuario.",
+						)
+						.setMinValue(0)
+						.setMaxValue(86400),
+				)
+				.addIntegerOption((option) =>
+					option
+						.setName("cooldown-canal")
+						.setDescription(
+							"Segundos antes de volver a responder en el mismo canal.",
+						)
+						.setMinValue(0)
+						.setMaxValue(86400),
+				),
+		)
+		.addSubcommand((subcommand) =>
+			subcommand
+				.setName("list")
+				.setDescription("Muestra las reglas del servidor."),
+		)
+		.addSubcommand((subcommand) =>
+			subcommand
+				.setName("remove")
+				.setDescription("Elimina una regla.")
+				.addIntegerOption((option) =>
+					option
+						.setName("id")
+						.setDescription("El número de la regla.")
+						.setRequired(true)
+						.setMinValue(1),
+				),
+		)
+		.addSubcommand((subcommand) =>
+			subcommand
+				.setName("test")
+				.setDescription("Comprueba qué reglas activaría un mensaje.")
+				.addStringOption((option) =>
+					option
+						.setName("texto")
+						.setDescription("El mensaje a probar.")
+						.setRequired(true),
+				),
+		),
+
+	async execute(interaction) {
+		const subcommand = interaction.options.getSubcommand();
+		const { autoResponderManager, autoResponder } = interaction.client;
+		const guildId = interaction.guild.id;
+
+		if (subcommand === "add") {
+			const rule = new AutoResponse(
+				guildId,
+				interaction.options.getString("tipo"),
+				interaction.options.getString("patrón"),
+				interaction.options.getString("respuesta-tipo"),
+				interaction.options.getString("respuesta"),
+			);
+			rule.channelIds = [
+				...(interaction.options.getString("canales") || "").matchAll(
+					/(?:<#)?(\d{17,20})>?/g,
+				),
+			].map((match) => match[1]);
+			rule.userCooldownSeconds =
+				interaction.options.getInteger("cooldown-usuario") ?? 0;
+			rule.channelCooldownSeconds =
+				interaction.options.getInteger("cooldown-canal") ?? 0;
+			rule.createdBy = interaction.user.id;
+
+			const result = await autoResponderManager.addRule(rule);
+			if (!result.isValid) {
+				return interaction.reply({
+					content: `❌ No se creó la regla:\n${result.errors.map((error) => `- ${error}`).join("\n")}`,
+					ephemeral: true,
+				});
+			}
+			return interaction.reply({
+				content: `✅ Regla creada:\n${describeRule(result.rule)}`,
+				ephemeral: true,
+			});
+		}
+
+		if (subcommand === "remove") {
+			const id = interaction.options.getInteger("id");
+			const removed = await autoResponderManager.removeRule(guildId, id);
+			return interaction.reply({
+				content: removed
+					? `🗑️ Regla \`#${id}\` eliminada.`
+					: `❌ No existe ninguna regla con el número \`${id}\`.`,
+				ephemeral: true,
+			});
+		}
+
+		if (subcommand === "test") {
+			const text = interaction.options.getString("texto");
+			const matches = await autoResponder.findMatches(guildId, text);
+			if (matches.length === 0) {
+				return interaction.reply({
+					content: "🔍 Ese mensaje no activa ninguna regla.",
+					ephemeral: true,
+				});
+			}
+
+			// Solo responde la primera regla; el resto se muestra como referencia
+			const [first, ...others] = matches;
+			const preview = AutoResponderService.buildResponse(first);
+			const summary = `🔍 Se activaría la regla:\n${describeRule(first)}${others.length > 0 ? `\n\nTambién coinciden, pero no responderían: ${others.map((rule) => `\`#${rule.id}\``).join(", ")}` : ""}`;
+
+			// La vista previa de un texto de 2000 caracteres no cabe junto al resumen
+			let content = summary.slice(0, 2000);
+			if (preview?.content) {
+				const room = 2000 - content.length - "\n\n**Respuesta:**\n".length;
+				if (room > 3) {
+					const text =
+						preview.content.length > room
+							? `${preview.content.slice(0, room - 3)}...`
+							: preview.content;
+					content += `\n\n**Respuesta:**\n${text}`;
+				}
+			}
+			return interaction.reply({
+				content,
+				embeds: preview?.embeds ?? [],
+				ephemeral: true,
+			});
+		}
+
+		const rules = await autoResponderManager.getRules(guildId);
+		const rulesEmbed = new EmbedBuilder()
+			.setColor(0x5865f2)
+			.setTitle("🤖 Respuestas Automáticas")
+			.setDescription(
+				rules.length > 0
+					? rules.map(describeRule).join("\n").slice(0, 4000)
+					: "No hay reglas configuradas.",
+			)
+			.setFooter({ text: "Solo responde la primera regla que coincide" });
+
+		await interaction.reply({ embeds: [rulesEmbed], ephemeral: true });
+	},
+};
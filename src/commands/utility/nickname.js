@@ -4,6 +4,7 @@ const {
 	PermissionFlagsBits,
 	InteractionContextType,
 } = require("discord.js");
+const ModLogService = require("../../moderation/services/ModLogService");
 
 module.exports = {
 	data: new SlashCommandBuilder()
@@ -58,6 +59,13 @@ module.exports = {
 				`Cambiado por ${interaction.user.tag}`,
 			);
 
+			const modCase = await interaction.client.modLog.log(interaction.guild, {
+				action: "nickname",
+				moderator: interaction.user,
+				target: target.user,
+				details: `**Antes:** ${oldNickname}\n**Después:** ${newNickname || "(reseteado)"}`,
+			});
+
 			const nicknameEmbed = new EmbedBuilder()
 				.setColor(0x7289da)
 				.setTitle("📝 Apodo Actualizado")
@@ -74,6 +82,7 @@ module.exports = {
 						inline: true,
 					},
 				)
+				.setFooter({ text: ModLogService.getCaseFooter(modCase) })
 				.setTimestamp();
 
 			await interaction.reply({ embeds: [nicknameEmbed] });
@@ -1,43 +1,224 @@
-const { SlashCommandBuilder, EmbedBuilder } = require("discord.js");
+const {
+	SlashCommandBuilder,
+	AttachmentBuilder,
+	PermissionFlagsBits,
+} = require("discord.js");
+const ms = require("ms");
+const Poll = require("../../polls/models/Poll");
+const PollService = require("../../polls/services/PollService");
+
+const MAX_DURATION_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Crea una encuesta y la publica en el canal
+ * @param {import("discord.js").ChatInputCommandInteraction} interaction - Interacción del comando
+ */
+async function createPoll(interaction) {
+	const question = interaction.options.getString("pregunta");
+	const optionsText = interaction.options.getString("opciones");
+	const durationStr = interaction.options.getString("duración");
+	const role = interaction.options.getRole("rol");
+	const options = optionsText ? Poll.parseOptions(optionsText) : ["Sí", "No"];
+
+	const validation = Poll.validateOptions(options);
+	if (!validation.isValid) {
+		return interaction.reply({
+			content: `❌ No se pudo crear la encuesta:\n${validation.errors.map((error) => `- ${error}`).join("\n")}`,
+			ephemeral: true,
+		});
+	}
+
+	const durationMs = durationStr ? ms(durationStr) : null;
+	if (
+		durationStr &&
+		(!durationMs || durationMs < 60_000 || durationMs > MAX_DURATION_MS)
+	) {
+		return interaction.reply({
+			content:
+				"❌ Proporciona una duración válida entre 1 minuto y 30 días (ej: 30m, 2h, 1d).",
+			ephemeral: true,
+		});
+	}
+
+	if (interaction.options.getBoolean("anonima") && !Poll.supportsAnonymous()) {
+		return interaction.reply({
+			content:
+				"❌ Las encuestas anónimas no están disponibles: falta configurar `POLL_VOTER_SECRET` en el bot.",
+			ephemeral: true,
+		});
+	}
+
+	if (role && !interaction.guild) {
+		return interaction.reply({
+			content:
+				"❌ Solo puedes limitar la votación a un rol dentro de un servidor.",
+			ephemeral: true,
+		});
+	}
+
+	const poll = new Poll(
+		null,
+		interaction.guildId,
+		interaction.channelId,
+		question,
+		options,
+		interaction.options.getBoolean("múltiple") ?? false,
+	);
+	poll.createdBy = interaction.user.id;
+	poll.creatorName = interaction.user.username;
+	if (interaction.options.getBoolean("anonima")) {
+		poll.makeAnonymous();
+	}
+	if (role) {
+		poll.roleId = role.id;
+	}
+	if (durationMs) {
+		poll.endsAt = new Date(Date.now() + durationMs).toISOString();
+	}
+
+	try {
+		const pollMessage = await interaction.reply({
+			...PollService.buildPayload(poll),
+			fetchReply: true,
+		});
+
+		// Los votos se guardan con el ID del mensaje, que solo existe tras publicarlo
+		poll.messageId = pollMessage.id;
+		await interaction.client.polls.create(poll);
+	} catch (error) {
+		console.error("Error al crear la encuesta:", error);
+		const payload = {
+			content: "Hubo un error al intentar crear la encuesta.",
+			ephemeral: true,
+		};
+		if (interaction.replied) {
+			await interaction.followUp(payload);
+		} else {
+			await interaction.reply(payload);
+		}
+	}
+}
+
+/**
+ * Adjunta los resultados de una encuesta como CSV
+ * @param {import("discord.js").ChatInputCommandInteraction} interaction - Interacción del comando
+ */
+async function exportPoll(interaction) {
+	const messageId = interaction.options.getString("id").trim();
+	const poll = await interaction.client.pollManager.getPoll(messageId);
+
+	if (!poll || poll.guildId !== interaction.guildId) {
+		return interaction.reply({
+			content: `❌ No encontré ninguna encuesta en el mensaje \`${messageId}\`.`,
+			ephemeral: true,
+		});
+	}
+	if (
+		poll.createdBy !== interaction.user.id &&
+		!interaction.memberPermissions?.has(PermissionFlagsBits.ManageMessages)
+	) {
+		return interaction.reply({
+			content:
+				"⛔ Solo quien creó la encuesta o un moderador puede exportar sus resultados.",
+			ephemeral: true,
+		});
+	}
+
+	// Los votantes se muestran por nombre en las encuestas que no son anónimas
+	const voterNames = new Map();
+	const voterIds = Object.keys(poll.votes);
+	if (!poll.anonymous && interaction.guild && voterIds.length > 0) {
+		try {
+			const members = await interaction.guild.members.fetch({
+				user: voterIds,
+			});
+			for (const member of members.values()) {
+				voterNames.set(member.id, member.user.username);
+			}
+		} catch (error) {
+			console.error("No se pudieron obtener los votantes:", error);
+		}
+	}
+
+	const csv = new AttachmentBuilder(
+		Buffer.from(PollService.buildResultsCsv(poll, voterNames), "utf8"),
+		{ name: `encuesta-${poll.messageId}.csv` },
+	);
+	await interaction.reply({
+		content: `📊 Resultados de **${poll.question}** (${poll.getVoterCount()} votante(s)${poll.isClosed() ? "" : ", encuesta aún abierta"}).`,
+		files: [csv],
+		ephemeral: true,
+	});
+}
 
 module.exports = {
 	data: new SlashCommandBuilder()
 		.setName("poll")
-		.setDescription("Crea una encuesta simple en el canal.")
-		.addStringOption((option) =>
-			option
-				.setName("pregunta")
-				.setDescription("La pregunta que quieres hacer en la encuesta.")
-				.setRequired(true),
+		.setDescription("Crea encuestas y exporta sus resultados.")
+		.addSubcommand((subcommand) =>
+			subcommand
+				.setName("create")
+				.setDescription("Crea una encuesta en el canal.")
+				.addStringOption((option) =>
+					option
+						.setName("pregunta")
+						.setDescription("La pregunta que quieres hacer en la encuesta.")
+						.setRequired(true)
+						.setMaxLength(200),
+				)
+				.addStringOption((option) =>
+					option
+						.setName("opciones")
+						.setDescription(
+							"Hasta 10 opciones separadas por punto y coma (ej: Rojo; Verde; Azul). Por defecto, Sí y No.",
+						),
+				)
+				.addBooleanOption((option) =>
+					option
+						.setName("múltiple")
+						.setDescription("Permite votar por varias opciones."),
+				)
+				.addStringOption((option) =>
+					option
+						.setName("duración")
+						.setDescription(
+							"Cierra la encuesta tras este tiempo (ej: 30m, 1d). Máximo 30 días.",
+						),
+				)
+				.addBooleanOption((option) =>
+					option
+						.setName("anonima")
+						.setDescription(
+							"Nadie, ni siquiera el staff, podrá ver quién votó.",
+						),
+				)
+				.addRoleOption((option) =>
+					option
+						.setName("rol")
+						.setDescription("Solo los miembros con este rol podrán votar."),
+				),
+		)
+		.addSubcommand((subcommand) =>
+			subcommand
+				.setName("export")
+				.setDescription("Exporta los resultados de una encuesta como CSV.")
+				.addStringOption((option) =>
+					option
+						.setName("id")
+						.setDescription("El ID del mensaje de la encuesta.")
+						.setRequired(true),
+				),
 		),
 
-	async execute(interaction) {
-		const question = interaction.options.getString("pregunta");
-
-		const pollEmbed = new EmbedBuilder()
-			.setColor(0x5865f2)
-			.setTitle(`📊 Encuesta: ${question}`)
-			.setDescription("Reacciona con 👍 o 👎 para votar.")
-			.setTimestamp()
-			.setFooter({
-				text: `Encuesta iniciada por ${interaction.user.username}`,
-				iconURL: interaction.user.displayAvatarURL(),
-			});
-
-		try {
-			const pollMessage = await interaction.reply({
-				embeds: [pollEmbed],
-				fetchReply: true,
-			});
+	jobs: {
+		[PollService.JOB_NAME]: (job, client) =>
+			client.polls.close(job.data.messageId, client),
+	},
 
-			await pollMessage.react("👍");
-			await pollMessage.react("👎");
-		} catch (error) {
-			console.error("Error al crear la encuesta:", error);
-			await interaction.reply({
-				content: "Hubo un error al intentar crear la encuesta.",
-				ephemeral: true,
-			});
+	async execute(interaction) {
+		if (interaction.options.getSubcommand() === "export") {
+			return exportPoll(interaction);
 		}
+		return createPoll(interaction);
 	},
 };
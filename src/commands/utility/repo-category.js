@@ -0,0 +1,163 @@
+const {
+	SlashCommandBuilder,
+	PermissionFlagsBits,
+	InteractionContextType,
+} = require("discord.js");
+const CategoryManager = require("../../repos/managers/CategoryManager");
+
+const ERROR_MESSAGES = {
+	invalid_name:
+		"❌ Nombre inválido. Usa hasta 32 letras minúsculas, números o guiones.",
+	exists: "⚠️ Ya existe una categoría con ese nombre.",
+	not_found: "❌ Esa categoría no existe.",
+	limit_reached: "❌ Se alcanzó el máximo de 24 categorías.",
+};
+
+/**
+ * Sugiere las categorías que coinciden con lo que escribe el usuario
+ * @param {import("discord.js").AutocompleteInteraction} interaction - Interacción de autocompletado
+ */
+async function autocompleteCategories(interaction) {
+	const categories = await interaction.client.categoryManager.searchCategories(
+		interaction.options.getFocused(),
+	);
+	await interaction.respond(categories.map((name) => ({ name, value: name })));
+}
+
+module.exports = {
+	data: new SlashCommandBuilder()
+		.setName("repo-category")
+		.setDescription("Administra las categorías de repositorios.")
+		.setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+		.setContexts(InteractionContextType.Guild)
+		.addSubcommand((subcommand) =>
+			subcommand
+				.setName("add")
+				.setDescription("Crea una categoría.")
+				.addStringOption((option) =>
+					option
+						.setName("nombre")
+						.setDescription("El nombre de la categoría.")
+						.setRequired(true)
+						.setMaxLength(32),
+				),
+		)
+		.addSubcommand((subcommand) =>
+			subcommand
+				.setName("rename")
+				.setDescription("Cambia el nombre de una categoría y de sus repos.")
+				.addStringOption((option) =>
+					option
+						.setName("categoria")
+						.setDescription("La categoría a renombrar.")
+						.setRequired(true)
+						.setAutocomplete(true),
+				)
+				.addStringOption((option) =>
+					option
+						.setName("nombre")
+						.setDescription("El nuevo nombre.")
+						.setRequired(true)
+						.setMaxLength(32),
+				),
+		)
+		.addSubcommand((subcommand) =>
+			subcommand
+				.setName("remove")
+				.setDescription("Elimina una categoría.")
+				.addStringOption((option) =>
+					option
+						.setName("categoria")
+						.setDescription("La categoría a eliminar.")
+						.setRequired(true)
+						.setAutocomplete(true),
+				)
+				.addStringOption((option) =>
+					option
+						.setName("mover-a")
+						.setDescription("Categoría a la que pasan sus repos, si tiene.")
+						.setAutocomplete(true),
+				),
+		),
+
+	autocomplete: autocompleteCategories,
+	autocompleteCategories,
+
+	async execute(interaction) {
+		const subcommand = interaction.options.getSubcommand();
+		const { categoryManager, repositoryManager } = interaction.client;
+		const categoria = CategoryManager.normalizeName(
+			interaction.options.getString("categoria") || "",
+		);
+
+		try {
+			if (subcommand === "add") {
+				const name = await categoryManager.addCategory(
+					interaction.options.getString("nombre"),
+				);
+				return interaction.reply({
+					content: `✅ Categoría **${name}** creada.`,
+					ephemeral: true,
+				});
+			}
+
+			if (subcommand === "rename") {
+				const name = await categoryManager.renameCategory(
+					categoria,
+					interaction.options.getString("nombre"),
+				);
+				const moved = await repositoryManager.moveCategory(categoria, name);
+				return interaction.reply({
+					content: `✅ Categoría **${categoria}** renombrada a **${name}** (${moved} repo(s) actualizados).`,
+					ephemeral: true,
+				});
+			}
+
+			if (!(await categoryManager.hasCategory(categoria))) {
+				return interaction.reply({
+					content: ERROR_MESSAGES.not_found,
+					ephemeral: true,
+				});
+			}
+
+			// Los repos no pueden quedarse sin categoría, tampoco los pendientes o los que se pueden restaurar
+			const targetOption = interaction.options.getString("mover-a");
+			const target = targetOption
+				? CategoryManager.normalizeName(targetOption)
+				: null;
+			const count = await repositoryManager.countInCategory(categoria);
+			if (count > 0 && !target) {
+				return interaction.reply({
+					content: `❌ La categoría **${categoria}** tiene ${count} repo(s), contando los pendientes de revisión y los eliminados. Indica en \`mover-a\` a qué categoría pasan.`,
+					ephemeral: true,
+				});
+			}
+			if (
+				target &&
+				(target === categoria || !(await categoryManager.hasCategory(target)))
+			) {
+				return interaction.reply({
+					content: "❌ La categoría de destino debe existir y ser distinta.",
+					ephemeral: true,
+				});
+			}
+
+			await categoryManager.removeCategory(categoria);
+			const moved = target
+				? await repositoryManager.moveCategory(categoria, target)
+				: 0;
+			return interaction.reply({
+				content: `🗑️ Categoría **${categoria}** eliminada${moved > 0 ? ` y ${moved} repo(s) movidos a **${target}**` : ""}.`,
+				ephemeral: true,
+			});
+		} catch (error) {
+			if (!ERROR_MESSAGES[error.code]) {
+				throw error;
+			}
+			return interaction.reply({
+				content: ERROR_MESSAGES[error.code],
+				ephemeral: true,
+			});
+		}
+	},
+};
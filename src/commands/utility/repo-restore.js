@@ -0,0 +1,89 @@
+const {
+	SlashCommandBuilder,
+	EmbedBuilder,
+	PermissionFlagsBits,
+	InteractionContextType,
+} = require("discord.js");
+
+const MAX_LISTED = 20;
+
+module.exports = {
+	data: new SlashCommandBuilder()
+		.setName("repo-restore")
+		.setDescription("Restaura un repositorio eliminado o lista los eliminados.")
+		.setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+		.setContexts(InteractionContextType.Guild)
+		.addIntegerOption((option) =>
+			option
+				.setName("id")
+				.setDescription("El ID del repositorio a restaurar. Sin él, se listan.")
+				.setMinValue(1),
+		),
+
+	async execute(interaction) {
+		const { repositoryManager, repositoryReviews } = interaction.client;
+		const id = interaction.options.getInteger("id");
+
+		if (!id) {
+			const deleted = await repositoryManager.getDeletedRepositories();
+			if (deleted.length === 0) {
+				return interaction.reply({
+					content: "📭 No hay repositorios eliminados.",
+					ephemeral: true,
+				});
+			}
+
+			const trashEmbed = new EmbedBuilder()
+				.setColor(0x5865f2)
+				.setTitle("🗑️ Repositorios Eliminados")
+				.setDescription(
+					deleted
+						.slice(0, MAX_LISTED)
+						.map(
+							(repo) =>
+								`\`${repo.id}.\` [${repo.getName()}](${repo.url}) · por <@${repo.deletedBy}> <t:${Math.floor(new Date(repo.deletedAt).getTime() / 1000)}:R>`,
+						)
+						.join("\n"),
+				)
+				.setFooter({
+					text: `${deleted.length} repo(s)${deleted.length > MAX_LISTED ? `, mostrando los ${MAX_LISTED} más recientes` : ""} · Usa /repo-restore id`,
+				});
+
+			return interaction.reply({ embeds: [trashEmbed], ephemeral: true });
+		}
+
+		let repo;
+		try {
+			repo = await repositoryManager.restoreRepository(id);
+		} catch (error) {
+			if (error.code === "not_found") {
+				return interaction.reply({
+					content: `❌ No hay ningún repositorio eliminado con ID \`${id}\`.`,
+					ephemeral: true,
+				});
+			}
+			if (error.code === "duplicate") {
+				return interaction.reply({
+					content:
+						"⚠️ Ese repositorio se volvió a enviar después de eliminarse, así que no se restauró.",
+					ephemeral: true,
+				});
+			}
+			throw error;
+		}
+
+		const content = `♻️ Repositorio restaurado:\n\`${repo.id}.\` [${repo.categoria}] ${repo.url}`;
+		if (repo.status !== "pending") {
+			return interaction.reply({ content, ephemeral: true });
+		}
+
+		// Un envío retirado vuelve a la cola de revisión y el staff tiene que verlo de nuevo
+		await interaction.deferReply({ ephemeral: true });
+		const sent = await repositoryReviews.sendForReview(interaction.guild, repo);
+		await interaction.editReply(
+			sent
+				? `${content}\n📨 Volvió a quedar pendiente de revisión.`
+				: `${content}\n📨 Volvió a quedar pendiente de revisión, pero no pude avisar al staff.`,
+		);
+	},
+};
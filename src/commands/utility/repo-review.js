@@ -0,0 +1,106 @@
+const {
+	SlashCommandBuilder,
+	EmbedBuilder,
+	PermissionFlagsBits,
+	ChannelType,
+	InteractionContextType,
+} = require("discord.js");
+
+const MAX_LISTED = 15;
+
+module.exports = {
+	data: new SlashCommandBuilder()
+		.setName("repo-review")
+		.setDescription("Configura la cola de revisión de /repoadd.")
+		.setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+		.setContexts(InteractionContextType.Guild)
+		.addSubcommand((subcommand) =>
+			subcommand
+				.setName("view")
+				.setDescription("Muestra la configuración y los envíos pendientes."),
+		)
+		.addSubcommand((subcommand) =>
+			subcommand
+				.setName("set")
+				.setDescription("Activa o desactiva la cola de revisión.")
+				.addBooleanOption((option) =>
+					option
+						.setName("activar")
+						.setDescription("Si los envíos deben pasar por revisión.")
+						.setRequired(true),
+				)
+				.addChannelOption((option) =>
+					option
+						.setName("canal")
+						.setDescription("El canal donde el staff revisa los envíos.")
+						.addChannelTypes(ChannelType.GuildText),
+				),
+		),
+
+	async execute(interaction) {
+		const subcommand = interaction.options.getSubcommand();
+		const { repoConfigManager, repositoryManager } = interaction.client;
+		const guildId = interaction.guild.id;
+
+		let result;
+		if (subcommand === "set") {
+			const channel = interaction.options.getChannel("canal");
+			result = await repoConfigManager.updateConfig(guildId, (config) =>
+				config.update({
+					reviewEnabled: interaction.options.getBoolean("activar"),
+					...(channel && { reviewChannelId: channel.id }),
+				}),
+			);
+		} else {
+			result = {
+				isValid: true,
+				config: await repoConfigManager.getConfig(guildId),
+			};
+		}
+
+		if (!result.isValid) {
+			return interaction.reply({
+				content: `❌ No se aplicó el cambio:\n${result.errors.map((error) => `- ${error}`).join("\n")}`,
+				ephemeral: true,
+			});
+		}
+
+		const { config } = result;
+		const pending = await repositoryManager.getPendingRepositories();
+		const reviewEmbed = new EmbedBuilder()
+			.setColor(0x5865f2)
+			.setTitle("📨 Cola de Revisión de Repositorios")
+			.addFields(
+				{
+					name: "Estado",
+					value: config.reviewEnabled
+						? "✅ Los envíos esperan aprobación"
+						: "❌ Los envíos se publican directamente",
+					inline: true,
+				},
+				{
+					name: "Canal",
+					value: config.reviewChannelId
+						? `<#${config.reviewChannelId}>`
+						: "Sin configurar",
+					inline: true,
+				},
+				{
+					name: `Pendientes (${pending.length})`,
+					value:
+						pending.length > 0
+							? pending
+									.slice(0, MAX_LISTED)
+									.map(
+										(repo) =>
+											`\`${repo.id}.\` [${repo.getName()}](${repo.url}) · <@${repo.submittedBy}>`,
+									)
+									.join("\n")
+							: "No hay envíos pendientes.",
+				},
+			)
+			.setTimestamp();
+
+		await interaction.reply({ embeds: [reviewEmbed], ephemeral: true });
+	},
+};
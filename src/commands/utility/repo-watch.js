@@ -0,0 +1,165 @@
+const {
+	SlashCommandBuilder,
+	EmbedBuilder,
+	PermissionFlagsBits,
+	ChannelType,
+	InteractionContextType,
+} = require("discord.js");
+const RepoWatch = require("../../repos/models/RepoWatch");
+const RepoWatchService = require("../../repos/services/RepoWatchService");
+
+const EVENT_LABELS = {
+	releases: "releases",
+	tags: "tags",
+	pulls: "PRs fusionados",
+};
+
+const ERROR_MESSAGES = {
+	not_found: "❌ No hay ningún repositorio en `/repos` con ese ID.",
+	duplicate: "⚠️ Ese canal ya sigue ese repositorio.",
+	limit_reached: `❌ El servidor ya sigue el máximo de ${RepoWatchService.MAX_WATCHES_PER_GUILD} repositorios.`,
+};
+
+module.exports = {
+	data: new SlashCommandBuilder()
+		.setName("repo-watch")
+		.setDescription(
+			"Publica en un canal la actividad de repositorios guardados.",
+		)
+		.setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+		.setContexts(InteractionContextType.Guild)
+		.addSubcommand((subcommand) =>
+			subcommand
+				.setName("add")
+				.setDescription("Sigue un repositorio de /repos en un canal.")
+				.addIntegerOption((option) =>
+					option
+						.setName("id")
+						.setDescription("El ID del repositorio en /repos.")
+						.setRequired(true)
+						.setMinValue(1),
+				)
+				.addChannelOption((option) =>
+					option
+						.setName("canal")
+						.setDescription("El canal donde publicar. Por defecto, este.")
+						.addChannelTypes(
+							ChannelType.GuildText,
+							ChannelType.GuildAnnouncement,
+						),
+				)
+				.addStringOption((option) =>
+					option
+						.setName("eventos")
+						.setDescription("Qué actividad publicar. Por defecto, toda.")
+						.addChoices(
+							{ name: "todo", value: "all" },
+							{ name: "releases", value: "releases" },
+							{ name: "tags", value: "tags" },
+							{ name: "PRs fusionados", value: "pulls" },
+						),
+				),
+		)
+		.addSubcommand((subcommand) =>
+			subcommand
+				.setName("remove")
+				.setDescription("Deja de seguir un repositorio.")
+				.addIntegerOption((option) =>
+					option
+						.setName("id")
+						.setDescription(
+							"El número de la suscripción, ver /repo-watch list.",
+						)
+						.setRequired(true)
+						.setMinValue(1),
+				),
+		)
+		.addSubcommand((subcommand) =>
+			subcommand
+				.setName("list")
+				.setDescription(
+					"Muestra los repositorios que se siguen en el servidor.",
+				),
+		),
+
+	jobs: {
+		[RepoWatchService.JOB_NAME]: (_job, client) =>
+			client.repoWatches.poll(client),
+	},
+
+	async execute(interaction) {
+		const subcommand = interaction.options.getSubcommand();
+		const { repoWatches, repoWatchManager, repositoryManager } =
+			interaction.client;
+		const guildId = interaction.guild.id;
+
+		if (subcommand === "add") {
+			const channel =
+				interaction.options.getChannel("canal") || interaction.channel;
+			const eventos = interaction.options.getString("eventos") || "all";
+
+			// La consulta inicial a GitHub puede tardar más de 3 segundos
+			await interaction.deferReply({ ephemeral: true });
+
+			let watch;
+			try {
+				watch = await repoWatches.watch(
+					guildId,
+					channel.id,
+					interaction.options.getInteger("id"),
+					eventos === "all" ? [...RepoWatch.EVENT_TYPES] : [eventos],
+					interaction.user.id,
+				);
+			} catch (error) {
+				if (!ERROR_MESSAGES[error.code]) {
+					throw error;
+				}
+				return interaction.editReply(ERROR_MESSAGES[error.code]);
+			}
+
+			const repository = await repositoryManager.getRepository(
+				watch.repositoryId,
+			);
+			return interaction.editReply(
+				`👀 Suscripción \`#${watch.id}\`: ${channel} recibirá ${watch.events.map((type) => EVENT_LABELS[type]).join(", ")} de **${repository.getName()}**.`,
+			);
+		}
+
+		if (subcommand === "remove") {
+			const id = interaction.options.getInteger("id");
+			const removed = await repoWatches.unwatch(guildId, id);
+			return interaction.reply({
+				content: removed
+					? `🗑️ Suscripción \`#${id}\` eliminada.`
+					: `❌ No existe ninguna suscripción con el número \`${id}\`.`,
+				ephemeral: true,
+			});
+		}
+
+		const watches = await repoWatchManager.getGuildWatches(guildId);
+		if (watches.length === 0) {
+			return interaction.reply({
+				content: "📭 No se sigue ningún repositorio. Usa `/repo-watch add`.",
+				ephemeral: true,
+			});
+		}
+
+		const lines = [];
+		for (const watch of watches) {
+			const repository = await repositoryManager.getRepository(
+				watch.repositoryId,
+			);
+			lines.push(
+				`\`#${watch.id}\` ${repository ? `[${repository.getName()}](${repository.url})` : `Repo ${watch.repositoryId} (eliminado)`} → <#${watch.channelId}> · ${watch.events.map((type) => EVENT_LABELS[type]).join(", ")}`,
+			);
+		}
+
+		const watchEmbed = new EmbedBuilder()
+			.setColor(0x24292e)
+			.setTitle("👀 Repositorios Seguidos")
+			.setDescription(lines.join("\n"))
+			.setFooter({ text: "GitHub se consulta cada 10 minutos" });
+
+		await interaction.reply({ embeds: [watchEmbed], ephemeral: true });
+	},
+};
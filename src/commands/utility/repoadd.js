@@ -1,7 +1,7 @@
-const { SlashCommandBuilder } = require("discord.js");
-const fs = require("fs");
-const path = require("path");
-const reposFile = path.join(__dirname, "..", "..", "..", ".data", "repos.json");
+const { SlashCommandBuilder, EmbedBuilder } = require("discord.js");
+const CategoryManager = require("../../repos/managers/CategoryManager");
+const RepositoryService = require("../../repos/services/RepositoryService");
+const { autocompleteCategories } = require("./repo-category");
 
 module.exports = {
 	data: new SlashCommandBuilder()
@@ -13,82 +13,112 @@ module.exports = {
 				.setDescription("La url del repositorio")
 				.setRequired(true),
 		)
-		.addIntegerOption((option) =>
+		.addStringOption((option) =>
 			option
 				.setName("categoria")
 				.setDescription("Categoría para el repositorio")
 				.setRequired(true)
-				.addChoices(
-					{ name: "frontend", value: 1 },
-					{ name: "backend", value: 2 },
-					{ name: "fullstack", value: 3 },
-					{ name: "bot", value: 4 },
-					{ name: "api", value: 5 },
-					{ name: "cli", value: 6 },
-					{ name: "ai", value: 7 },
-					{ name: "web", value: 8 },
-					{ name: "tools", value: 9 },
-					{ name: "testing", value: 10 },
-					{ name: "cloud", value: 11 },
-					{ name: "security", value: 12 },
-					{ name: "devops", value: 13 },
-					{ name: "mobile", value: 14 },
-					{ name: "games", value: 15 },
-				),
+				.setAutocomplete(true),
 		),
 
+	autocomplete: autocompleteCategories,
+
 	async execute(interaction) {
 		const url = interaction.options.getString("url");
-		const categoriaValue = interaction.options.getInteger("categoria");
+		const categoria = CategoryManager.normalizeName(
+			interaction.options.getString("categoria"),
+		);
 
-		if (!url.startsWith("https://github.com")) {
+		// El autocompletado solo sugiere: se puede enviar cualquier texto
+		if (!(await interaction.client.categoryManager.hasCategory(categoria))) {
 			return interaction.reply({
-				content: "❌ URL inválida.",
+				content: `❌ La categoría **${categoria}** no existe. Elige una de la lista.`,
 				ephemeral: true,
 			});
 		}
 
-		let repos = [];
-		try {
-			const data = fs.readFileSync(reposFile, "utf8");
-			repos = JSON.parse(data);
-		} catch (err) {
-			console.error("Error leyendo repos.json:", err);
-		}
-
-		if (repos.some((repo) => repo.url === url)) {
+		if (!RepositoryService.parseRepositoryUrl(url.trim())) {
 			return interaction.reply({
-				content: "⚠️ Ese repo ya está guardado.",
+				content: RepositoryService.describeError({ code: "invalid_url" }),
 				ephemeral: true,
 			});
 		}
 
-		// Obtener nombre de la categoría
-		const categoriaOption = this.data.options.find(
-			(option) => option.name === "categoria",
-		);
-		const selectedChoice = categoriaOption.choices.find(
-			(c) => c.value === categoriaValue,
-		);
-		const categoria = selectedChoice.name;
-
-		// Generar el siguiente ID
-		const nextId =
-			repos.length > 0 ? Math.max(...repos.map((r) => r.id || 0)) + 1 : 1;
+		const { repositories, repositoryReviews } = interaction.client;
+		const pending =
+			interaction.guild !== null &&
+			(await repositoryReviews.isReviewEnabled(interaction.guild.id));
 
-		// Agregar el nuevo repo con ID
-		repos.push({ id: nextId, url, categoria });
+		// La consulta a GitHub puede tardar más de 3 segundos
+		await interaction.deferReply({ ephemeral: pending });
 
+		let repo;
 		try {
-			const categoryName =
-				categoria.charAt(0).toUpperCase() + categoria.slice(1);
-			fs.writeFileSync(reposFile, JSON.stringify(repos, null, 2));
-			await interaction.reply(
-				`✅ Repositorio guardado con ID \`${nextId}\` en **${categoryName}**:\n${url}`,
+			repo = await repositories.submit(url, categoria, interaction.user.id, {
+				pending,
+			});
+		} catch (error) {
+			if (!error.code) {
+				console.error("Error guardando el repositorio:", error);
+			}
+			if (pending) {
+				return interaction.editReply(RepositoryService.describeError(error));
+			}
+			// La respuesta diferida es pública, así que el error se muestra aparte
+			await interaction.deleteReply().catch(() => null);
+			return interaction.followUp({
+				content: RepositoryService.describeError(error),
+				ephemeral: true,
+			});
+		}
+
+		if (pending) {
+			const sent = await repositoryReviews.sendForReview(
+				interaction.guild,
+				repo,
+			);
+			return interaction.editReply(
+				sent
+					? `📨 **${repo.fullName}** quedó pendiente de revisión. Te avisaré por MD cuando el staff lo revise.`
+					: `📨 **${repo.fullName}** quedó pendiente de revisión, pero no pude avisar al staff. Contacta con un moderador.`,
 			);
-		} catch (err) {
-			console.error("Error guardando repos.json:", err);
-			await interaction.reply("❌ No se pudo guardar el repositorio.");
 		}
+
+		const categoryName = categoria.charAt(0).toUpperCase() + categoria.slice(1);
+		const repoEmbed = new EmbedBuilder()
+			.setColor(0x24292e)
+			.setTitle(repo.fullName)
+			.setURL(repo.url)
+			.setDescription(repo.description || "Sin descripción.")
+			.addFields(
+				{ name: "⭐ Estrellas", value: `${repo.stars}`, inline: true },
+				{
+					name: "💻 Lenguaje",
+					value: repo.language || "Desconocido",
+					inline: true,
+				},
+				{
+					name: "📄 Licencia",
+					value: repo.license || "Sin licencia",
+					inline: true,
+				},
+				{
+					name: "🕒 Último push",
+					value: repo.lastPushAt
+						? `<t:${Math.floor(new Date(repo.lastPushAt).getTime() / 1000)}:R>`
+						: "Nunca",
+					inline: true,
+				},
+				{ name: "🗂️ Categoría", value: categoryName, inline: true },
+			)
+			.setFooter({
+				text: `ID ${repo.id} · Enviado por ${interaction.user.tag}`,
+			})
+			.setTimestamp(new Date(repo.submittedAt));
+
+		await interaction.editReply({
+			content: `✅ Repositorio guardado con ID \`${repo.id}\` en **${categoryName}**.`,
+			embeds: [repoEmbed],
+		});
 	},
 };
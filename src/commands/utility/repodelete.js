@@ -1,7 +1,11 @@
-const { SlashCommandBuilder } = require("discord.js");
-const fs = require("fs");
-const path = require("path");
-const reposFile = path.join(__dirname, "..", "..", "..", ".data", "repos.json");
+const {
+	SlashCommandBuilder,
+	ActionRowBuilder,
+	ButtonBuilder,
+	ButtonStyle,
+	PermissionFlagsBits,
+} = require("discord.js");
+const RepositoryService = require("../../repos/services/RepositoryService");
 
 module.exports = {
 	data: new SlashCommandBuilder()
@@ -31,21 +35,23 @@ module.exports = {
 			});
 		}
 
-		let repos = [];
-		try {
-			const data = fs.readFileSync(reposFile, "utf8");
-			repos = JSON.parse(data);
-		} catch (err) {
-			console.error("Error leyendo repos.json:", err);
-			return interaction.reply("❌ No se pudo leer la lista de repositorios.");
-		}
+		const { repositoryManager } = interaction.client;
 
 		// Encontrar el repo a eliminar
 		let toDelete;
 		if (id) {
-			toDelete = repos.find((r) => r.id === id);
+			// Quien lo envió también puede retirar un repositorio pendiente de revisión
+			toDelete =
+				(await repositoryManager.getRepository(id)) ??
+				(await repositoryManager.getPendingRepositories()).find(
+					(repository) => repository.id === id,
+				) ??
+				null;
 		} else if (url) {
-			toDelete = repos.find((r) => r.url === url);
+			const parsed = RepositoryService.parseRepositoryUrl(url.trim());
+			toDelete = parsed
+				? await repositoryManager.findByName(`${parsed.owner}/${parsed.repo}`)
+				: null;
 		}
 
 		if (!toDelete) {
@@ -55,17 +61,71 @@ module.exports = {
 			});
 		}
 
-		// filtrar fuera el repo
-		const updatedRepos = repos.filter((r) => r !== toDelete);
+		// Solo quien lo envió o un moderador puede eliminarlo
+		if (
+			!toDelete.isSubmittedBy(interaction.user.id) &&
+			!interaction.memberPermissions?.has(PermissionFlagsBits.ManageMessages)
+		) {
+			return interaction.reply({
+				content:
+					"⛔ Solo quien envió el repositorio o un moderador puede eliminarlo.",
+				ephemeral: true,
+			});
+		}
+
+		const pending = toDelete.status === "pending";
+		const row = new ActionRowBuilder().addComponents(
+			new ButtonBuilder()
+				.setCustomId("confirm")
+				.setLabel("Eliminar")
+				.setStyle(ButtonStyle.Danger),
+			new ButtonBuilder()
+				.setCustomId("cancel")
+				.setLabel("Cancelar")
+				.setStyle(ButtonStyle.Secondary),
+		);
+
+		const message = await interaction.reply({
+			content: `⚠️ ¿Seguro que quieres eliminar este repositorio?${pending ? " Está pendiente de revisión y saldrá de la cola." : ""}\n\`${toDelete.id}.\` [${toDelete.categoria}] ${toDelete.url}`,
+			components: [row],
+			ephemeral: true,
+			fetchReply: true,
+		});
+
+		let confirmation;
+		try {
+			confirmation = await message.awaitMessageComponent({ time: 30_000 });
+		} catch {
+			return interaction.editReply({
+				content: "⌛ No se confirmó a tiempo, el repositorio no se eliminó.",
+				components: [],
+			});
+		}
+
+		if (confirmation.customId === "cancel") {
+			return confirmation.update({
+				content: "❎ Eliminación cancelada.",
+				components: [],
+			});
+		}
 
 		try {
-			fs.writeFileSync(reposFile, JSON.stringify(updatedRepos, null, 2));
-			await interaction.reply(
-				`🗑️ Repositorio eliminado:\n\`${toDelete.id}.\` [${toDelete.categoria}] ${toDelete.url}`,
+			const deleted = await repositoryManager.deleteRepository(
+				toDelete.id,
+				interaction.user.id,
 			);
+			await confirmation.update({
+				content: deleted
+					? `🗑️ Repositorio eliminado:\n\`${toDelete.id}.\` [${toDelete.categoria}] ${toDelete.url}\nUn administrador puede restaurarlo con \`/repo-restore\`.`
+					: "❌ El repositorio ya había sido eliminado.",
+				components: [],
+			});
 		} catch (err) {
 			console.error("Error guardando repos.json:", err);
-			await interaction.reply("❌ No se pudo eliminar el repositorio.");
+			await confirmation.update({
+				content: "❌ No se pudo eliminar el repositorio.",
+				components: [],
+			});
 		}
 	},
 };
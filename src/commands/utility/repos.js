@@ -1,136 +1,189 @@
 const {
 	SlashCommandBuilder,
+	EmbedBuilder,
 	ActionRowBuilder,
 	ButtonBuilder,
 	ButtonStyle,
+	StringSelectMenuBuilder,
 } = require("discord.js");
-const fs = require("fs");
-const path = require("path");
-const dataDir = path.join(__dirname, "..", "..", "..", ".data");
-const reposFile = path.join(dataDir, "repos.json");
-
-if (!fs.existsSync(dataDir)) {
-	fs.mkdirSync(dataDir, { recursive: true });
-}
-
-if (!fs.existsSync(reposFile)) {
-	fs.writeFileSync(reposFile, "[]", "utf8");
+const CategoryManager = require("../../repos/managers/CategoryManager");
+const RepositoryService = require("../../repos/services/RepositoryService");
+const { autocompleteCategories } = require("./repo-category");
+
+const PAGE_SIZE = 5;
+const ALL_CATEGORIES = "all";
+
+/**
+ * Crea la tarjeta de un repositorio con sus metadatos de GitHub
+ * @param {import("../../repos/models/Repository")} repo - Repositorio guardado
+ * @returns {EmbedBuilder}
+ */
+function buildRepoCard(repo) {
+	const details = [
+		`⭐ ${repo.stars}`,
+		repo.language && `💻 ${repo.language}`,
+		repo.license && `📄 ${repo.license}`,
+		repo.lastPushAt &&
+			`🕒 <t:${Math.floor(new Date(repo.lastPushAt).getTime() / 1000)}:R>`,
+	].filter(Boolean);
+	const description = repo.description
+		? repo.description.length > 200
+			? `${repo.description.slice(0, 197)}...`
+			: repo.description
+		: "Sin descripción.";
+
+	return new EmbedBuilder()
+		.setColor(0x24292e)
+		.setTitle(`#${repo.id} · ${repo.getName()}`)
+		.setURL(repo.url)
+		.setDescription(`${description}\n\n${details.join(" · ")}`)
+		.setFooter({ text: `Categoría: ${repo.categoria}` });
 }
 
-const categorias = {
-	1: "frontend",
-	2: "backend",
-	3: "fullstack",
-	4: "bot",
-	5: "api",
-	6: "cli",
-	7: "ai",
-	8: "web",
-	9: "tools",
-	10: "testing",
-	11: "cloud",
-	12: "security",
-	13: "devops",
-	14: "mobile",
-	15: "games",
-};
-
 module.exports = {
 	data: new SlashCommandBuilder()
 		.setName("repos")
 		.setDescription("¡Muestra una lista de repositorios guardados!")
-		.addIntegerOption((option) =>
+		.addStringOption((option) =>
 			option
 				.setName("categoria")
 				.setDescription("Filtra por categoría")
 				.setRequired(false)
-				.addChoices(
-					...Object.entries(categorias).map(([value, name]) => ({
-						name,
-						value: parseInt(value),
-					})),
-				),
+				.setAutocomplete(true),
 		)
 		.addIntegerOption((option) =>
 			option
 				.setName("id")
 				.setDescription("Busca un repositorio por ID")
 				.setRequired(false),
+		)
+		.addStringOption((option) =>
+			option
+				.setName("buscar")
+				.setDescription("Busca en el nombre, la descripción y el lenguaje")
+				.setRequired(false)
+				.setMaxLength(100),
+		)
+		.addStringOption((option) =>
+			option
+				.setName("orden")
+				.setDescription("Cómo ordenar la lista")
+				.setRequired(false)
+				.addChoices(
+					{ name: "más recientes", value: "newest" },
+					{ name: "más estrellas", value: "stars" },
+					{ name: "alfabético", value: "name" },
+				),
 		),
 
+	autocomplete: autocompleteCategories,
+
 	async execute(interaction) {
 		try {
-			const data = fs.readFileSync(reposFile, "utf8");
-			let repos = JSON.parse(data);
+			const { repositoryManager, categoryManager } = interaction.client;
+			const allRepos = await repositoryManager.getRepositories();
 
-			if (repos.length === 0) {
+			if (allRepos.length === 0) {
 				return interaction.reply("📭 No hay repositorios guardados aún.");
 			}
 
 			const idValue = interaction.options.getInteger("id");
-			const categoriaValue = interaction.options.getInteger("categoria");
 
 			// Buscar por ID si se proporcionó
 			if (idValue) {
-				const found = repos.find((repo) => repo.id === idValue);
+				const found = allRepos.find((repo) => repo.id === idValue);
 				if (!found) {
 					return interaction.reply(
 						`❌ No se encontró un repositorio con ID \`${idValue}\`.`,
 					);
 				}
-				return interaction.reply(
-					`🔍 **Repositorio encontrado:**\n\`${found.id}.\` [${found.categoria}] ${found.url}`,
-				);
+				return interaction.reply({
+					content: "🔍 **Repositorio encontrado:**",
+					embeds: [buildRepoCard(found)],
+				});
 			}
 
-			// Si no hay ID, filtrar por categoría (si aplica)
-			let categoriaName;
-			if (categoriaValue) {
-				categoriaName = categorias[categoriaValue];
-				repos = repos.filter((repo) => repo.categoria === categoriaName);
-				if (repos.length === 0) {
-					return interaction.reply(
-						`📭 No hay repos para la categoría **${categoriaName}**.`,
+			const query = interaction.options.getString("buscar");
+			const sort = interaction.options.getString("orden") || "newest";
+			const categoriaOption = interaction.options.getString("categoria");
+			let categoriaName = categoriaOption
+				? CategoryManager.normalizeName(categoriaOption)
+				: null;
+			let categories = await categoryManager.getCategories();
+			let repos;
+			let page = 0;
+
+			const buildMessage = () => {
+				const totalPages = Math.max(1, Math.ceil(repos.length / PAGE_SIZE));
+				const filters = [
+					categoriaName && `categoría: ${categoriaName}`,
+					query && `búsqueda: "${query}"`,
+				].filter(Boolean);
+				const header = `📚 **Repositorios guardados**${filters.length > 0 ? ` (${filters.join(", ")})` : ""}`;
+
+				const categoryMenu = new StringSelectMenuBuilder()
+					.setCustomId("category")
+					.setPlaceholder("Cambiar de categoría")
+					.addOptions(
+						{
+							label: "Todas las categorías",
+							value: ALL_CATEGORIES,
+							default: !categoriaName,
+						},
+						...categories.map((name) => ({
+							label: name,
+							value: name,
+							default: name === categoriaName,
+						})),
 					);
-				}
-			}
+				const buttons = new ActionRowBuilder().addComponents(
+					new ButtonBuilder()
+						.setCustomId("prev")
+						.setLabel("⬅️ Anterior")
+						.setStyle(ButtonStyle.Secondary)
+						.setDisabled(page === 0),
+					new ButtonBuilder()
+						.setCustomId("next")
+						.setLabel("Siguiente ➡️")
+						.setStyle(ButtonStyle.Secondary)
+						.setDisabled(page >= totalPages - 1),
+				);
+				const components = [
+					new ActionRowBuilder().addComponents(categoryMenu),
+					buttons,
+				];
 
-			const pageSize = 1;
-			let page = 0;
+				if (repos.length === 0) {
+					return {
+						content: `${header}\n\n📭 No hay repos que coincidan.`,
+						embeds: [],
+						components,
+					};
+				}
 
-			const getPage = (page) => {
-				const start = page * pageSize;
-				const end = start + pageSize;
-				return repos
-					.slice(start, end)
-					.map((repo) => `\`${repo.id}.\` [${repo.categoria}] ${repo.url}`)
-					.join("\n");
+				return {
+					content: `${header} · página ${page + 1}/${totalPages} · ${repos.length} repo(s)`,
+					embeds: repos
+						.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE)
+						.map(buildRepoCard),
+					components,
+				};
 			};
 
-			const totalPages = Math.ceil(repos.length / pageSize);
-
-			const row = new ActionRowBuilder().addComponents(
-				new ButtonBuilder()
-					.setCustomId("prev")
-					.setLabel("⬅️ Anterior")
-					.setStyle(ButtonStyle.Secondary)
-					.setDisabled(true),
-				new ButtonBuilder()
-					.setCustomId("next")
-					.setLabel("Siguiente ➡️")
-					.setStyle(ButtonStyle.Secondary)
-					.setDisabled(totalPages <= 1),
-			);
+			repos = RepositoryService.filterRepositories(allRepos, {
+				categoria: categoriaName,
+				query,
+				sort,
+			});
 
 			const message = await interaction.reply({
-				content: `📚 **Repositorios guardados**${categoriaName ? ` (categoría: ${categoriaName})` : ""}:\n\n${getPage(page)}`,
-				components: [row],
+				...buildMessage(),
 				ephemeral: false,
 				fetchReply: true,
 			});
 
 			const collector = message.createMessageComponentCollector({
-				idle: 30_000,
+				idle: 60_000,
 			});
 
 			collector.on("collect", async (i) => {
@@ -146,19 +199,29 @@ module.exports = {
 				if (i.customId === "prev") {
 					page--;
 				}
+				if (i.customId === "category") {
+					// Se vuelve a leer la lista para incluir los cambios hechos mientras tanto
+					const [value] = i.values;
+					categoriaName = value === ALL_CATEGORIES ? null : value;
+					categories = await categoryManager.getCategories();
+					repos = RepositoryService.filterRepositories(
+						await repositoryManager.getRepositories(),
+						{ categoria: categoriaName, query, sort },
+					);
+					page = 0;
+				}
 
-				row.components[0].setDisabled(page === 0);
-				row.components[1].setDisabled(page >= totalPages - 1);
-
-				await i.update({
-					content: `📚 **Repositorios guardados**${categoriaName ? ` (categoría: ${categoriaName})` : ""}:\n\n${getPage(page)}`,
-					components: [row],
-				});
+				await i.update(buildMessage());
 			});
 
 			collector.on("end", () => {
-				row.components.forEach((button) => button.setDisabled(true));
-				message.edit({ components: [row] }).catch((err) => {
+				const { components } = buildMessage();
+				for (const row of components) {
+					for (const component of row.components) {
+						component.setDisabled(true);
+					}
+				}
+				message.edit({ components }).catch((err) => {
 					console.warn("No se pudo editar el mensaje:", err.message);
 				});
 			});
@@ -0,0 +1,30 @@
+const { PermissionFlagsBits } = require("discord.js");
+
+module.exports = {
+	customId: "snippet",
+	async execute(interaction) {
+		if (!interaction.isButton()) {
+			return;
+		}
+
+		const [, action, authorId] = interaction.customId.split(":");
+		if (action !== "dismiss") {
+			return;
+		}
+
+		if (
+			interaction.user.id !== authorId &&
+			!interaction.memberPermissions?.has(PermissionFlagsBits.ManageMessages)
+		) {
+			return interaction.reply({
+				content:
+					"⛔ Solo quien publicó el enlace o un moderador puede descartar el fragmento.",
+				ephemeral: true,
+			});
+		}
+
+		// Se confirma la interacción antes de borrar el mensaje que la contiene
+		await interaction.deferUpdate();
+		await interaction.message.delete();
+	},
+};
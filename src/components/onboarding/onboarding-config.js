@@ -0,0 +1,60 @@
+const { PermissionFlagsBits } = require("discord.js");
+const {
+	buildConfigEmbed,
+	TEXT_FIELDS,
+} = require("../../commands/onboarding/onboarding-config");
+
+module.exports = {
+	customId: "onboarding-config",
+	async execute(interaction, client) {
+		const [, field, position] = interaction.customId.split(":");
+		const text = TEXT_FIELDS[field];
+
+		if (
+			!interaction.isModalSubmit() ||
+			(!text && field !== "tutorial") ||
+			!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)
+		) {
+			return;
+		}
+
+		const { fields } = interaction;
+		const result = await client.onboardingConfigManager.updateConfig(
+			interaction.guildId,
+			(config) => {
+				if (field === "tutorial") {
+					config.addTutorialPage(
+						{
+							title: fields.getTextInputValue("title"),
+							text: fields.getTextInputValue("text"),
+							command: fields
+								.getTextInputValue("command")
+								.trim()
+								.replace(/^\//, ""),
+						},
+						position === "end" ? null : Number(position) - 1,
+					);
+				} else {
+					config.update({
+						[text.property]: fields.getTextInputValue("text"),
+					});
+				}
+			},
+		);
+
+		if (!result.isValid) {
+			return interaction.reply({
+				content: `❌ No se aplicó el cambio:\n${result.errors.map((error) => `- ${error}`).join("\n")}`,
+				ephemeral: true,
+			});
+		}
+
+		await interaction.reply({
+			content: text
+				? `✅ Cambios guardados en: ${text.label.toLowerCase()}.`
+				: "✅ Página añadida al tutorial.",
+			embeds: [buildConfigEmbed(result.config)],
+			ephemeral: true,
+		});
+	},
+};
@@ -0,0 +1,6 @@
+module.exports = {
+	customId: "onboarding",
+	async execute(interaction, client) {
+		await client.onboarding.handleButton(interaction);
+	},
+};
@@ -0,0 +1,72 @@
+const { PermissionFlagsBits } = require("discord.js");
+const PollService = require("../../polls/services/PollService");
+
+module.exports = {
+	customId: "poll",
+	async execute(interaction, client) {
+		if (!interaction.isButton()) {
+			return;
+		}
+
+		const [, action, index] = interaction.customId.split(":");
+		const messageId = interaction.message.id;
+
+		if (action === "close") {
+			const poll = await client.pollManager.getPoll(messageId);
+			if (
+				poll &&
+				poll.createdBy !== interaction.user.id &&
+				!interaction.memberPermissions?.has(PermissionFlagsBits.ManageMessages)
+			) {
+				return interaction.reply({
+					content:
+						"⛔ Solo quien creó la encuesta o un moderador puede cerrarla.",
+					ephemeral: true,
+				});
+			}
+
+			const closed = await client.polls.close(messageId, client);
+			return interaction.reply({
+				content: closed
+					? "🔒 Encuesta cerrada."
+					: "⚠️ Esta encuesta ya estaba cerrada.",
+				ephemeral: true,
+			});
+		}
+
+		if (action !== "vote") {
+			return;
+		}
+
+		// Los votos de quien no tiene el rol no cuentan
+		const poll = await client.pollManager.getPoll(messageId);
+		if (poll?.roleId && !interaction.member?.roles.cache.has(poll.roleId)) {
+			return interaction.reply({
+				content: `⛔ Solo los miembros con el rol <@&${poll.roleId}> pueden votar en esta encuesta.`,
+				ephemeral: true,
+			});
+		}
+
+		const result = await client.polls.vote(
+			messageId,
+			interaction.user.id,
+			Number(index),
+		);
+		if (!result) {
+			return interaction.reply({
+				content: "⚠️ Esta encuesta ya está cerrada.",
+				ephemeral: true,
+			});
+		}
+
+		const { choices } = result;
+		await interaction.update(PollService.buildPayload(result.poll));
+		await interaction.followUp({
+			content:
+				choices.length > 0
+					? `✅ Tu voto: ${choices.map((choice) => `**${result.poll.options[choice]}**`).join(", ")}`
+					: "↩️ Retiraste tu voto.",
+			ephemeral: true,
+		});
+	},
+};
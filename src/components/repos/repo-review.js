@@ -0,0 +1,74 @@
+const {
+	ActionRowBuilder,
+	ModalBuilder,
+	TextInputBuilder,
+	TextInputStyle,
+	PermissionFlagsBits,
+} = require("discord.js");
+const RepositoryReviewService = require("../../repos/services/RepositoryReviewService");
+
+module.exports = {
+	customId: "repo-review",
+	async execute(interaction, client) {
+		const [, decision, id] = interaction.customId.split(":");
+		if (!["approve", "reject"].includes(decision)) {
+			return;
+		}
+
+		if (
+			!interaction.memberPermissions?.has(PermissionFlagsBits.ManageMessages)
+		) {
+			return interaction.reply({
+				content: "⛔ Solo el staff puede revisar repositorios.",
+				ephemeral: true,
+			});
+		}
+
+		// El botón pide la razón y la decisión se aplica al enviar el formulario
+		if (interaction.isButton()) {
+			const modal = new ModalBuilder()
+				.setCustomId(`repo-review:${decision}:${id}`)
+				.setTitle(
+					decision === "approve"
+						? "Aprobar repositorio"
+						: "Rechazar repositorio",
+				)
+				.addComponents(
+					new ActionRowBuilder().addComponents(
+						new TextInputBuilder()
+							.setCustomId("reason")
+							.setLabel(
+								decision === "approve" ? "Comentario (opcional)" : "Razón",
+							)
+							.setStyle(TextInputStyle.Paragraph)
+							.setMaxLength(500)
+							.setRequired(decision === "reject"),
+					),
+				);
+			return interaction.showModal(modal);
+		}
+
+		if (!interaction.isModalSubmit()) {
+			return;
+		}
+
+		const repository = await client.repositoryReviews.decide(
+			client,
+			Number(id),
+			decision === "approve",
+			interaction.user,
+			interaction.fields.getTextInputValue("reason").trim(),
+		);
+
+		if (!repository) {
+			return interaction.reply({
+				content: "⚠️ Este repositorio ya fue revisado o eliminado.",
+				ephemeral: true,
+			});
+		}
+
+		await interaction.update(
+			RepositoryReviewService.buildReviewPayload(repository),
+		);
+	},
+};
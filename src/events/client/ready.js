@@ -6,5 +6,11 @@ module.exports = {
 	execute(client) {
 		console.log(`🚀 ¡Listo! El bot está en línea como ${client.user.tag}`);
 		client.user.setActivity("comandos en la terminal", { type: "WATCHING" });
+		client.onboarding
+			.scheduleReminders(client.scheduler)
+			.catch((error) =>
+				console.error("Error scheduling onboarding reminders:", error),
+			);
+		client.scheduler.start(client);
 	},
 };
@@ -0,0 +1,20 @@
+const { Events } = require("discord.js");
+
+module.exports = {
+	name: Events.GuildMemberAdd,
+	async execute(member, client) {
+		if (member.user.bot) {
+			return;
+		}
+
+		try {
+			await client.onboarding.start(member);
+			console.log(`Onboarding iniciado para ${member.user.tag}.`);
+		} catch (error) {
+			console.error(
+				`Error al iniciar el onboarding de ${member.user.tag}:`,
+				error,
+			);
+		}
+	},
+};
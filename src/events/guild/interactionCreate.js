@@ -1,8 +1,54 @@
 const { Events } = require("discord.js");
 
+async function handleComponent(interaction, client) {
+	// Los customId persistentes tienen la forma "<componente>:<acción>:..."
+	const [componentId] = interaction.customId.split(":");
+	const component = client.components.get(componentId);
+
+	// Los componentes sin manejador registrado los atienden sus propios collectors
+	if (!component) {
+		return;
+	}
+
+	try {
+		await component.execute(interaction, client);
+	} catch (error) {
+		console.error(error);
+		const payload = {
+			content: "¡Hubo un error al procesar esta interacción!",
+			ephemeral: true,
+		};
+		if (interaction.replied || interaction.deferred) {
+			await interaction.followUp(payload);
+		} else {
+			await interaction.reply(payload);
+		}
+	}
+}
+
+async function handleAutocomplete(interaction, client) {
+	const command = client.commands.get(interaction.commandName);
+	if (!command?.autocomplete) {
+		return;
+	}
+
+	try {
+		await command.autocomplete(interaction, client);
+	} catch (error) {
+		// Una sugerencia que falla no merece avisar al usuario: Discord muestra la lista vacía
+		console.error(error);
+	}
+}
+
 module.exports = {
 	name: Events.InteractionCreate,
 	async execute(interaction, client) {
+		if (interaction.isMessageComponent() || interaction.isModalSubmit()) {
+			return handleComponent(interaction, client);
+		}
+		if (interaction.isAutocomplete()) {
+			return handleAutocomplete(interaction, client);
+		}
 		if (!interaction.isChatInputCommand()) {
 			return;
 		}
@@ -32,5 +78,10 @@ module.exports = {
 				});
 			}
 		}
+
+		// Los comandos que se prueban durante el tutorial cuentan para sus páginas
+		client.onboarding
+			.recordCommandUse(interaction)
+			.catch((error) => console.error(error));
 	},
 };
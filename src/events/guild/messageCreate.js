@@ -1,18 +1,51 @@
 const { Events } = require("discord.js");
-const COFFEE_KEYWORDS =
-	/\b(?:cafecito|cafetera|cafes|café|iced coffee|flat white|cold brew|drip coffee|turkish coffee|french press|clever dripper|coffee maker|coffee grinder|coffee beans|coffee grounds|coffee break|coffee shop|coffee pot|pour over|aeropress|cappuccino|percolator|americano|macchiato|cafetière|espresso|cortado|caffeine|affogato|ristretto|frappe|siphon|chemex|barista|arabica|robusta|greca|geisha|decaf|latte|mocha|lungo|kaffe|moka|café|cafe|coffee|beans|bean|brew|roast|kalua)\b/i;
 
 module.exports = {
 	name: Events.MessageCreate,
-	async execute(message) {
+	async execute(message, client) {
 		if (message.author.bot) {
 			return;
 		}
-		if (COFFEE_KEYWORDS.test(message.content)) {
-			message.channel.send("HTTP/1.1 418 I'm a teapot");
-			console.log(
-				`Detected coffee talk from ${message.author.tag} in #${message.channel.name}. Sent '418 I'm a teapot'.`,
-			);
+
+		try {
+			const leak = await client.secretScanner.handleMessage(message);
+			if (leak) {
+				console.log(
+					`Removed credentials (${leak.types.join(", ")}) posted by ${message.author.tag} in #${message.channel.name}.`,
+				);
+				return;
+			}
+		} catch (error) {
+			console.error("Error scanning message for secrets:", error);
+		}
+
+		try {
+			const violation = await client.autoMod.handleMessage(message);
+			if (violation) {
+				console.log(
+					`AutoMod filter ${violation.filter} triggered by ${message.author.tag} in #${message.channel.name} (${violation.action}).`,
+				);
+				return;
+			}
+		} catch (error) {
+			console.error("Error running automod:", error);
+		}
+
+		try {
+			await client.codeSnippets.handleMessage(message);
+		} catch (error) {
+			console.error("Error expanding GitHub permalinks:", error);
+		}
+
+		try {
+			const rule = await client.autoResponder.handleMessage(message);
+			if (rule) {
+				console.log(
+					`Auto-responder rule #${rule.id} triggered by ${message.author.tag} in #${message.channel.name}.`,
+				);
+			}
+		} catch (error) {
+			console.error("Error handling auto-responder:", error);
 		}
 	},
 };
@@ -0,0 +1,31 @@
+const { Events } = require("discord.js");
+
+module.exports = {
+	name: Events.MessageUpdate,
+	async execute(oldMessage, newMessage, client) {
+		// Cargar los embeds de un enlace también genera una edición, sin cambiar el contenido
+		if (!newMessage.partial && oldMessage.content === newMessage.content) {
+			return;
+		}
+
+		try {
+			const message = newMessage.partial
+				? await newMessage.fetch()
+				: newMessage;
+			if (message.author.bot) {
+				return;
+			}
+
+			const leak = await client.secretScanner.handleMessage(message, {
+				edited: true,
+			});
+			if (leak) {
+				console.log(
+					`Removed credentials (${leak.types.join(", ")}) edited in by ${message.author.tag} in #${message.channel.name}.`,
+				);
+			}
+		} catch (error) {
+			console.error("Error scanning edited message for secrets:", error);
+		}
+	},
+};
@@ -0,0 +1,266 @@
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = require("discord.js");
+
+const DEFAULT_RAW_URL = "https://raw.githubusercontent.com";
+// Links wrapped in <> had their preview suppressed on purpose, so they are left alone
+const PERMALINK_PATTERN =
+	/(?<!<)https:\/\/github\.com\/([\w.-]+)\/([\w.-]+)\/blob\/([^\s#?]+)(?:\?[^\s#]*)?#L(\d+)(?:C\d+)?(?:-L(\d+)(?:C\d+)?)?/g;
+const MAX_SNIPPETS_PER_MESSAGE = 3;
+const MAX_SNIPPET_LINES = 40;
+// Discord messages are limited to 2000 characters, headers and fences included
+const MAX_REPLY_LENGTH = 1900;
+const DISCORD_MESSAGE_LENGTH = 2000;
+// Files above this size are not downloaded, permalinks to them are left unexpanded
+const MAX_FILE_BYTES = 1024 * 1024;
+const FETCH_TIMEOUT_MS = 5_000;
+// Extensions highlight.js does not recognize as a language name
+const LANGUAGE_ALIASES = {
+	cjs: "js",
+	mjs: "js",
+	h: "c",
+	hpp: "cpp",
+	yml: "yaml",
+	tsx: "ts",
+};
+
+/**
+ * CodeSnippetService expands GitHub permalinks with line anchors into code blocks
+ */
+class CodeSnippetService {
+	/**
+	 * @param {Object} options - Endpoint and overrides for testing
+	 */
+	constructor(options = {}) {
+		this.rawUrl = options.rawUrl ?? DEFAULT_RAW_URL;
+		this.fetch = options.fetch ?? globalThis.fetch;
+	}
+
+	/**
+	 * Find the GitHub permalinks with line anchors in a text
+	 * @param {string} content - Message content
+	 * @returns {{owner: string, repo: string, ref: string, path: string, start: number, end: number}[]}
+	 */
+	static parsePermalinks(content) {
+		const permalinks = new Map();
+		for (const match of content.matchAll(PERMALINK_PATTERN)) {
+			const [, owner, repo, refAndPath, from, to] = match;
+			const [ref, ...pathParts] = refAndPath.split("/");
+			const start = Math.min(Number(from), Number(to ?? from));
+			const end = Math.max(Number(from), Number(to ?? from));
+			const key = `${owner}/${repo}/${refAndPath}#${start}-${end}`;
+			if (pathParts.length === 0 || start < 1 || permalinks.has(key)) {
+				continue;
+			}
+
+			permalinks.set(key, {
+				owner,
+				repo,
+				ref,
+				path: pathParts.join("/"),
+				start,
+				end,
+			});
+		}
+		return [...permalinks.values()].slice(0, MAX_SNIPPETS_PER_MESSAGE);
+	}
+
+	/**
+	 * Get the code block language of a file
+	 * @param {string} path - File path
+	 * @returns {string}
+	 */
+	static getLanguage(path) {
+		const fileName = path.split("/").pop();
+		if (!fileName.includes(".")) {
+			return "";
+		}
+		const extension = fileName.split(".").pop().toLowerCase();
+		return (
+			LANGUAGE_ALIASES[extension] ?? extension.replace(/[^a-z0-9+#-]/g, "")
+		);
+	}
+
+	/**
+	 * Remove the indentation shared by every non-blank line
+	 * @param {string[]} lines - Code lines
+	 * @returns {string[]}
+	 */
+	static dedent(lines) {
+		const indents = lines
+			.filter((line) => line.trim())
+			.map((line) => line.match(/^[ \t]*/)[0].length);
+		const shared = indents.length > 0 ? Math.min(...indents) : 0;
+		return lines.map((line) => line.slice(shared));
+	}
+
+	/**
+	 * Format the referenced lines of a file as a labeled code block
+	 * @param {Object} permalink - Parsed permalink
+	 * @param {string[]} fileLines - Lines of the file
+	 * @param {number} maxLength - Characters available for the snippet
+	 * @returns {string|null} null when the lines do not exist
+	 */
+	static formatSnippet(permalink, fileLines, maxLength) {
+		if (permalink.start > fileLines.length) {
+			return null;
+		}
+
+		const end = Math.min(permalink.end, fileLines.length);
+		const range =
+			permalink.start === end
+				? `línea ${permalink.start}`
+				: `líneas ${permalink.start}-${end}`;
+		const header = `**${permalink.owner}/${permalink.repo}** · \`${permalink.path}\` · ${range}`;
+		const fence = `\`\`\`${CodeSnippetService.getLanguage(permalink.path)}`;
+		if (header.length + fence.length + 50 > maxLength) {
+			return null;
+		}
+
+		// A fence inside the code would close the block early
+		const lines = CodeSnippetService.dedent(
+			fileLines.slice(permalink.start - 1, end),
+		).map((line) => line.replace(/```/g, "`\u200b``"));
+
+		const kept = [];
+		// Leaves room for the closing fence and the note about omitted lines
+		let length = header.length + fence.length + 40;
+		for (const line of lines.slice(0, MAX_SNIPPET_LINES)) {
+			if (length + line.length + 1 > maxLength) {
+				break;
+			}
+			kept.push(line);
+			length += line.length + 1;
+		}
+		if (kept.length === 0) {
+			// Minified files can have a first line longer than the whole budget
+			kept.push(`${lines[0].slice(0, Math.max(maxLength - length - 1, 0))}…`);
+		}
+		const omitted = lines.length - kept.length;
+
+		return `${header}\n${fence}\n${kept.join("\n")}\n\`\`\`${omitted > 0 ? `\n*… ${omitted} línea(s) más*` : ""}`;
+	}
+
+	/**
+	 * Read the body of a response, giving up once it grows past a size
+	 * @param {Response} response - Fetch response
+	 * @param {number} maxBytes - Largest accepted body
+	 * @returns {Promise<string|null>} null when the body is too large
+	 */
+	static async readLimitedText(response, maxBytes) {
+		if (Number(response.headers.get("content-length")) > maxBytes) {
+			await response.body?.cancel();
+			return null;
+		}
+
+		// The header is optional and can lie, so the size is also checked while reading
+		const reader = response.body.getReader();
+		const chunks = [];
+		let size = 0;
+		for (;;) {
+			const { done, value } = await reader.read();
+			if (done) {
+				break;
+			}
+			size += value.byteLength;
+			if (size > maxBytes) {
+				await reader.cancel();
+				return null;
+			}
+			chunks.push(value);
+		}
+		return Buffer.concat(chunks).toString("utf8");
+	}
+
+	/**
+	 * Download the lines of a file from GitHub
+	 * @param {Object} permalink - Parsed permalink
+	 * @returns {Promise<string[]|null>} null when the file is not available or too large
+	 */
+	async fetchLines(permalink) {
+		const url = `${this.rawUrl}/${permalink.owner}/${permalink.repo}/${permalink.ref}/${permalink.path}`;
+		try {
+			const response = await this.fetch(url, {
+				signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+			});
+			if (!response.ok) {
+				// Private repositories and deleted files answer 404
+				await response.body?.cancel();
+				return null;
+			}
+			const text = await CodeSnippetService.readLimitedText(
+				response,
+				MAX_FILE_BYTES,
+			);
+			return text === null ? null : text.split(/\r?\n/);
+		} catch (error) {
+			console.error(`Error downloading ${url}:`, error);
+			return null;
+		}
+	}
+
+	/**
+	 * Build the reply that expands the permalinks of a message
+	 * @param {string} content - Message content
+	 * @param {string} authorId - Discord user ID of the author, who can dismiss the reply
+	 * @returns {Promise<Object|null>} Reply payload, or null if there is nothing to expand
+	 */
+	async buildReply(content, authorId) {
+		const permalinks = CodeSnippetService.parsePermalinks(content);
+		if (permalinks.length === 0) {
+			return null;
+		}
+
+		const budget = Math.floor(MAX_REPLY_LENGTH / permalinks.length);
+		const snippets = [];
+		for (const permalink of permalinks) {
+			const fileLines = await this.fetchLines(permalink);
+			const snippet =
+				fileLines &&
+				CodeSnippetService.formatSnippet(permalink, fileLines, budget);
+			if (snippet) {
+				snippets.push(snippet);
+			}
+		}
+		// Safety net: every snippet already keeps to its share of the reply
+		while (snippets.join("\n").length > DISCORD_MESSAGE_LENGTH) {
+			snippets.pop();
+		}
+		if (snippets.length === 0) {
+			return null;
+		}
+
+		return {
+			content: snippets.join("\n"),
+			components: [
+				new ActionRowBuilder().addComponents(
+					new ButtonBuilder()
+						.setCustomId(`snippet:dismiss:${authorId}`)
+						.setLabel("Descartar")
+						.setEmoji("🗑️")
+						.setStyle(ButtonStyle.Secondary),
+				),
+			],
+			allowedMentions: { parse: [], repliedUser: false },
+		};
+	}
+
+	/**
+	 * Reply to a message with the code of its GitHub permalinks
+	 * @param {import("discord.js").Message} message - Message
+	 * @returns {Promise<boolean>} Whether the bot replied
+	 */
+	async handleMessage(message) {
+		if (message.author.bot || !message.content.includes("github.com/")) {
+			return false;
+		}
+
+		const reply = await this.buildReply(message.content, message.author.id);
+		if (!reply) {
+			return false;
+		}
+
+		await message.reply(reply);
+		return true;
+	}
+}
+
+module.exports = CodeSnippetService;
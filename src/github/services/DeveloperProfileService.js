@@ -0,0 +1,110 @@
+/**
+ * DeveloperProfileService summarizes a GitHub account for the /profile card
+ */
+class DeveloperProfileService {
+	/**
+	 * @param {import("./GitHubApiClient")} githubApi - Shared GitHub API client
+	 */
+	constructor(githubApi) {
+		this.githubApi = githubApi;
+	}
+
+	/**
+	 * Get the most used languages among a user's own repositories
+	 * @param {Object[]} repos - Repositories from the GitHub API
+	 * @param {number} limit - Maximum number of languages
+	 * @returns {{language: string, count: number}[]}
+	 */
+	static getTopLanguages(repos, limit = 5) {
+		const counts = new Map();
+		for (const repo of repos) {
+			// Forks say more about someone else's code than about the user
+			if (repo.fork || !repo.language) {
+				continue;
+			}
+			counts.set(repo.language, (counts.get(repo.language) || 0) + 1);
+		}
+
+		return [...counts.entries()]
+			.map(([language, count]) => ({ language, count }))
+			.sort((a, b) => b.count - a.count || a.language.localeCompare(b.language))
+			.slice(0, limit);
+	}
+
+	/**
+	 * Describe a public event in one line
+	 * @param {Object} event - Event from the GitHub API
+	 * @returns {string|null} Description, or null for events not worth showing
+	 */
+	static describeEvent(event) {
+		const repo = `[${event.repo.name}](https://github.com/${event.repo.name})`;
+		const { payload = {} } = event;
+
+		switch (event.type) {
+			case "PushEvent": {
+				const commits = payload.size ?? payload.commits?.length ?? 0;
+				return commits > 0
+					? `📤 ${commits} commit(s) en ${repo}`
+					: `📤 Push en ${repo}`;
+			}
+			case "PullRequestEvent":
+				return payload.action === "closed" && payload.pull_request?.merged
+					? `🔀 Fusionó un pull request en ${repo}`
+					: `🔀 ${payload.action === "opened" ? "Abrió" : "Actualizó"} un pull request en ${repo}`;
+			case "IssuesEvent":
+				return `🐛 ${payload.action === "opened" ? "Abrió" : "Actualizó"} un issue en ${repo}`;
+			case "CreateEvent":
+				return payload.ref_type === "repository" ? `✨ Creó ${repo}` : null;
+			case "ReleaseEvent":
+				return `🏷️ Publicó ${payload.release?.tag_name || "una versión"} de ${repo}`;
+			case "ForkEvent":
+				return `🍴 Hizo un fork de ${repo}`;
+			case "WatchEvent":
+				return `⭐ Dio una estrella a ${repo}`;
+			default:
+				return null;
+		}
+	}
+
+	/**
+	 * Gather the GitHub data shown on a profile card
+	 * @param {string} username - GitHub username
+	 * @returns {Promise<Object>} Account, top languages, total stars and recent activity
+	 */
+	async getGitHubSummary(username) {
+		const [account, repos, events] = await Promise.all([
+			this.githubApi.getUser(username),
+			this.githubApi.getUserRepos(username),
+			this.githubApi.getUserEvents(username),
+		]);
+
+		const recentActivity = [];
+		for (const event of events) {
+			const description = DeveloperProfileService.describeEvent(event);
+			if (description) {
+				recentActivity.push({ description, createdAt: event.created_at });
+			}
+			if (recentActivity.length === 5) {
+				break;
+			}
+		}
+
+		return {
+			login: account.login,
+			name: account.name,
+			avatarUrl: account.avatar_url,
+			url: account.html_url,
+			bio: account.bio,
+			publicRepos: account.public_repos,
+			followers: account.followers,
+			following: account.following,
+			totalStars: repos
+				.filter((repo) => !repo.fork)
+				.reduce((total, repo) => total + repo.stargazers_count, 0),
+			topLanguages: DeveloperProfileService.getTopLanguages(repos),
+			recentActivity,
+		};
+	}
+}
+
+module.exports = DeveloperProfileService;
@@ -0,0 +1,279 @@
+const {
+	EmbedBuilder,
+	ActionRowBuilder,
+	ButtonBuilder,
+	ButtonStyle,
+} = require("discord.js");
+
+const DEFAULT_OAUTH_URL = "https://github.com";
+const DEFAULT_API_URL = "https://api.github.com";
+const DEVICE_GRANT_TYPE = "urn:ietf:params:oauth:grant-type:device_code";
+// Interaction tokens expire after 15 minutes, the flow has to end before that
+const MAX_WAIT_MS = 14 * 60 * 1000;
+
+/**
+ * Build an error with a code the commands can react to
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function flowError(code, message) {
+	return Object.assign(new Error(message), { code });
+}
+
+/**
+ * GitHubAccountService links Discord users to their GitHub account through the OAuth device flow
+ * Only the username is stored, the access token is dropped once the identity is verified
+ */
+class GitHubAccountService {
+	/**
+	 * @param {import("../../onboarding/managers/UserStateManager")} userStateManager - Shared user state manager
+	 * @param {Object} options - Client ID, endpoints and overrides for testing
+	 */
+	constructor(userStateManager, options = {}) {
+		this.userStateManager = userStateManager;
+		this.clientId = options.clientId ?? process.env.GITHUB_CLIENT_ID ?? null;
+		this.oauthUrl =
+			options.oauthUrl ?? process.env.GITHUB_OAUTH_URL ?? DEFAULT_OAUTH_URL;
+		this.apiUrl =
+			options.apiUrl ?? process.env.GITHUB_API_URL ?? DEFAULT_API_URL;
+		this.fetch = options.fetch ?? globalThis.fetch;
+		this.sleep =
+			options.sleep ??
+			((ms) => new Promise((resolve) => setTimeout(resolve, ms)));
+		this.pendingLinks = new Set();
+	}
+
+	/**
+	 * Check if a GitHub OAuth app is configured
+	 * @returns {boolean}
+	 */
+	isConfigured() {
+		return Boolean(this.clientId);
+	}
+
+	/**
+	 * Check if a user is in the middle of linking their account
+	 * @param {string} userId - Discord user ID
+	 * @returns {boolean}
+	 */
+	isLinking(userId) {
+		return this.pendingLinks.has(userId);
+	}
+
+	/**
+	 * Send a form to the GitHub OAuth endpoints
+	 * @param {string} pathname - Endpoint path
+	 * @param {Object} body - Form fields
+	 * @returns {Promise<Object>}
+	 */
+	async postOAuth(pathname, body) {
+		const response = await this.fetch(`${this.oauthUrl}${pathname}`, {
+			method: "POST",
+			headers: {
+				Accept: "application/json",
+				"Content-Type": "application/json",
+			},
+			body: JSON.stringify({ client_id: this.clientId, ...body }),
+		});
+		if (!response.ok) {
+			throw flowError(
+				"github_error",
+				`GitHub OAuth responded ${response.status} to ${pathname}`,
+			);
+		}
+		return response.json();
+	}
+
+	/**
+	 * Ask GitHub for a device code the user has to enter
+	 * @returns {Promise<{deviceCode: string, userCode: string, verificationUri: string, expiresIn: number, interval: number}>}
+	 */
+	async requestDeviceCode() {
+		// No scope: the public profile is enough to verify the identity
+		const data = await this.postOAuth("/login/device/code", {});
+		if (data.error) {
+			throw flowError(data.error, data.error_description || data.error);
+		}
+
+		return {
+			deviceCode: data.device_code,
+			userCode: data.user_code,
+			verificationUri: data.verification_uri,
+			expiresIn: data.expires_in,
+			interval: data.interval,
+		};
+	}
+
+	/**
+	 * Poll GitHub until the user enters the code, denies access or the code expires
+	 * @param {Object} deviceCode - Result of requestDeviceCode
+	 * @returns {Promise<string>} Access token
+	 */
+	async waitForAccessToken({ deviceCode, expiresIn, interval }) {
+		const deadline = Date.now() + Math.min(expiresIn * 1000, MAX_WAIT_MS);
+		let intervalMs = (interval || 5) * 1000;
+
+		while (Date.now() < deadline) {
+			await this.sleep(intervalMs);
+
+			const data = await this.postOAuth("/login/oauth/access_token", {
+				device_code: deviceCode,
+				grant_type: DEVICE_GRANT_TYPE,
+			});
+
+			if (data.access_token) {
+				return data.access_token;
+			}
+			switch (data.error) {
+				case "authorization_pending":
+					break;
+				case "slow_down":
+					// GitHub asks to wait 5 more seconds between requests
+					intervalMs = (data.interval || intervalMs / 1000 + 5) * 1000;
+					break;
+				case "expired_token":
+				case "access_denied":
+					throw flowError(data.error, data.error_description || data.error);
+				default:
+					throw flowError(
+						"github_error",
+						data.error_description || data.error || "Unexpected response",
+					);
+			}
+		}
+
+		throw flowError("expired_token", "The device code expired");
+	}
+
+	/**
+	 * Get the GitHub account that owns an access token
+	 * @param {string} accessToken - OAuth access token
+	 * @returns {Promise<{id: number, login: string}>}
+	 */
+	async fetchAuthenticatedUser(accessToken) {
+		const response = await this.fetch(`${this.apiUrl}/user`, {
+			headers: {
+				Accept: "application/vnd.github+json",
+				Authorization: `Bearer ${accessToken}`,
+			},
+		});
+		if (!response.ok) {
+			throw flowError(
+				"github_error",
+				`GitHub API responded ${response.status} to /user`,
+			);
+		}
+
+		const { id, login } = await response.json();
+		return { id, login };
+	}
+
+	/**
+	 * Run the device flow for a user and store the verified username
+	 * @param {string} userId - Discord user ID
+	 * @param {string} guildId - Discord guild ID
+	 * @param {(deviceCode: Object) => Promise<void>} showCode - Shows the code to the user
+	 * @returns {Promise<import("../../onboarding/models/UserState")>}
+	 */
+	async link(userId, guildId, showCode) {
+		if (this.pendingLinks.has(userId)) {
+			throw flowError("already_linking", "A link is already in progress");
+		}
+
+		this.pendingLinks.add(userId);
+		try {
+			const deviceCode = await this.requestDeviceCode();
+			await showCode(deviceCode);
+
+			const accessToken = await this.waitForAccessToken(deviceCode);
+			const githubUser = await this.fetchAuthenticatedUser(accessToken);
+
+			// Members who never went through the onboarding get a state outside of it, so they are not reminded of the rules
+			const existing = await this.userStateManager.getUserState(
+				userId,
+				guildId,
+			);
+			return this.userStateManager.updateUserState(userId, guildId, {
+				...(existing ? {} : { onboardingStep: null }),
+				githubConnected: true,
+				githubUsername: githubUser.login,
+			});
+		} finally {
+			this.pendingLinks.delete(userId);
+		}
+	}
+
+	/**
+	 * Forget the GitHub account of a user
+	 * @param {string} userId - Discord user ID
+	 * @param {string} guildId - Discord guild ID
+	 * @returns {Promise<string|null>} Username that was unlinked
+	 */
+	async unlink(userId, guildId) {
+		const state = await this.userStateManager.getUserState(userId, guildId);
+		if (!state?.githubConnected) {
+			return null;
+		}
+
+		const username = state.githubUsername;
+		await this.userStateManager.updateUserState(userId, guildId, {
+			githubConnected: false,
+			githubUsername: null,
+		});
+		return username;
+	}
+
+	/**
+	 * Build the message that tells the user where to enter the code
+	 * @param {Object} deviceCode - Result of requestDeviceCode
+	 * @returns {Object} Message payload with embeds and components
+	 */
+	static buildCodePayload({ userCode, verificationUri, expiresIn }) {
+		const expiresAt = Math.floor(
+			(Date.now() + Math.min(expiresIn * 1000, MAX_WAIT_MS)) / 1000,
+		);
+
+		return {
+			embeds: [
+				new EmbedBuilder()
+					.setColor(0x24292e)
+					.setTitle("🔗 Conecta tu cuenta de GitHub")
+					.setDescription(
+						`1. Abre ${verificationUri}\n2. Introduce el código **\`${userCode}\`**\n3. Autoriza la aplicación y vuelve aquí.\n\nEl código caduca <t:${expiresAt}:R>.`,
+					)
+					.setFooter({
+						text: "Solo guardamos tu nombre de usuario, nunca tu token.",
+					}),
+			],
+			components: [
+				new ActionRowBuilder().addComponents(
+					new ButtonBuilder()
+						.setLabel("Abrir GitHub")
+						.setStyle(ButtonStyle.Link)
+						.setURL(verificationUri),
+				),
+			],
+		};
+	}
+
+	/**
+	 * Get the message shown to the user when linking fails
+	 * @param {Error} error - Error thrown by link
+	 * @returns {string}
+	 */
+	static describeError(error) {
+		switch (error.code) {
+			case "already_linking":
+				return "⏳ Ya tienes una conexión con GitHub en curso. Termínala antes de empezar otra.";
+			case "expired_token":
+				return "⌛ El código caducó antes de que autorizaras la aplicación. Vuelve a intentarlo.";
+			case "access_denied":
+				return "🚫 Cancelaste la autorización en GitHub. Tu cuenta no se conectó.";
+			default:
+				return "❌ No pude conectar con GitHub. Inténtalo de nuevo más tarde.";
+		}
+	}
+}
+
+module.exports = GitHubAccountService;
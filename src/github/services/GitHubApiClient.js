@@ -0,0 +1,190 @@
+const DEFAULT_API_URL = "https://api.github.com";
+const DEFAULT_CACHE_TTL_MS = 10 * 60 * 1000;
+const MAX_CACHE_ENTRIES = 500;
+
+/**
+ * Build an error with a code the commands can react to
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function apiError(code, message) {
+	return Object.assign(new Error(message), { code });
+}
+
+/**
+ * GitHubApiClient reads the public GitHub REST API and caches the responses
+ * Cached entries are revalidated with their ETag, which does not count against the rate limit
+ */
+class GitHubApiClient {
+	/**
+	 * @param {Object} options - Endpoint, token and overrides for testing
+	 */
+	constructor(options = {}) {
+		this.apiUrl =
+			options.apiUrl ?? process.env.GITHUB_API_URL ?? DEFAULT_API_URL;
+		this.token = options.token ?? process.env.GITHUB_TOKEN ?? null;
+		this.fetch = options.fetch ?? globalThis.fetch;
+		this.cacheTtlMs = options.cacheTtlMs ?? DEFAULT_CACHE_TTL_MS;
+		this.cache = new Map();
+	}
+
+	/**
+	 * Get a resource from the API, using the cache when possible
+	 * @param {string} pathname - Resource path with its query string
+	 * @returns {Promise<Object>}
+	 */
+	async request(pathname) {
+		const cached = this.cache.get(pathname);
+		if (cached && cached.expiresAt > Date.now()) {
+			return cached.data;
+		}
+
+		const headers = {
+			Accept: "application/vnd.github+json",
+			"User-Agent": "kernel-bot",
+		};
+		if (this.token) {
+			headers.Authorization = `Bearer ${this.token}`;
+		}
+		if (cached?.etag) {
+			headers["If-None-Match"] = cached.etag;
+		}
+
+		let response;
+		try {
+			response = await this.fetch(`${this.apiUrl}${pathname}`, { headers });
+		} catch (error) {
+			// A stale answer is better than none when GitHub is unreachable
+			if (cached) {
+				return cached.data;
+			}
+			throw apiError(
+				"github_error",
+				`Could not reach GitHub: ${error.message}`,
+			);
+		}
+
+		if (response.status === 304 && cached) {
+			cached.expiresAt = Date.now() + this.cacheTtlMs;
+			return cached.data;
+		}
+		if (response.status === 404) {
+			throw apiError("not_found", `GitHub could not find ${pathname}`);
+		}
+		if (!response.ok) {
+			if (cached) {
+				return cached.data;
+			}
+			throw apiError(
+				response.status === 403 || response.status === 429
+					? "rate_limited"
+					: "github_error",
+				`GitHub API responded ${response.status} to ${pathname}`,
+			);
+		}
+
+		const data = await response.json();
+		this.remember(pathname, data, response.headers?.get("etag") ?? null);
+		return data;
+	}
+
+	/**
+	 * Store a response in the cache, evicting the oldest entry when it is full
+	 * @param {string} pathname - Resource path
+	 * @param {Object} data - Response body
+	 * @param {string|null} etag - Response ETag
+	 */
+	remember(pathname, data, etag) {
+		this.cache.delete(pathname);
+		if (this.cache.size >= MAX_CACHE_ENTRIES) {
+			this.cache.delete(this.cache.keys().next().value);
+		}
+		this.cache.set(pathname, {
+			data,
+			etag,
+			expiresAt: Date.now() + this.cacheTtlMs,
+		});
+	}
+
+	/**
+	 * Get a user's public profile
+	 * @param {string} username - GitHub username
+	 * @returns {Promise<Object>}
+	 */
+	async getUser(username) {
+		return this.request(`/users/${encodeURIComponent(username)}`);
+	}
+
+	/**
+	 * Get a public repository
+	 * @param {string} owner - Repository owner
+	 * @param {string} repo - Repository name
+	 * @returns {Promise<Object>}
+	 */
+	async getRepo(owner, repo) {
+		return this.request(
+			`/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`,
+		);
+	}
+
+	/**
+	 * Get the latest releases of a repository, newest first
+	 * @param {string} owner - Repository owner
+	 * @param {string} repo - Repository name
+	 * @returns {Promise<Object[]>}
+	 */
+	async getRepoReleases(owner, repo) {
+		return this.request(
+			`/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}/releases?per_page=10`,
+		);
+	}
+
+	/**
+	 * Get the tags of a repository
+	 * @param {string} owner - Repository owner
+	 * @param {string} repo - Repository name
+	 * @returns {Promise<Object[]>}
+	 */
+	async getRepoTags(owner, repo) {
+		return this.request(
+			`/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}/tags?per_page=30`,
+		);
+	}
+
+	/**
+	 * Get the most recently updated closed pull requests of a repository
+	 * @param {string} owner - Repository owner
+	 * @param {string} repo - Repository name
+	 * @returns {Promise<Object[]>}
+	 */
+	async getClosedPulls(owner, repo) {
+		return this.request(
+			`/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}/pulls?state=closed&sort=updated&direction=desc&per_page=30`,
+		);
+	}
+
+	/**
+	 * Get a user's public repositories, most recently pushed first
+	 * @param {string} username - GitHub username
+	 * @returns {Promise<Object[]>}
+	 */
+	async getUserRepos(username) {
+		return this.request(
+			`/users/${encodeURIComponent(username)}/repos?per_page=100&sort=pushed`,
+		);
+	}
+
+	/**
+	 * Get a user's recent public events
+	 * @param {string} username - GitHub username
+	 * @returns {Promise<Object[]>}
+	 */
+	async getUserEvents(username) {
+		return this.request(
+			`/users/${encodeURIComponent(username)}/events/public?per_page=30`,
+		);
+	}
+}
+
+module.exports = GitHubApiClient;
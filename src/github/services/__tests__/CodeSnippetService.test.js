@@ -0,0 +1,226 @@
+const { test, describe, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const CodeSnippetService = require("../CodeSnippetService");
+
+describe("CodeSnippetService", () => {
+	let service;
+	let requests;
+	let files;
+
+	const permalink = (overrides = {}) => ({
+		owner: "octo",
+		repo: "bot",
+		ref: "main",
+		path: "src/index.js",
+		start: 2,
+		end: 3,
+		...overrides,
+	});
+
+	beforeEach(() => {
+		requests = [];
+		files = {
+			"https://raw.test/octo/bot/main/src/index.js":
+				"const a = 1;\n\tif (a) {\n\t\treturn a;\n\t}\n",
+		};
+		service = new CodeSnippetService({
+			rawUrl: "https://raw.test",
+			fetch: async (url, options) => {
+				requests.push({ url, signal: options.signal });
+				return files[url] !== undefined
+					? new Response(files[url])
+					: new Response("404: Not Found", { status: 404 });
+			},
+		});
+	});
+
+	describe("parsePermalinks", () => {
+		test("should parse single lines and ranges", () => {
+			const links = CodeSnippetService.parsePermalinks(
+				"Mira https://github.com/octo/bot/blob/main/src/index.js#L2-L3 y https://github.com/octo/bot/blob/abc123/README.md#L7",
+			);
+
+			assert.deepStrictEqual(links, [
+				permalink(),
+				permalink({ ref: "abc123", path: "README.md", start: 7, end: 7 }),
+			]);
+		});
+
+		test("should accept column anchors and reversed ranges", () => {
+			const [link] = CodeSnippetService.parsePermalinks(
+				"https://github.com/octo/bot/blob/main/src/index.js#L9C3-L4C10",
+			);
+
+			assert.strictEqual(link.start, 4);
+			assert.strictEqual(link.end, 9);
+		});
+
+		test("should ignore links without line anchors or with suppressed previews", () => {
+			assert.deepStrictEqual(
+				CodeSnippetService.parsePermalinks(
+					"https://github.com/octo/bot/blob/main/src/index.js <https://github.com/octo/bot/blob/main/src/index.js#L2>",
+				),
+				[],
+			);
+		});
+
+		test("should skip repeated links", () => {
+			const link = "https://github.com/octo/bot/blob/main/src/index.js#L2-L3";
+
+			assert.strictEqual(
+				CodeSnippetService.parsePermalinks(`${link} ${link}`).length,
+				1,
+			);
+		});
+	});
+
+	describe("getLanguage", () => {
+		test("should map file extensions to code block languages", () => {
+			assert.strictEqual(CodeSnippetService.getLanguage("src/app.py"), "py");
+			assert.strictEqual(CodeSnippetService.getLanguage("lib/util.mjs"), "js");
+			assert.strictEqual(CodeSnippetService.getLanguage("Dockerfile"), "");
+		});
+	});
+
+	describe("readLimitedText", () => {
+		test("should give up when the declared size is too large", async () => {
+			const response = new Response("hola", {
+				headers: { "content-length": "5000" },
+			});
+
+			assert.strictEqual(
+				await CodeSnippetService.readLimitedText(response, 100),
+				null,
+			);
+		});
+
+		test("should stop reading bodies that grow past the limit", async () => {
+			const stream = new ReadableStream({
+				pull(controller) {
+					controller.enqueue(new TextEncoder().encode("x".repeat(64)));
+				},
+			});
+
+			assert.strictEqual(
+				await CodeSnippetService.readLimitedText(new Response(stream), 1000),
+				null,
+			);
+		});
+
+		test("should return small bodies", async () => {
+			assert.strictEqual(
+				await CodeSnippetService.readLimitedText(new Response("añá"), 100),
+				"añá",
+			);
+		});
+	});
+
+	describe("formatSnippet", () => {
+		test("should label the block and remove shared indentation", () => {
+			const snippet = CodeSnippetService.formatSnippet(
+				permalink(),
+				["const a = 1;", "\tif (a) {", "\t\treturn a;", "\t}"],
+				1900,
+			);
+
+			assert.strictEqual(
+				snippet,
+				"**octo/bot** · `src/index.js` · líneas 2-3\n```js\nif (a) {\n\treturn a;\n```",
+			);
+		});
+
+		test("should truncate long snippets", () => {
+			const fileLines = Array.from({ length: 100 }, (_, i) => `linea ${i + 1}`);
+
+			const snippet = CodeSnippetService.formatSnippet(
+				permalink({ start: 1, end: 100 }),
+				fileLines,
+				1900,
+			);
+
+			assert.ok(snippet.includes("linea 40\n```"));
+			assert.ok(!snippet.includes("linea 41"));
+			assert.ok(snippet.endsWith("*… 60 línea(s) más*"));
+		});
+
+		test("should keep within the character budget", () => {
+			const fileLines = Array.from({ length: 30 }, () => "x".repeat(80));
+
+			const snippet = CodeSnippetService.formatSnippet(
+				permalink({ start: 1, end: 30 }),
+				fileLines,
+				600,
+			);
+
+			assert.ok(snippet.length <= 600);
+		});
+
+		test("should return null for lines past the end of the file", () => {
+			assert.strictEqual(
+				CodeSnippetService.formatSnippet(permalink({ start: 10 }), ["a"], 1900),
+				null,
+			);
+		});
+	});
+
+	describe("buildReply", () => {
+		test("should fetch the file and add a dismiss button for the author", async () => {
+			const reply = await service.buildReply(
+				"https://github.com/octo/bot/blob/main/src/index.js#L2-L3",
+				"user1",
+			);
+
+			assert.deepStrictEqual(
+				requests.map((request) => request.url),
+				["https://raw.test/octo/bot/main/src/index.js"],
+			);
+			assert.ok(requests[0].signal instanceof AbortSignal);
+			assert.ok(reply.content.includes("return a;"));
+			assert.strictEqual(
+				reply.components[0].components[0].data.custom_id,
+				"snippet:dismiss:user1",
+			);
+		});
+
+		test("should not download files above the size limit", async () => {
+			files["https://raw.test/octo/bot/main/big.js"] = "x\n".repeat(600_000);
+
+			assert.strictEqual(
+				await service.buildReply(
+					"https://github.com/octo/bot/blob/main/big.js#L1",
+					"user1",
+				),
+				null,
+			);
+		});
+
+		test("should keep three long snippets within one message", async () => {
+			const code = Array.from({ length: 40 }, () => "y".repeat(120)).join("\n");
+			for (const name of ["a", "b", "c"]) {
+				files[`https://raw.test/octo/bot/main/${name}.js`] = code;
+			}
+
+			const reply = await service.buildReply(
+				["a", "b", "c"]
+					.map(
+						(name) => `https://github.com/octo/bot/blob/main/${name}.js#L1-L40`,
+					)
+					.join(" "),
+				"user1",
+			);
+
+			assert.strictEqual(reply.content.split("**octo/bot**").length, 4);
+			assert.ok(reply.content.length <= 2000);
+		});
+
+		test("should not reply when the file is not available", async () => {
+			assert.strictEqual(
+				await service.buildReply(
+					"https://github.com/octo/private/blob/main/a.js#L1",
+					"user1",
+				),
+				null,
+			);
+		});
+	});
+});
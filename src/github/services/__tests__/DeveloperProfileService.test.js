@@ -0,0 +1,97 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert");
+const DeveloperProfileService = require("../DeveloperProfileService");
+
+describe("DeveloperProfileService", () => {
+	const repo = (language, stars = 0, fork = false) => ({
+		language,
+		stargazers_count: stars,
+		fork,
+	});
+	const event = (type, payload = {}) => ({
+		type,
+		payload,
+		repo: { name: "octocat/hello" },
+		created_at: "2026-01-01T00:00:00Z",
+	});
+
+	describe("getTopLanguages", () => {
+		test("should rank languages of the user's own repositories", () => {
+			const languages = DeveloperProfileService.getTopLanguages([
+				repo("JavaScript"),
+				repo("Go"),
+				repo("JavaScript"),
+				repo("Rust", 0, true),
+				repo(null),
+			]);
+
+			assert.deepStrictEqual(languages, [
+				{ language: "JavaScript", count: 2 },
+				{ language: "Go", count: 1 },
+			]);
+		});
+	});
+
+	describe("describeEvent", () => {
+		test("should describe common events", () => {
+			assert.ok(
+				DeveloperProfileService.describeEvent(
+					event("PushEvent", { size: 3 }),
+				).includes("3 commit(s)"),
+			);
+			assert.ok(
+				DeveloperProfileService.describeEvent(
+					event("PullRequestEvent", {
+						action: "closed",
+						pull_request: { merged: true },
+					}),
+				).includes("Fusionó"),
+			);
+		});
+
+		test("should skip events that are not worth showing", () => {
+			assert.strictEqual(
+				DeveloperProfileService.describeEvent(
+					event("CreateEvent", { ref_type: "branch" }),
+				),
+				null,
+			);
+			assert.strictEqual(
+				DeveloperProfileService.describeEvent(event("MemberEvent")),
+				null,
+			);
+		});
+	});
+
+	describe("getGitHubSummary", () => {
+		test("should combine account, repositories and activity", async () => {
+			const service = new DeveloperProfileService({
+				getUser: async () => ({
+					login: "octocat",
+					name: "The Octocat",
+					public_repos: 8,
+					followers: 20,
+					html_url: "https://github.com/octocat",
+				}),
+				getUserRepos: async () => [
+					repo("JavaScript", 5),
+					repo("Go", 2),
+					repo("Go", 100, true),
+				],
+				getUserEvents: async () => [
+					event("MemberEvent"),
+					...Array.from({ length: 6 }, () => event("WatchEvent")),
+				],
+			});
+
+			const summary = await service.getGitHubSummary("octocat");
+
+			assert.strictEqual(summary.login, "octocat");
+			assert.strictEqual(summary.publicRepos, 8);
+			assert.strictEqual(summary.followers, 20);
+			assert.strictEqual(summary.totalStars, 7);
+			assert.strictEqual(summary.recentActivity.length, 5);
+			assert.strictEqual(summary.topLanguages.length, 2);
+		});
+	});
+});
@@ -0,0 +1,208 @@
+const { test, describe, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs").promises;
+const path = require("path");
+const GitHubAccountService = require("../GitHubAccountService");
+const UserStateManager = require("../../../onboarding/managers/UserStateManager");
+
+describe("GitHubAccountService", () => {
+	let service;
+	let manager;
+	let tempDir;
+	let requests;
+	let tokenResponses;
+	let sleeps;
+	let shownCodes;
+	const showCode = async (code) => shownCodes.push(code);
+	const testUserId = "user123";
+	const testGuildId = "guild456";
+
+	// Answers like GitHub does, each token poll takes the next queued response
+	const fakeFetch = async (url, options = {}) => {
+		requests.push({ url, options });
+		const json = (body, status = 200) => ({
+			ok: status < 400,
+			status,
+			json: async () => body,
+		});
+
+		if (url === "http://github.test/login/device/code") {
+			return json({
+				device_code: "device-1",
+				user_code: "ABCD-1234",
+				verification_uri: "http://github.test/login/device",
+				expires_in: 900,
+				interval: 5,
+			});
+		}
+		if (url === "http://github.test/login/oauth/access_token") {
+			return json(tokenResponses.shift());
+		}
+		if (url === "http://api.github.test/user") {
+			return options.headers.Authorization === "Bearer token-1"
+				? json({ id: 1, login: "octocat" })
+				: json({ message: "Bad credentials" }, 401);
+		}
+		return json({ message: "Not Found" }, 404);
+	};
+
+	beforeEach(async () => {
+		tempDir = path.join(__dirname, "temp-github-account-data");
+		await fs.mkdir(tempDir, { recursive: true });
+
+		manager = new UserStateManager();
+		manager.dataDir = tempDir;
+		manager.userStatesFile = path.join(tempDir, "userStates.json");
+		requests = [];
+		tokenResponses = [];
+		sleeps = [];
+		shownCodes = [];
+		service = new GitHubAccountService(manager, {
+			clientId: "client-1",
+			oauthUrl: "http://github.test",
+			apiUrl: "http://api.github.test",
+			fetch: fakeFetch,
+			sleep: async (ms) => sleeps.push(ms),
+		});
+	});
+
+	afterEach(async () => {
+		try {
+			await fs.rm(tempDir, { recursive: true, force: true });
+		} catch (_error) {
+			// Ignore cleanup errors
+		}
+	});
+
+	describe("isConfigured", () => {
+		test("should need a client ID", () => {
+			assert.strictEqual(service.isConfigured(), true);
+			assert.strictEqual(
+				new GitHubAccountService(manager, { clientId: "" }).isConfigured(),
+				false,
+			);
+		});
+	});
+
+	describe("link", () => {
+		test("should store the username once the user authorizes the app", async () => {
+			tokenResponses.push(
+				{ error: "authorization_pending" },
+				{ error: "slow_down", interval: 10 },
+				{ access_token: "token-1", token_type: "bearer" },
+			);
+			let shownCode;
+
+			const state = await service.link(
+				testUserId,
+				testGuildId,
+				async (code) => {
+					shownCode = code;
+				},
+			);
+
+			assert.strictEqual(shownCode.userCode, "ABCD-1234");
+			assert.strictEqual(state.githubConnected, true);
+			assert.strictEqual(state.githubUsername, "octocat");
+			assert.strictEqual(
+				JSON.parse(requests[0].options.body).client_id,
+				"client-1",
+			);
+			assert.strictEqual(service.isLinking(testUserId), false);
+		});
+
+		test("should not put members outside the onboarding in the reminders", async () => {
+			tokenResponses.push({ access_token: "token-1", token_type: "bearer" });
+
+			const state = await service.link(testUserId, testGuildId, showCode);
+
+			assert.strictEqual(state.onboardingStep, null);
+			assert.strictEqual(
+				state.needsReminder(3, 24, new Date(Date.now() + 48 * 60 * 60 * 1000)),
+				false,
+			);
+			assert.deepStrictEqual(
+				await manager.getUsersNeedingReminders(testGuildId, 3, 0),
+				[],
+			);
+		});
+
+		test("should keep the onboarding progress of members who link", async () => {
+			await manager.setOnboardingStep(testUserId, testGuildId, "rules");
+			tokenResponses.push({ access_token: "token-1", token_type: "bearer" });
+
+			const state = await service.link(testUserId, testGuildId, showCode);
+
+			assert.strictEqual(state.onboardingStep, "rules");
+			assert.strictEqual(state.githubUsername, "octocat");
+		});
+
+		test("should fail when the user denies access", async () => {
+			tokenResponses.push({ error: "access_denied" });
+
+			await assert.rejects(
+				service.link(testUserId, testGuildId, showCode),
+				(error) => error.code === "access_denied",
+			);
+			assert.strictEqual(
+				await manager.getUserState(testUserId, testGuildId),
+				null,
+			);
+		});
+
+		test("should fail when the code expires", async () => {
+			tokenResponses.push({ error: "expired_token" });
+
+			await assert.rejects(
+				service.link(testUserId, testGuildId, showCode),
+				(error) => error.code === "expired_token",
+			);
+		});
+
+		test("should reject a second link while one is in progress", async () => {
+			tokenResponses.push({ access_token: "token-1" });
+			let second;
+
+			await service.link(testUserId, testGuildId, async () => {
+				second = service.link(testUserId, testGuildId, showCode);
+				await assert.rejects(
+					second,
+					(error) => error.code === "already_linking",
+				);
+			});
+		});
+	});
+
+	describe("unlink", () => {
+		test("should forget the linked account", async () => {
+			await manager.updateUserState(testUserId, testGuildId, {
+				githubConnected: true,
+				githubUsername: "octocat",
+			});
+
+			assert.strictEqual(
+				await service.unlink(testUserId, testGuildId),
+				"octocat",
+			);
+			assert.strictEqual(await service.unlink(testUserId, testGuildId), null);
+
+			const state = await manager.getUserState(testUserId, testGuildId);
+			assert.strictEqual(state.githubUsername, null);
+		});
+	});
+
+	describe("describeError", () => {
+		test("should explain every known error in Spanish", () => {
+			for (const code of [
+				"already_linking",
+				"expired_token",
+				"access_denied",
+			]) {
+				assert.notStrictEqual(
+					GitHubAccountService.describeError({ code }),
+					GitHubAccountService.describeError({ code: "github_error" }),
+				);
+			}
+		});
+	});
+});
@@ -0,0 +1,96 @@
+const { test, describe, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const GitHubApiClient = require("../GitHubApiClient");
+
+describe("GitHubApiClient", () => {
+	let client;
+	let requests;
+	let responses;
+
+	const response = (status, body = null, etag = null) => ({
+		ok: status >= 200 && status < 300,
+		status,
+		headers: { get: (name) => (name === "etag" ? etag : null) },
+		json: async () => body,
+	});
+
+	beforeEach(() => {
+		requests = [];
+		responses = [];
+		client = new GitHubApiClient({
+			apiUrl: "http://api.github.test",
+			token: "token-1",
+			fetch: async (url, options) => {
+				requests.push({ url, headers: options.headers });
+				const next = responses.shift();
+				if (next instanceof Error) {
+					throw next;
+				}
+				return next;
+			},
+		});
+	});
+
+	describe("request", () => {
+		test("should authenticate and cache responses", async () => {
+			responses.push(response(200, { login: "octocat" }));
+
+			const first = await client.getUser("octocat");
+			const second = await client.getUser("octocat");
+
+			assert.deepStrictEqual(first, { login: "octocat" });
+			assert.strictEqual(second, first);
+			assert.strictEqual(requests.length, 1);
+			assert.strictEqual(
+				requests[0].url,
+				"http://api.github.test/users/octocat",
+			);
+			assert.strictEqual(requests[0].headers.Authorization, "Bearer token-1");
+		});
+
+		test("should revalidate expired entries with their ETag", async () => {
+			client.cacheTtlMs = 0;
+			responses.push(
+				response(200, { login: "octocat" }, '"v1"'),
+				response(304),
+			);
+
+			await client.getUser("octocat");
+			const revalidated = await client.getUser("octocat");
+
+			assert.deepStrictEqual(revalidated, { login: "octocat" });
+			assert.strictEqual(requests[1].headers["If-None-Match"], '"v1"');
+		});
+
+		test("should serve stale data when GitHub fails", async () => {
+			client.cacheTtlMs = 0;
+			responses.push(
+				response(200, { login: "octocat" }),
+				response(403),
+				new Error("ECONNRESET"),
+			);
+
+			await client.getUser("octocat");
+
+			assert.deepStrictEqual(await client.getUser("octocat"), {
+				login: "octocat",
+			});
+			assert.deepStrictEqual(await client.getUser("octocat"), {
+				login: "octocat",
+			});
+		});
+
+		test("should report missing resources and rate limits", async () => {
+			responses.push(response(404), response(403));
+
+			await assert.rejects(
+				client.getUser("ghost"),
+				(error) => error.code === "not_found",
+			);
+			await assert.rejects(
+				client.getUser("octocat"),
+				(error) => error.code === "rate_limited",
+			);
+		});
+	});
+});
@@ -14,6 +14,11 @@ module.exports = async (client) => {
 		if ("data" in command && "execute" in command) {
 			client.commands.set(command.data.name, command);
 			commands.push(command.data.toJSON());
+
+			// Los comandos pueden registrar manejadores de tareas programadas
+			for (const [jobName, handler] of Object.entries(command.jobs || {})) {
+				client.scheduler.registerHandler(jobName, handler);
+			}
 		} else {
 			console.log(
 				`[ADVERTENCIA] Al comando en ${file} le falta una propiedad "data" o "execute".`,
@@ -0,0 +1,21 @@
+const path = require("path");
+const { glob } = require("glob");
+
+module.exports = async (client) => {
+	const componentsPath = path.join(__dirname, "..", "components");
+	const componentFiles = await glob(`${componentsPath}/**/*.js`);
+
+	for (const file of componentFiles) {
+		const absolutePath = path.resolve(file);
+		const component = require(absolutePath);
+
+		if ("customId" in component && "execute" in component) {
+			client.components.set(component.customId, component);
+		} else {
+			console.log(
+				`[ADVERTENCIA] Al componente en ${file} le falta una propiedad "customId" o "execute".`,
+			);
+		}
+	}
+	console.log("✅ | Manejador de componentes cargado.");
+};
@@ -1,18 +1,109 @@
 require("dotenv").config();
 
-const { Client, GatewayIntentBits, Collection } = require("discord.js");
+const {
+	Client,
+	GatewayIntentBits,
+	Collection,
+	Partials,
+} = require("discord.js");
 const fs = require("fs");
 const path = require("path");
+const UserStateManager = require("./onboarding/managers/UserStateManager");
+const OnboardingConfigManager = require("./onboarding/managers/OnboardingConfigManager");
+const OnboardingService = require("./onboarding/services/OnboardingService");
+const GitHubAccountService = require("./github/services/GitHubAccountService");
+const GitHubApiClient = require("./github/services/GitHubApiClient");
+const DeveloperProfileService = require("./github/services/DeveloperProfileService");
+const CodeSnippetService = require("./github/services/CodeSnippetService");
+const WarningManager = require("./moderation/managers/WarningManager");
+const ModerationConfigManager = require("./moderation/managers/ModerationConfigManager");
+const CaseManager = require("./moderation/managers/CaseManager");
+const ModLogService = require("./moderation/services/ModLogService");
+const EscalationService = require("./moderation/services/EscalationService");
+const TempBanService = require("./moderation/services/TempBanService");
+const AutoModService = require("./moderation/services/AutoModService");
+const SecretScanService = require("./moderation/services/SecretScanService");
+const CategoryManager = require("./repos/managers/CategoryManager");
+const RepositoryManager = require("./repos/managers/RepositoryManager");
+const RepoConfigManager = require("./repos/managers/RepoConfigManager");
+const RepoWatchManager = require("./repos/managers/RepoWatchManager");
+const RepositoryService = require("./repos/services/RepositoryService");
+const RepositoryReviewService = require("./repos/services/RepositoryReviewService");
+const RepoWatchService = require("./repos/services/RepoWatchService");
+const AutoResponderManager = require("./autoresponder/managers/AutoResponderManager");
+const AutoResponderService = require("./autoresponder/services/AutoResponderService");
+const PollManager = require("./polls/managers/PollManager");
+const PollService = require("./polls/services/PollService");
+const JobManager = require("./scheduler/managers/JobManager");
+const JobScheduler = require("./scheduler/services/JobScheduler");
 
 const client = new Client({
 	intents: [
 		GatewayIntentBits.Guilds,
+		GatewayIntentBits.GuildMembers,
 		GatewayIntentBits.GuildMessages,
 		GatewayIntentBits.MessageContent,
 	],
+	// También se revisan las ediciones de mensajes enviados antes de que arrancara el bot
+	partials: [Partials.Message],
 });
 
 client.commands = new Collection();
+client.components = new Collection();
+client.scheduler = new JobScheduler(new JobManager());
+client.userStateManager = new UserStateManager();
+client.onboardingConfigManager = new OnboardingConfigManager();
+client.githubAccounts = new GitHubAccountService(client.userStateManager);
+client.githubApi = new GitHubApiClient();
+client.developerProfiles = new DeveloperProfileService(client.githubApi);
+client.codeSnippets = new CodeSnippetService();
+client.categoryManager = new CategoryManager();
+client.repositoryManager = new RepositoryManager();
+client.repoConfigManager = new RepoConfigManager();
+client.repositories = new RepositoryService(
+	client.repositoryManager,
+	client.githubApi,
+);
+client.repositoryReviews = new RepositoryReviewService(
+	client.repositoryManager,
+	client.repoConfigManager,
+);
+client.repoWatchManager = new RepoWatchManager();
+client.repoWatches = new RepoWatchService(
+	client.repoWatchManager,
+	client.repositoryManager,
+	client.githubApi,
+	client.scheduler,
+);
+client.onboarding = new OnboardingService(
+	client.userStateManager,
+	client.onboardingConfigManager,
+	client.githubAccounts,
+);
+client.warningManager = new WarningManager();
+client.moderationConfigManager = new ModerationConfigManager();
+client.caseManager = new CaseManager();
+client.modLog = new ModLogService(
+	client.caseManager,
+	client.moderationConfigManager,
+);
+client.escalation = new EscalationService(
+	client.warningManager,
+	client.moderationConfigManager,
+	client.modLog,
+);
+client.tempBans = new TempBanService(client.scheduler, client.modLog);
+client.secretScanner = new SecretScanService(client.modLog);
+client.autoMod = new AutoModService(
+	client.moderationConfigManager,
+	client.warningManager,
+	client.modLog,
+	client.escalation,
+);
+client.autoResponderManager = new AutoResponderManager();
+client.autoResponder = new AutoResponderService(client.autoResponderManager);
+client.pollManager = new PollManager();
+client.polls = new PollService(client.pollManager, client.scheduler);
 
 const handlersPath = path.join(__dirname, "handlers");
 const handlerFiles = fs
@@ -0,0 +1,176 @@
+const fs = require("fs").promises;
+const path = require("path");
+const ModerationCase = require("../models/ModerationCase");
+
+/**
+ * CaseManager handles persistence and retrieval of moderation cases
+ */
+class CaseManager {
+	constructor() {
+		this.dataDir = path.join(__dirname, "../../data/moderation");
+		this.casesFile = path.join(this.dataDir, "cases.json");
+		this.cases = new Map();
+		this.initialized = false;
+	}
+
+	/**
+	 * Initialize the manager by loading existing data
+	 */
+	async initialize() {
+		if (this.initialized) {
+			return;
+		}
+
+		try {
+			// Ensure data directory exists
+			await fs.mkdir(this.dataDir, { recursive: true });
+
+			// Load existing cases
+			await this.loadCases();
+			this.initialized = true;
+		} catch (error) {
+			console.error("Error initializing CaseManager:", error);
+			throw error;
+		}
+	}
+
+	/**
+	 * Load cases from JSON file
+	 */
+	async loadCases() {
+		try {
+			const data = await fs.readFile(this.casesFile, "utf8");
+			const casesData = JSON.parse(data);
+
+			this.cases.clear();
+			for (const [guildId, list] of Object.entries(casesData)) {
+				this.cases.set(
+					guildId,
+					list.map((caseData) => ModerationCase.fromJSON(caseData)),
+				);
+			}
+		} catch (error) {
+			if (error.code === "ENOENT") {
+				// File doesn't exist yet, start with no cases
+				this.cases.clear();
+			} else {
+				console.error("Error loading moderation cases:", error);
+				throw error;
+			}
+		}
+	}
+
+	/**
+	 * Save cases to JSON file
+	 */
+	async saveCases() {
+		try {
+			const casesData = {};
+			for (const [guildId, list] of this.cases.entries()) {
+				casesData[guildId] = list.map((modCase) => modCase.toJSON());
+			}
+
+			await fs.writeFile(this.casesFile, JSON.stringify(casesData, null, 2));
+		} catch (error) {
+			console.error("Error saving moderation cases:", error);
+			throw error;
+		}
+	}
+
+	/**
+	 * Record a new case with the next sequential number of the guild
+	 * @param {string} guildId - Discord guild ID
+	 * @param {string} action - Moderation action
+	 * @param {string} moderatorId - Discord user ID of the moderator
+	 * @param {Object} details - Optional targetId, targetTag, channelId, reason, duration and details
+	 * @returns {ModerationCase}
+	 */
+	async createCase(guildId, action, moderatorId, details = {}) {
+		await this.initialize();
+
+		if (!this.cases.has(guildId)) {
+			this.cases.set(guildId, []);
+		}
+		const list = this.cases.get(guildId);
+
+		// Cases are never deleted, so the next number is always the list length + 1
+		const modCase = new ModerationCase(
+			list.length + 1,
+			guildId,
+			action,
+			moderatorId,
+		);
+		Object.assign(modCase, details);
+		list.push(modCase);
+
+		await this.saveCases();
+		return modCase;
+	}
+
+	/**
+	 * Get a case by its number
+	 * @param {string} guildId - Discord guild ID
+	 * @param {number} id - Case number
+	 * @returns {ModerationCase|null}
+	 */
+	async getCase(guildId, id) {
+		await this.initialize();
+
+		const list = this.cases.get(guildId) || [];
+		return list.find((modCase) => modCase.id === id) || null;
+	}
+
+	/**
+	 * Get every case that targets a user, oldest first
+	 * @param {string} guildId - Discord guild ID
+	 * @param {string} userId - Discord user ID
+	 * @returns {ModerationCase[]}
+	 */
+	async getUserCases(guildId, userId) {
+		await this.initialize();
+
+		const list = this.cases.get(guildId) || [];
+		return list.filter((modCase) => modCase.targetId === userId);
+	}
+
+	/**
+	 * Edit the reason of a case
+	 * @param {string} guildId - Discord guild ID
+	 * @param {number} id - Case number
+	 * @param {string} reason - New reason
+	 * @param {string} editorId - Discord user ID of the moderator editing it
+	 * @returns {ModerationCase|null}
+	 */
+	async updateReason(guildId, id, reason, editorId) {
+		const modCase = await this.getCase(guildId, id);
+		if (!modCase) {
+			return null;
+		}
+
+		modCase.editReason(reason, editorId);
+		await this.saveCases();
+		return modCase;
+	}
+
+	/**
+	 * Remember the mod-log message that announced a case
+	 * @param {string} guildId - Discord guild ID
+	 * @param {number} id - Case number
+	 * @param {string} channelId - Mod-log channel ID
+	 * @param {string} messageId - Mod-log message ID
+	 * @returns {ModerationCase|null}
+	 */
+	async setLogMessage(guildId, id, channelId, messageId) {
+		const modCase = await this.getCase(guildId, id);
+		if (!modCase) {
+			return null;
+		}
+
+		modCase.logChannelId = channelId;
+		modCase.logMessageId = messageId;
+		await this.saveCases();
+		return modCase;
+	}
+}
+
+module.exports = CaseManager;
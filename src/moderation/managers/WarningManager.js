@@ -0,0 +1,214 @@
+const fs = require("fs").promises;
+const path = require("path");
+const Warning = require("../models/Warning");
+
+/**
+ * WarningManager handles persistence and retrieval of member warnings
+ */
+class WarningManager {
+	constructor() {
+		this.dataDir = path.join(__dirname, "../../data/moderation");
+		this.warningsFile = path.join(this.dataDir, "warnings.json");
+		this.warnings = new Map();
+		this.nextIds = new Map();
+		this.initialized = false;
+	}
+
+	/**
+	 * Initialize the manager by loading existing data
+	 */
+	async initialize() {
+		if (this.initialized) {
+			return;
+		}
+
+		try {
+			// Ensure data directory exists
+			await fs.mkdir(this.dataDir, { recursive: true });
+
+			// Load existing warnings
+			await this.loadWarnings();
+			this.initialized = true;
+		} catch (error) {
+			console.error("Error initializing WarningManager:", error);
+			throw error;
+		}
+	}
+
+	/**
+	 * Load warnings from JSON file
+	 */
+	async loadWarnings() {
+		try {
+			const data = await fs.readFile(this.warningsFile, "utf8");
+			const { nextIds = {}, warnings = {} } = JSON.parse(data);
+
+			this.warnings.clear();
+			this.nextIds.clear();
+			for (const [key, list] of Object.entries(warnings)) {
+				this.warnings.set(
+					key,
+					list.map((warningData) => Warning.fromJSON(warningData)),
+				);
+			}
+			for (const [guildId, nextId] of Object.entries(nextIds)) {
+				this.nextIds.set(guildId, nextId);
+			}
+		} catch (error) {
+			if (error.code === "ENOENT") {
+				// File doesn't exist yet, start with no warnings
+				this.warnings.clear();
+				this.nextIds.clear();
+			} else {
+				console.error("Error loading warnings:", error);
+				throw error;
+			}
+		}
+	}
+
+	/**
+	 * Save warnings to JSON file
+	 */
+	async saveWarnings() {
+		try {
+			const warnings = {};
+			for (const [key, list] of this.warnings.entries()) {
+				warnings[key] = list.map((warning) => warning.toJSON());
+			}
+
+			await fs.writeFile(
+				this.warningsFile,
+				JSON.stringify(
+					{ nextIds: Object.fromEntries(this.nextIds), warnings },
+					null,
+					2,
+				),
+			);
+		} catch (error) {
+			console.error("Error saving warnings:", error);
+			throw error;
+		}
+	}
+
+	/**
+	 * Generate key for warning storage
+	 * @param {string} userId - Discord user ID
+	 * @param {string} guildId - Discord guild ID
+	 * @returns {string}
+	 */
+	getUserKey(userId, guildId) {
+		return `${guildId}-${userId}`;
+	}
+
+	/**
+	 * Record a new warning for a user
+	 * @param {string} userId - Discord user ID of the warned member
+	 * @param {string} guildId - Discord guild ID
+	 * @param {string} moderatorId - Discord user ID of the moderator
+	 * @param {string} reason - Reason for the warning
+	 * @returns {Warning}
+	 */
+	async addWarning(userId, guildId, moderatorId, reason) {
+		await this.initialize();
+
+		// IDs are sequential per guild and never reused
+		const id = this.nextIds.get(guildId) || 1;
+		this.nextIds.set(guildId, id + 1);
+
+		const warning = new Warning(id, userId, guildId, moderatorId, reason);
+		const key = this.getUserKey(userId, guildId);
+		if (!this.warnings.has(key)) {
+			this.warnings.set(key, []);
+		}
+		this.warnings.get(key).push(warning);
+
+		await this.saveWarnings();
+		return warning;
+	}
+
+	/**
+	 * Get all warnings of a user, oldest first
+	 * @param {string} userId - Discord user ID
+	 * @param {string} guildId - Discord guild ID
+	 * @returns {Warning[]}
+	 */
+	async getUserWarnings(userId, guildId) {
+		await this.initialize();
+
+		const key = this.getUserKey(userId, guildId);
+		return [...(this.warnings.get(key) || [])];
+	}
+
+	/**
+	 * Get a warning by its ID
+	 * @param {string} guildId - Discord guild ID
+	 * @param {number} id - Warning ID
+	 * @returns {Warning|null}
+	 */
+	async getWarning(guildId, id) {
+		await this.initialize();
+
+		for (const list of this.warnings.values()) {
+			const warning = list.find((w) => w.guildId === guildId && w.id === id);
+			if (warning) {
+				return warning;
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Get the warnings of a user that have not been pardoned nor expired
+	 * @param {string} userId - Discord user ID
+	 * @param {string} guildId - Discord guild ID
+	 * @param {number|null} expiryDays - Days after which warnings expire, null if they never do
+	 * @returns {Warning[]}
+	 */
+	async getActiveWarnings(userId, guildId, expiryDays = null) {
+		const warnings = await this.getUserWarnings(userId, guildId);
+		return warnings.filter(
+			(warning) => warning.isActive() && !warning.isExpired(expiryDays),
+		);
+	}
+
+	/**
+	 * Pardon a single warning by its ID
+	 * @param {string} guildId - Discord guild ID
+	 * @param {number} id - Warning ID
+	 * @param {string} moderatorId - Discord user ID of the moderator
+	 * @param {string} reason - Reason for the pardon
+	 * @returns {Warning|null} The pardoned warning, or null if it does not exist
+	 */
+	async pardonWarning(guildId, id, moderatorId, reason) {
+		const warning = await this.getWarning(guildId, id);
+		if (!warning) {
+			return null;
+		}
+
+		warning.pardon(moderatorId, reason);
+		await this.saveWarnings();
+		return warning;
+	}
+
+	/**
+	 * Pardon every active warning of a user
+	 * @param {string} userId - Discord user ID
+	 * @param {string} guildId - Discord guild ID
+	 * @param {string} moderatorId - Discord user ID of the moderator
+	 * @param {string} reason - Reason for the pardon
+	 * @returns {Warning[]} The warnings that were pardoned
+	 */
+	async clearUserWarnings(userId, guildId, moderatorId, reason) {
+		const active = await this.getActiveWarnings(userId, guildId);
+		for (const warning of active) {
+			warning.pardon(moderatorId, reason);
+		}
+
+		if (active.length > 0) {
+			await this.saveWarnings();
+		}
+		return active;
+	}
+}
+
+module.exports = WarningManager;
@@ -0,0 +1,151 @@
+const { test, describe, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs").promises;
+const path = require("path");
+const CaseManager = require("../CaseManager");
+const ModerationCase = require("../../models/ModerationCase");
+
+describe("CaseManager", () => {
+	let manager;
+	let tempDir;
+	const testGuildId = "guild456";
+	const testModeratorId = "mod789";
+
+	const createManager = () => {
+		const instance = new CaseManager();
+		// Override the data directory for testing
+		instance.dataDir = tempDir;
+		instance.casesFile = path.join(tempDir, "cases.json");
+		return instance;
+	};
+
+	beforeEach(async () => {
+		// Create a temporary directory for testing
+		tempDir = path.join(__dirname, "temp-case-data");
+		await fs.mkdir(tempDir, { recursive: true });
+
+		manager = createManager();
+	});
+
+	afterEach(async () => {
+		// Clean up temporary directory
+		try {
+			await fs.rm(tempDir, { recursive: true, force: true });
+		} catch (_error) {
+			// Ignore cleanup errors
+		}
+	});
+
+	describe("createCase", () => {
+		test("should create a case with its details", async () => {
+			const modCase = await manager.createCase(
+				testGuildId,
+				"ban",
+				testModeratorId,
+				{ targetId: "user1", targetTag: "user#0001", reason: "Spam" },
+			);
+
+			assert.ok(modCase instanceof ModerationCase);
+			assert.strictEqual(modCase.id, 1);
+			assert.strictEqual(modCase.action, "ban");
+			assert.strictEqual(modCase.targetId, "user1");
+			assert.strictEqual(modCase.reason, "Spam");
+		});
+
+		test("should number cases sequentially per guild", async () => {
+			await manager.createCase(testGuildId, "warn", testModeratorId);
+			const second = await manager.createCase(
+				testGuildId,
+				"kick",
+				testModeratorId,
+			);
+			const otherGuild = await manager.createCase(
+				"otherGuild",
+				"kick",
+				testModeratorId,
+			);
+
+			assert.strictEqual(second.id, 2);
+			assert.strictEqual(otherGuild.id, 1);
+		});
+
+		test("should persist cases across instances", async () => {
+			await manager.createCase(testGuildId, "lock", testModeratorId, {
+				channelId: "channel1",
+			});
+
+			const reloaded = createManager();
+			const modCase = await reloaded.getCase(testGuildId, 1);
+			const next = await reloaded.createCase(
+				testGuildId,
+				"unlock",
+				testModeratorId,
+			);
+
+			assert.strictEqual(modCase.channelId, "channel1");
+			assert.strictEqual(next.id, 2);
+		});
+	});
+
+	describe("getCase", () => {
+		test("should return null for an unknown case", async () => {
+			assert.strictEqual(await manager.getCase(testGuildId, 5), null);
+		});
+	});
+
+	describe("getUserCases", () => {
+		test("should return only the cases targeting the user", async () => {
+			await manager.createCase(testGuildId, "warn", testModeratorId, {
+				targetId: "user1",
+			});
+			await manager.createCase(testGuildId, "warn", testModeratorId, {
+				targetId: "user2",
+			});
+			await manager.createCase(testGuildId, "ban", testModeratorId, {
+				targetId: "user1",
+			});
+			await manager.createCase("otherGuild", "kick", testModeratorId, {
+				targetId: "user1",
+			});
+
+			const cases = await manager.getUserCases(testGuildId, "user1");
+
+			assert.deepStrictEqual(
+				cases.map((modCase) => modCase.action),
+				["warn", "ban"],
+			);
+		});
+	});
+
+	describe("updateReason", () => {
+		test("should persist the new reason", async () => {
+			await manager.createCase(testGuildId, "kick", testModeratorId, {
+				reason: "Spam",
+			});
+
+			await manager.updateReason(testGuildId, 1, "Spam reiterado", "mod999");
+
+			const reloaded = createManager();
+			const modCase = await reloaded.getCase(testGuildId, 1);
+			assert.strictEqual(modCase.reason, "Spam reiterado");
+			assert.strictEqual(modCase.reasonEditedBy, "mod999");
+		});
+
+		test("should return null for an unknown case", async () => {
+			const modCase = await manager.updateReason(testGuildId, 9, "x", "mod");
+			assert.strictEqual(modCase, null);
+		});
+	});
+
+	describe("setLogMessage", () => {
+		test("should store the mod-log message of a case", async () => {
+			await manager.createCase(testGuildId, "warn", testModeratorId);
+
+			await manager.setLogMessage(testGuildId, 1, "logChannel", "message1");
+
+			const modCase = await manager.getCase(testGuildId, 1);
+			assert.strictEqual(modCase.logChannelId, "logChannel");
+			assert.strictEqual(modCase.logMessageId, "message1");
+		});
+	});
+});
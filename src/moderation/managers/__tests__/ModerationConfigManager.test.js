@@ -0,0 +1,75 @@
+const { test, describe, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs").promises;
+const path = require("path");
+const ModerationConfigManager = require("../ModerationConfigManager");
+const ModerationConfig = require("../../models/ModerationConfig");
+
+describe("ModerationConfigManager", () => {
+	let manager;
+	let tempDir;
+	const testGuildId = "guild456";
+
+	const createManager = () => {
+		const instance = new ModerationConfigManager();
+		// Override the data directory for testing
+		instance.dataDir = tempDir;
+		instance.configsFile = path.join(tempDir, "configs.json");
+		return instance;
+	};
+
+	beforeEach(async () => {
+		// Create a temporary directory for testing
+		tempDir = path.join(__dirname, "temp-config-data");
+		await fs.mkdir(tempDir, { recursive: true });
+
+		manager = createManager();
+	});
+
+	afterEach(async () => {
+		// Clean up temporary directory
+		try {
+			await fs.rm(tempDir, { recursive: true, force: true });
+		} catch (_error) {
+			// Ignore cleanup errors
+		}
+	});
+
+	describe("getConfig", () => {
+		test("should return defaults for an unknown guild", async () => {
+			const config = await manager.getConfig(testGuildId);
+
+			assert.ok(config instanceof ModerationConfig);
+			assert.strictEqual(config.guildId, testGuildId);
+			assert.deepStrictEqual(config.escalationRules, []);
+		});
+	});
+
+	describe("updateConfig", () => {
+		test("should save a valid change", async () => {
+			const result = await manager.updateConfig(testGuildId, (config) =>
+				config.setEscalationRule({ threshold: 3, action: "kick" }),
+			);
+
+			const reloaded = createManager();
+			const stored = await reloaded.getConfig(testGuildId);
+			assert.strictEqual(result.isValid, true);
+			assert.strictEqual(stored.getEscalationRule(3).action, "kick");
+		});
+
+		test("should reject an invalid change and keep the previous config", async () => {
+			await manager.updateConfig(testGuildId, (config) =>
+				config.update({ warningExpiryDays: 30 }),
+			);
+
+			const result = await manager.updateConfig(testGuildId, (config) =>
+				config.update({ warningExpiryDays: 999 }),
+			);
+
+			const current = await manager.getConfig(testGuildId);
+			assert.strictEqual(result.isValid, false);
+			assert.ok(result.errors.length > 0);
+			assert.strictEqual(current.warningExpiryDays, 30);
+		});
+	});
+});
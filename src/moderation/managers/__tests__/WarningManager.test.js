@@ -0,0 +1,194 @@
+const { test, describe, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs").promises;
+const path = require("path");
+const WarningManager = require("../WarningManager");
+const Warning = require("../../models/Warning");
+
+describe("WarningManager", () => {
+	let manager;
+	let tempDir;
+	const testUserId = "user123";
+	const testGuildId = "guild456";
+	const testModeratorId = "mod789";
+
+	const createManager = () => {
+		const instance = new WarningManager();
+		// Override the data directory for testing
+		instance.dataDir = tempDir;
+		instance.warningsFile = path.join(tempDir, "warnings.json");
+		return instance;
+	};
+
+	beforeEach(async () => {
+		// Create a temporary directory for testing
+		tempDir = path.join(__dirname, "temp-warning-data");
+		await fs.mkdir(tempDir, { recursive: true });
+
+		manager = createManager();
+	});
+
+	afterEach(async () => {
+		// Clean up temporary directory
+		try {
+			await fs.rm(tempDir, { recursive: true, force: true });
+		} catch (_error) {
+			// Ignore cleanup errors
+		}
+	});
+
+	describe("initialize", () => {
+		test("should initialize successfully with no existing data", async () => {
+			await manager.initialize();
+
+			assert.strictEqual(manager.initialized, true);
+			assert.strictEqual(manager.warnings.size, 0);
+		});
+	});
+
+	describe("addWarning", () => {
+		test("should create a warning with an ID", async () => {
+			const warning = await manager.addWarning(
+				testUserId,
+				testGuildId,
+				testModeratorId,
+				"Spam",
+			);
+
+			assert.ok(warning instanceof Warning);
+			assert.strictEqual(warning.id, 1);
+			assert.strictEqual(warning.moderatorId, testModeratorId);
+		});
+
+		test("should assign sequential IDs per guild", async () => {
+			await manager.addWarning("user1", testGuildId, testModeratorId, "A");
+			const second = await manager.addWarning(
+				"user2",
+				testGuildId,
+				testModeratorId,
+				"B",
+			);
+			const otherGuild = await manager.addWarning(
+				"user1",
+				"otherGuild",
+				testModeratorId,
+				"C",
+			);
+
+			assert.strictEqual(second.id, 2);
+			assert.strictEqual(otherGuild.id, 1);
+		});
+
+		test("should persist warnings and counters across instances", async () => {
+			await manager.addWarning(testUserId, testGuildId, testModeratorId, "A");
+
+			const reloaded = createManager();
+			const warnings = await reloaded.getUserWarnings(testUserId, testGuildId);
+			const next = await reloaded.addWarning(
+				testUserId,
+				testGuildId,
+				testModeratorId,
+				"B",
+			);
+
+			assert.strictEqual(warnings.length, 1);
+			assert.strictEqual(warnings[0].reason, "A");
+			assert.strictEqual(next.id, 2);
+		});
+	});
+
+	describe("getUserWarnings", () => {
+		test("should return an empty list for a user without warnings", async () => {
+			const warnings = await manager.getUserWarnings(testUserId, testGuildId);
+			assert.deepStrictEqual(warnings, []);
+		});
+
+		test("should return only warnings of the given guild", async () => {
+			await manager.addWarning(testUserId, testGuildId, testModeratorId, "A");
+			await manager.addWarning(testUserId, "otherGuild", testModeratorId, "B");
+
+			const warnings = await manager.getUserWarnings(testUserId, testGuildId);
+
+			assert.strictEqual(warnings.length, 1);
+			assert.strictEqual(warnings[0].guildId, testGuildId);
+		});
+	});
+
+	describe("getWarning", () => {
+		test("should find a warning by guild and ID", async () => {
+			await manager.addWarning("user1", testGuildId, testModeratorId, "A");
+			await manager.addWarning("user2", testGuildId, testModeratorId, "B");
+
+			const warning = await manager.getWarning(testGuildId, 2);
+
+			assert.strictEqual(warning.userId, "user2");
+		});
+
+		test("should return null for an unknown ID", async () => {
+			const warning = await manager.getWarning(testGuildId, 99);
+			assert.strictEqual(warning, null);
+		});
+	});
+
+	describe("pardonWarning", () => {
+		test("should soft-pardon a warning and persist the audit data", async () => {
+			await manager.addWarning(testUserId, testGuildId, testModeratorId, "A");
+
+			const pardoned = await manager.pardonWarning(
+				testGuildId,
+				1,
+				"mod999",
+				"Apelación aceptada",
+			);
+
+			const reloaded = createManager();
+			const [stored] = await reloaded.getUserWarnings(testUserId, testGuildId);
+			assert.strictEqual(pardoned.isActive(), false);
+			assert.strictEqual(stored.pardonedBy, "mod999");
+			assert.strictEqual(stored.pardonReason, "Apelación aceptada");
+		});
+
+		test("should return null for an unknown ID", async () => {
+			const pardoned = await manager.pardonWarning(
+				testGuildId,
+				42,
+				"mod999",
+				"Nada",
+			);
+			assert.strictEqual(pardoned, null);
+		});
+	});
+
+	describe("clearUserWarnings", () => {
+		test("should pardon only the active warnings of the user", async () => {
+			await manager.addWarning(testUserId, testGuildId, testModeratorId, "A");
+			await manager.addWarning(testUserId, testGuildId, testModeratorId, "B");
+			await manager.addWarning("user2", testGuildId, testModeratorId, "C");
+			await manager.pardonWarning(testGuildId, 1, "mod999", "Antes");
+
+			const cleared = await manager.clearUserWarnings(
+				testUserId,
+				testGuildId,
+				"mod999",
+				"Borrón y cuenta nueva",
+			);
+
+			assert.deepStrictEqual(
+				cleared.map((w) => w.id),
+				[2],
+			);
+			assert.strictEqual(
+				(await manager.getUserWarnings(testUserId, testGuildId)).length,
+				2,
+			);
+			assert.strictEqual(
+				(await manager.getActiveWarnings(testUserId, testGuildId)).length,
+				0,
+			);
+			assert.strictEqual(
+				(await manager.getActiveWarnings("user2", testGuildId)).length,
+				1,
+			);
+		});
+	});
+});
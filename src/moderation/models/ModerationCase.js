@@ -0,0 +1,75 @@
+/**
+ * ModerationCase model representing a single moderation action taken in a guild
+ */
+class ModerationCase {
+	constructor(id, guildId, action, moderatorId) {
+		this.id = id;
+		this.guildId = guildId;
+		this.action = action; // 'ban', 'unban', 'kick', 'timeout', 'remove-timeout', 'warn', 'unwarn', 'clear', 'lock', 'unlock', 'slowmode', 'nickname', 'automod', 'secret'
+		this.moderatorId = moderatorId;
+		this.targetId = null;
+		this.targetTag = null;
+		this.channelId = null;
+		this.reason = null;
+		this.duration = null;
+		this.details = null;
+		this.createdAt = new Date().toISOString();
+		this.reasonEditedBy = null;
+		this.reasonEditedAt = null;
+		this.logChannelId = null;
+		this.logMessageId = null;
+	}
+
+	/**
+	 * Create ModerationCase from JSON data
+	 * @param {Object} data - JSON data
+	 * @returns {ModerationCase}
+	 */
+	static fromJSON(data) {
+		const modCase = new ModerationCase(
+			data.id,
+			data.guildId,
+			data.action,
+			data.moderatorId,
+		);
+		Object.assign(modCase, data);
+		return modCase;
+	}
+
+	/**
+	 * Convert ModerationCase to JSON
+	 * @returns {Object}
+	 */
+	toJSON() {
+		return {
+			id: this.id,
+			guildId: this.guildId,
+			action: this.action,
+			moderatorId: this.moderatorId,
+			targetId: this.targetId,
+			targetTag: this.targetTag,
+			channelId: this.channelId,
+			reason: this.reason,
+			duration: this.duration,
+			details: this.details,
+			createdAt: this.createdAt,
+			reasonEditedBy: this.reasonEditedBy,
+			reasonEditedAt: this.reasonEditedAt,
+			logChannelId: this.logChannelId,
+			logMessageId: this.logMessageId,
+		};
+	}
+
+	/**
+	 * Replace the reason of the case, remembering who edited it
+	 * @param {string} reason - New reason
+	 * @param {string} editorId - Discord user ID of the moderator editing it
+	 */
+	editReason(reason, editorId) {
+		this.reason = reason;
+		this.reasonEditedBy = editorId;
+		this.reasonEditedAt = new Date().toISOString();
+	}
+}
+
+module.exports = ModerationCase;
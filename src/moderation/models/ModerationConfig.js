@@ -0,0 +1,277 @@
+const ms = require("ms");
+
+const ESCALATION_ACTIONS = ["timeout", "kick", "ban"];
+// Discord does not allow timeouts longer than 28 days
+const MAX_TIMEOUT_MS = 28 * 24 * 60 * 60 * 1000;
+const AUTOMOD_ACTIONS = ["delete", "warn", "timeout", "log"];
+// Automod filters with the default and bounds of their threshold, null when they have none
+const AUTOMOD_FILTERS = {
+	flood: { threshold: 5, min: 2, max: 30 },
+	duplicates: { threshold: 2, min: 1, max: 10 },
+	mentions: { threshold: 5, min: 1, max: 50 },
+	invites: { threshold: null },
+	links: { threshold: null },
+	caps: { threshold: 70, min: 50, max: 99 },
+};
+const MAX_BLOCKED_DOMAINS = 100;
+const DOMAIN_PATTERN =
+	/^(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+/**
+ * ModerationConfig model representing the moderation settings of a guild
+ */
+class ModerationConfig {
+	constructor(guildId) {
+		this.guildId = guildId;
+		this.modLogChannelId = null;
+		this.escalationRules = [];
+		this.warningExpiryDays = null;
+		this.autoModFilters = {}; // filter name -> settings, missing filters are disabled
+		this.blockedDomains = [];
+	}
+
+	/**
+	 * Normalize a domain or URL typed by a moderator
+	 * @param {string} input - Domain or URL
+	 * @returns {string}
+	 */
+	static normalizeDomain(input) {
+		return input
+			.trim()
+			.toLowerCase()
+			.replace(/^[a-z][a-z0-9+.-]*:\/\//, "")
+			.replace(/[/?#:].*$/, "")
+			.replace(/^www\./, "")
+			.replace(/\.$/, "");
+	}
+
+	/**
+	 * Create ModerationConfig from JSON data
+	 * @param {Object} data - JSON data
+	 * @returns {ModerationConfig}
+	 */
+	static fromJSON(data) {
+		const config = new ModerationConfig(data.guildId);
+		Object.assign(config, data);
+		config.escalationRules = (data.escalationRules || []).map((rule) => ({
+			...rule,
+		}));
+		config.autoModFilters = Object.fromEntries(
+			Object.entries(data.autoModFilters || {}).map(([name, settings]) => [
+				name,
+				{ ...settings },
+			]),
+		);
+		config.blockedDomains = [...(data.blockedDomains || [])];
+		return config;
+	}
+
+	/**
+	 * Convert ModerationConfig to JSON
+	 * @returns {Object}
+	 */
+	toJSON() {
+		return {
+			guildId: this.guildId,
+			modLogChannelId: this.modLogChannelId,
+			escalationRules: this.escalationRules.map((rule) => ({ ...rule })),
+			warningExpiryDays: this.warningExpiryDays,
+			autoModFilters: Object.fromEntries(
+				Object.entries(this.autoModFilters).map(([name, settings]) => [
+					name,
+					{ ...settings },
+				]),
+			),
+			blockedDomains: [...this.blockedDomains],
+		};
+	}
+
+	/**
+	 * Update configuration with new values
+	 * @param {Object} updates - Updates to apply
+	 */
+	update(updates) {
+		Object.assign(this, updates);
+	}
+
+	/**
+	 * Add or replace the escalation rule for a warning threshold
+	 * @param {Object} rule - Rule with threshold, action and optional duration
+	 */
+	setEscalationRule(rule) {
+		this.escalationRules = this.escalationRules
+			.filter((existing) => existing.threshold !== rule.threshold)
+			.concat({ ...rule })
+			.sort((a, b) => a.threshold - b.threshold);
+	}
+
+	/**
+	 * Remove the escalation rule for a warning threshold
+	 * @param {number} threshold - Number of warnings that triggers the rule
+	 * @returns {boolean} Whether a rule was removed
+	 */
+	removeEscalationRule(threshold) {
+		const before = this.escalationRules.length;
+		this.escalationRules = this.escalationRules.filter(
+			(rule) => rule.threshold !== threshold,
+		);
+		return this.escalationRules.length !== before;
+	}
+
+	/**
+	 * Get the escalation rule fired when a user reaches a number of active warnings
+	 * @param {number} warningCount - Number of active warnings
+	 * @returns {Object|null}
+	 */
+	getEscalationRule(warningCount) {
+		return (
+			this.escalationRules.find((rule) => rule.threshold === warningCount) ||
+			null
+		);
+	}
+
+	/**
+	 * Get the settings of an automod filter, filling in the defaults
+	 * @param {string} name - Filter name
+	 * @returns {Object} Settings with enabled, action, threshold and duration
+	 */
+	getAutoModFilter(name) {
+		return {
+			enabled: false,
+			action: "delete",
+			threshold: AUTOMOD_FILTERS[name]?.threshold ?? null,
+			duration: "10m",
+			...this.autoModFilters[name],
+		};
+	}
+
+	/**
+	 * Change the settings of an automod filter
+	 * @param {string} name - Filter name
+	 * @param {Object} updates - Settings to change
+	 */
+	setAutoModFilter(name, updates) {
+		this.autoModFilters[name] = { ...this.getAutoModFilter(name), ...updates };
+	}
+
+	/**
+	 * Add a domain to the blocked links list
+	 * @param {string} domain - Domain or URL
+	 * @returns {boolean} Whether the domain was added
+	 */
+	blockDomain(domain) {
+		const normalized = ModerationConfig.normalizeDomain(domain);
+		if (this.blockedDomains.includes(normalized)) {
+			return false;
+		}
+		this.blockedDomains = [...this.blockedDomains, normalized].sort();
+		return true;
+	}
+
+	/**
+	 * Remove a domain from the blocked links list
+	 * @param {string} domain - Domain or URL
+	 * @returns {boolean} Whether the domain was removed
+	 */
+	unblockDomain(domain) {
+		const normalized = ModerationConfig.normalizeDomain(domain);
+		const before = this.blockedDomains.length;
+		this.blockedDomains = this.blockedDomains.filter(
+			(blocked) => blocked !== normalized,
+		);
+		return this.blockedDomains.length !== before;
+	}
+
+	/**
+	 * Validate configuration values
+	 * @returns {Object} Validation result with isValid and errors
+	 */
+	validate() {
+		const errors = [];
+
+		if (!this.guildId) {
+			errors.push("Guild ID es requerido");
+		}
+
+		if (
+			this.warningExpiryDays !== null &&
+			(!Number.isInteger(this.warningExpiryDays) ||
+				this.warningExpiryDays < 1 ||
+				this.warningExpiryDays > 365)
+		) {
+			errors.push("La caducidad de advertencias debe estar entre 1 y 365 días");
+		}
+
+		for (const rule of this.escalationRules) {
+			if (!Number.isInteger(rule.threshold) || rule.threshold < 1) {
+				errors.push("El umbral de una regla debe ser un entero positivo");
+			}
+			if (!ESCALATION_ACTIONS.includes(rule.action)) {
+				errors.push(`Acción de escalado desconocida: ${rule.action}`);
+			}
+			if (rule.action === "timeout") {
+				const durationMs = rule.duration ? ms(rule.duration) : undefined;
+				if (!durationMs || durationMs <= 0 || durationMs > MAX_TIMEOUT_MS) {
+					errors.push(
+						`La regla de ${rule.threshold} advertencias necesita una duración válida de hasta 28 días`,
+					);
+				}
+			}
+		}
+
+		for (const name of Object.keys(this.autoModFilters)) {
+			const bounds = AUTOMOD_FILTERS[name];
+			if (!bounds) {
+				errors.push(`Filtro de automod desconocido: ${name}`);
+				continue;
+			}
+
+			const settings = this.getAutoModFilter(name);
+			if (!AUTOMOD_ACTIONS.includes(settings.action)) {
+				errors.push(`Acción de automod desconocida: ${settings.action}`);
+			}
+			if (
+				bounds.threshold !== null &&
+				(!Number.isInteger(settings.threshold) ||
+					settings.threshold < bounds.min ||
+					settings.threshold > bounds.max)
+			) {
+				errors.push(
+					`El límite del filtro ${name} debe estar entre ${bounds.min} y ${bounds.max}`,
+				);
+			}
+			if (settings.action === "timeout") {
+				const durationMs = settings.duration
+					? ms(settings.duration)
+					: undefined;
+				if (!durationMs || durationMs <= 0 || durationMs > MAX_TIMEOUT_MS) {
+					errors.push(
+						`El filtro ${name} necesita una duración de timeout válida de hasta 28 días`,
+					);
+				}
+			}
+		}
+
+		if (this.blockedDomains.length > MAX_BLOCKED_DOMAINS) {
+			errors.push(
+				`Solo se pueden bloquear ${MAX_BLOCKED_DOMAINS} dominios como máximo`,
+			);
+		}
+		for (const domain of this.blockedDomains) {
+			if (!DOMAIN_PATTERN.test(domain)) {
+				errors.push(`Dominio no válido: ${domain}`);
+			}
+		}
+
+		return {
+			isValid: errors.length === 0,
+			errors,
+		};
+	}
+}
+
+ModerationConfig.ESCALATION_ACTIONS = ESCALATION_ACTIONS;
+ModerationConfig.AUTOMOD_ACTIONS = AUTOMOD_ACTIONS;
+ModerationConfig.AUTOMOD_FILTERS = AUTOMOD_FILTERS;
+
+module.exports = ModerationConfig;
@@ -0,0 +1,87 @@
+/**
+ * Warning model representing a warning issued to a member of a guild
+ */
+class Warning {
+	constructor(id, userId, guildId, moderatorId, reason) {
+		this.id = id;
+		this.userId = userId;
+		this.guildId = guildId;
+		this.moderatorId = moderatorId;
+		this.reason = reason;
+		this.createdAt = new Date().toISOString();
+		this.pardonedBy = null;
+		this.pardonedAt = null;
+		this.pardonReason = null;
+	}
+
+	/**
+	 * Create Warning from JSON data
+	 * @param {Object} data - JSON data
+	 * @returns {Warning}
+	 */
+	static fromJSON(data) {
+		const warning = new Warning(
+			data.id,
+			data.userId,
+			data.guildId,
+			data.moderatorId,
+			data.reason,
+		);
+		Object.assign(warning, data);
+		return warning;
+	}
+
+	/**
+	 * Convert Warning to JSON
+	 * @returns {Object}
+	 */
+	toJSON() {
+		return {
+			id: this.id,
+			userId: this.userId,
+			guildId: this.guildId,
+			moderatorId: this.moderatorId,
+			reason: this.reason,
+			createdAt: this.createdAt,
+			pardonedBy: this.pardonedBy,
+			pardonedAt: this.pardonedAt,
+			pardonReason: this.pardonReason,
+		};
+	}
+
+	/**
+	 * Pardon the warning, keeping it in the history for auditing
+	 * @param {string} moderatorId - Discord user ID of the moderator who pardons it
+	 * @param {string} reason - Reason for the pardon
+	 */
+	pardon(moderatorId, reason) {
+		this.pardonedBy = moderatorId;
+		this.pardonedAt = new Date().toISOString();
+		this.pardonReason = reason;
+	}
+
+	/**
+	 * Check if the warning still counts against the user
+	 * @returns {boolean}
+	 */
+	isActive() {
+		return this.pardonedAt === null;
+	}
+
+	/**
+	 * Check if the warning is older than the guild's expiry period
+	 * @param {number|null} expiryDays - Days after which warnings expire, null if they never do
+	 * @param {Date} now - Reference date
+	 * @returns {boolean}
+	 */
+	isExpired(expiryDays, now = new Date()) {
+		if (!expiryDays) {
+			return false;
+		}
+		const expiresAt =
+			new Date(this.createdAt).getTime() + expiryDays * 24 * 60 * 60 * 1000;
+		return now.getTime() >= expiresAt;
+	}
+}
+
+module.exports = Warning;
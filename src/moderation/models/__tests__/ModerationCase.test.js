@@ -0,0 +1,56 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert");
+const ModerationCase = require("../ModerationCase");
+
+describe("ModerationCase", () => {
+	describe("constructor", () => {
+		test("should initialize with correct default values", () => {
+			const modCase = new ModerationCase(1, "guild456", "kick", "mod789");
+
+			assert.strictEqual(modCase.id, 1);
+			assert.strictEqual(modCase.guildId, "guild456");
+			assert.strictEqual(modCase.action, "kick");
+			assert.strictEqual(modCase.moderatorId, "mod789");
+			assert.strictEqual(modCase.targetId, null);
+			assert.strictEqual(modCase.logMessageId, null);
+			assert.ok(modCase.createdAt);
+		});
+	});
+
+	describe("fromJSON / toJSON", () => {
+		test("should round-trip every field", () => {
+			const data = {
+				id: 3,
+				guildId: "guild456",
+				action: "timeout",
+				moderatorId: "mod789",
+				targetId: "user1",
+				targetTag: "user#0001",
+				channelId: null,
+				reason: "Flood",
+				duration: "1h",
+				details: null,
+				createdAt: "2023-01-01T00:00:00.000Z",
+				reasonEditedBy: null,
+				reasonEditedAt: null,
+				logChannelId: "log1",
+				logMessageId: "msg1",
+			};
+
+			assert.deepStrictEqual(ModerationCase.fromJSON(data).toJSON(), data);
+		});
+	});
+
+	describe("editReason", () => {
+		test("should replace the reason and record the editor", () => {
+			const modCase = new ModerationCase(1, "guild456", "warn", "mod789");
+			modCase.reason = "Spam";
+
+			modCase.editReason("Spam en #general", "mod999");
+
+			assert.strictEqual(modCase.reason, "Spam en #general");
+			assert.strictEqual(modCase.reasonEditedBy, "mod999");
+			assert.ok(modCase.reasonEditedAt);
+		});
+	});
+});
@@ -0,0 +1,189 @@
+const { test, describe, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const ModerationConfig = require("../ModerationConfig");
+
+describe("ModerationConfig", () => {
+	let config;
+	const guildId = "guild123";
+
+	beforeEach(() => {
+		config = new ModerationConfig(guildId);
+	});
+
+	describe("constructor", () => {
+		test("should initialize with correct default values", () => {
+			assert.strictEqual(config.guildId, guildId);
+			assert.strictEqual(config.modLogChannelId, null);
+			assert.deepStrictEqual(config.escalationRules, []);
+			assert.strictEqual(config.warningExpiryDays, null);
+		});
+	});
+
+	describe("fromJSON", () => {
+		test("should create ModerationConfig from JSON data", () => {
+			const restored = ModerationConfig.fromJSON({
+				guildId: "guild456",
+				escalationRules: [{ threshold: 3, action: "kick" }],
+				warningExpiryDays: 30,
+			});
+
+			assert.strictEqual(restored.guildId, "guild456");
+			assert.strictEqual(restored.escalationRules[0].action, "kick");
+			assert.strictEqual(restored.warningExpiryDays, 30);
+		});
+	});
+
+	describe("toJSON", () => {
+		test("should convert ModerationConfig to JSON", () => {
+			config.modLogChannelId = "channel123";
+			config.setEscalationRule({ threshold: 5, action: "ban" });
+
+			const json = config.toJSON();
+
+			assert.strictEqual(json.guildId, guildId);
+			assert.strictEqual(json.modLogChannelId, "channel123");
+			assert.deepStrictEqual(json.escalationRules, [
+				{ threshold: 5, action: "ban" },
+			]);
+			assert.strictEqual(json.warningExpiryDays, null);
+		});
+	});
+
+	describe("setEscalationRule", () => {
+		test("should keep rules sorted and replace the same threshold", () => {
+			config.setEscalationRule({ threshold: 5, action: "kick" });
+			config.setEscalationRule({
+				threshold: 3,
+				action: "timeout",
+				duration: "1h",
+			});
+			config.setEscalationRule({ threshold: 5, action: "ban" });
+
+			assert.deepStrictEqual(
+				config.escalationRules.map((rule) => [rule.threshold, rule.action]),
+				[
+					[3, "timeout"],
+					[5, "ban"],
+				],
+			);
+		});
+	});
+
+	describe("removeEscalationRule", () => {
+		test("should remove an existing rule", () => {
+			config.setEscalationRule({ threshold: 3, action: "kick" });
+
+			assert.strictEqual(config.removeEscalationRule(3), true);
+			assert.strictEqual(config.escalationRules.length, 0);
+		});
+
+		test("should report when there is no rule to remove", () => {
+			assert.strictEqual(config.removeEscalationRule(3), false);
+		});
+	});
+
+	describe("getEscalationRule", () => {
+		test("should only fire on the exact threshold", () => {
+			config.setEscalationRule({ threshold: 3, action: "kick" });
+
+			assert.strictEqual(config.getEscalationRule(2), null);
+			assert.strictEqual(config.getEscalationRule(3).action, "kick");
+			assert.strictEqual(config.getEscalationRule(4), null);
+		});
+	});
+
+	describe("validate", () => {
+		test("should return valid for default configuration", () => {
+			const result = config.validate();
+			assert.strictEqual(result.isValid, true);
+			assert.strictEqual(result.errors.length, 0);
+		});
+
+		test("should return invalid for a timeout without duration", () => {
+			config.setEscalationRule({ threshold: 3, action: "timeout" });
+			const result = config.validate();
+			assert.strictEqual(result.isValid, false);
+			assert.ok(result.errors.some((err) => err.includes("duración")));
+		});
+
+		test("should return invalid for a timeout longer than 28 days", () => {
+			config.setEscalationRule({
+				threshold: 3,
+				action: "timeout",
+				duration: "30d",
+			});
+			const result = config.validate();
+			assert.strictEqual(result.isValid, false);
+		});
+
+		test("should return invalid for an unknown action", () => {
+			config.setEscalationRule({ threshold: 3, action: "mute" });
+			const result = config.validate();
+			assert.strictEqual(result.isValid, false);
+			assert.ok(result.errors.some((err) => err.includes("mute")));
+		});
+
+		test("should return invalid for an out of range expiry", () => {
+			config.warningExpiryDays = 0;
+			const result = config.validate();
+			assert.strictEqual(result.isValid, false);
+			assert.ok(result.errors.some((err) => err.includes("caducidad")));
+		});
+
+		test("should return invalid for an out of range automod threshold", () => {
+			config.setAutoModFilter("caps", { enabled: true, threshold: 20 });
+			const result = config.validate();
+			assert.strictEqual(result.isValid, false);
+			assert.ok(result.errors.some((err) => err.includes("caps")));
+		});
+
+		test("should return invalid for an automod timeout without duration", () => {
+			config.setAutoModFilter("flood", { action: "timeout", duration: "" });
+			const result = config.validate();
+			assert.strictEqual(result.isValid, false);
+		});
+	});
+
+	describe("automod", () => {
+		test("should fill in the defaults of unconfigured filters", () => {
+			assert.deepStrictEqual(config.getAutoModFilter("mentions"), {
+				enabled: false,
+				action: "delete",
+				threshold: 5,
+				duration: "10m",
+			});
+		});
+
+		test("should keep filter settings through JSON", () => {
+			config.setAutoModFilter("invites", { enabled: true, action: "warn" });
+
+			const restored = ModerationConfig.fromJSON(config.toJSON());
+
+			assert.strictEqual(restored.getAutoModFilter("invites").enabled, true);
+			assert.strictEqual(restored.getAutoModFilter("invites").action, "warn");
+			assert.strictEqual(restored.validate().isValid, true);
+		});
+
+		test("should normalize blocked domains and ignore duplicates", () => {
+			assert.strictEqual(
+				config.blockDomain("https://www.Ejemplo.com/ruta?x=1"),
+				true,
+			);
+			assert.strictEqual(config.blockDomain("ejemplo.com"), false);
+			assert.deepStrictEqual(config.blockedDomains, ["ejemplo.com"]);
+			assert.strictEqual(config.validate().isValid, true);
+		});
+
+		test("should unblock domains", () => {
+			config.blockDomain("ejemplo.com");
+
+			assert.strictEqual(config.unblockDomain("EJEMPLO.com"), true);
+			assert.strictEqual(config.unblockDomain("ejemplo.com"), false);
+		});
+
+		test("should return invalid for malformed domains", () => {
+			config.blockDomain("no es un dominio");
+			assert.strictEqual(config.validate().isValid, false);
+		});
+	});
+});
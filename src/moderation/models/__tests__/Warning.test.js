@@ -0,0 +1,88 @@
+const { test, describe, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const Warning = require("../Warning");
+
+describe("Warning", () => {
+	let warning;
+
+	beforeEach(() => {
+		warning = new Warning(1, "user123", "guild456", "mod789", "Spam");
+	});
+
+	describe("constructor", () => {
+		test("should initialize with correct default values", () => {
+			assert.strictEqual(warning.id, 1);
+			assert.strictEqual(warning.userId, "user123");
+			assert.strictEqual(warning.guildId, "guild456");
+			assert.strictEqual(warning.moderatorId, "mod789");
+			assert.strictEqual(warning.reason, "Spam");
+			assert.ok(warning.createdAt);
+			assert.strictEqual(warning.pardonedAt, null);
+		});
+	});
+
+	describe("fromJSON", () => {
+		test("should create Warning from JSON data", () => {
+			const restored = Warning.fromJSON({
+				id: 7,
+				userId: "user1",
+				guildId: "guild1",
+				moderatorId: "mod1",
+				reason: "Flood",
+				createdAt: "2023-01-01T00:00:00.000Z",
+			});
+
+			assert.strictEqual(restored.id, 7);
+			assert.strictEqual(restored.reason, "Flood");
+			assert.strictEqual(restored.createdAt, "2023-01-01T00:00:00.000Z");
+		});
+	});
+
+	describe("toJSON", () => {
+		test("should convert Warning to JSON", () => {
+			const json = warning.toJSON();
+
+			assert.strictEqual(json.id, 1);
+			assert.strictEqual(json.userId, "user123");
+			assert.strictEqual(json.moderatorId, "mod789");
+			assert.strictEqual(json.createdAt, warning.createdAt);
+		});
+	});
+
+	describe("pardon", () => {
+		test("should record who pardoned the warning, when and why", () => {
+			warning.pardon("mod999", "Fue un malentendido");
+
+			assert.strictEqual(warning.pardonedBy, "mod999");
+			assert.strictEqual(warning.pardonReason, "Fue un malentendido");
+			assert.ok(warning.pardonedAt);
+			assert.strictEqual(warning.toJSON().pardonedBy, "mod999");
+		});
+	});
+
+	describe("isActive", () => {
+		test("should return true for a new warning", () => {
+			assert.strictEqual(warning.isActive(), true);
+		});
+
+		test("should return false once pardoned", () => {
+			warning.pardon("mod999", "Perdonada");
+			assert.strictEqual(warning.isActive(), false);
+		});
+	});
+
+	describe("isExpired", () => {
+		test("should never expire without an expiry period", () => {
+			warning.createdAt = "2000-01-01T00:00:00.000Z";
+			assert.strictEqual(warning.isExpired(null), false);
+		});
+
+		test("should expire once the period has passed", () => {
+			const now = new Date("2023-02-01T00:00:00.000Z");
+			warning.createdAt = "2023-01-01T00:00:00.000Z";
+
+			assert.strictEqual(warning.isExpired(30, now), true);
+			assert.strictEqual(warning.isExpired(32, now), false);
+		});
+	});
+});
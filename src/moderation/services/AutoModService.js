@@ -0,0 +1,247 @@
+const { EmbedBuilder, PermissionFlagsBits } = require("discord.js");
+const ms = require("ms");
+const {
+	FILTERS,
+	DUPLICATE_WINDOW_MS,
+	normalizeContent,
+} = require("./autoModFilters");
+const { notifyMember, timeoutMember } = require("./memberActions");
+
+// Message history entries are pruned once the map grows past this size
+const MAX_HISTORY_ENTRIES = 5000;
+const MAX_HISTORY_PER_MEMBER = 30;
+// A member breaking filters repeatedly is only warned or timed out once in this window
+const PUNISHMENT_COOLDOWN_MS = 30_000;
+
+/**
+ * AutoModService checks guild messages against the automod filters enabled in each guild
+ */
+class AutoModService {
+	/**
+	 * @param {import("../managers/ModerationConfigManager")} moderationConfigManager - Shared config manager
+	 * @param {import("../managers/WarningManager")} warningManager - Shared warning manager
+	 * @param {import("./ModLogService")} modLog - Shared mod-log service
+	 * @param {import("./EscalationService")} escalation - Shared escalation service
+	 */
+	constructor(moderationConfigManager, warningManager, modLog, escalation) {
+		this.moderationConfigManager = moderationConfigManager;
+		this.warningManager = warningManager;
+		this.modLog = modLog;
+		this.escalation = escalation;
+		this.history = new Map(); // guildId:userId -> recent messages
+		this.punishments = new Map(); // guildId:userId -> timestamp of the last logged violation
+	}
+
+	/**
+	 * Get a filter by name
+	 * @param {string} name - Filter name
+	 * @returns {Object|undefined}
+	 */
+	static getFilter(name) {
+		return FILTERS.find((filter) => filter.name === name);
+	}
+
+	/**
+	 * Check whether a member is trusted enough to skip automod
+	 * @param {import("discord.js").GuildMember} member - Guild member
+	 * @returns {boolean}
+	 */
+	static isExempt(member) {
+		return member.permissions.has(PermissionFlagsBits.ManageMessages);
+	}
+
+	/**
+	 * Record a message in its author's recent history
+	 * @param {import("discord.js").Message} message - Message
+	 * @param {number} now - Current timestamp
+	 * @returns {Object[]} Recent messages of the author, including this one
+	 */
+	recordMessage(message, now = Date.now()) {
+		if (this.history.size >= MAX_HISTORY_ENTRIES) {
+			for (const [key, entries] of this.history) {
+				if (entries.at(-1).at <= now - DUPLICATE_WINDOW_MS) {
+					this.history.delete(key);
+				}
+			}
+		}
+
+		const key = `${message.guildId}:${message.author.id}`;
+		const recent = (this.history.get(key) || [])
+			.filter((entry) => entry.at > now - DUPLICATE_WINDOW_MS)
+			.concat({ content: normalizeContent(message.content), at: now })
+			.slice(-MAX_HISTORY_PER_MEMBER);
+		this.history.set(key, recent);
+		return recent;
+	}
+
+	/**
+	 * Find the first enabled filter a message breaks
+	 * @param {import("discord.js").Message} message - Message
+	 * @param {import("../models/ModerationConfig")} config - Guild moderation config
+	 * @param {number} now - Current timestamp
+	 * @returns {{filter: Object, settings: Object, reason: string}|null}
+	 */
+	findViolation(message, config, now = Date.now()) {
+		const enabled = FILTERS.map((filter) => ({
+			filter,
+			settings: config.getAutoModFilter(filter.name),
+		})).filter(({ settings }) => settings.enabled);
+		if (enabled.length === 0) {
+			return null;
+		}
+
+		const context = {
+			recent: this.recordMessage(message, now),
+			blockedDomains: config.blockedDomains,
+			now,
+		};
+		for (const { filter, settings } of enabled) {
+			const reason = filter.check(message, settings, context);
+			if (reason) {
+				return { filter, settings, reason };
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Run the automod stage on a message
+	 * @param {import("discord.js").Message} message - Message sent in a guild
+	 * @returns {Promise<Object|null>} The broken filter and the action taken, or null if the message is fine
+	 */
+	async handleMessage(message) {
+		if (message.author.bot || !message.inGuild() || !message.member) {
+			return null;
+		}
+		if (AutoModService.isExempt(message.member)) {
+			return null;
+		}
+
+		const config = await this.moderationConfigManager.getConfig(
+			message.guildId,
+		);
+		const violation = this.findViolation(message, config);
+		if (!violation) {
+			return null;
+		}
+
+		const action = await this.applyAction(message, violation);
+		return { filter: violation.filter.name, action, reason: violation.reason };
+	}
+
+	/**
+	 * Apply the action configured for a broken filter
+	 * @param {import("discord.js").Message} message - Offending message
+	 * @param {Object} violation - Broken filter, its settings and the reason
+	 * @returns {Promise<string>} Action actually taken
+	 */
+	async applyAction(message, violation) {
+		const { filter, settings } = violation;
+		const member = message.member;
+		const key = `${message.guildId}:${member.id}`;
+		const now = Date.now();
+
+		// A message that cannot be deleted does not stop the punishment
+		let deleted = false;
+		if (settings.action !== "log") {
+			try {
+				await message.delete();
+				deleted = true;
+			} catch (error) {
+				// Unknown Message: someone else already deleted it
+				deleted = error.code === 10008;
+				if (!deleted) {
+					console.error(
+						`Error deleting a message caught by AutoMod filter ${filter.name}:`,
+						error,
+					);
+				}
+			}
+		}
+
+		// Every message of a flood breaks the filter, but only the first one is punished
+		if ((this.punishments.get(key) ?? 0) > now - PUNISHMENT_COOLDOWN_MS) {
+			return deleted ? "delete" : "log";
+		}
+		this.punishments.set(key, now);
+		for (const [entryKey, punishedAt] of this.punishments) {
+			if (punishedAt <= now - PUNISHMENT_COOLDOWN_MS) {
+				this.punishments.delete(entryKey);
+			}
+		}
+
+		const reason = `AutoMod: ${filter.label} (${violation.reason})`;
+		const excerpt =
+			message.content.length > 200
+				? `${message.content.slice(0, 197)}...`
+				: message.content;
+		const details = `Mensaje ${deleted ? "eliminado" : "conservado"}: ${excerpt ? `\`${excerpt.replace(/`/g, "'")}\`` : "(sin texto)"}${
+			settings.action !== "log" && !deleted
+				? `\n⚠️ No se pudo eliminar el mensaje, bórralo manualmente: ${message.url}`
+				: ""
+		}`;
+		const moderator = message.client.user;
+
+		if (settings.action === "warn") {
+			const warning = await this.warningManager.addWarning(
+				member.id,
+				message.guildId,
+				moderator.id,
+				reason,
+			);
+			await notifyMember(member, {
+				embeds: [
+					new EmbedBuilder()
+						.setColor(0xffff00)
+						.setTitle("Has recibido una advertencia")
+						.setDescription(
+							`Has recibido una advertencia automática en el servidor **${message.guild.name}**.`,
+						)
+						.addFields({ name: "Razón", value: reason })
+						.setTimestamp(),
+				],
+			});
+			await this.modLog.log(message.guild, {
+				action: "warn",
+				moderator,
+				target: member.user,
+				channel: message.channel,
+				reason,
+				details: `Advertencia #${warning.id}\n${details}`,
+			});
+			await this.escalation.escalate(member);
+			return "warn";
+		}
+
+		if (settings.action === "timeout" && member.moderatable) {
+			await timeoutMember(member, ms(settings.duration), reason);
+			await this.modLog.log(message.guild, {
+				action: "timeout",
+				moderator,
+				target: member.user,
+				channel: message.channel,
+				reason,
+				duration: settings.duration,
+				details,
+			});
+			return "timeout";
+		}
+
+		await this.modLog.log(message.guild, {
+			action: "automod",
+			moderator,
+			target: member.user,
+			channel: message.channel,
+			reason,
+			details:
+				settings.action === "timeout"
+					? `${details}\nNo se pudo aplicar el timeout: el miembro tiene un rol superior al mío.`
+					: details,
+		});
+		return deleted ? "delete" : "log";
+	}
+}
+
+AutoModService.FILTERS = FILTERS;
+
+module.exports = AutoModService;
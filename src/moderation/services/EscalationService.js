@@ -0,0 +1,108 @@
+const ms = require("ms");
+const { banMember, kickMember, timeoutMember } = require("./memberActions");
+
+/**
+ * EscalationService applies the guild's escalation policy when a member accumulates warnings
+ */
+class EscalationService {
+	/**
+	 * @param {import("../managers/WarningManager")} warningManager - Shared warning manager
+	 * @param {import("../managers/ModerationConfigManager")} moderationConfigManager - Shared config manager
+	 * @param {import("./ModLogService")} modLog - Shared mod-log service
+	 */
+	constructor(warningManager, moderationConfigManager, modLog) {
+		this.warningManager = warningManager;
+		this.moderationConfigManager = moderationConfigManager;
+		this.modLog = modLog;
+	}
+
+	/**
+	 * Describe an escalation rule in Spanish
+	 * @param {Object} rule - Escalation rule
+	 * @returns {string}
+	 */
+	static describeRule(rule) {
+		const actions = {
+			timeout: `timeout de ${rule.duration}`,
+			kick: "expulsión",
+			ban: "baneo",
+		};
+		return `${rule.threshold} advertencias → ${actions[rule.action] || rule.action}`;
+	}
+
+	/**
+	 * Check whether the bot is able to apply an action to a member
+	 * @param {import("discord.js").GuildMember} member - Guild member
+	 * @param {string} action - Escalation action
+	 * @returns {boolean}
+	 */
+	static canApply(member, action) {
+		switch (action) {
+			case "timeout":
+				return member.moderatable;
+			case "kick":
+				return member.kickable;
+			case "ban":
+				return member.bannable;
+			default:
+				return false;
+		}
+	}
+
+	/**
+	 * Apply the rule matching the member's active warnings, if any
+	 * @param {import("discord.js").GuildMember} member - Warned guild member
+	 * @returns {Promise<Object|null>} The fired rule, whether it was applied and its case, or null if no rule fired
+	 */
+	async escalate(member) {
+		const config = await this.moderationConfigManager.getConfig(
+			member.guild.id,
+		);
+		const activeWarnings = await this.warningManager.getActiveWarnings(
+			member.id,
+			member.guild.id,
+			config.warningExpiryDays,
+		);
+
+		const rule = config.getEscalationRule(activeWarnings.length);
+		if (!rule) {
+			return null;
+		}
+
+		if (!EscalationService.canApply(member, rule.action)) {
+			return { rule, applied: false };
+		}
+
+		const reason = `Escalado automático: ${EscalationService.describeRule(rule)}`;
+		try {
+			switch (rule.action) {
+				case "timeout":
+					await timeoutMember(member, ms(rule.duration), reason);
+					break;
+				case "kick":
+					await kickMember(member, reason);
+					break;
+				case "ban":
+					await banMember(member, reason);
+					break;
+			}
+		} catch (error) {
+			console.error(
+				`Error applying escalation rule to ${member.user.tag}:`,
+				error,
+			);
+			return { rule, applied: false };
+		}
+
+		const modCase = await this.modLog.log(member.guild, {
+			action: rule.action,
+			moderator: member.client.user,
+			target: member.user,
+			reason,
+			duration: rule.duration,
+		});
+		return { rule, applied: true, modCase };
+	}
+}
+
+module.exports = EscalationService;
@@ -0,0 +1,229 @@
+const { EmbedBuilder } = require("discord.js");
+
+const ACTIONS = {
+	ban: { label: "Baneo", emoji: "🔨", color: 0xff0000 },
+	unban: { label: "Desbaneo", emoji: "🟢", color: 0x00ff00 },
+	kick: { label: "Expulsión", emoji: "👢", color: 0xff8c00 },
+	timeout: { label: "Timeout", emoji: "🔇", color: 0x5865f2 },
+	"remove-timeout": {
+		label: "Timeout Levantado",
+		emoji: "🔊",
+		color: 0x00ff00,
+	},
+	warn: { label: "Advertencia", emoji: "🟡", color: 0xffff00 },
+	unwarn: { label: "Advertencia Perdonada", emoji: "🕊️", color: 0x00ff00 },
+	clear: { label: "Mensajes Borrados", emoji: "🧹", color: 0x00bfff },
+	lock: { label: "Canal Bloqueado", emoji: "🔒", color: 0xff0000 },
+	unlock: { label: "Canal Desbloqueado", emoji: "🔓", color: 0x00ff00 },
+	slowmode: { label: "Modo Lento", emoji: "⏳", color: 0xffa500 },
+	nickname: { label: "Apodo Cambiado", emoji: "📝", color: 0x7289da },
+	automod: { label: "AutoMod", emoji: "🛡️", color: 0xff4500 },
+	secret: { label: "Credenciales Filtradas", emoji: "🔑", color: 0xff0000 },
+};
+
+// Embed field values are limited to 1024 characters
+const MAX_FIELD_LENGTH = 1024;
+
+/**
+ * Cut a text to fit in an embed field
+ * @param {string} text - Field value
+ * @returns {string}
+ */
+function fitField(text) {
+	return text.length > MAX_FIELD_LENGTH
+		? `${text.slice(0, MAX_FIELD_LENGTH - 3)}...`
+		: text;
+}
+
+/**
+ * ModLogService records every moderation action as a case and announces it in the guild's mod-log channel
+ */
+class ModLogService {
+	/**
+	 * @param {import("../managers/CaseManager")} caseManager - Shared case manager
+	 * @param {import("../managers/ModerationConfigManager")} moderationConfigManager - Shared config manager
+	 */
+	constructor(caseManager, moderationConfigManager) {
+		this.caseManager = caseManager;
+		this.moderationConfigManager = moderationConfigManager;
+	}
+
+	/**
+	 * Get the display label of a moderation action
+	 * @param {string} action - Moderation action
+	 * @returns {string}
+	 */
+	static getActionLabel(action) {
+		const info = ACTIONS[action];
+		return info ? `${info.emoji} ${info.label}` : action;
+	}
+
+	/**
+	 * Get the footer that points a command reply to its case
+	 * @param {import("../models/ModerationCase")|null} modCase - Case returned by log
+	 * @returns {string}
+	 */
+	static getCaseFooter(modCase) {
+		return modCase ? `Caso #${modCase.id}` : "⚠️ No se pudo registrar el caso";
+	}
+
+	/**
+	 * Build the mod-log embed of a case
+	 * @param {import("../models/ModerationCase")} modCase - Moderation case
+	 * @returns {EmbedBuilder}
+	 */
+	static buildEmbed(modCase) {
+		const info = ACTIONS[modCase.action] || { color: 0x99aab5 };
+		const embed = new EmbedBuilder()
+			.setColor(info.color)
+			.setTitle(
+				`${ModLogService.getActionLabel(modCase.action)} | Caso #${modCase.id}`,
+			)
+			.addFields({
+				name: "Moderador",
+				value: `<@${modCase.moderatorId}>`,
+				inline: true,
+			})
+			.setTimestamp(new Date(modCase.createdAt));
+
+		if (modCase.targetId) {
+			embed.addFields({
+				name: "Usuario",
+				value: `<@${modCase.targetId}> (\`${modCase.targetTag || modCase.targetId}\`)`,
+				inline: true,
+			});
+		}
+		if (modCase.channelId) {
+			embed.addFields({
+				name: "Canal",
+				value: `<#${modCase.channelId}>`,
+				inline: true,
+			});
+		}
+		if (modCase.duration) {
+			embed.addFields({
+				name: "Duración",
+				value: modCase.duration,
+				inline: true,
+			});
+		}
+		if (modCase.details) {
+			embed.addFields({ name: "Detalles", value: fitField(modCase.details) });
+		}
+		embed.addFields({
+			name: "Razón",
+			value: fitField(modCase.reason || "No se proporcionó una razón."),
+		});
+		if (modCase.reasonEditedBy) {
+			embed.setFooter({
+				text: `Razón editada el ${new Date(modCase.reasonEditedAt).toLocaleDateString()}`,
+			});
+		}
+
+		return embed;
+	}
+
+	/**
+	 * Record a moderation action and post it to the mod-log channel, if one is configured
+	 * @param {import("discord.js").Guild} guild - Guild where the action happened
+	 * @param {Object} entry - Action details
+	 * @param {string} entry.action - Moderation action
+	 * @param {import("discord.js").User} entry.moderator - User who took the action
+	 * @param {import("discord.js").User} [entry.target] - Affected user
+	 * @param {import("discord.js").GuildChannel} [entry.channel] - Affected channel
+	 * @param {string} [entry.reason] - Reason for the action
+	 * @param {string} [entry.duration] - Human readable duration
+	 * @param {string} [entry.details] - Extra information
+	 * @returns {Promise<import("../models/ModerationCase")|null>} null if the case could not be recorded
+	 */
+	async log(guild, entry) {
+		// The action already happened, so a failing mod log must never break the command that triggered it
+		let modCase;
+		try {
+			modCase = await this.caseManager.createCase(
+				guild.id,
+				entry.action,
+				entry.moderator.id,
+				{
+					targetId: entry.target?.id || null,
+					targetTag: entry.target?.tag || null,
+					channelId: entry.channel?.id || null,
+					reason: entry.reason || null,
+					duration: entry.duration || null,
+					details: entry.details || null,
+				},
+			);
+		} catch (error) {
+			console.error(
+				`Error recording ${entry.action} case in guild ${guild.id}:`,
+				error,
+			);
+			return null;
+		}
+
+		try {
+			const config = await this.moderationConfigManager.getConfig(guild.id);
+			if (!config.modLogChannelId) {
+				return modCase;
+			}
+
+			const logChannel = await guild.channels
+				.fetch(config.modLogChannelId)
+				.catch(() => null);
+			if (!logChannel?.isTextBased()) {
+				console.log(
+					`Mod-log channel ${config.modLogChannelId} of guild ${guild.id} is not available`,
+				);
+				return modCase;
+			}
+
+			const message = await logChannel.send({
+				embeds: [ModLogService.buildEmbed(modCase)],
+			});
+			await this.caseManager.setLogMessage(
+				guild.id,
+				modCase.id,
+				logChannel.id,
+				message.id,
+			);
+		} catch (error) {
+			console.error(`Error posting case #${modCase.id} to mod log:`, error);
+		}
+
+		return modCase;
+	}
+
+	/**
+	 * Edit the reason of a case and refresh its mod-log message
+	 * @param {import("discord.js").Guild} guild - Guild of the case
+	 * @param {number} id - Case number
+	 * @param {string} reason - New reason
+	 * @param {import("discord.js").User} editor - Moderator editing the reason
+	 * @returns {Promise<import("../models/ModerationCase")|null>}
+	 */
+	async updateReason(guild, id, reason, editor) {
+		const modCase = await this.caseManager.updateReason(
+			guild.id,
+			id,
+			reason,
+			editor.id,
+		);
+		if (!modCase?.logMessageId) {
+			return modCase;
+		}
+
+		try {
+			const logChannel = await guild.channels.fetch(modCase.logChannelId);
+			const message = await logChannel.messages.fetch(modCase.logMessageId);
+			await message.edit({ embeds: [ModLogService.buildEmbed(modCase)] });
+		} catch (error) {
+			console.error(`Error editing mod-log message of case #${id}:`, error);
+		}
+
+		return modCase;
+	}
+}
+
+ModLogService.ACTIONS = ACTIONS;
+
+module.exports = ModLogService;
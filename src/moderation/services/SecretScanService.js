@@ -0,0 +1,267 @@
+const { AttachmentBuilder, EmbedBuilder } = require("discord.js");
+const { notifyMember } = require("./memberActions");
+
+// Only formats specific enough to rarely match anything but a real credential
+const SECRET_PATTERNS = [
+	{
+		type: "discord-token",
+		label: "Token de bot de Discord",
+		pattern: /\b[MNO][\w-]{23,25}\.[\w-]{6}\.[\w-]{27,38}\b/g,
+	},
+	{
+		type: "github-token",
+		label: "Token de GitHub",
+		pattern:
+			/\b(?:gh[pousr]_[A-Za-z0-9]{36}|github_pat_[A-Za-z0-9]{22}_[A-Za-z0-9]{59})\b/g,
+	},
+	{
+		type: "aws-access-key",
+		label: "Clave de acceso de AWS",
+		pattern: /\b(?:AKIA|ASIA)[A-Z0-9]{16}\b/g,
+	},
+	{
+		type: "aws-secret-key",
+		label: "Clave secreta de AWS",
+		pattern:
+			/\baws_secret_access_key\b["']?\s*[:=]\s*["']?[A-Za-z0-9/+]{40}(?![A-Za-z0-9/+])/gi,
+	},
+	{
+		type: "private-key",
+		label: "Clave privada",
+		// A key cut off by the message limit is still a leak, so the END line is optional
+		pattern:
+			/-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY-----[\s\S]*?(?:-----END (?:[A-Z0-9]+ )*PRIVATE KEY-----|$)/g,
+	},
+];
+const TEXT_EXTENSIONS = new Set([
+	"txt",
+	"log",
+	"env",
+	"json",
+	"yml",
+	"yaml",
+	"toml",
+	"ini",
+	"cfg",
+	"conf",
+	"properties",
+	"xml",
+	"pem",
+	"key",
+	"js",
+	"ts",
+	"py",
+	"rb",
+	"go",
+	"java",
+	"cs",
+	"php",
+	"sh",
+	"md",
+]);
+// Larger attachments are skipped instead of downloaded
+const MAX_ATTACHMENT_BYTES = 512 * 1024;
+// Leaves room for the code block in a 1024 character embed field
+const MAX_PREVIEW_LENGTH = 1000;
+
+/**
+ * SecretScanService removes messages that leak credentials and warns their author and the staff
+ */
+class SecretScanService {
+	/**
+	 * @param {import("./ModLogService")} modLog - Shared mod-log service
+	 * @param {Object} options - Overrides for testing
+	 */
+	constructor(modLog, options = {}) {
+		this.modLog = modLog;
+		this.fetch = options.fetch ?? globalThis.fetch;
+	}
+
+	/**
+	 * Find the credentials in a text
+	 * @param {string} text - Text to scan
+	 * @returns {{type: string, label: string, value: string}[]}
+	 */
+	static findSecrets(text) {
+		return SECRET_PATTERNS.flatMap(({ type, label, pattern }) =>
+			[...text.matchAll(pattern)].map((match) => ({
+				type,
+				label,
+				value: match[0],
+			})),
+		);
+	}
+
+	/**
+	 * Replace the credentials in a text with a placeholder
+	 * @param {string} text - Text to redact
+	 * @returns {string}
+	 */
+	static redact(text) {
+		return SECRET_PATTERNS.reduce(
+			(redacted, { label, pattern }) =>
+				redacted.replace(pattern, `[REDACTADO: ${label}]`),
+			text,
+		);
+	}
+
+	/**
+	 * Check whether an attachment is a text file worth scanning
+	 * @param {import("discord.js").Attachment} attachment - Message attachment
+	 * @returns {boolean}
+	 */
+	static isTextAttachment(attachment) {
+		if (attachment.size > MAX_ATTACHMENT_BYTES) {
+			return false;
+		}
+		if (attachment.contentType?.startsWith("text/")) {
+			return true;
+		}
+		// Dotfiles such as .env have no extension besides their name
+		const extension = attachment.name.toLowerCase().split(".").pop();
+		return TEXT_EXTENSIONS.has(extension);
+	}
+
+	/**
+	 * Download the text attachments of a message
+	 * @param {import("discord.js").Message} message - Message
+	 * @returns {Promise<{name: string, content: string}[]>}
+	 */
+	async fetchTextAttachments(message) {
+		const files = [];
+		for (const attachment of message.attachments.values()) {
+			if (!SecretScanService.isTextAttachment(attachment)) {
+				continue;
+			}
+			try {
+				const response = await this.fetch(attachment.url);
+				if (response.ok) {
+					files.push({ name: attachment.name, content: await response.text() });
+				}
+			} catch (error) {
+				console.error(
+					`Error downloading attachment ${attachment.name}:`,
+					error,
+				);
+			}
+		}
+		return files;
+	}
+
+	/**
+	 * Scan a message and its text attachments, removing it if it leaks credentials
+	 * @param {import("discord.js").Message} message - Message sent or edited in a guild
+	 * @param {Object} options - Scan options
+	 * @param {boolean} [options.edited] - Whether the message was edited, its attachments were scanned when it was sent
+	 * @returns {Promise<Object|null>} The leaked credential types and whether the message was deleted, or null if it is clean
+	 */
+	async handleMessage(message, { edited = false } = {}) {
+		if (message.author.bot || !message.inGuild()) {
+			return null;
+		}
+
+		const files = edited ? [] : await this.fetchTextAttachments(message);
+		const leakedFiles = files.filter(
+			(file) => SecretScanService.findSecrets(file.content).length > 0,
+		);
+		const secrets = [
+			message.content,
+			...leakedFiles.map((file) => file.content),
+		].flatMap((text) => SecretScanService.findSecrets(text));
+		if (secrets.length === 0) {
+			return null;
+		}
+
+		const labels = [...new Set(secrets.map((secret) => secret.label))];
+		let deleted = true;
+		try {
+			await message.delete();
+		} catch (error) {
+			// Unknown Message: someone else already deleted it
+			if (error.code !== 10008) {
+				console.error(
+					"Error deleting a message that leaks credentials:",
+					error,
+				);
+				deleted = false;
+			}
+		}
+
+		const notified = await this.notifyAuthor(
+			message,
+			labels,
+			leakedFiles,
+			deleted,
+		);
+		const modCase = await this.modLog.log(message.guild, {
+			action: "secret",
+			moderator: message.client.user,
+			target: message.author,
+			channel: message.channel,
+			reason: `Credenciales publicadas: ${labels.join(", ")}`,
+			details: deleted
+				? "Mensaje eliminado. Se ha enviado al autor una copia sin las credenciales."
+				: `⚠️ No se pudo eliminar el mensaje, bórralo manualmente: ${message.url}`,
+		});
+		// Without a mod-log channel the console is the only place the staff can find out
+		if (!modCase?.logMessageId) {
+			console.warn(
+				`Credentials posted by ${message.author.tag} in guild ${message.guild.id} were not announced, no mod-log channel is configured (case ${modCase ? `#${modCase.id}` : "not recorded"}, message ${deleted ? "deleted" : `not deleted: ${message.url}`}, author ${notified ? "notified" : "not notified"})`,
+			);
+		}
+
+		return {
+			types: [...new Set(secrets.map((secret) => secret.type))],
+			deleted,
+		};
+	}
+
+	/**
+	 * Send the author a redacted copy of a message that leaked credentials
+	 * @param {import("discord.js").Message} message - Leaking message
+	 * @param {string[]} labels - Names of the leaked credential types
+	 * @param {{name: string, content: string}[]} leakedFiles - Attachments that contained credentials
+	 * @param {boolean} deleted - Whether the message was deleted
+	 * @returns {Promise<boolean>} Whether the DM was delivered
+	 */
+	async notifyAuthor(message, labels, leakedFiles, deleted) {
+		if (!message.member) {
+			return false;
+		}
+
+		const redacted = SecretScanService.redact(message.content);
+		const preview =
+			redacted.length > MAX_PREVIEW_LENGTH
+				? `${redacted.slice(0, MAX_PREVIEW_LENGTH)}...`
+				: redacted;
+
+		const embed = new EmbedBuilder()
+			.setColor(0xff0000)
+			.setTitle("🔑 Has publicado credenciales")
+			.setDescription(
+				`${deleted ? "Tu mensaje" : "Un mensaje tuyo"} en <#${message.channelId}> del servidor **${message.guild.name}** contenía credenciales (${labels.join(", ")})${deleted ? " y lo he eliminado" : ". No he podido eliminarlo: bórralo tú cuanto antes"}. Nuestras normas dicen: *No publiques credenciales o tokens*.\n\n**Considera que están comprometidas**: revócalas y genera unas nuevas, aunque el mensaje haya estado visible poco tiempo.`,
+			)
+			.setTimestamp();
+		if (preview.trim()) {
+			embed.addFields({
+				name: "Tu mensaje, sin las credenciales",
+				value: `\`\`\`\n${preview.replace(/```/g, "'''")}\n\`\`\``,
+			});
+		}
+
+		return notifyMember(message.member, {
+			embeds: [embed],
+			files: leakedFiles.map(
+				(file) =>
+					new AttachmentBuilder(
+						Buffer.from(SecretScanService.redact(file.content)),
+						{ name: file.name },
+					),
+			),
+		});
+	}
+}
+
+SecretScanService.SECRET_PATTERNS = SECRET_PATTERNS;
+
+module.exports = SecretScanService;
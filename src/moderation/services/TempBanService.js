@@ -0,0 +1,130 @@
+const { unbanUser } = require("./memberActions");
+
+const JOB_NAME = "tempban:expire";
+// Logging is a job of its own, so a failed log is retried without unbanning again
+const LOG_JOB_NAME = "tempban:log";
+
+/**
+ * TempBanService schedules the end of temporary bans and lifts them when they expire
+ */
+class TempBanService {
+	/**
+	 * @param {import("../../scheduler/services/JobScheduler")} scheduler - Shared job scheduler
+	 * @param {import("./ModLogService")} modLog - Shared mod-log service
+	 */
+	constructor(scheduler, modLog) {
+		this.scheduler = scheduler;
+		this.modLog = modLog;
+	}
+
+	/**
+	 * Get the scheduler key of the temp ban of a user
+	 * @param {string} userId - Discord user ID
+	 * @param {string} guildId - Discord guild ID
+	 * @returns {string}
+	 */
+	static getJobKey(userId, guildId) {
+		return `${JOB_NAME}:${guildId}:${userId}`;
+	}
+
+	/**
+	 * Schedule the unban of a user, replacing any previous temp ban
+	 * @param {string} userId - Discord user ID
+	 * @param {string} guildId - Discord guild ID
+	 * @param {Date} expiresAt - When the ban is lifted
+	 * @param {number|null} caseId - Case of the ban
+	 * @returns {Promise<import("../../scheduler/models/Job")>}
+	 */
+	async schedule(userId, guildId, expiresAt, caseId = null) {
+		return this.scheduler.schedule(
+			JOB_NAME,
+			expiresAt,
+			{ userId, guildId, caseId },
+			{ key: TempBanService.getJobKey(userId, guildId) },
+		);
+	}
+
+	/**
+	 * Cancel the scheduled unban of a user
+	 * @param {string} userId - Discord user ID
+	 * @param {string} guildId - Discord guild ID
+	 * @returns {Promise<boolean>} Whether there was a temp ban
+	 */
+	async cancel(userId, guildId) {
+		return this.scheduler.cancel(TempBanService.getJobKey(userId, guildId));
+	}
+
+	/**
+	 * Get the mod-log reason of an expired temp ban
+	 * @param {number|null} caseId - Case of the ban
+	 * @returns {string}
+	 */
+	static getLiftReason(caseId) {
+		return `Baneo temporal expirado${caseId ? ` (caso #${caseId})` : ""}`;
+	}
+
+	/**
+	 * Lift an expired temp ban and schedule its mod-log entry
+	 * @param {Object} data - Job data with userId, guildId and caseId
+	 * @param {import("discord.js").Client} client - Discord client
+	 */
+	async lift({ userId, guildId, caseId }, client) {
+		const guild = client.guilds.cache.get(guildId);
+		if (!guild) {
+			console.log(
+				`Dropping temp ban of ${userId}: guild ${guildId} is not available`,
+			);
+			return;
+		}
+
+		try {
+			await unbanUser(guild, userId, TempBanService.getLiftReason(caseId));
+		} catch (error) {
+			// 10026: Unknown Ban, someone already lifted it by hand
+			if (error.code !== 10026) {
+				throw error;
+			}
+			return;
+		}
+
+		await this.scheduler.schedule(LOG_JOB_NAME, new Date(), {
+			userId,
+			guildId,
+			caseId,
+		});
+	}
+
+	/**
+	 * Record a lifted temp ban in the mod log
+	 * @param {Object} data - Job data with userId, guildId and caseId
+	 * @param {import("discord.js").Client} client - Discord client
+	 */
+	async logLift({ userId, guildId, caseId }, client) {
+		const guild = client.guilds.cache.get(guildId);
+		if (!guild) {
+			console.log(
+				`Dropping the unban log of ${userId}: guild ${guildId} is not available`,
+			);
+			return;
+		}
+
+		const user = await client.users
+			.fetch(userId)
+			.catch(() => ({ id: userId, tag: userId }));
+		const modCase = await this.modLog.log(guild, {
+			action: "unban",
+			moderator: client.user,
+			target: user,
+			reason: TempBanService.getLiftReason(caseId),
+		});
+		if (!modCase) {
+			// Failing the job makes the scheduler retry the log
+			throw new Error(`Could not record the unban of ${userId}`);
+		}
+	}
+}
+
+TempBanService.JOB_NAME = JOB_NAME;
+TempBanService.LOG_JOB_NAME = LOG_JOB_NAME;
+
+module.exports = TempBanService;
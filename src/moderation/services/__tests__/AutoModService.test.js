@@ -0,0 +1,275 @@
+const { test, describe, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs").promises;
+const path = require("path");
+const AutoModService = require("../AutoModService");
+const WarningManager = require("../../managers/WarningManager");
+const ModerationConfigManager = require("../../managers/ModerationConfigManager");
+
+describe("AutoModService", () => {
+	let service;
+	let warningManager;
+	let configManager;
+	let loggedCases;
+	let escalated;
+	let tempDir;
+	const testGuildId = "guild456";
+
+	const createMessage = (
+		content,
+		{ userId = "user123", canManage = false } = {},
+	) => {
+		const calls = [];
+		const user = { id: userId, tag: "user#0001", bot: false };
+		return {
+			content,
+			guildId: testGuildId,
+			guild: { id: testGuildId, name: "Servidor" },
+			channel: { id: "channel1", name: "general" },
+			author: user,
+			client: { user: { id: "bot" } },
+			calls,
+			inGuild: () => true,
+			delete: async () => calls.push(["delete"]),
+			member: {
+				id: userId,
+				user,
+				moderatable: true,
+				permissions: { has: () => canManage },
+				send: async () => calls.push(["send"]),
+				timeout: async (duration) => calls.push(["timeout", duration]),
+			},
+		};
+	};
+
+	const enable = (name, settings = {}) =>
+		configManager.updateConfig(testGuildId, (config) =>
+			config.setAutoModFilter(name, { enabled: true, ...settings }),
+		);
+
+	beforeEach(async () => {
+		tempDir = path.join(__dirname, "temp-automod-data");
+		await fs.mkdir(tempDir, { recursive: true });
+
+		warningManager = new WarningManager();
+		warningManager.dataDir = tempDir;
+		warningManager.warningsFile = path.join(tempDir, "warnings.json");
+		configManager = new ModerationConfigManager();
+		configManager.dataDir = tempDir;
+		configManager.configsFile = path.join(tempDir, "configs.json");
+		loggedCases = [];
+		escalated = [];
+		const modLog = {
+			log: async (_guild, entry) => {
+				loggedCases.push(entry);
+				return { id: loggedCases.length, ...entry };
+			},
+		};
+		const escalation = {
+			escalate: async (member) => {
+				escalated.push(member.id);
+				return null;
+			},
+		};
+		service = new AutoModService(
+			configManager,
+			warningManager,
+			modLog,
+			escalation,
+		);
+	});
+
+	afterEach(async () => {
+		try {
+			await fs.rm(tempDir, { recursive: true, force: true });
+		} catch (_error) {
+			// Ignore cleanup errors
+		}
+	});
+
+	describe("filters", () => {
+		const check = (name, content, settings = {}, context = {}) =>
+			AutoModService.getFilter(name).check({ content }, settings, {
+				recent: [],
+				blockedDomains: [],
+				now: 10_000,
+				...context,
+			});
+
+		test("should detect message floods", () => {
+			const recent = [9_000, 9_500, 9_800].map((at) => ({ content: "", at }));
+
+			assert.ok(check("flood", "hola", { threshold: 2 }, { recent }));
+			assert.strictEqual(
+				check("flood", "hola", { threshold: 3 }, { recent }),
+				null,
+			);
+		});
+
+		test("should detect repeated messages", () => {
+			const recent = [
+				{ content: "compra ya", at: 1_000 },
+				{ content: "compra ya", at: 2_000 },
+				{ content: "otra cosa", at: 3_000 },
+			];
+
+			assert.ok(
+				check("duplicates", "Compra  YA", { threshold: 1 }, { recent }),
+			);
+			assert.strictEqual(
+				check("duplicates", "compra ya", { threshold: 2 }, { recent }),
+				null,
+			);
+		});
+
+		test("should count unique mentions and @everyone", () => {
+			const content =
+				"<@111111111111111111> <@!111111111111111111> <@&222222222222222222> @everyone";
+
+			assert.strictEqual(
+				check("mentions", content, { threshold: 2 }),
+				"3 menciones",
+			);
+			assert.strictEqual(check("mentions", content, { threshold: 3 }), null);
+		});
+
+		test("should detect Discord invites", () => {
+			assert.ok(check("invites", "Entrad en discord.gg/abc123"));
+			assert.ok(check("invites", "https://discord.com/invite/abc123"));
+			assert.strictEqual(
+				check("invites", "https://discord.com/channels/1/2"),
+				null,
+			);
+		});
+
+		test("should detect blocked domains and their subdomains", () => {
+			const context = { blockedDomains: ["ejemplo.com"] };
+
+			assert.strictEqual(
+				check("links", "Mira https://user@cdn.ejemplo.com:8080/x", {}, context),
+				"Enlace a cdn.ejemplo.com",
+			);
+			assert.strictEqual(
+				check("links", "https://noejemplo.com", {}, context),
+				null,
+			);
+			assert.strictEqual(
+				check("links", "ejemplo.com sin enlace", {}, context),
+				null,
+			);
+		});
+
+		test("should detect excessive caps but ignore short messages", () => {
+			assert.ok(check("caps", "ESTO ES UN GRITO ENORME", { threshold: 70 }));
+			assert.strictEqual(check("caps", "OK VALE", { threshold: 70 }), null);
+			assert.strictEqual(
+				check("caps", "Hola <@111111111111111111>, ¿qué tal estás?", {
+					threshold: 70,
+				}),
+				null,
+			);
+		});
+	});
+
+	describe("handleMessage", () => {
+		test("should ignore messages when every filter is disabled", async () => {
+			const message = createMessage("discord.gg/abc123");
+
+			assert.strictEqual(await service.handleMessage(message), null);
+			assert.deepStrictEqual(message.calls, []);
+		});
+
+		test("should not moderate members who can manage messages", async () => {
+			await enable("invites");
+			const message = createMessage("discord.gg/abc123", { canManage: true });
+
+			assert.strictEqual(await service.handleMessage(message), null);
+		});
+
+		test("should delete the message and log a case", async () => {
+			await enable("invites");
+			const message = createMessage("discord.gg/abc123");
+
+			const result = await service.handleMessage(message);
+
+			assert.deepStrictEqual(result, {
+				filter: "invites",
+				action: "delete",
+				reason: "Invitación: discord.gg/abc123",
+			});
+			assert.deepStrictEqual(message.calls, [["delete"]]);
+			assert.strictEqual(loggedCases[0].action, "automod");
+		});
+
+		test("should keep the message when the action is log", async () => {
+			await enable("invites", { action: "log" });
+			const message = createMessage("discord.gg/abc123");
+
+			assert.strictEqual((await service.handleMessage(message)).action, "log");
+			assert.deepStrictEqual(message.calls, []);
+			assert.strictEqual(loggedCases.length, 1);
+		});
+
+		test("should warn through the warning and escalation paths", async () => {
+			await enable("invites", { action: "warn" });
+
+			await service.handleMessage(createMessage("discord.gg/abc123"));
+
+			const warnings = await warningManager.getUserWarnings(
+				"user123",
+				testGuildId,
+			);
+			assert.strictEqual(warnings.length, 1);
+			assert.strictEqual(loggedCases[0].action, "warn");
+			assert.deepStrictEqual(escalated, ["user123"]);
+		});
+
+		test("should time out members", async () => {
+			await enable("invites", { action: "timeout", duration: "1h" });
+			const message = createMessage("discord.gg/abc123");
+
+			assert.strictEqual(
+				(await service.handleMessage(message)).action,
+				"timeout",
+			);
+			assert.deepStrictEqual(message.calls, [
+				["delete"],
+				["timeout", 3_600_000],
+			]);
+			assert.strictEqual(loggedCases[0].duration, "1h");
+		});
+
+		test("should still punish and log when the message cannot be deleted", async (t) => {
+			t.mock.method(console, "error", () => undefined);
+			await enable("invites", { action: "timeout", duration: "1h" });
+			const message = createMessage("discord.gg/abc123");
+			message.url = "https://discord.com/channels/guild456/channel1/message1";
+			message.delete = async () => {
+				throw Object.assign(new Error("Missing Permissions"), { code: 50013 });
+			};
+
+			assert.strictEqual(
+				(await service.handleMessage(message)).action,
+				"timeout",
+			);
+			assert.deepStrictEqual(message.calls, [["timeout", 3_600_000]]);
+			assert.ok(loggedCases[0].details.startsWith("Mensaje conservado"));
+			assert.ok(loggedCases[0].details.includes(message.url));
+		});
+
+		test("should only punish the first message of a flood", async () => {
+			await enable("flood", { action: "warn", threshold: 2 });
+
+			const actions = [];
+			for (let i = 0; i < 5; i++) {
+				const result = await service.handleMessage(
+					createMessage(`mensaje ${i}`),
+				);
+				actions.push(result?.action ?? null);
+			}
+
+			assert.deepStrictEqual(actions, [null, null, "warn", "delete", "delete"]);
+			assert.strictEqual(loggedCases.length, 1);
+		});
+	});
+});
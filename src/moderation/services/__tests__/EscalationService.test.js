@@ -0,0 +1,162 @@
+const { test, describe, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs").promises;
+const path = require("path");
+const EscalationService = require("../EscalationService");
+const WarningManager = require("../../managers/WarningManager");
+const ModerationConfigManager = require("../../managers/ModerationConfigManager");
+
+describe("EscalationService", () => {
+	let service;
+	let warningManager;
+	let configManager;
+	let loggedCases;
+	let tempDir;
+	const testUserId = "user123";
+	const testGuildId = "guild456";
+
+	const createMember = (overrides = {}) => {
+		const calls = [];
+		return {
+			id: testUserId,
+			guild: { id: testGuildId, name: "Servidor" },
+			user: { id: testUserId, tag: "user#0001" },
+			client: { user: { id: "bot" } },
+			moderatable: true,
+			kickable: true,
+			bannable: true,
+			calls,
+			send: async (message) => calls.push(["send", message]),
+			timeout: async (duration, reason) =>
+				calls.push(["timeout", duration, reason]),
+			kick: async (reason) => calls.push(["kick", reason]),
+			ban: async (options) => calls.push(["ban", options.reason]),
+			...overrides,
+		};
+	};
+
+	const warn = async (count) => {
+		for (let i = 0; i < count; i++) {
+			await warningManager.addWarning(testUserId, testGuildId, "mod", "Spam");
+		}
+	};
+
+	beforeEach(async () => {
+		tempDir = path.join(__dirname, "temp-escalation-data");
+		await fs.mkdir(tempDir, { recursive: true });
+
+		warningManager = new WarningManager();
+		warningManager.dataDir = tempDir;
+		warningManager.warningsFile = path.join(tempDir, "warnings.json");
+		configManager = new ModerationConfigManager();
+		configManager.dataDir = tempDir;
+		configManager.configsFile = path.join(tempDir, "configs.json");
+		loggedCases = [];
+		const modLog = {
+			log: async (_guild, entry) => {
+				loggedCases.push(entry);
+				return { id: loggedCases.length, ...entry };
+			},
+		};
+		service = new EscalationService(warningManager, configManager, modLog);
+
+		await configManager.updateConfig(testGuildId, (config) => {
+			config.setEscalationRule({
+				threshold: 3,
+				action: "timeout",
+				duration: "1h",
+			});
+			config.setEscalationRule({ threshold: 5, action: "kick" });
+		});
+	});
+
+	afterEach(async () => {
+		try {
+			await fs.rm(tempDir, { recursive: true, force: true });
+		} catch (_error) {
+			// Ignore cleanup errors
+		}
+	});
+
+	describe("describeRule", () => {
+		test("should describe a timeout rule with its duration", () => {
+			assert.strictEqual(
+				EscalationService.describeRule({
+					threshold: 3,
+					action: "timeout",
+					duration: "1h",
+				}),
+				"3 advertencias → timeout de 1h",
+			);
+		});
+	});
+
+	describe("escalate", () => {
+		test("should do nothing below the first threshold", async () => {
+			await warn(2);
+			const member = createMember();
+
+			const result = await service.escalate(member);
+
+			assert.strictEqual(result, null);
+			assert.strictEqual(member.calls.length, 0);
+		});
+
+		test("should apply the rule that matches the active warnings", async () => {
+			await warn(3);
+			const member = createMember();
+
+			const result = await service.escalate(member);
+
+			assert.strictEqual(result.applied, true);
+			assert.strictEqual(result.rule.action, "timeout");
+			assert.deepStrictEqual(member.calls[0].slice(0, 2), [
+				"timeout",
+				60 * 60 * 1000,
+			]);
+			assert.strictEqual(result.modCase.id, 1);
+			assert.strictEqual(loggedCases[0].action, "timeout");
+			assert.strictEqual(loggedCases[0].moderator.id, "bot");
+		});
+
+		test("should not count pardoned warnings", async () => {
+			await warn(5);
+			await warningManager.pardonWarning(testGuildId, 1, "mod", "Perdón");
+			const member = createMember();
+
+			const result = await service.escalate(member);
+
+			assert.strictEqual(result, null);
+		});
+
+		test("should not count expired warnings", async () => {
+			await warn(3);
+			const [first] = await warningManager.getUserWarnings(
+				testUserId,
+				testGuildId,
+			);
+			first.createdAt = new Date(
+				Date.now() - 40 * 24 * 60 * 60 * 1000,
+			).toISOString();
+			await configManager.updateConfig(testGuildId, (config) =>
+				config.update({ warningExpiryDays: 30 }),
+			);
+
+			const result = await service.escalate(createMember());
+
+			assert.strictEqual(result, null);
+		});
+
+		test("should report rules the bot cannot apply", async () => {
+			await warn(5);
+			const member = createMember({ kickable: false });
+
+			const result = await service.escalate(member);
+
+			assert.strictEqual(result.applied, false);
+			assert.strictEqual(result.rule.action, "kick");
+			assert.strictEqual(member.calls.length, 0);
+			assert.strictEqual(loggedCases.length, 0);
+		});
+	});
+});
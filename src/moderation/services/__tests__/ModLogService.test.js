@@ -0,0 +1,208 @@
+const { test, describe, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs").promises;
+const path = require("path");
+const ModLogService = require("../ModLogService");
+const CaseManager = require("../../managers/CaseManager");
+const ModerationConfigManager = require("../../managers/ModerationConfigManager");
+
+describe("ModLogService", () => {
+	let service;
+	let caseManager;
+	let configManager;
+	let sent;
+	let edited;
+	let tempDir;
+	const testGuildId = "guild456";
+	const logChannelId = "log123";
+
+	const guild = {
+		id: testGuildId,
+		channels: {
+			fetch: async (id) =>
+				id === logChannelId
+					? {
+							id,
+							isTextBased: () => true,
+							send: async (payload) => {
+								sent.push(payload);
+								return { id: `message${sent.length}` };
+							},
+							messages: {
+								fetch: async (messageId) => ({
+									edit: async (payload) => edited.push([messageId, payload]),
+								}),
+							},
+						}
+					: null,
+		},
+	};
+	const moderator = { id: "mod789", tag: "mod#0001" };
+	const target = { id: "user1", tag: "user#0001" };
+
+	beforeEach(async () => {
+		tempDir = path.join(__dirname, "temp-modlog-data");
+		await fs.mkdir(tempDir, { recursive: true });
+
+		caseManager = new CaseManager();
+		caseManager.dataDir = tempDir;
+		caseManager.casesFile = path.join(tempDir, "cases.json");
+		configManager = new ModerationConfigManager();
+		configManager.dataDir = tempDir;
+		configManager.configsFile = path.join(tempDir, "configs.json");
+		service = new ModLogService(caseManager, configManager);
+		sent = [];
+		edited = [];
+	});
+
+	afterEach(async () => {
+		try {
+			await fs.rm(tempDir, { recursive: true, force: true });
+		} catch (_error) {
+			// Ignore cleanup errors
+		}
+	});
+
+	describe("buildEmbed", () => {
+		test("should include case number, actor, target, duration and reason", async () => {
+			const modCase = await caseManager.createCase(
+				testGuildId,
+				"timeout",
+				moderator.id,
+				{
+					targetId: target.id,
+					targetTag: target.tag,
+					reason: "Flood",
+					duration: "1h",
+				},
+			);
+
+			const embed = ModLogService.buildEmbed(modCase).toJSON();
+			const fields = Object.fromEntries(
+				embed.fields.map((field) => [field.name, field.value]),
+			);
+
+			assert.ok(embed.title.includes("Caso #1"));
+			assert.strictEqual(fields.Moderador, "<@mod789>");
+			assert.ok(fields.Usuario.includes("<@user1>"));
+			assert.strictEqual(fields.Duración, "1h");
+			assert.strictEqual(fields.Razón, "Flood");
+		});
+
+		test("should cut reasons longer than an embed field", async () => {
+			const modCase = await caseManager.createCase(
+				testGuildId,
+				"warn",
+				moderator.id,
+				{ targetId: target.id, reason: "a".repeat(2000) },
+			);
+
+			const embed = ModLogService.buildEmbed(modCase).toJSON();
+			const reason = embed.fields.find((field) => field.name === "Razón");
+
+			assert.strictEqual(reason.value.length, 1024);
+			assert.ok(reason.value.endsWith("..."));
+		});
+	});
+
+	describe("log", () => {
+		test("should record a case without a mod-log channel", async () => {
+			const modCase = await service.log(guild, {
+				action: "kick",
+				moderator,
+				target,
+				reason: "Spam",
+			});
+
+			assert.strictEqual(modCase.id, 1);
+			assert.strictEqual(sent.length, 0);
+		});
+
+		test("should post the case to the mod-log channel", async () => {
+			await configManager.updateConfig(testGuildId, (config) =>
+				config.update({ modLogChannelId: logChannelId }),
+			);
+
+			const modCase = await service.log(guild, {
+				action: "ban",
+				moderator,
+				target,
+				reason: "Spam",
+			});
+
+			const stored = await caseManager.getCase(testGuildId, modCase.id);
+			assert.strictEqual(sent.length, 1);
+			assert.strictEqual(stored.logChannelId, logChannelId);
+			assert.strictEqual(stored.logMessageId, "message1");
+		});
+
+		test("should still record the case when the channel is gone", async () => {
+			await configManager.updateConfig(testGuildId, (config) =>
+				config.update({ modLogChannelId: "deleted" }),
+			);
+
+			const modCase = await service.log(guild, {
+				action: "warn",
+				moderator,
+				target,
+			});
+
+			assert.strictEqual(modCase.id, 1);
+			assert.strictEqual(modCase.logMessageId, null);
+		});
+
+		test("should return null when the case cannot be recorded", async (t) => {
+			t.mock.method(console, "error", () => undefined);
+			caseManager.createCase = async () => {
+				throw new Error("Disk full");
+			};
+
+			const modCase = await service.log(guild, {
+				action: "kick",
+				moderator,
+				target,
+			});
+
+			assert.strictEqual(modCase, null);
+			assert.strictEqual(sent.length, 0);
+		});
+	});
+
+	describe("updateReason", () => {
+		test("should edit the reason and the mod-log message", async () => {
+			await configManager.updateConfig(testGuildId, (config) =>
+				config.update({ modLogChannelId: logChannelId }),
+			);
+			await service.log(guild, {
+				action: "kick",
+				moderator,
+				target,
+				reason: "Spam",
+			});
+
+			const modCase = await service.updateReason(
+				guild,
+				1,
+				"Spam reiterado",
+				moderator,
+			);
+
+			const [messageId, payload] = edited[0];
+			const reasonField = payload.embeds[0]
+				.toJSON()
+				.fields.find((field) => field.name === "Razón");
+			assert.strictEqual(modCase.reason, "Spam reiterado");
+			assert.strictEqual(messageId, "message1");
+			assert.strictEqual(reasonField.value, "Spam reiterado");
+		});
+
+		test("should update cases that were never posted", async () => {
+			await service.log(guild, { action: "warn", moderator, target });
+
+			const modCase = await service.updateReason(guild, 1, "Otra", moderator);
+
+			assert.strictEqual(modCase.reason, "Otra");
+			assert.strictEqual(edited.length, 0);
+		});
+	});
+});
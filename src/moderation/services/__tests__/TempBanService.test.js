@@ -0,0 +1,172 @@
+const { test, describe, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs").promises;
+const path = require("path");
+const TempBanService = require("../TempBanService");
+const JobScheduler = require("../../../scheduler/services/JobScheduler");
+const JobManager = require("../../../scheduler/managers/JobManager");
+
+describe("TempBanService", () => {
+	let service;
+	let scheduler;
+	let logged;
+	let unbanned;
+	let tempDir;
+	const testGuildId = "guild456";
+
+	const createClient = (unbanError = null) => {
+		const client = {
+			user: { id: "bot" },
+			users: { fetch: async (id) => ({ id, tag: `${id}#0001` }) },
+			guilds: { cache: new Map() },
+		};
+		client.guilds.cache.set(testGuildId, {
+			id: testGuildId,
+			client,
+			members: {
+				unban: async (user, reason) => {
+					if (unbanError) {
+						throw unbanError;
+					}
+					unbanned.push([user.id, reason]);
+				},
+			},
+		});
+		return client;
+	};
+
+	beforeEach(async () => {
+		tempDir = path.join(__dirname, "temp-tempban-service-data");
+		await fs.mkdir(tempDir, { recursive: true });
+
+		const manager = new JobManager();
+		manager.dataDir = tempDir;
+		manager.jobsFile = path.join(tempDir, "jobs.json");
+		scheduler = new JobScheduler(manager);
+		logged = [];
+		unbanned = [];
+		service = new TempBanService(scheduler, {
+			log: async (_guild, entry) => logged.push(entry),
+		});
+	});
+
+	afterEach(async () => {
+		scheduler.stop();
+		try {
+			await fs.rm(tempDir, { recursive: true, force: true });
+		} catch (_error) {
+			// Ignore cleanup errors
+		}
+	});
+
+	describe("schedule", () => {
+		test("should keep a single pending unban per user", async () => {
+			await service.schedule("user1", testGuildId, new Date(), 1);
+			await service.schedule("user1", testGuildId, new Date(), 2);
+
+			const job = await scheduler.getJob(
+				TempBanService.getJobKey("user1", testGuildId),
+			);
+			assert.strictEqual(job.name, TempBanService.JOB_NAME);
+			assert.strictEqual(job.data.caseId, 2);
+			assert.strictEqual((await scheduler.jobManager.getJobs()).length, 1);
+		});
+
+		test("should cancel a pending unban", async () => {
+			await service.schedule("user1", testGuildId, new Date());
+
+			assert.strictEqual(await service.cancel("user1", testGuildId), true);
+			assert.strictEqual(await service.cancel("user1", testGuildId), false);
+		});
+	});
+
+	describe("lift", () => {
+		test("should unban the user and schedule the log", async () => {
+			await service.lift(
+				{ userId: "user1", guildId: testGuildId, caseId: 7 },
+				createClient(),
+			);
+
+			assert.strictEqual(unbanned[0][0], "user1");
+			assert.ok(unbanned[0][1].includes("caso #7"));
+			const [job] = await scheduler.jobManager.getJobs();
+			assert.strictEqual(job.name, TempBanService.LOG_JOB_NAME);
+			assert.deepStrictEqual(job.data, {
+				userId: "user1",
+				guildId: testGuildId,
+				caseId: 7,
+			});
+			assert.strictEqual(logged.length, 0);
+		});
+
+		test("should ignore bans that were already lifted by hand", async () => {
+			await service.lift(
+				{ userId: "user1", guildId: testGuildId },
+				createClient(Object.assign(new Error("Unknown Ban"), { code: 10026 })),
+			);
+
+			assert.strictEqual(logged.length, 0);
+			assert.deepStrictEqual(await scheduler.jobManager.getJobs(), []);
+		});
+
+		test("should fail on other errors so the job is retried", async () => {
+			await assert.rejects(
+				service.lift(
+					{ userId: "user1", guildId: testGuildId },
+					createClient(
+						Object.assign(new Error("Missing Permissions"), { code: 50013 }),
+					),
+				),
+			);
+		});
+	});
+
+	describe("logLift", () => {
+		test("should log the unban", async () => {
+			await service.logLift(
+				{ userId: "user1", guildId: testGuildId, caseId: 7 },
+				createClient(),
+			);
+
+			assert.strictEqual(logged[0].action, "unban");
+			assert.strictEqual(logged[0].moderator.id, "bot");
+			assert.strictEqual(logged[0].target.id, "user1");
+			assert.ok(logged[0].reason.includes("caso #7"));
+		});
+
+		test("should retry only the log when it fails", async (t) => {
+			t.mock.method(console, "error", () => undefined);
+			let attempts = 0;
+			service.modLog = {
+				// ModLogService.log returns null when the case cannot be recorded
+				log: async (_guild, entry) => {
+					attempts++;
+					if (attempts === 1) {
+						return null;
+					}
+					logged.push(entry);
+					return { id: attempts };
+				},
+			};
+			const client = createClient();
+			scheduler.registerHandler(TempBanService.JOB_NAME, (job) =>
+				service.lift(job.data, client),
+			);
+			scheduler.registerHandler(TempBanService.LOG_JOB_NAME, (job) =>
+				service.logLift(job.data, client),
+			);
+			await service.schedule("user1", testGuildId, new Date(), 7);
+
+			// Far enough ahead to include the retry of the failed log
+			const later = new Date(Date.now() + 60 * 60 * 1000);
+			await scheduler.runDue(later);
+			await scheduler.runDue(later);
+			await scheduler.runDue(later);
+
+			assert.strictEqual(unbanned.length, 1);
+			assert.strictEqual(attempts, 2);
+			assert.strictEqual(logged.length, 1);
+			assert.deepStrictEqual(await scheduler.jobManager.getJobs(), []);
+		});
+	});
+});
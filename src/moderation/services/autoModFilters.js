@@ -0,0 +1,139 @@
+/**
+ * Filters run by the automod stage, in the order they are checked
+ * Each filter returns the reason a message breaks it, or null when it does not
+ */
+
+// Window in which the flood filter counts messages
+const FLOOD_WINDOW_MS = 5_000;
+// Window in which the duplicates filter looks for repeated messages
+const DUPLICATE_WINDOW_MS = 30_000;
+// Short messages such as "OK" or "XD" are never considered shouting
+const MIN_CAPS_LETTERS = 10;
+const INVITE_PATTERN =
+	/(?:discord(?:app)?\.com\/invite|discord\.gg|dsc\.gg)\/[\w-]+/i;
+const MENTION_PATTERN = /<@([!&]?)(\d{17,20})>/g;
+const URL_PATTERN = /https?:\/\/([^\s/?#<>]+)/gi;
+
+/**
+ * Normalize a message so trivial variations count as duplicates
+ * @param {string} content - Message content
+ * @returns {string}
+ */
+function normalizeContent(content) {
+	return content.trim().toLowerCase().replace(/\s+/g, " ");
+}
+
+/**
+ * Get the hostnames of the links in a text
+ * @param {string} content - Message content
+ * @returns {string[]}
+ */
+function getLinkHosts(content) {
+	return [...content.matchAll(URL_PATTERN)].map((match) =>
+		match[1]
+			.replace(/^.*@/, "")
+			.replace(/:\d+$/, "")
+			.replace(/\.$/, "")
+			.toLowerCase(),
+	);
+}
+
+const FILTERS = [
+	{
+		name: "flood",
+		label: "Flood de mensajes",
+		describe: (threshold) => `Más de ${threshold} mensajes en 5 segundos`,
+		check(message, settings, { recent, now }) {
+			const count = recent.filter(
+				(entry) => entry.at > now - FLOOD_WINDOW_MS,
+			).length;
+			return count > settings.threshold
+				? `${count} mensajes en 5 segundos`
+				: null;
+		},
+	},
+	{
+		name: "duplicates",
+		label: "Mensajes repetidos",
+		describe: (threshold) =>
+			`Más de ${threshold} mensajes iguales en 30 segundos`,
+		check(message, settings, { recent, now }) {
+			const content = normalizeContent(message.content);
+			if (!content) {
+				return null;
+			}
+			const count = recent.filter(
+				(entry) =>
+					entry.at > now - DUPLICATE_WINDOW_MS && entry.content === content,
+			).length;
+			return count > settings.threshold
+				? `El mismo mensaje ${count} veces en 30 segundos`
+				: null;
+		},
+	},
+	{
+		name: "mentions",
+		label: "Menciones masivas",
+		describe: (threshold) => `Más de ${threshold} menciones en un mensaje`,
+		check(message, settings) {
+			// <@id> and <@!id> mention the same user
+			const mentions = new Set(
+				[...message.content.matchAll(MENTION_PATTERN)].map(
+					([, kind, id]) => `${kind === "&" ? "role" : "user"}:${id}`,
+				),
+			);
+			const count =
+				mentions.size + (/@(?:everyone|here)\b/.test(message.content) ? 1 : 0);
+			return count > settings.threshold ? `${count} menciones` : null;
+		},
+	},
+	{
+		name: "invites",
+		label: "Invitaciones de Discord",
+		describe: () => "Cualquier invitación a un servidor",
+		check(message) {
+			const invite = message.content.match(INVITE_PATTERN);
+			return invite ? `Invitación: ${invite[0]}` : null;
+		},
+	},
+	{
+		name: "links",
+		label: "Dominios bloqueados",
+		describe: () => "Enlaces a los dominios bloqueados",
+		check(message, settings, { blockedDomains }) {
+			const host = getLinkHosts(message.content).find((candidate) =>
+				blockedDomains.some(
+					(domain) => candidate === domain || candidate.endsWith(`.${domain}`),
+				),
+			);
+			return host ? `Enlace a ${host}` : null;
+		},
+	},
+	{
+		name: "caps",
+		label: "Exceso de mayúsculas",
+		describe: (threshold) => `Más del ${threshold}% del texto en mayúsculas`,
+		check(message, settings) {
+			// Mentions, custom emojis and links keep their original case
+			const text = message.content
+				.replace(/<a?:\w+:\d+>|<[@#][!&]?\d+>|https?:\/\/\S+/g, "")
+				.replace(/@(?:everyone|here)\b/g, "");
+			const upper = text.match(/\p{Lu}/gu)?.length ?? 0;
+			const lower = text.match(/\p{Ll}/gu)?.length ?? 0;
+			if (upper + lower < MIN_CAPS_LETTERS) {
+				return null;
+			}
+			const percentage = Math.round((upper * 100) / (upper + lower));
+			return percentage > settings.threshold
+				? `${percentage}% en mayúsculas`
+				: null;
+		},
+	},
+];
+
+module.exports = {
+	FILTERS,
+	DUPLICATE_WINDOW_MS,
+	normalizeContent,
+	getLinkHosts,
+};
@@ -0,0 +1,79 @@
+/**
+ * Member actions shared by the moderation commands and the automatic moderation features
+ */
+
+/**
+ * Send a DM to a member, logging instead of failing when their DMs are closed
+ * @param {import("discord.js").GuildMember} member - Guild member
+ * @param {string|Object} message - Message content or payload
+ * @returns {Promise<boolean>} Whether the DM was delivered
+ */
+async function notifyMember(member, message) {
+	try {
+		await member.send(message);
+		return true;
+	} catch (error) {
+		console.log(
+			`No se pudo enviar el MD a ${member.user.tag}. Error: ${error}`,
+		);
+		return false;
+	}
+}
+
+/**
+ * Ban a member after letting them know why
+ * @param {import("discord.js").GuildMember} member - Guild member
+ * @param {string} reason - Reason for the ban
+ * @param {string} [duration] - Human readable duration of a temporary ban
+ */
+async function banMember(member, reason, duration) {
+	await notifyMember(
+		member,
+		`Has sido baneado del servidor **${member.guild.name}**${duration ? ` durante **${duration}**` : ""} por la siguiente razón: ${reason}`,
+	);
+	await member.ban({ reason: reason });
+}
+
+/**
+ * Lift the ban of a user
+ * @param {import("discord.js").Guild} guild - Guild where the user is banned
+ * @param {string} userId - Discord user ID
+ * @param {string} reason - Reason for the unban
+ * @returns {Promise<import("discord.js").User>} The unbanned user
+ */
+async function unbanUser(guild, userId, reason) {
+	const user = await guild.client.users.fetch(userId);
+	await guild.members.unban(user, reason);
+	return user;
+}
+
+/**
+ * Kick a member after letting them know why
+ * @param {import("discord.js").GuildMember} member - Guild member
+ * @param {string} reason - Reason for the kick
+ */
+async function kickMember(member, reason) {
+	await notifyMember(
+		member,
+		`Has sido expulsado del servidor **${member.guild.name}** por la siguiente razón: ${reason}`,
+	);
+	await member.kick(reason);
+}
+
+/**
+ * Time out a member
+ * @param {import("discord.js").GuildMember} member - Guild member
+ * @param {number} durationMs - Timeout duration in milliseconds
+ * @param {string} reason - Reason for the timeout
+ */
+async function timeoutMember(member, durationMs, reason) {
+	await member.timeout(durationMs, reason);
+}
+
+module.exports = {
+	notifyMember,
+	banMember,
+	unbanUser,
+	kickMember,
+	timeoutMember,
+};
@@ -0,0 +1,123 @@
+const fs = require("fs").promises;
+const path = require("path");
+const OnboardingConfig = require("../models/OnboardingConfig");
+
+/**
+ * OnboardingConfigManager handles persistence and retrieval of per-guild onboarding settings
+ */
+class OnboardingConfigManager {
+	constructor() {
+		this.dataDir = path.join(__dirname, "../../data/onboarding");
+		this.configsFile = path.join(this.dataDir, "configs.json");
+		this.configs = new Map();
+		this.initialized = false;
+	}
+
+	/**
+	 * Initialize the manager by loading existing data
+	 */
+	async initialize() {
+		if (this.initialized) {
+			return;
+		}
+
+		try {
+			// Ensure data directory exists
+			await fs.mkdir(this.dataDir, { recursive: true });
+
+			// Load existing configs
+			await this.loadConfigs();
+			this.initialized = true;
+		} catch (error) {
+			console.error("Error initializing OnboardingConfigManager:", error);
+			throw error;
+		}
+	}
+
+	/**
+	 * Load configs from JSON file
+	 */
+	async loadConfigs() {
+		try {
+			const data = await fs.readFile(this.configsFile, "utf8");
+			const configsData = JSON.parse(data);
+
+			this.configs.clear();
+			for (const [guildId, configData] of Object.entries(configsData)) {
+				this.configs.set(guildId, OnboardingConfig.fromJSON(configData));
+			}
+		} catch (error) {
+			if (error.code === "ENOENT") {
+				// File doesn't exist yet, every guild uses the defaults
+				this.configs.clear();
+			} else {
+				console.error("Error loading onboarding configs:", error);
+				throw error;
+			}
+		}
+	}
+
+	/**
+	 * Save configs to JSON file
+	 */
+	async saveConfigs() {
+		try {
+			const configsData = {};
+			for (const [guildId, config] of this.configs.entries()) {
+				configsData[guildId] = config.toJSON();
+			}
+
+			await fs.writeFile(
+				this.configsFile,
+				JSON.stringify(configsData, null, 2),
+			);
+		} catch (error) {
+			console.error("Error saving onboarding configs:", error);
+			throw error;
+		}
+	}
+
+	/**
+	 * Get the config of a guild, falling back to the defaults
+	 * @param {string} guildId - Discord guild ID
+	 * @returns {OnboardingConfig}
+	 */
+	async getConfig(guildId) {
+		await this.initialize();
+
+		const stored = this.configs.get(guildId);
+		if (stored) {
+			return stored;
+		}
+
+		const config = new OnboardingConfig(guildId);
+		// Guilds that never configured onboarding keep using the channel from the environment
+		config.welcomeChannelId = process.env.WELCOME_CHANNEL_ID || null;
+		return config;
+	}
+
+	/**
+	 * Apply changes to the config of a guild if they pass validation
+	 * @param {string} guildId - Discord guild ID
+	 * @param {(config: OnboardingConfig) => void} mutate - Function that edits a copy of the config
+	 * @returns {Object} Validation result with isValid, errors and the resulting config
+	 */
+	async updateConfig(guildId, mutate) {
+		const current = await this.getConfig(guildId);
+
+		// Changes are applied on a copy so a rejected change leaves no trace
+		const candidate = OnboardingConfig.fromJSON(current.toJSON());
+		mutate(candidate);
+
+		const result = candidate.validate();
+		if (!result.isValid) {
+			return { ...result, config: current };
+		}
+
+		this.configs.set(guildId, candidate);
+		await this.saveConfigs();
+		return { ...result, config: candidate };
+	}
+}
+
+module.exports = OnboardingConfigManager;
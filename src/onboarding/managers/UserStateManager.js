@@ -161,6 +161,50 @@ class UserStateManager {
 		return state;
 	}
 
+	/**
+	 * Skip an optional step for a user
+	 * @param {string} userId - Discord user ID
+	 * @param {string} guildId - Discord guild ID
+	 * @param {string} step - Step to skip
+	 * @returns {UserState}
+	 */
+	async markStepSkipped(userId, guildId, step) {
+		await this.initialize();
+
+		const key = this.getUserKey(userId, guildId);
+		let state = this.userStates.get(key);
+
+		if (!state) {
+			state = new UserState(userId, guildId);
+			this.userStates.set(key, state);
+		}
+
+		state.skipStep(step);
+		await this.saveUserStates();
+		return state;
+	}
+
+	/**
+	 * Remember that a user tried a command during the tutorial
+	 * @param {string} userId - Discord user ID
+	 * @param {string} guildId - Discord guild ID
+	 * @param {string} commandName - Name of the slash command
+	 * @returns {UserState|null}
+	 */
+	async recordTutorialCommand(userId, guildId, commandName) {
+		await this.initialize();
+
+		const state = this.userStates.get(this.getUserKey(userId, guildId));
+		if (!state) {
+			return null;
+		}
+
+		if (state.recordTutorialCommand(commandName)) {
+			await this.saveUserStates();
+		}
+		return state;
+	}
+
 	/**
 	 * Get all user states for a guild
 	 * @param {string} guildId - Discord guild ID
@@ -178,6 +222,29 @@ class UserStateManager {
 		return guildStates;
 	}
 
+	/**
+	 * Start the onboarding of a user over, creating the state if needed
+	 * @param {string} userId - Discord user ID
+	 * @param {string} guildId - Discord guild ID
+	 * @returns {UserState}
+	 */
+	async resetOnboarding(userId, guildId) {
+		await this.initialize();
+
+		const key = this.getUserKey(userId, guildId);
+		let state = this.userStates.get(key);
+
+		if (!state) {
+			state = new UserState(userId, guildId);
+			this.userStates.set(key, state);
+		} else {
+			state.restartOnboarding();
+		}
+
+		await this.saveUserStates();
+		return state;
+	}
+
 	/**
 	 * Delete user state
 	 * @param {string} userId - Discord user ID
@@ -191,31 +258,48 @@ class UserStateManager {
 		await this.saveUserStates();
 	}
 
+	/**
+	 * Record that a rules reminder was sent to a user
+	 * @param {string} userId - Discord user ID
+	 * @param {string} guildId - Discord guild ID
+	 * @returns {UserState|null}
+	 */
+	async markReminderSent(userId, guildId) {
+		await this.initialize();
+
+		const state = this.userStates.get(this.getUserKey(userId, guildId));
+		if (!state) {
+			return null;
+		}
+
+		state.recordReminder();
+		await this.saveUserStates();
+		return state;
+	}
+
 	/**
 	 * Get users who need reminders
 	 * @param {string} guildId - Discord guild ID
 	 * @param {number} maxReminders - Maximum number of reminders to send
+	 * @param {number} reminderIntervalHours - Hours between reminders
 	 * @returns {UserState[]}
 	 */
-	async getUsersNeedingReminders(guildId, maxReminders = 3) {
+	async getUsersNeedingReminders(
+		guildId,
+		maxReminders = 3,
+		reminderIntervalHours = 24,
+	) {
 		await this.initialize();
 
 		const now = new Date();
-		const reminderThreshold = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
 
 		const usersNeedingReminders = [];
 		for (const [, state] of this.userStates.entries()) {
 			if (
 				state.guildId === guildId &&
-				!state.rulesAcknowledged &&
-				state.remindersSent < maxReminders
+				state.needsReminder(maxReminders, reminderIntervalHours, now)
 			) {
-				const startedAt = new Date(state.onboardingStartedAt);
-				const timeSinceStart = now - startedAt;
-
-				if (timeSinceStart >= reminderThreshold) {
-					usersNeedingReminders.push(state);
-				}
+				usersNeedingReminders.push(state);
 			}
 		}
 		return usersNeedingReminders;
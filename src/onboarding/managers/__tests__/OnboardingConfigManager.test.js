@@ -0,0 +1,76 @@
+const { test, describe, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs").promises;
+const path = require("path");
+const OnboardingConfigManager = require("../OnboardingConfigManager");
+const OnboardingConfig = require("../../models/OnboardingConfig");
+
+describe("OnboardingConfigManager", () => {
+	let manager;
+	let tempDir;
+	const testGuildId = "guild456";
+
+	const createManager = () => {
+		const instance = new OnboardingConfigManager();
+		// Override the data directory for testing
+		instance.dataDir = tempDir;
+		instance.configsFile = path.join(tempDir, "configs.json");
+		return instance;
+	};
+
+	beforeEach(async () => {
+		// Create a temporary directory for testing
+		tempDir = path.join(__dirname, "temp-onboarding-config-data");
+		await fs.mkdir(tempDir, { recursive: true });
+
+		manager = createManager();
+	});
+
+	afterEach(async () => {
+		// Clean up temporary directory
+		try {
+			await fs.rm(tempDir, { recursive: true, force: true });
+		} catch (_error) {
+			// Ignore cleanup errors
+		}
+	});
+
+	describe("getConfig", () => {
+		test("should return the defaults for unconfigured guilds", async () => {
+			const config = await manager.getConfig(testGuildId);
+
+			assert.ok(config instanceof OnboardingConfig);
+			assert.strictEqual(config.guildId, testGuildId);
+			assert.strictEqual(config.githubIntegrationEnabled, true);
+			assert.strictEqual(config.tutorialEnabled, true);
+		});
+	});
+
+	describe("updateConfig", () => {
+		test("should apply and persist valid changes", async () => {
+			const result = await manager.updateConfig(testGuildId, (config) =>
+				config.update({ rulesChannelId: "channel1", tutorialEnabled: false }),
+			);
+
+			assert.strictEqual(result.isValid, true);
+			assert.strictEqual(result.config.rulesChannelId, "channel1");
+
+			const reloaded = await createManager().getConfig(testGuildId);
+			assert.strictEqual(reloaded.rulesChannelId, "channel1");
+			assert.strictEqual(reloaded.tutorialEnabled, false);
+		});
+
+		test("should reject invalid changes and keep the current config", async () => {
+			const result = await manager.updateConfig(testGuildId, (config) =>
+				config.update({ welcomeMessage: "   " }),
+			);
+
+			assert.strictEqual(result.isValid, false);
+			assert.ok(result.errors.length > 0);
+			assert.notStrictEqual(result.config.welcomeMessage, "   ");
+
+			const config = await manager.getConfig(testGuildId);
+			assert.notStrictEqual(config.welcomeMessage, "   ");
+		});
+	});
+});
@@ -124,6 +124,27 @@ describe("UserStateManager", () => {
 		});
 	});
 
+	describe("markStepSkipped", () => {
+		test("should skip step and persist the new state", async () => {
+			await manager.setOnboardingStep(testUserId, testGuildId, "tutorial");
+
+			const state = await manager.markStepSkipped(
+				testUserId,
+				testGuildId,
+				"tutorial",
+			);
+
+			assert.strictEqual(state.onboardingStep, "complete");
+			assert.strictEqual(state.tutorialCompleted, false);
+
+			const reloaded = new UserStateManager();
+			reloaded.dataDir = tempDir;
+			reloaded.userStatesFile = manager.userStatesFile;
+			const stored = await reloaded.getUserState(testUserId, testGuildId);
+			assert.strictEqual(stored.onboardingStep, "complete");
+		});
+	});
+
 	describe("getGuildUserStates", () => {
 		test("should return only states for specified guild", async () => {
 			// Add some test states
@@ -144,6 +165,40 @@ describe("UserStateManager", () => {
 		});
 	});
 
+	describe("resetOnboarding", () => {
+		test("should reset the progress and keep the GitHub account", async () => {
+			await manager.updateUserState(testUserId, testGuildId, {
+				onboardingStep: "complete",
+				rulesAcknowledged: true,
+				tutorialCompleted: true,
+				tutorialCommandsTried: ["help"],
+				remindersSent: 2,
+				githubConnected: true,
+				githubUsername: "octocat",
+			});
+
+			const state = await manager.resetOnboarding(testUserId, testGuildId);
+
+			assert.strictEqual(state.onboardingStep, "welcome");
+			assert.strictEqual(state.rulesAcknowledged, false);
+			assert.strictEqual(state.tutorialCompleted, false);
+			assert.deepStrictEqual(state.tutorialCommandsTried, []);
+			assert.strictEqual(state.remindersSent, 0);
+			assert.strictEqual(state.githubConnected, true);
+			assert.strictEqual(state.githubUsername, "octocat");
+		});
+
+		test("should create the state of new members", async () => {
+			const state = await manager.resetOnboarding(testUserId, testGuildId);
+
+			assert.strictEqual(state.onboardingStep, "welcome");
+			assert.strictEqual(
+				await manager.getUserState(testUserId, testGuildId),
+				state,
+			);
+		});
+	});
+
 	describe("deleteUserState", () => {
 		test("should delete user state", async () => {
 			await manager.updateUserState(testUserId, testGuildId, {
@@ -210,5 +265,51 @@ describe("UserStateManager", () => {
 
 			assert.strictEqual(users.length, 0);
 		});
+
+		test("should use the configured interval since the last reminder", async () => {
+			const hoursAgo = (hours) =>
+				new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+
+			// Started long ago but was reminded recently
+			await manager.updateUserState("user1", testGuildId, {
+				onboardingStep: "rules",
+				onboardingStartedAt: hoursAgo(72),
+				lastReminderAt: hoursAgo(5),
+				remindersSent: 1,
+			});
+
+			// Reminded longer ago than the interval
+			await manager.updateUserState("user2", testGuildId, {
+				onboardingStep: "rules",
+				onboardingStartedAt: hoursAgo(72),
+				lastReminderAt: hoursAgo(7),
+				remindersSent: 1,
+			});
+
+			const users = await manager.getUsersNeedingReminders(testGuildId, 3, 6);
+
+			assert.deepStrictEqual(
+				users.map((state) => state.userId),
+				["user2"],
+			);
+		});
+	});
+
+	describe("markReminderSent", () => {
+		test("should count the reminder and remember when it was sent", async () => {
+			await manager.setOnboardingStep(testUserId, testGuildId, "rules");
+
+			const state = await manager.markReminderSent(testUserId, testGuildId);
+
+			assert.strictEqual(state.remindersSent, 1);
+			assert.ok(state.lastReminderAt);
+		});
+
+		test("should ignore users without onboarding state", async () => {
+			assert.strictEqual(
+				await manager.markReminderSent(testUserId, testGuildId),
+				null,
+			);
+		});
 	});
 });
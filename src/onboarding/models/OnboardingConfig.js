@@ -1,3 +1,6 @@
+const MAX_TUTORIAL_PAGES = 20;
+const COMMAND_NAME_PATTERN = /^[\w-]{1,32}$/;
+
 /**
  * OnboardingConfig model representing the configuration for onboarding in a guild
  */
@@ -12,6 +15,10 @@ class OnboardingConfig {
 		this.tutorialEnabled = true;
 		this.reminderIntervalHours = 24;
 		this.maxReminders = 3;
+		this.verifiedRoleId = null;
+		this.gateEnabled = false; // Members without the verified role only see the rules channel
+		this.gateRestore = null; // Permissions the gate replaced, restored when it is turned off
+		this.tutorialPages = this.getDefaultTutorialPages();
 	}
 
 	/**
@@ -62,6 +69,31 @@ Usa \`/help\` para ver todos los comandos disponibles.
 Al hacer clic en "Acepto", confirmas que has leído y aceptas estas reglas.`;
 	}
 
+	/**
+	 * Get default tutorial pages in Spanish
+	 * A page may ask the user to try a command before moving on
+	 * @returns {Array<{title: string, text: string, command: string|null}>}
+	 */
+	getDefaultTutorialPages() {
+		return [
+			{
+				title: "Bienvenido/a a la comunidad",
+				text: "Este servidor es un punto de encuentro para desarrolladores. Aquí puedes compartir tus proyectos, pedir ayuda y ayudar a otros.",
+				command: null,
+			},
+			{
+				title: "Descubre los comandos",
+				text: "Puedo ayudarte con muchas cosas. Usa `/help` en el servidor para ver la lista completa de comandos.",
+				command: "help",
+			},
+			{
+				title: "Comparte tus proyectos",
+				text: "Explora los repositorios que ha compartido la comunidad con `/repos` y añade los tuyos con `/repoadd`.",
+				command: "repos",
+			},
+		];
+	}
+
 	/**
 	 * Create OnboardingConfig from JSON data
 	 * @param {Object} data - JSON data
@@ -70,6 +102,10 @@ Al hacer clic en "Acepto", confirmas que has leído y aceptas estas reglas.`;
 	static fromJSON(data) {
 		const config = new OnboardingConfig(data.guildId);
 		Object.assign(config, data);
+		config.tutorialPages = (data.tutorialPages || config.tutorialPages).map(
+			(page) => ({ ...page }),
+		);
+		config.gateRestore = data.gateRestore ? { ...data.gateRestore } : null;
 		return config;
 	}
 
@@ -88,6 +124,10 @@ Al hacer clic en "Acepto", confirmas que has leído y aceptas estas reglas.`;
 			tutorialEnabled: this.tutorialEnabled,
 			reminderIntervalHours: this.reminderIntervalHours,
 			maxReminders: this.maxReminders,
+			verifiedRoleId: this.verifiedRoleId,
+			gateEnabled: this.gateEnabled,
+			gateRestore: this.gateRestore ? { ...this.gateRestore } : null,
+			tutorialPages: this.tutorialPages.map((page) => ({ ...page })),
 		};
 	}
 
@@ -99,6 +139,34 @@ Al hacer clic en "Acepto", confirmas que has leído y aceptas estas reglas.`;
 		Object.assign(this, updates);
 	}
 
+	/**
+	 * Add a tutorial page
+	 * @param {Object} page - Page with title, text and optional command
+	 * @param {number|null} index - Position of the page, at the end by default
+	 */
+	addTutorialPage(page, index = null) {
+		const position =
+			index === null ? this.tutorialPages.length : Math.max(0, index);
+		this.tutorialPages.splice(position, 0, {
+			title: page.title,
+			text: page.text,
+			command: page.command || null,
+		});
+	}
+
+	/**
+	 * Remove a tutorial page
+	 * @param {number} index - Position of the page
+	 * @returns {boolean} Whether a page was removed
+	 */
+	removeTutorialPage(index) {
+		if (index < 0 || index >= this.tutorialPages.length) {
+			return false;
+		}
+		this.tutorialPages.splice(index, 1);
+		return true;
+	}
+
 	/**
 	 * Validate configuration values
 	 * @returns {Object} Validation result with isValid and errors
@@ -126,6 +194,31 @@ Al hacer clic en "Acepto", confirmas que has leído y aceptas estas reglas.`;
 			errors.push("Contenido de reglas no puede estar vacío");
 		}
 
+		if (this.tutorialPages.length > MAX_TUTORIAL_PAGES) {
+			errors.push(
+				`El tutorial no puede tener más de ${MAX_TUTORIAL_PAGES} páginas`,
+			);
+		}
+
+		this.tutorialPages.forEach((page, index) => {
+			if (!page.title?.trim() || !page.text?.trim()) {
+				errors.push(
+					`La página ${index + 1} del tutorial necesita título y texto`,
+				);
+			}
+			if (page.command && !COMMAND_NAME_PATTERN.test(page.command)) {
+				errors.push(
+					`El comando de la página ${index + 1} del tutorial no es válido`,
+				);
+			}
+		});
+
+		if (this.gateEnabled && (!this.verifiedRoleId || !this.rulesChannelId)) {
+			errors.push(
+				"El modo restringido necesita un rol verificado y un canal de reglas",
+			);
+		}
+
 		return {
 			isValid: errors.length === 0,
 			errors,
@@ -150,6 +243,8 @@ Al hacer clic en "Acepto", confirmas que has leído y aceptas estas reglas.`;
 			ONBOARDING_COMPLETE: "¡Onboarding completado! ¡Disfruta del servidor! 🎉",
 			REMINDER_RULES:
 				"👋 ¡Hola! Aún necesitas aceptar las reglas del servidor para acceder a todos los canales.",
+			ERROR_VERIFIED_ROLE:
+				"⚠️ No pude asignarte el rol de verificado. Avisa a un moderador, por favor.",
 			ERROR_DM_FAILED:
 				"No pude enviarte un mensaje directo. Te enviaré la información aquí.",
 			BUTTON_ACCEPT_RULES: "Acepto las Reglas",
@@ -157,8 +252,16 @@ Al hacer clic en "Acepto", confirmas que has leído y aceptas estas reglas.`;
 			BUTTON_SKIP_GITHUB: "Omitir por Ahora",
 			BUTTON_START_TUTORIAL: "Comenzar Tutorial",
 			BUTTON_SKIP_TUTORIAL: "Omitir Tutorial",
+			BUTTON_TUTORIAL_BACK: "Atrás",
+			BUTTON_TUTORIAL_NEXT: "Siguiente",
+			BUTTON_TUTORIAL_FINISH: "Finalizar",
+			TUTORIAL_TRY_COMMAND: "🧪 Pruébalo",
+			TUTORIAL_CHECK_PENDING:
+				"⏳ Primero prueba el comando de esta página en el servidor y luego vuelve aquí.",
 		};
 	}
 }
 
+OnboardingConfig.MAX_TUTORIAL_PAGES = MAX_TUTORIAL_PAGES;
+
 module.exports = OnboardingConfig;
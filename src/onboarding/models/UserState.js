@@ -5,15 +5,18 @@ class UserState {
 	constructor(userId, guildId) {
 		this.userId = userId;
 		this.guildId = guildId;
-		this.onboardingStep = "welcome"; // 'welcome', 'rules', 'github', 'tutorial', 'complete'
+		this.onboardingStep = "welcome"; // 'welcome', 'rules', 'github', 'tutorial', 'complete', or null outside the onboarding
 		this.rulesAcknowledged = false;
 		this.rulesAcknowledgedAt = null;
 		this.githubConnected = false;
 		this.githubUsername = null;
 		this.tutorialCompleted = false;
+		this.tutorialPage = 0; // Page to resume the tutorial from
+		this.tutorialCommandsTried = [];
 		this.onboardingStartedAt = new Date().toISOString();
 		this.onboardingCompletedAt = null;
 		this.remindersSent = 0;
+		this.lastReminderAt = null;
 	}
 
 	/**
@@ -24,6 +27,7 @@ class UserState {
 	static fromJSON(data) {
 		const state = new UserState(data.userId, data.guildId);
 		Object.assign(state, data);
+		state.tutorialCommandsTried = [...(data.tutorialCommandsTried || [])];
 		return state;
 	}
 
@@ -41,9 +45,12 @@ class UserState {
 			githubConnected: this.githubConnected,
 			githubUsername: this.githubUsername,
 			tutorialCompleted: this.tutorialCompleted,
+			tutorialPage: this.tutorialPage,
+			tutorialCommandsTried: [...this.tutorialCommandsTried],
 			onboardingStartedAt: this.onboardingStartedAt,
 			onboardingCompletedAt: this.onboardingCompletedAt,
 			remindersSent: this.remindersSent,
+			lastReminderAt: this.lastReminderAt,
 		};
 	}
 
@@ -69,6 +76,91 @@ class UserState {
 		}
 	}
 
+	/**
+	 * Skip an optional step and advance to next step without marking it as done
+	 * @param {string} step - The step to skip ('github' or 'tutorial')
+	 */
+	skipStep(step) {
+		switch (step) {
+			case "github":
+				this.onboardingStep = "tutorial";
+				break;
+			case "tutorial":
+				this.onboardingStep = "complete";
+				this.onboardingCompletedAt = new Date().toISOString();
+				break;
+		}
+	}
+
+	/**
+	 * Start the onboarding over, keeping the linked GitHub account
+	 */
+	restartOnboarding() {
+		const { githubConnected, githubUsername } = this;
+		Object.assign(this, new UserState(this.userId, this.guildId).toJSON(), {
+			githubConnected,
+			githubUsername,
+		});
+	}
+
+	/**
+	 * Remember that the user tried a command during the tutorial
+	 * @param {string} commandName - Name of the slash command
+	 * @returns {boolean} Whether it was the first time
+	 */
+	recordTutorialCommand(commandName) {
+		if (this.tutorialCommandsTried.includes(commandName)) {
+			return false;
+		}
+		this.tutorialCommandsTried.push(commandName);
+		return true;
+	}
+
+	/**
+	 * Check if the user finished a tutorial page
+	 * @param {Object} page - Tutorial page
+	 * @returns {boolean}
+	 */
+	hasFinishedTutorialPage(page) {
+		return !page.command || this.tutorialCommandsTried.includes(page.command);
+	}
+
+	/**
+	 * Check if the user should be reminded to accept the rules
+	 * @param {number} maxReminders - Maximum number of reminders to send
+	 * @param {number} reminderIntervalHours - Hours between reminders
+	 * @param {Date} now - Reference date
+	 * @returns {boolean}
+	 */
+	needsReminder(maxReminders, reminderIntervalHours, now = new Date()) {
+		if (!this.awaitsRules() || this.remindersSent >= maxReminders) {
+			return false;
+		}
+
+		// Reminders are spaced from the previous one, the first one from the start
+		const since = new Date(this.lastReminderAt || this.onboardingStartedAt);
+		return now - since >= reminderIntervalHours * 60 * 60 * 1000;
+	}
+
+	/**
+	 * Check if the user is onboarding and has not accepted the rules yet
+	 * @returns {boolean}
+	 */
+	awaitsRules() {
+		return (
+			(this.onboardingStep === "welcome" || this.onboardingStep === "rules") &&
+			!this.rulesAcknowledged
+		);
+	}
+
+	/**
+	 * Record that a reminder was sent
+	 */
+	recordReminder() {
+		this.remindersSent += 1;
+		this.lastReminderAt = new Date().toISOString();
+	}
+
 	/**
 	 * Check if onboarding is complete
 	 * @returns {boolean}
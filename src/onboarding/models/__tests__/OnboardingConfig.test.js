@@ -19,6 +19,8 @@ describe("OnboardingConfig", () => {
 			assert.strictEqual(config.tutorialEnabled, true);
 			assert.strictEqual(config.reminderIntervalHours, 24);
 			assert.strictEqual(config.maxReminders, 3);
+			assert.strictEqual(config.verifiedRoleId, null);
+			assert.strictEqual(config.gateEnabled, false);
 			assert.ok(config.welcomeMessage.includes("¡Bienvenido/a al servidor!"));
 			assert.ok(config.rulesContent.includes("Reglas del Servidor"));
 		});
@@ -99,7 +101,58 @@ describe("OnboardingConfig", () => {
 		});
 	});
 
+	describe("tutorial pages", () => {
+		test("should ship default pages in Spanish", () => {
+			assert.ok(config.tutorialPages.length > 0);
+			assert.ok(config.tutorialPages.some((page) => page.command === "help"));
+		});
+
+		test("should add pages at the end or at a position", () => {
+			config.tutorialPages = [];
+			config.addTutorialPage({ title: "B", text: "b" });
+			config.addTutorialPage({ title: "A", text: "a", command: "ping" }, 0);
+
+			assert.deepStrictEqual(config.tutorialPages, [
+				{ title: "A", text: "a", command: "ping" },
+				{ title: "B", text: "b", command: null },
+			]);
+		});
+
+		test("should remove pages by position", () => {
+			const count = config.tutorialPages.length;
+
+			assert.strictEqual(config.removeTutorialPage(0), true);
+			assert.strictEqual(config.removeTutorialPage(count), false);
+			assert.strictEqual(config.tutorialPages.length, count - 1);
+		});
+
+		test("should not share pages between copies", () => {
+			const copy = OnboardingConfig.fromJSON(config.toJSON());
+			copy.addTutorialPage({ title: "Nueva", text: "Texto" });
+
+			assert.notStrictEqual(
+				copy.tutorialPages.length,
+				config.tutorialPages.length,
+			);
+		});
+	});
+
 	describe("validate", () => {
+		test("should return invalid for incomplete tutorial pages", () => {
+			config.addTutorialPage({ title: " ", text: "Texto" });
+			config.addTutorialPage({
+				title: "Título",
+				text: "Texto",
+				command: "/no válido",
+			});
+
+			const result = config.validate();
+
+			assert.strictEqual(result.isValid, false);
+			assert.ok(result.errors.some((err) => err.includes("necesita título")));
+			assert.ok(result.errors.some((err) => err.includes("no es válido")));
+		});
+
 		test("should return valid for default configuration", () => {
 			const result = config.validate();
 			assert.strictEqual(result.isValid, true);
@@ -113,6 +166,15 @@ describe("OnboardingConfig", () => {
 			assert.ok(result.errors.includes("Guild ID es requerido"));
 		});
 
+		test("should require a verified role and rules channel for the gate", () => {
+			config.gateEnabled = true;
+			assert.strictEqual(config.validate().isValid, false);
+
+			config.verifiedRoleId = "role123";
+			config.rulesChannelId = "channel456";
+			assert.strictEqual(config.validate().isValid, true);
+		});
+
 		test("should return invalid for invalid reminder interval", () => {
 			config.reminderIntervalHours = 0;
 			const result = config.validate();
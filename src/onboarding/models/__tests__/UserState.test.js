@@ -93,6 +93,121 @@ describe("UserState", () => {
 		});
 	});
 
+	describe("skipStep", () => {
+		test("should skip github step without connecting", () => {
+			userState.onboardingStep = "github";
+			userState.skipStep("github");
+
+			assert.strictEqual(userState.onboardingStep, "tutorial");
+			assert.strictEqual(userState.githubConnected, false);
+		});
+
+		test("should skip tutorial step and complete onboarding", () => {
+			userState.onboardingStep = "tutorial";
+			userState.skipStep("tutorial");
+
+			assert.strictEqual(userState.tutorialCompleted, false);
+			assert.strictEqual(userState.onboardingStep, "complete");
+			assert.ok(userState.onboardingCompletedAt);
+		});
+
+		test("should ignore steps that cannot be skipped", () => {
+			userState.onboardingStep = "rules";
+			userState.skipStep("rules");
+
+			assert.strictEqual(userState.onboardingStep, "rules");
+			assert.strictEqual(userState.rulesAcknowledged, false);
+		});
+	});
+
+	describe("tutorial progress", () => {
+		test("should record each tried command once", () => {
+			assert.strictEqual(userState.recordTutorialCommand("help"), true);
+			assert.strictEqual(userState.recordTutorialCommand("help"), false);
+			assert.deepStrictEqual(userState.tutorialCommandsTried, ["help"]);
+		});
+
+		test("should finish pages once their command was tried", () => {
+			const page = { title: "Ayuda", text: "Usa /help", command: "help" };
+
+			assert.strictEqual(
+				userState.hasFinishedTutorialPage({ command: null }),
+				true,
+			);
+			assert.strictEqual(userState.hasFinishedTutorialPage(page), false);
+			userState.recordTutorialCommand("help");
+			assert.strictEqual(userState.hasFinishedTutorialPage(page), true);
+		});
+	});
+
+	describe("needsReminder", () => {
+		const hoursFromStart = (hours) =>
+			new Date(
+				new Date(userState.onboardingStartedAt).getTime() +
+					hours * 60 * 60 * 1000,
+			);
+
+		test("should wait one interval after onboarding started", () => {
+			assert.strictEqual(
+				userState.needsReminder(3, 24, hoursFromStart(23)),
+				false,
+			);
+			assert.strictEqual(
+				userState.needsReminder(3, 24, hoursFromStart(24)),
+				true,
+			);
+		});
+
+		test("should wait one interval after the last reminder", () => {
+			userState.lastReminderAt = hoursFromStart(30).toISOString();
+			userState.remindersSent = 1;
+
+			assert.strictEqual(
+				userState.needsReminder(3, 24, hoursFromStart(40)),
+				false,
+			);
+			assert.strictEqual(
+				userState.needsReminder(3, 24, hoursFromStart(54)),
+				true,
+			);
+		});
+
+		test("should stop after the maximum number of reminders", () => {
+			userState.remindersSent = 3;
+			assert.strictEqual(
+				userState.needsReminder(3, 24, hoursFromStart(100)),
+				false,
+			);
+		});
+
+		test("should not remind users who accepted the rules", () => {
+			userState.completeStep("rules");
+			assert.strictEqual(
+				userState.needsReminder(3, 24, hoursFromStart(100)),
+				false,
+			);
+		});
+
+		test("should not remind users outside the welcome and rules steps", () => {
+			for (const step of [null, "github", "tutorial", "complete"]) {
+				userState.onboardingStep = step;
+				assert.strictEqual(
+					userState.needsReminder(3, 24, hoursFromStart(100)),
+					false,
+				);
+			}
+		});
+	});
+
+	describe("recordReminder", () => {
+		test("should count the reminder and remember when it was sent", () => {
+			userState.recordReminder();
+
+			assert.strictEqual(userState.remindersSent, 1);
+			assert.ok(userState.lastReminderAt);
+		});
+	});
+
 	describe("isComplete", () => {
 		test("should return false for incomplete onboarding", () => {
 			assert.strictEqual(userState.isComplete(), false);
@@ -0,0 +1,903 @@
+const {
+	EmbedBuilder,
+	ActionRowBuilder,
+	ButtonBuilder,
+	ButtonStyle,
+	PermissionFlagsBits,
+	PermissionsBitField,
+} = require("discord.js");
+const GitHubAccountService = require("../../github/services/GitHubAccountService");
+
+const CUSTOM_ID_PREFIX = "onboarding";
+const REMINDER_JOB = "onboarding:reminders";
+// Reminders are checked hourly, the per-guild interval decides who gets one
+const REMINDER_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Build an onboarding button
+ * @param {string} action - Button action
+ * @param {string} label - Button label
+ * @param {ButtonStyle} style - Button style
+ * @param {string} guildId - Discord guild ID
+ * @param {string} userId - Discord user ID
+ * @returns {ButtonBuilder}
+ */
+function buildButton(action, label, style, guildId, userId) {
+	return new ButtonBuilder()
+		.setCustomId(OnboardingService.buildCustomId(action, guildId, userId))
+		.setLabel(label)
+		.setStyle(style);
+}
+
+/**
+ * OnboardingService drives a member through the welcome → rules → github → tutorial flow
+ */
+class OnboardingService {
+	/**
+	 * @param {import("../managers/UserStateManager")} userStateManager - Shared user state manager
+	 * @param {import("../managers/OnboardingConfigManager")} configManager - Shared onboarding config manager
+	 * @param {GitHubAccountService|null} githubAccounts - Shared GitHub account service
+	 */
+	constructor(userStateManager, configManager, githubAccounts = null) {
+		this.userStateManager = userStateManager;
+		this.configManager = configManager;
+		this.githubAccounts = githubAccounts;
+	}
+
+	/**
+	 * Get the onboarding configuration for a guild
+	 * @param {string} guildId - Discord guild ID
+	 * @returns {Promise<import("../models/OnboardingConfig")>}
+	 */
+	async getConfig(guildId) {
+		return this.configManager.getConfig(guildId);
+	}
+
+	/**
+	 * Build the custom ID for an onboarding button
+	 * @param {string} action - Button action
+	 * @param {string} guildId - Discord guild ID
+	 * @param {string} userId - Discord user ID
+	 * @returns {string}
+	 */
+	static buildCustomId(action, guildId, userId) {
+		return `${CUSTOM_ID_PREFIX}:${action}:${guildId}:${userId}`;
+	}
+
+	/**
+	 * Parse an onboarding button custom ID
+	 * @param {string} customId - Button custom ID
+	 * @returns {{action: string, guildId: string, userId: string}|null}
+	 */
+	static parseCustomId(customId) {
+		const [prefix, action, guildId, userId] = customId.split(":");
+		if (prefix !== CUSTOM_ID_PREFIX || !action || !guildId || !userId) {
+			return null;
+		}
+		return { action, guildId, userId };
+	}
+
+	/**
+	 * Build the message payload shown for an onboarding step
+	 * @param {string} step - Onboarding step
+	 * @param {import("../models/OnboardingConfig")} config - Guild onboarding configuration
+	 * @param {string} userId - Discord user ID
+	 * @returns {Object} Message payload with embeds and components
+	 */
+	buildStepPayload(step, config, userId) {
+		const messages = config.getMessages();
+		const button = (action, label, style) =>
+			buildButton(action, label, style, config.guildId, userId);
+
+		switch (step) {
+			case "welcome":
+			case "rules":
+				return {
+					embeds: [
+						new EmbedBuilder()
+							.setColor(0x5865f2)
+							.setTitle(messages.WELCOME)
+							.setDescription(config.welcomeMessage),
+						new EmbedBuilder()
+							.setColor(0xffa500)
+							.setTitle(messages.RULES_PROMPT)
+							.setDescription(config.rulesContent),
+					],
+					components: [
+						new ActionRowBuilder().addComponents(
+							button(
+								"accept_rules",
+								messages.BUTTON_ACCEPT_RULES,
+								ButtonStyle.Success,
+							),
+						),
+					],
+				};
+			case "github":
+				return {
+					embeds: [
+						new EmbedBuilder()
+							.setColor(0x24292e)
+							.setDescription(messages.GITHUB_OFFER),
+					],
+					components: [
+						new ActionRowBuilder().addComponents(
+							button(
+								"connect_github",
+								messages.BUTTON_CONNECT_GITHUB,
+								ButtonStyle.Primary,
+							),
+							button(
+								"skip_github",
+								messages.BUTTON_SKIP_GITHUB,
+								ButtonStyle.Secondary,
+							),
+						),
+					],
+				};
+			case "tutorial":
+				return {
+					embeds: [
+						new EmbedBuilder()
+							.setColor(0x5865f2)
+							.setDescription(messages.TUTORIAL_START),
+					],
+					components: [
+						new ActionRowBuilder().addComponents(
+							button(
+								"start_tutorial",
+								messages.BUTTON_START_TUTORIAL,
+								ButtonStyle.Primary,
+							),
+							button(
+								"skip_tutorial",
+								messages.BUTTON_SKIP_TUTORIAL,
+								ButtonStyle.Secondary,
+							),
+						),
+					],
+				};
+			default:
+				return {
+					embeds: [
+						new EmbedBuilder()
+							.setColor(0x00ff00)
+							.setDescription(messages.ONBOARDING_COMPLETE),
+					],
+					components: [],
+				};
+		}
+	}
+
+	/**
+	 * Build the message payload shown for the current tutorial page
+	 * @param {import("../models/OnboardingConfig")} config - Guild onboarding configuration
+	 * @param {import("../models/UserState")} state - User onboarding state
+	 * @returns {Object} Message payload with embeds and components
+	 */
+	buildTutorialPayload(config, state) {
+		const messages = config.getMessages();
+		const pages = config.tutorialPages;
+		const index = Math.min(state.tutorialPage, pages.length - 1);
+		const page = pages[index];
+		const isLastPage = index === pages.length - 1;
+
+		const pageEmbed = new EmbedBuilder()
+			.setColor(0x5865f2)
+			.setTitle(`📚 ${page.title}`)
+			.setDescription(page.text)
+			.setFooter({ text: `Página ${index + 1} de ${pages.length}` });
+		if (page.command) {
+			pageEmbed.addFields({
+				name: messages.TUTORIAL_TRY_COMMAND,
+				value: `${state.hasFinishedTutorialPage(page) ? "✅" : "⏳"} Usa \`/${page.command}\` en el servidor.`,
+			});
+		}
+
+		return {
+			embeds: [pageEmbed],
+			components: [
+				new ActionRowBuilder().addComponents(
+					buildButton(
+						"tutorial_back",
+						messages.BUTTON_TUTORIAL_BACK,
+						ButtonStyle.Secondary,
+						config.guildId,
+						state.userId,
+					).setDisabled(index === 0),
+					buildButton(
+						"tutorial_next",
+						isLastPage
+							? messages.BUTTON_TUTORIAL_FINISH
+							: messages.BUTTON_TUTORIAL_NEXT,
+						isLastPage ? ButtonStyle.Success : ButtonStyle.Primary,
+						config.guildId,
+						state.userId,
+					),
+				),
+			],
+		};
+	}
+
+	/**
+	 * Move through the tutorial pages and show the resulting one
+	 * @param {import("discord.js").ButtonInteraction} interaction - Button interaction
+	 * @param {string} action - start_tutorial, tutorial_next or tutorial_back
+	 * @param {import("../models/UserState")} state - User onboarding state
+	 * @param {import("../models/OnboardingConfig")} config - Guild onboarding configuration
+	 * @returns {Promise<boolean>} Whether every page is finished
+	 */
+	async advanceTutorial(interaction, action, state, config) {
+		const messages = config.getMessages();
+		const pages = config.tutorialPages;
+		if (pages.length === 0) {
+			return true;
+		}
+
+		// Users resume from the page they were on, even if pages were removed since
+		let page = Math.min(state.tutorialPage, pages.length - 1);
+		if (action === "tutorial_back") {
+			page = Math.max(page - 1, 0);
+		} else if (action === "tutorial_next") {
+			if (!state.hasFinishedTutorialPage(pages[page])) {
+				await interaction.reply({
+					content: messages.TUTORIAL_CHECK_PENDING,
+					ephemeral: true,
+				});
+				return false;
+			}
+
+			if (page < pages.length - 1) {
+				page++;
+			} else {
+				// Pages added while the user was going through the tutorial count too
+				const unfinished = pages.findIndex(
+					(tutorialPage) => !state.hasFinishedTutorialPage(tutorialPage),
+				);
+				if (unfinished === -1) {
+					return true;
+				}
+				page = unfinished;
+			}
+		}
+
+		const updated = await this.userStateManager.updateUserState(
+			state.userId,
+			state.guildId,
+			{ tutorialPage: page },
+		);
+		const payload = this.buildTutorialPayload(config, updated);
+
+		if (action === "start_tutorial") {
+			await interaction.update({ components: [] });
+			await interaction.followUp({
+				...payload,
+				content: messages.TUTORIAL_START,
+				ephemeral: Boolean(interaction.guildId),
+			});
+		} else {
+			await interaction.update(payload);
+		}
+		return false;
+	}
+
+	/**
+	 * Link the GitHub account of the user from the onboarding button
+	 * @param {import("discord.js").ButtonInteraction} interaction - Button interaction, already updated
+	 * @param {import("../models/OnboardingConfig")} config - Guild onboarding configuration
+	 * @param {string} userId - Discord user ID
+	 * @returns {Promise<import("../models/UserState")|null>} New state, or null if the account was not linked
+	 */
+	async connectGitHub(interaction, config, userId) {
+		const ephemeral = Boolean(interaction.guildId);
+
+		try {
+			await this.githubAccounts.link(userId, config.guildId, (deviceCode) =>
+				interaction.followUp({
+					...GitHubAccountService.buildCodePayload(deviceCode),
+					ephemeral,
+				}),
+			);
+		} catch (error) {
+			console.error(`Error linking GitHub account of ${userId}:`, error);
+			// The step is offered again so the user can retry or skip it
+			await interaction.followUp({
+				...this.buildStepPayload("github", config, userId),
+				content: GitHubAccountService.describeError(error),
+				ephemeral,
+			});
+			return null;
+		}
+
+		return this.userStateManager.markStepComplete(
+			userId,
+			config.guildId,
+			"github",
+		);
+	}
+
+	/**
+	 * Move a user past the GitHub step after linking the account with /github-connect
+	 * @param {string} userId - Discord user ID
+	 * @param {string} guildId - Discord guild ID
+	 * @returns {Promise<Object|null>} Payload of the next step, or null if the user was not on the GitHub step
+	 */
+	async continueAfterGitHubLink(userId, guildId) {
+		const state = await this.userStateManager.getUserState(userId, guildId);
+		if (state?.onboardingStep !== "github") {
+			return null;
+		}
+
+		const config = await this.getConfig(guildId);
+		const next = await this.skipDisabledSteps(
+			await this.userStateManager.markStepComplete(userId, guildId, "github"),
+			config,
+		);
+		return this.buildStepPayload(next.onboardingStep, config, userId);
+	}
+
+	/**
+	 * Record a slash command used by a member going through the tutorial
+	 * @param {import("discord.js").ChatInputCommandInteraction} interaction - Command interaction
+	 */
+	async recordCommandUse(interaction) {
+		if (!interaction.guildId) {
+			return;
+		}
+
+		const state = await this.userStateManager.getUserState(
+			interaction.user.id,
+			interaction.guildId,
+		);
+		if (state?.onboardingStep !== "tutorial") {
+			return;
+		}
+
+		await this.userStateManager.recordTutorialCommand(
+			interaction.user.id,
+			interaction.guildId,
+			interaction.commandName,
+		);
+	}
+
+	/**
+	 * Skip the steps that are disabled in the guild configuration
+	 * @param {import("../models/UserState")} state - User onboarding state
+	 * @param {import("../models/OnboardingConfig")} config - Guild onboarding configuration
+	 * @returns {Promise<import("../models/UserState")>}
+	 */
+	async skipDisabledSteps(state, config) {
+		let current = state;
+		if (
+			current.onboardingStep === "github" &&
+			!config.githubIntegrationEnabled
+		) {
+			current = await this.userStateManager.markStepSkipped(
+				current.userId,
+				current.guildId,
+				"github",
+			);
+		}
+		if (current.onboardingStep === "tutorial" && !config.tutorialEnabled) {
+			current = await this.userStateManager.markStepSkipped(
+				current.userId,
+				current.guildId,
+				"tutorial",
+			);
+		}
+		return current;
+	}
+
+	/**
+	 * Deliver an onboarding payload by DM, falling back to the welcome channel
+	 * @param {import("discord.js").GuildMember} member - Guild member
+	 * @param {import("../models/OnboardingConfig")} config - Guild onboarding configuration
+	 * @param {Object} payload - Message payload
+	 * @returns {Promise<boolean>} Whether the payload was delivered
+	 */
+	async deliver(member, config, payload) {
+		try {
+			await member.send(payload);
+			return true;
+		} catch (error) {
+			console.log(
+				`Could not DM onboarding to ${member.user.tag}, falling back to welcome channel: ${error}`,
+			);
+		}
+
+		const channel = config.welcomeChannelId
+			? member.guild.channels.cache.get(config.welcomeChannelId)
+			: null;
+		if (!channel?.isTextBased()) {
+			console.error(
+				`No welcome channel configured for guild ${member.guild.id}, onboarding for ${member.user.tag} was not delivered`,
+			);
+			return false;
+		}
+
+		await channel.send({
+			...payload,
+			content: `${member} ${config.getMessages().ERROR_DM_FAILED}`,
+		});
+		return true;
+	}
+
+	/**
+	 * Start onboarding for a member who just joined
+	 * @param {import("discord.js").GuildMember} member - Guild member
+	 * @returns {Promise<import("../models/UserState")>}
+	 */
+	async start(member) {
+		const config = await this.getConfig(member.guild.id);
+		// Members who rejoin start over, but keep their linked GitHub account
+		const state = await this.userStateManager.resetOnboarding(
+			member.id,
+			member.guild.id,
+		);
+
+		const delivered = await this.deliver(
+			member,
+			config,
+			this.buildStepPayload(state.onboardingStep, config, member.id),
+		);
+		if (!delivered) {
+			return state;
+		}
+
+		return this.userStateManager.setOnboardingStep(
+			member.id,
+			member.guild.id,
+			"rules",
+		);
+	}
+
+	/**
+	 * Give the verified role to a member who accepted the rules
+	 * @param {import("discord.js").Guild} guild - Discord guild
+	 * @param {string} userId - Discord user ID
+	 * @param {import("../models/OnboardingConfig")} config - Guild onboarding configuration
+	 * @returns {Promise<boolean>} Whether the role was assigned
+	 */
+	async grantVerifiedRole(guild, userId, config) {
+		try {
+			const member = await guild.members.fetch(userId);
+			await member.roles.add(config.verifiedRoleId, "Aceptó las reglas");
+			return true;
+		} catch (error) {
+			console.error(`Error granting verified role to ${userId}:`, error);
+			return false;
+		}
+	}
+
+	/**
+	 * Give the verified role to the members who were already in the guild
+	 * Bots are included, members in the middle of onboarding still have to accept the rules
+	 * @param {import("discord.js").Guild} guild - Discord guild
+	 * @param {import("../models/OnboardingConfig")} config - Guild onboarding configuration
+	 * @returns {Promise<number>} Number of members who got the role
+	 */
+	async verifyExistingMembers(guild, config) {
+		const members = await guild.members.fetch();
+		let verified = 0;
+
+		for (const member of members.values()) {
+			if (member.roles.cache.has(config.verifiedRoleId)) {
+				continue;
+			}
+
+			const state = await this.userStateManager.getUserState(
+				member.id,
+				guild.id,
+			);
+			if (state?.awaitsRules()) {
+				continue;
+			}
+
+			await member.roles.add(
+				config.verifiedRoleId,
+				"Miembro anterior al modo restringido",
+			);
+			verified++;
+		}
+		return verified;
+	}
+
+	/**
+	 * Turn the verification gate on or off
+	 * With the gate on, @everyone loses View Channel and only keeps it in the rules channel.
+	 * The permissions the gate replaces are saved in the config and restored as they were when it is turned off
+	 * @param {import("discord.js").Guild} guild - Discord guild
+	 * @param {import("../models/OnboardingConfig")} config - Guild onboarding configuration
+	 * @param {boolean} enabled - Whether the gate should be on
+	 */
+	async setGate(guild, config, enabled) {
+		const everyone = guild.roles.everyone;
+		const reason = enabled
+			? "Modo restringido de onboarding activado"
+			: "Modo restringido de onboarding desactivado";
+		// Applying the gate again keeps what was saved the first time.
+		// A gate turned on before its permissions were saved is undone the way it always was
+		const restore = config.gateRestore
+			? { ...config.gateRestore }
+			: {
+					everyoneViewChannel:
+						!enabled ||
+						everyone.permissions.has(PermissionFlagsBits.ViewChannel),
+					rulesChannelId: enabled ? null : config.rulesChannelId,
+					rulesChannelView: null,
+					verifiedRoleId: enabled ? null : config.verifiedRoleId,
+					verifiedRoleView: false,
+				};
+
+		if (!enabled) {
+			await this.restoreRulesChannel(guild, restore, reason);
+			await this.setEveryoneView(guild, restore.everyoneViewChannel, reason);
+			await this.restoreVerifiedRole(guild, restore, reason);
+			await this.saveGateRestore(guild.id, null);
+			return;
+		}
+
+		// A previous verified role loses the View Channel the gate gave it
+		if (
+			restore.verifiedRoleId &&
+			restore.verifiedRoleId !== config.verifiedRoleId
+		) {
+			await this.restoreVerifiedRole(guild, restore, reason);
+			restore.verifiedRoleId = null;
+		}
+
+		const verifiedRole = await guild.roles.fetch(config.verifiedRoleId);
+		if (restore.verifiedRoleId !== verifiedRole.id) {
+			restore.verifiedRoleId = verifiedRole.id;
+			restore.verifiedRoleView = verifiedRole.permissions.has(
+				PermissionFlagsBits.ViewChannel,
+			);
+		}
+
+		// A previous rules channel gets back the overwrite it had before the gate
+		if (
+			restore.rulesChannelId &&
+			restore.rulesChannelId !== config.rulesChannelId
+		) {
+			await this.restoreRulesChannel(guild, restore, reason);
+			restore.rulesChannelId = null;
+			restore.rulesChannelView = null;
+		}
+
+		const rulesChannel = config.rulesChannelId
+			? await guild.channels.fetch(config.rulesChannelId).catch(() => null)
+			: null;
+		if (rulesChannel && restore.rulesChannelId !== rulesChannel.id) {
+			const overwrite = rulesChannel.permissionOverwrites.cache.get(
+				everyone.id,
+			);
+			restore.rulesChannelId = rulesChannel.id;
+			restore.rulesChannelView = overwrite?.allow.has(
+				PermissionFlagsBits.ViewChannel,
+			)
+				? true
+				: overwrite?.deny.has(PermissionFlagsBits.ViewChannel)
+					? false
+					: null;
+		}
+		// Saved before any permission changes, so a gate applied halfway can be undone
+		await this.saveGateRestore(guild.id, restore);
+
+		await verifiedRole.setPermissions(
+			new PermissionsBitField(verifiedRole.permissions).add(
+				PermissionFlagsBits.ViewChannel,
+			),
+			reason,
+		);
+		if (rulesChannel) {
+			await rulesChannel.permissionOverwrites.edit(
+				everyone,
+				{ ViewChannel: true },
+				{ reason },
+			);
+		}
+		await this.setEveryoneView(guild, false, reason);
+	}
+
+	/**
+	 * Give @everyone View Channel or take it away
+	 * @param {import("discord.js").Guild} guild - Discord guild
+	 * @param {boolean} allowed - Whether @everyone should see the channels
+	 * @param {string} reason - Audit log reason
+	 */
+	async setEveryoneView(guild, allowed, reason) {
+		const everyone = guild.roles.everyone;
+		const permissions = new PermissionsBitField(everyone.permissions);
+		await everyone.setPermissions(
+			allowed
+				? permissions.add(PermissionFlagsBits.ViewChannel)
+				: permissions.remove(PermissionFlagsBits.ViewChannel),
+			reason,
+		);
+	}
+
+	/**
+	 * Put back the @everyone overwrite the gate replaced in the rules channel
+	 * @param {import("discord.js").Guild} guild - Discord guild
+	 * @param {{rulesChannelId: string|null, rulesChannelView: boolean|null}} restore - Saved gate permissions
+	 * @param {string} reason - Audit log reason
+	 */
+	async restoreRulesChannel(guild, restore, reason) {
+		const channel = restore.rulesChannelId
+			? await guild.channels.fetch(restore.rulesChannelId).catch(() => null)
+			: null;
+		if (!channel) {
+			return;
+		}
+
+		const everyone = guild.roles.everyone;
+		await channel.permissionOverwrites.edit(
+			everyone,
+			{ ViewChannel: restore.rulesChannelView },
+			{ reason },
+		);
+		// An overwrite created only for the gate is removed instead of left empty
+		const overwrite = channel.permissionOverwrites.cache.get(everyone.id);
+		if (overwrite && !overwrite.allow.bitfield && !overwrite.deny.bitfield) {
+			await channel.permissionOverwrites.delete(everyone, reason);
+		}
+	}
+
+	/**
+	 * Take View Channel back from the verified role if the gate gave it
+	 * @param {import("discord.js").Guild} guild - Discord guild
+	 * @param {{verifiedRoleId: string|null, verifiedRoleView: boolean}} restore - Saved gate permissions
+	 * @param {string} reason - Audit log reason
+	 */
+	async restoreVerifiedRole(guild, restore, reason) {
+		if (!restore.verifiedRoleId || restore.verifiedRoleView) {
+			return;
+		}
+
+		const role = await guild.roles
+			.fetch(restore.verifiedRoleId)
+			.catch(() => null);
+		if (!role) {
+			return;
+		}
+		await role.setPermissions(
+			new PermissionsBitField(role.permissions).remove(
+				PermissionFlagsBits.ViewChannel,
+			),
+			reason,
+		);
+	}
+
+	/**
+	 * Persist the permissions the gate replaced
+	 * @param {string} guildId - Discord guild ID
+	 * @param {Object|null} gateRestore - Saved gate permissions, null once restored
+	 */
+	async saveGateRestore(guildId, gateRestore) {
+		await this.configManager.updateConfig(guildId, (config) =>
+			config.update({ gateRestore }),
+		);
+	}
+
+	/**
+	 * Register the rules reminder job and make sure it is scheduled
+	 * @param {import("../../scheduler/services/JobScheduler")} scheduler - Shared job scheduler
+	 */
+	async scheduleReminders(scheduler) {
+		scheduler.registerHandler(REMINDER_JOB, (_job, client) =>
+			this.sendReminders(client),
+		);
+
+		// Keep the pending run so reminders missed while offline are caught up
+		if (await scheduler.getJob(REMINDER_JOB)) {
+			return;
+		}
+		await scheduler.schedule(
+			REMINDER_JOB,
+			new Date(Date.now() + REMINDER_CHECK_INTERVAL_MS),
+			{},
+			{ key: REMINDER_JOB, intervalMs: REMINDER_CHECK_INTERVAL_MS },
+		);
+	}
+
+	/**
+	 * Remind every member who has not accepted the rules yet
+	 * @param {import("discord.js").Client} client - Discord client
+	 * @returns {Promise<number>} Number of reminders delivered
+	 */
+	async sendReminders(client) {
+		let sent = 0;
+		for (const guild of client.guilds.cache.values()) {
+			const config = await this.getConfig(guild.id);
+			const states = await this.userStateManager.getUsersNeedingReminders(
+				guild.id,
+				config.maxReminders,
+				config.reminderIntervalHours,
+			);
+
+			for (const state of states) {
+				if (await this.sendReminder(guild, state, config)) {
+					sent++;
+				}
+			}
+		}
+		return sent;
+	}
+
+	/**
+	 * DM the rules reminder to a single member
+	 * @param {import("discord.js").Guild} guild - Discord guild
+	 * @param {import("../models/UserState")} state - User onboarding state
+	 * @param {import("../models/OnboardingConfig")} config - Guild onboarding configuration
+	 * @returns {Promise<boolean>} Whether the reminder was delivered
+	 */
+	async sendReminder(guild, state, config) {
+		let member;
+		try {
+			member = await guild.members.fetch(state.userId);
+		} catch (error) {
+			// 10007: Unknown Member, the user left the guild. The state is kept for the linked GitHub account,
+			// outside the onboarding so the reminders stop until the member rejoins
+			if (error.code === 10007) {
+				await this.userStateManager.setOnboardingStep(
+					state.userId,
+					guild.id,
+					null,
+				);
+			} else {
+				console.error(`Error fetching ${state.userId} for a reminder:`, error);
+			}
+			return false;
+		}
+
+		// Failed DMs count too, so closed DMs are not retried past the limit
+		await this.userStateManager.markReminderSent(state.userId, guild.id);
+
+		try {
+			await member.send({
+				...this.buildStepPayload("rules", config, member.id),
+				content: config.getMessages().REMINDER_RULES,
+			});
+		} catch (error) {
+			console.log(
+				`Could not DM rules reminder to ${member.user.tag}: ${error}`,
+			);
+			return false;
+		}
+
+		// The welcome message never arrived, the reminder is the rules step now
+		if (state.onboardingStep === "welcome") {
+			await this.userStateManager.setOnboardingStep(
+				state.userId,
+				guild.id,
+				"rules",
+			);
+		}
+		return true;
+	}
+
+	/**
+	 * Handle a click on one of the onboarding buttons
+	 * @param {import("discord.js").ButtonInteraction} interaction - Button interaction
+	 */
+	async handleButton(interaction) {
+		const parsed = OnboardingService.parseCustomId(interaction.customId);
+		if (!parsed) {
+			return;
+		}
+		const { action, guildId, userId } = parsed;
+
+		if (interaction.user.id !== userId) {
+			return interaction.reply({
+				content: "⛔ Estos botones son para otra persona.",
+				ephemeral: true,
+			});
+		}
+
+		const config = await this.getConfig(guildId);
+		const messages = config.getMessages();
+		let state = await this.userStateManager.getUserState(userId, guildId);
+
+		const expectedStep = {
+			accept_rules: "rules",
+			connect_github: "github",
+			skip_github: "github",
+			start_tutorial: "tutorial",
+			skip_tutorial: "tutorial",
+			tutorial_next: "tutorial",
+			tutorial_back: "tutorial",
+		}[action];
+
+		if (!state || !expectedStep || state.onboardingStep !== expectedStep) {
+			return interaction.reply({
+				content: "⚠️ Este paso ya no está disponible.",
+				ephemeral: true,
+			});
+		}
+
+		let notice;
+		switch (action) {
+			case "accept_rules":
+				state = await this.userStateManager.markStepComplete(
+					userId,
+					guildId,
+					"rules",
+				);
+				notice = messages.RULES_ACCEPTED;
+				if (config.verifiedRoleId) {
+					const guild = interaction.client.guilds.cache.get(guildId);
+					const granted =
+						guild && (await this.grantVerifiedRole(guild, userId, config));
+					if (!granted) {
+						notice = `${notice}\n${messages.ERROR_VERIFIED_ROLE}`;
+					}
+				}
+				break;
+			case "connect_github":
+				if (!this.githubAccounts?.isConfigured()) {
+					state = await this.userStateManager.markStepSkipped(
+						userId,
+						guildId,
+						"github",
+					);
+					notice =
+						"La conexión con GitHub no está disponible en este momento. Lo omitimos por ahora.";
+					break;
+				}
+
+				// The buttons go away while the user enters the code on GitHub
+				await interaction.update({ components: [] });
+				state = await this.connectGitHub(interaction, config, userId);
+				if (!state) {
+					return;
+				}
+				notice = messages.GITHUB_CONNECTED;
+				break;
+			case "skip_github":
+				state = await this.userStateManager.markStepSkipped(
+					userId,
+					guildId,
+					"github",
+				);
+				notice = messages.GITHUB_SKIPPED;
+				break;
+			case "start_tutorial":
+			case "tutorial_next":
+			case "tutorial_back":
+				if (!(await this.advanceTutorial(interaction, action, state, config))) {
+					return;
+				}
+				state = await this.userStateManager.markStepComplete(
+					userId,
+					guildId,
+					"tutorial",
+				);
+				notice = messages.TUTORIAL_COMPLETE;
+				break;
+			case "skip_tutorial":
+				state = await this.userStateManager.markStepSkipped(
+					userId,
+					guildId,
+					"tutorial",
+				);
+				break;
+		}
+
+		state = await this.skipDisabledSteps(state, config);
+
+		if (!interaction.replied) {
+			await interaction.update({ components: [] });
+		}
+
+		const payload = this.buildStepPayload(state.onboardingStep, config, userId);
+		await interaction.followUp({
+			...payload,
+			content: notice,
+			ephemeral: Boolean(interaction.guildId),
+		});
+	}
+}
+
+OnboardingService.REMINDER_JOB = REMINDER_JOB;
+
+module.exports = OnboardingService;
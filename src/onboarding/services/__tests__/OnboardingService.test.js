@@ -0,0 +1,688 @@
+const { test, describe, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs").promises;
+const path = require("path");
+const OnboardingService = require("../OnboardingService");
+const UserStateManager = require("../../managers/UserStateManager");
+const OnboardingConfigManager = require("../../managers/OnboardingConfigManager");
+const OnboardingConfig = require("../../models/OnboardingConfig");
+const { PermissionFlagsBits, PermissionsBitField } = require("discord.js");
+
+describe("OnboardingService", () => {
+	let service;
+	let manager;
+	let configManager;
+	let tempDir;
+	const testUserId = "user123";
+	const testGuildId = "guild456";
+
+	const createInteraction = (customId, userId = testUserId) => {
+		const calls = { reply: [], update: [], followUp: [] };
+		return {
+			customId,
+			guildId: null,
+			user: { id: userId },
+			calls,
+			reply: async (payload) => calls.reply.push(payload),
+			update: async (payload) => calls.update.push(payload),
+			followUp: async (payload) => calls.followUp.push(payload),
+		};
+	};
+
+	beforeEach(async () => {
+		tempDir = path.join(__dirname, "temp-test-data");
+		await fs.mkdir(tempDir, { recursive: true });
+
+		manager = new UserStateManager();
+		manager.dataDir = tempDir;
+		manager.userStatesFile = path.join(tempDir, "userStates.json");
+		configManager = new OnboardingConfigManager();
+		configManager.dataDir = tempDir;
+		configManager.configsFile = path.join(tempDir, "configs.json");
+		service = new OnboardingService(manager, configManager);
+	});
+
+	afterEach(async () => {
+		try {
+			await fs.rm(tempDir, { recursive: true, force: true });
+		} catch (_error) {
+			// Ignore cleanup errors
+		}
+	});
+
+	describe("custom IDs", () => {
+		test("should round-trip action, guild and user", () => {
+			const customId = OnboardingService.buildCustomId(
+				"accept_rules",
+				testGuildId,
+				testUserId,
+			);
+
+			assert.deepStrictEqual(OnboardingService.parseCustomId(customId), {
+				action: "accept_rules",
+				guildId: testGuildId,
+				userId: testUserId,
+			});
+		});
+
+		test("should reject custom IDs from other components", () => {
+			assert.strictEqual(OnboardingService.parseCustomId("prev"), null);
+			assert.strictEqual(
+				OnboardingService.parseCustomId("poll:vote:1:2"),
+				null,
+			);
+		});
+	});
+
+	describe("buildStepPayload", () => {
+		test("should offer rules acceptance on the welcome step", () => {
+			const config = new OnboardingConfig(testGuildId);
+			const payload = service.buildStepPayload("welcome", config, testUserId);
+			const [button] = payload.components[0].components;
+
+			assert.strictEqual(payload.embeds.length, 2);
+			assert.strictEqual(
+				button.data.label,
+				config.getMessages().BUTTON_ACCEPT_RULES,
+			);
+		});
+
+		test("should offer connect and skip on the github step", () => {
+			const config = new OnboardingConfig(testGuildId);
+			const payload = service.buildStepPayload("github", config, testUserId);
+			const labels = payload.components[0].components.map((b) => b.data.label);
+
+			assert.deepStrictEqual(labels, [
+				config.getMessages().BUTTON_CONNECT_GITHUB,
+				config.getMessages().BUTTON_SKIP_GITHUB,
+			]);
+		});
+
+		test("should have no buttons once onboarding is complete", () => {
+			const config = new OnboardingConfig(testGuildId);
+			const payload = service.buildStepPayload("complete", config, testUserId);
+
+			assert.strictEqual(payload.components.length, 0);
+		});
+	});
+
+	describe("handleButton", () => {
+		test("should accept rules and move to the github step", async () => {
+			await manager.setOnboardingStep(testUserId, testGuildId, "rules");
+			const interaction = createInteraction(
+				OnboardingService.buildCustomId(
+					"accept_rules",
+					testGuildId,
+					testUserId,
+				),
+			);
+
+			await service.handleButton(interaction);
+
+			const state = await manager.getUserState(testUserId, testGuildId);
+			assert.strictEqual(state.rulesAcknowledged, true);
+			assert.strictEqual(state.onboardingStep, "github");
+			assert.strictEqual(interaction.calls.update.length, 1);
+			assert.strictEqual(interaction.calls.followUp.length, 1);
+		});
+
+		test("should grant the verified role when the rules are accepted", async () => {
+			await configManager.updateConfig(testGuildId, (config) =>
+				config.update({ verifiedRoleId: "role1" }),
+			);
+			await manager.setOnboardingStep(testUserId, testGuildId, "rules");
+			const added = [];
+			const interaction = createInteraction(
+				OnboardingService.buildCustomId(
+					"accept_rules",
+					testGuildId,
+					testUserId,
+				),
+			);
+			interaction.client = {
+				guilds: {
+					cache: new Map([
+						[
+							testGuildId,
+							{
+								members: {
+									fetch: async (id) => ({
+										roles: { add: async (roleId) => added.push([id, roleId]) },
+									}),
+								},
+							},
+						],
+					]),
+				},
+			};
+
+			await service.handleButton(interaction);
+
+			assert.deepStrictEqual(added, [[testUserId, "role1"]]);
+			assert.strictEqual(
+				interaction.calls.followUp[0].content,
+				new OnboardingConfig(testGuildId).getMessages().RULES_ACCEPTED,
+			);
+		});
+
+		test("should tell the user when the verified role could not be granted", async () => {
+			await configManager.updateConfig(testGuildId, (config) =>
+				config.update({ verifiedRoleId: "role1" }),
+			);
+			await manager.setOnboardingStep(testUserId, testGuildId, "rules");
+			const interaction = createInteraction(
+				OnboardingService.buildCustomId(
+					"accept_rules",
+					testGuildId,
+					testUserId,
+				),
+			);
+			interaction.client = { guilds: { cache: new Map() } };
+
+			await service.handleButton(interaction);
+
+			const state = await manager.getUserState(testUserId, testGuildId);
+			assert.strictEqual(state.rulesAcknowledged, true);
+			assert.ok(
+				interaction.calls.followUp[0].content.includes(
+					new OnboardingConfig(testGuildId).getMessages().ERROR_VERIFIED_ROLE,
+				),
+			);
+		});
+
+		test("should link GitHub from the onboarding button", async () => {
+			service.githubAccounts = {
+				isConfigured: () => true,
+				link: async (userId, guildId, showCode) => {
+					await showCode({
+						userCode: "ABCD-1234",
+						verificationUri: "https://github.com/login/device",
+						expiresIn: 900,
+					});
+					return manager.updateUserState(userId, guildId, {
+						githubConnected: true,
+						githubUsername: "octocat",
+					});
+				},
+			};
+			await manager.setOnboardingStep(testUserId, testGuildId, "github");
+			const interaction = createInteraction(
+				OnboardingService.buildCustomId(
+					"connect_github",
+					testGuildId,
+					testUserId,
+				),
+			);
+			interaction.update = async (payload) => {
+				interaction.replied = true;
+				interaction.calls.update.push(payload);
+			};
+
+			await service.handleButton(interaction);
+
+			const state = await manager.getUserState(testUserId, testGuildId);
+			assert.strictEqual(state.githubUsername, "octocat");
+			assert.strictEqual(state.onboardingStep, "tutorial");
+			assert.strictEqual(interaction.calls.update.length, 1);
+			// Code instructions, then the tutorial step
+			assert.strictEqual(interaction.calls.followUp.length, 2);
+			assert.strictEqual(
+				interaction.calls.followUp[1].content,
+				new OnboardingConfig(testGuildId).getMessages().GITHUB_CONNECTED,
+			);
+		});
+
+		test("should offer the GitHub step again when linking fails", async () => {
+			service.githubAccounts = {
+				isConfigured: () => true,
+				link: async () => {
+					throw Object.assign(new Error("Denied"), { code: "access_denied" });
+				},
+			};
+			await manager.setOnboardingStep(testUserId, testGuildId, "github");
+			const interaction = createInteraction(
+				OnboardingService.buildCustomId(
+					"connect_github",
+					testGuildId,
+					testUserId,
+				),
+			);
+
+			await service.handleButton(interaction);
+
+			const state = await manager.getUserState(testUserId, testGuildId);
+			assert.strictEqual(state.onboardingStep, "github");
+			assert.strictEqual(
+				interaction.calls.followUp[0].components[0].components.length,
+				2,
+			);
+		});
+
+		test("should ignore clicks from other users", async () => {
+			await manager.setOnboardingStep(testUserId, testGuildId, "rules");
+			const interaction = createInteraction(
+				OnboardingService.buildCustomId(
+					"accept_rules",
+					testGuildId,
+					testUserId,
+				),
+				"intruder",
+			);
+
+			await service.handleButton(interaction);
+
+			const state = await manager.getUserState(testUserId, testGuildId);
+			assert.strictEqual(state.rulesAcknowledged, false);
+			assert.strictEqual(interaction.calls.reply.length, 1);
+		});
+
+		test("should reject buttons from an already finished step", async () => {
+			await manager.setOnboardingStep(testUserId, testGuildId, "tutorial");
+			const interaction = createInteraction(
+				OnboardingService.buildCustomId("skip_github", testGuildId, testUserId),
+			);
+
+			await service.handleButton(interaction);
+
+			const state = await manager.getUserState(testUserId, testGuildId);
+			assert.strictEqual(state.onboardingStep, "tutorial");
+			assert.strictEqual(interaction.calls.reply.length, 1);
+		});
+
+		test("should walk through the tutorial pages and complete it at the end", async () => {
+			await configManager.updateConfig(testGuildId, (config) =>
+				config.update({
+					tutorialPages: [
+						{ title: "Uno", text: "Primera página", command: null },
+						{ title: "Dos", text: "Prueba /help", command: "help" },
+					],
+				}),
+			);
+			await manager.setOnboardingStep(testUserId, testGuildId, "tutorial");
+			const click = async (action) => {
+				const interaction = createInteraction(
+					OnboardingService.buildCustomId(action, testGuildId, testUserId),
+				);
+				await service.handleButton(interaction);
+				return interaction;
+			};
+
+			const start = await click("start_tutorial");
+			assert.strictEqual(
+				start.calls.followUp[0].embeds[0].data.title,
+				"📚 Uno",
+			);
+
+			const second = await click("tutorial_next");
+			assert.strictEqual(second.calls.update[0].embeds[0].data.title, "📚 Dos");
+
+			// The command of the page has not been tried yet
+			const blocked = await click("tutorial_next");
+			assert.strictEqual(blocked.calls.reply.length, 1);
+			let state = await manager.getUserState(testUserId, testGuildId);
+			assert.strictEqual(state.onboardingStep, "tutorial");
+			assert.strictEqual(state.tutorialPage, 1);
+
+			await service.recordCommandUse({
+				guildId: testGuildId,
+				user: { id: testUserId },
+				commandName: "help",
+			});
+			await click("tutorial_next");
+
+			state = await manager.getUserState(testUserId, testGuildId);
+			assert.strictEqual(state.tutorialCompleted, true);
+			assert.strictEqual(state.isComplete(), true);
+		});
+
+		test("should resume the tutorial from the last page", async () => {
+			await manager.updateUserState(testUserId, testGuildId, {
+				onboardingStep: "tutorial",
+				tutorialPage: 1,
+			});
+
+			const interaction = createInteraction(
+				OnboardingService.buildCustomId(
+					"tutorial_back",
+					testGuildId,
+					testUserId,
+				),
+			);
+			await service.handleButton(interaction);
+
+			const state = await manager.getUserState(testUserId, testGuildId);
+			assert.strictEqual(state.tutorialPage, 0);
+			assert.strictEqual(
+				interaction.calls.update[0].embeds[0].data.footer.text,
+				`Página 1 de ${new OnboardingConfig(testGuildId).tutorialPages.length}`,
+			);
+		});
+
+		test("should complete onboarding when the tutorial is skipped", async () => {
+			await manager.setOnboardingStep(testUserId, testGuildId, "tutorial");
+			const interaction = createInteraction(
+				OnboardingService.buildCustomId(
+					"skip_tutorial",
+					testGuildId,
+					testUserId,
+				),
+			);
+
+			await service.handleButton(interaction);
+
+			const state = await manager.getUserState(testUserId, testGuildId);
+			assert.strictEqual(state.isComplete(), true);
+			assert.strictEqual(state.tutorialCompleted, false);
+		});
+	});
+
+	describe("sendReminders", () => {
+		const dayAgo = () =>
+			new Date(Date.now() - 25 * 60 * 60 * 1000).toISOString();
+
+		const createClient = (sent, { dmError = null, missing = [] } = {}) => {
+			const guild = {
+				id: testGuildId,
+				members: {
+					fetch: async (id) => {
+						if (missing.includes(id)) {
+							throw Object.assign(new Error("Unknown Member"), {
+								code: 10007,
+							});
+						}
+						return {
+							id,
+							user: { tag: `${id}#0001` },
+							send: async (payload) => {
+								if (dmError) {
+									throw dmError;
+								}
+								sent.push([id, payload]);
+							},
+						};
+					},
+				},
+			};
+			return { guilds: { cache: new Map([[testGuildId, guild]]) } };
+		};
+
+		test("should DM the rules reminder to members who did not accept them", async () => {
+			await manager.updateUserState(testUserId, testGuildId, {
+				onboardingStep: "rules",
+				onboardingStartedAt: dayAgo(),
+			});
+			const sent = [];
+
+			const delivered = await service.sendReminders(createClient(sent));
+
+			const config = new OnboardingConfig(testGuildId);
+			assert.strictEqual(delivered, 1);
+			assert.strictEqual(sent[0][0], testUserId);
+			assert.strictEqual(
+				sent[0][1].content,
+				config.getMessages().REMINDER_RULES,
+			);
+			const state = await manager.getUserState(testUserId, testGuildId);
+			assert.strictEqual(state.remindersSent, 1);
+			assert.ok(state.lastReminderAt);
+		});
+
+		test("should space reminders from the previous one", async () => {
+			await manager.updateUserState(testUserId, testGuildId, {
+				onboardingStep: "rules",
+				onboardingStartedAt: dayAgo(),
+			});
+			const sent = [];
+
+			await service.sendReminders(createClient(sent));
+			await service.sendReminders(createClient(sent));
+
+			assert.strictEqual(sent.length, 1);
+		});
+
+		test("should count reminders that could not be delivered", async () => {
+			await manager.updateUserState(testUserId, testGuildId, {
+				onboardingStep: "rules",
+				onboardingStartedAt: dayAgo(),
+			});
+
+			const delivered = await service.sendReminders(
+				createClient([], { dmError: new Error("Cannot send messages") }),
+			);
+
+			const state = await manager.getUserState(testUserId, testGuildId);
+			assert.strictEqual(delivered, 0);
+			assert.strictEqual(state.remindersSent, 1);
+		});
+
+		test("should stop reminding members who left the guild", async () => {
+			await manager.updateUserState(testUserId, testGuildId, {
+				onboardingStep: "rules",
+				onboardingStartedAt: dayAgo(),
+				githubConnected: true,
+				githubUsername: "octocat",
+			});
+			const sent = [];
+
+			await service.sendReminders(
+				createClient(sent, { missing: [testUserId] }),
+			);
+			await service.sendReminders(createClient(sent));
+
+			const state = await manager.getUserState(testUserId, testGuildId);
+			assert.deepStrictEqual(sent, []);
+			assert.strictEqual(state.onboardingStep, null);
+			assert.strictEqual(state.githubUsername, "octocat");
+		});
+	});
+
+	describe("verifyExistingMembers", () => {
+		test("should verify members except the ones still onboarding", async () => {
+			await manager.setOnboardingStep("onboarding", testGuildId, "rules");
+			const added = [];
+			const createMember = (id, roles = []) => ({
+				id,
+				user: { bot: false },
+				roles: {
+					cache: new Map(roles.map((role) => [role, {}])),
+					add: async (roleId) => added.push([id, roleId]),
+				},
+			});
+			const members = new Map(
+				[
+					createMember("veteran"),
+					createMember("verified", ["role1"]),
+					createMember("onboarding"),
+				].map((member) => [member.id, member]),
+			);
+			const guild = {
+				id: testGuildId,
+				members: { fetch: async () => members },
+			};
+			const config = new OnboardingConfig(testGuildId);
+			config.verifiedRoleId = "role1";
+
+			const verified = await service.verifyExistingMembers(guild, config);
+
+			assert.strictEqual(verified, 1);
+			assert.deepStrictEqual(added, [["veteran", "role1"]]);
+		});
+	});
+
+	describe("setGate", () => {
+		const { ViewChannel, SendMessages } = PermissionFlagsBits;
+		let guild;
+
+		const createRole = (id, permissions) => ({
+			id,
+			permissions: new PermissionsBitField(permissions),
+			async setPermissions(updated) {
+				this.permissions = new PermissionsBitField(updated);
+			},
+		});
+
+		const createChannel = (id, overwrite = null) => {
+			const cache = new Map();
+			if (overwrite) {
+				cache.set(testGuildId, {
+					allow: new PermissionsBitField(overwrite.allow ?? 0n),
+					deny: new PermissionsBitField(overwrite.deny ?? 0n),
+				});
+			}
+			return {
+				id,
+				permissionOverwrites: {
+					cache,
+					edit: async (role, options) => {
+						const current = cache.get(role.id) ?? {
+							allow: new PermissionsBitField(),
+							deny: new PermissionsBitField(),
+						};
+						const allow = new PermissionsBitField(current.allow).remove(
+							ViewChannel,
+						);
+						const deny = new PermissionsBitField(current.deny).remove(
+							ViewChannel,
+						);
+						if (options.ViewChannel === true) {
+							allow.add(ViewChannel);
+						}
+						if (options.ViewChannel === false) {
+							deny.add(ViewChannel);
+						}
+						cache.set(role.id, { allow, deny });
+					},
+					delete: async (role) => cache.delete(role.id),
+				},
+			};
+		};
+
+		const gateConfig = async (rulesChannelId) => {
+			const result = await configManager.updateConfig(testGuildId, (config) =>
+				config.update({
+					verifiedRoleId: "verified",
+					rulesChannelId,
+					gateEnabled: true,
+				}),
+			);
+			return result.config;
+		};
+
+		beforeEach(() => {
+			const roles = {
+				everyone: createRole(testGuildId, [ViewChannel, SendMessages]),
+				verified: createRole("verified", []),
+			};
+			const channels = {
+				rules: createChannel("rules", { deny: SendMessages }),
+				other: createChannel("other"),
+			};
+			guild = {
+				id: testGuildId,
+				roles: {
+					everyone: roles.everyone,
+					fetch: async (id) => roles[id],
+				},
+				channels: { fetch: async (id) => channels[id] ?? null },
+				channelMap: channels,
+			};
+		});
+
+		test("should restore exactly the permissions it replaced", async () => {
+			await service.setGate(guild, await gateConfig("rules"), true);
+
+			assert.strictEqual(
+				guild.roles.everyone.permissions.has(ViewChannel),
+				false,
+			);
+			assert.strictEqual(
+				guild.channelMap.rules.permissionOverwrites.cache
+					.get(testGuildId)
+					.allow.has(ViewChannel),
+				true,
+			);
+
+			const config = await configManager.updateConfig(testGuildId, (stored) =>
+				stored.update({ gateEnabled: false }),
+			);
+			await service.setGate(guild, config.config, false);
+
+			assert.strictEqual(
+				guild.roles.everyone.permissions.has(ViewChannel),
+				true,
+			);
+			const overwrite =
+				guild.channelMap.rules.permissionOverwrites.cache.get(testGuildId);
+			assert.strictEqual(overwrite.allow.has(ViewChannel), false);
+			assert.strictEqual(overwrite.deny.has(SendMessages), true);
+			assert.strictEqual(
+				(await configManager.getConfig(testGuildId)).gateRestore,
+				null,
+			);
+		});
+
+		test("should keep @everyone hidden when it was hidden before the gate", async () => {
+			guild.roles.everyone.permissions.remove(ViewChannel);
+
+			await service.setGate(guild, await gateConfig("rules"), true);
+			// Applying the gate again must not overwrite the saved state
+			await service.setGate(
+				guild,
+				await configManager.getConfig(testGuildId),
+				true,
+			);
+			await service.setGate(
+				guild,
+				await configManager.getConfig(testGuildId),
+				false,
+			);
+
+			assert.strictEqual(
+				guild.roles.everyone.permissions.has(ViewChannel),
+				false,
+			);
+		});
+
+		test("should clean up the previous rules channel when it changes", async () => {
+			await service.setGate(guild, await gateConfig("other"), true);
+			await service.setGate(guild, await gateConfig("rules"), true);
+
+			assert.strictEqual(
+				guild.channelMap.other.permissionOverwrites.cache.has(testGuildId),
+				false,
+			);
+			assert.strictEqual(
+				(await configManager.getConfig(testGuildId)).gateRestore.rulesChannelId,
+				"rules",
+			);
+		});
+
+		test("should take View Channel back from the verified role", async () => {
+			await service.setGate(guild, await gateConfig("rules"), true);
+			const verifiedRole = await guild.roles.fetch("verified");
+			assert.strictEqual(verifiedRole.permissions.has(ViewChannel), true);
+
+			await service.setGate(
+				guild,
+				await configManager.getConfig(testGuildId),
+				false,
+			);
+
+			assert.strictEqual(verifiedRole.permissions.has(ViewChannel), false);
+		});
+
+		test("should leave View Channel on a verified role that already had it", async () => {
+			const verifiedRole = await guild.roles.fetch("verified");
+			verifiedRole.permissions.add(ViewChannel);
+
+			await service.setGate(guild, await gateConfig("rules"), true);
+			await service.setGate(
+				guild,
+				await configManager.getConfig(testGuildId),
+				false,
+			);
+
+			assert.strictEqual(verifiedRole.permissions.has(ViewChannel), true);
+		});
+	});
+});
@@ -0,0 +1,102 @@
+const fs = require("fs").promises;
+const path = require("path");
+const Poll = require("../models/Poll");
+
+/**
+ * PollManager handles persistence and retrieval of polls and their votes
+ */
+class PollManager {
+	constructor() {
+		this.dataDir = path.join(__dirname, "../../data/polls");
+		this.pollsFile = path.join(this.dataDir, "polls.json");
+		this.polls = new Map();
+		this.initialized = false;
+	}
+
+	/**
+	 * Initialize the manager by loading existing data
+	 */
+	async initialize() {
+		if (this.initialized) {
+			return;
+		}
+
+		try {
+			// Ensure data directory exists
+			await fs.mkdir(this.dataDir, { recursive: true });
+
+			// Load existing polls
+			await this.loadPolls();
+			this.initialized = true;
+		} catch (error) {
+			console.error("Error initializing PollManager:", error);
+			throw error;
+		}
+	}
+
+	/**
+	 * Load polls from JSON file
+	 */
+	async loadPolls() {
+		try {
+			const data = await fs.readFile(this.pollsFile, "utf8");
+			const pollsData = JSON.parse(data);
+
+			this.polls.clear();
+			for (const [messageId, pollData] of Object.entries(pollsData)) {
+				this.polls.set(messageId, Poll.fromJSON(pollData));
+			}
+		} catch (error) {
+			if (error.code === "ENOENT") {
+				// File doesn't exist yet, no poll was created
+				this.polls.clear();
+			} else {
+				console.error("Error loading polls:", error);
+				throw error;
+			}
+		}
+	}
+
+	/**
+	 * Save polls to JSON file
+	 */
+	async savePolls() {
+		try {
+			const pollsData = {};
+			for (const [messageId, poll] of this.polls.entries()) {
+				pollsData[messageId] = poll.toJSON();
+			}
+
+			await fs.writeFile(this.pollsFile, JSON.stringify(pollsData, null, 2));
+		} catch (error) {
+			console.error("Error saving polls:", error);
+			throw error;
+		}
+	}
+
+	/**
+	 * Get the poll posted in a message
+	 * @param {string} messageId - Discord message ID
+	 * @returns {Poll|null}
+	 */
+	async getPoll(messageId) {
+		await this.initialize();
+
+		return this.polls.get(messageId) || null;
+	}
+
+	/**
+	 * Store a poll or the changes made to it
+	 * @param {Poll} poll - Poll to store
+	 * @returns {Poll}
+	 */
+	async savePoll(poll) {
+		await this.initialize();
+
+		this.polls.set(poll.messageId, poll);
+		await this.savePolls();
+		return poll;
+	}
+}
+
+module.exports = PollManager;
@@ -0,0 +1,51 @@
+const { test, describe, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs").promises;
+const path = require("path");
+const PollManager = require("../PollManager");
+const Poll = require("../../models/Poll");
+
+describe("PollManager", () => {
+	let manager;
+	let tempDir;
+
+	const createManager = () => {
+		const instance = new PollManager();
+		// Override the data directory for testing
+		instance.dataDir = tempDir;
+		instance.pollsFile = path.join(tempDir, "polls.json");
+		return instance;
+	};
+
+	beforeEach(async () => {
+		// Create a temporary directory for testing
+		tempDir = path.join(__dirname, "temp-polls-data");
+		await fs.mkdir(tempDir, { recursive: true });
+
+		manager = createManager();
+	});
+
+	afterEach(async () => {
+		// Clean up temporary directory
+		try {
+			await fs.rm(tempDir, { recursive: true, force: true });
+		} catch (_error) {
+			// Ignore cleanup errors
+		}
+	});
+
+	test("should return null for unknown polls", async () => {
+		assert.strictEqual(await manager.getPoll("missing"), null);
+	});
+
+	test("should keep the votes across restarts", async () => {
+		const poll = new Poll("msg1", "guild1", "channel1", "¿Café?", ["Sí", "No"]);
+		poll.vote("user1", 1);
+		await manager.savePoll(poll);
+
+		const reloaded = await createManager().getPoll("msg1");
+
+		assert.ok(reloaded instanceof Poll);
+		assert.deepStrictEqual(reloaded.getVotes("user1"), [1]);
+	});
+});
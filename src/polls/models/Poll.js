@@ -0,0 +1,255 @@
+const { createHmac } = require("crypto");
+
+const MAX_OPTIONS = 10;
+// Options are shown as button labels, which hold 80 characters
+const MAX_OPTION_LENGTH = 80;
+
+/**
+ * Poll model representing a poll posted with /poll and the votes it received
+ */
+class Poll {
+	constructor(
+		messageId,
+		guildId,
+		channelId,
+		question,
+		options,
+		multipleChoice = false,
+	) {
+		this.messageId = messageId;
+		this.guildId = guildId;
+		this.channelId = channelId;
+		this.question = question;
+		this.options = options;
+		this.multipleChoice = multipleChoice;
+		this.votes = {}; // voter key -> indexes of the chosen options
+		this.anonymous = false;
+		this.roleId = null; // Only members with this role can vote
+		this.createdBy = null;
+		this.creatorName = null;
+		this.createdAt = new Date().toISOString();
+		this.endsAt = null;
+		this.closedAt = null;
+	}
+
+	/**
+	 * Create Poll from JSON data
+	 * @param {Object} data - JSON data
+	 * @returns {Poll}
+	 */
+	static fromJSON(data) {
+		const poll = new Poll(
+			data.messageId,
+			data.guildId,
+			data.channelId,
+			data.question,
+			[...data.options],
+			data.multipleChoice,
+		);
+		Object.assign(poll, data);
+		poll.options = [...data.options];
+		poll.votes = Object.fromEntries(
+			Object.entries(data.votes || {}).map(([userId, choices]) => [
+				userId,
+				[...choices],
+			]),
+		);
+		return poll;
+	}
+
+	/**
+	 * Convert Poll to JSON
+	 * @returns {Object}
+	 */
+	toJSON() {
+		return {
+			messageId: this.messageId,
+			guildId: this.guildId,
+			channelId: this.channelId,
+			question: this.question,
+			options: [...this.options],
+			multipleChoice: this.multipleChoice,
+			anonymous: this.anonymous,
+			roleId: this.roleId,
+			votes: Object.fromEntries(
+				Object.entries(this.votes).map(([userId, choices]) => [
+					userId,
+					[...choices],
+				]),
+			),
+			createdBy: this.createdBy,
+			creatorName: this.creatorName,
+			createdAt: this.createdAt,
+			endsAt: this.endsAt,
+			closedAt: this.closedAt,
+		};
+	}
+
+	/**
+	 * Split the options typed by the user, separated by semicolons
+	 * @param {string} text - Options text
+	 * @returns {string[]}
+	 */
+	static parseOptions(text) {
+		return text
+			.split(";")
+			.map((option) => option.trim())
+			.filter(Boolean);
+	}
+
+	/**
+	 * Check the options of a new poll
+	 * @param {string[]} options - Poll options
+	 * @returns {Object} Validation result with isValid and errors
+	 */
+	static validateOptions(options) {
+		const errors = [];
+
+		if (options.length < 2 || options.length > MAX_OPTIONS) {
+			errors.push(`La encuesta necesita entre 2 y ${MAX_OPTIONS} opciones`);
+		}
+		if (options.some((option) => option.length > MAX_OPTION_LENGTH)) {
+			errors.push(
+				`Cada opción puede tener como máximo ${MAX_OPTION_LENGTH} caracteres`,
+			);
+		}
+		if (
+			new Set(options.map((option) => option.toLowerCase())).size !==
+			options.length
+		) {
+			errors.push("Las opciones no pueden repetirse");
+		}
+
+		return {
+			isValid: errors.length === 0,
+			errors,
+		};
+	}
+
+	/**
+	 * Get the secret anonymous votes are hashed with
+	 * It lives in the environment so the polls file alone cannot tell who voted
+	 * @returns {string|null}
+	 */
+	static getVoterSecret() {
+		return process.env.POLL_VOTER_SECRET || null;
+	}
+
+	/**
+	 * Check whether anonymous polls can be created
+	 * @returns {boolean}
+	 */
+	static supportsAnonymous() {
+		return Poll.getVoterSecret() !== null;
+	}
+
+	/**
+	 * Hide who votes in the poll
+	 */
+	makeAnonymous() {
+		this.anonymous = true;
+	}
+
+	/**
+	 * Get the key under which the votes of a user are stored
+	 * Anonymous polls store a keyed hash, so a member can change their vote but nobody can list the voters
+	 * @param {string} userId - Discord user ID
+	 * @returns {string}
+	 */
+	getVoterKey(userId) {
+		if (!this.anonymous) {
+			return userId;
+		}
+
+		const secret = Poll.getVoterSecret();
+		if (!secret) {
+			throw Object.assign(
+				new Error("POLL_VOTER_SECRET is required for anonymous polls"),
+				{ code: "no_secret" },
+			);
+		}
+		// The poll ID is part of the key so the same member gets unrelated keys in each poll
+		return createHmac("sha256", secret)
+			.update(`${this.messageId}:${userId}`)
+			.digest("hex");
+	}
+
+	/**
+	 * Check whether the poll no longer accepts votes
+	 * @returns {boolean}
+	 */
+	isClosed() {
+		return this.closedAt !== null;
+	}
+
+	/**
+	 * Get the options a user voted for
+	 * @param {string} userId - Discord user ID
+	 * @returns {number[]}
+	 */
+	getVotes(userId) {
+		return this.votes[this.getVoterKey(userId)] || [];
+	}
+
+	/**
+	 * Register a click on an option
+	 * In single choice polls it replaces the previous vote, in multiple choice polls it toggles the option.
+	 * Clicking the option already chosen withdraws it.
+	 * @param {string} userId - Discord user ID
+	 * @param {number} index - Index of the option
+	 * @returns {number[]} Options the user votes for now
+	 */
+	vote(userId, index) {
+		const current = this.getVotes(userId);
+		let choices;
+		if (current.includes(index)) {
+			choices = current.filter((choice) => choice !== index);
+		} else if (this.multipleChoice) {
+			choices = [...current, index].sort((a, b) => a - b);
+		} else {
+			choices = [index];
+		}
+
+		const key = this.getVoterKey(userId);
+		if (choices.length > 0) {
+			this.votes[key] = choices;
+		} else {
+			delete this.votes[key];
+		}
+		return choices;
+	}
+
+	/**
+	 * Count the members who voted
+	 * @returns {number}
+	 */
+	getVoterCount() {
+		return Object.keys(this.votes).length;
+	}
+
+	/**
+	 * Count the votes of every option
+	 * Voters are only listed in polls that are not anonymous
+	 * @returns {{option: string, count: number, voters: string[]}[]}
+	 */
+	getResults() {
+		const results = this.options.map((option) => ({
+			option,
+			count: 0,
+			voters: [],
+		}));
+		for (const [key, choices] of Object.entries(this.votes)) {
+			for (const index of choices) {
+				results[index].count += 1;
+				if (!this.anonymous) {
+					results[index].voters.push(key);
+				}
+			}
+		}
+		return results;
+	}
+}
+
+Poll.MAX_OPTIONS = MAX_OPTIONS;
+
+module.exports = Poll;
@@ -0,0 +1,121 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert");
+const Poll = require("../Poll");
+
+describe("Poll", () => {
+	const createPoll = (multipleChoice = false) =>
+		new Poll(
+			"msg1",
+			"guild1",
+			"channel1",
+			"¿Pizza?",
+			["Sí", "No", "A veces"],
+			multipleChoice,
+		);
+
+	describe("parseOptions", () => {
+		test("should split on semicolons and drop empty options", () => {
+			assert.deepStrictEqual(Poll.parseOptions(" Rojo ;Verde;; Azul ;"), [
+				"Rojo",
+				"Verde",
+				"Azul",
+			]);
+		});
+	});
+
+	describe("validateOptions", () => {
+		test("should require between 2 and 10 distinct options", () => {
+			assert.strictEqual(Poll.validateOptions(["Sí"]).isValid, false);
+			assert.strictEqual(
+				Poll.validateOptions(Array.from({ length: 11 }, (_, i) => `${i}`))
+					.isValid,
+				false,
+			);
+			assert.strictEqual(Poll.validateOptions(["Sí", "sí"]).isValid, false);
+			assert.strictEqual(
+				Poll.validateOptions(["a".repeat(81), "b"]).isValid,
+				false,
+			);
+			assert.strictEqual(Poll.validateOptions(["Sí", "No"]).isValid, true);
+		});
+	});
+
+	describe("vote", () => {
+		test("should keep one changeable vote in single choice polls", () => {
+			const poll = createPoll();
+
+			assert.deepStrictEqual(poll.vote("u1", 0), [0]);
+			assert.deepStrictEqual(poll.vote("u1", 2), [2]);
+			assert.deepStrictEqual(poll.getVotes("u1"), [2]);
+
+			assert.deepStrictEqual(poll.vote("u1", 2), []);
+			assert.strictEqual(poll.getVoterCount(), 0);
+		});
+
+		test("should toggle options in multiple choice polls", () => {
+			const poll = createPoll(true);
+
+			poll.vote("u1", 2);
+			assert.deepStrictEqual(poll.vote("u1", 0), [0, 2]);
+			assert.deepStrictEqual(poll.vote("u1", 2), [0]);
+		});
+	});
+
+	test("should count the votes of every option", () => {
+		const poll = createPoll(true);
+		poll.vote("u1", 0);
+		poll.vote("u1", 1);
+		poll.vote("u2", 0);
+
+		assert.deepStrictEqual(
+			poll.getResults().map((result) => result.count),
+			[2, 1, 0],
+		);
+		assert.deepStrictEqual(poll.getResults()[0].voters, ["u1", "u2"]);
+		assert.strictEqual(poll.getVoterCount(), 2);
+	});
+
+	test("should not store who voted in anonymous polls", (t) => {
+		t.after(() => {
+			delete process.env.POLL_VOTER_SECRET;
+		});
+		process.env.POLL_VOTER_SECRET = "secreto";
+		const poll = createPoll();
+		poll.makeAnonymous();
+
+		poll.vote("123456789", 0);
+		poll.vote("123456789", 1);
+
+		assert.deepStrictEqual(poll.getVotes("123456789"), [1]);
+		assert.ok(!JSON.stringify(poll.toJSON()).includes("123456789"));
+		assert.deepStrictEqual(poll.getResults()[1], {
+			option: "No",
+			count: 1,
+			voters: [],
+		});
+
+		const restored = Poll.fromJSON(poll.toJSON());
+		assert.deepStrictEqual(restored.getVotes("123456789"), [1]);
+		assert.ok(!JSON.stringify(poll.toJSON()).includes("secreto"));
+	});
+
+	test("should refuse anonymous votes without the voter secret", () => {
+		const poll = createPoll();
+		poll.makeAnonymous();
+
+		assert.strictEqual(Poll.supportsAnonymous(), false);
+		assert.throws(() => poll.vote("123456789", 0), { code: "no_secret" });
+	});
+
+	test("should round-trip through JSON", () => {
+		const poll = createPoll();
+		poll.vote("u1", 1);
+		poll.endsAt = "2026-01-01T00:00:00.000Z";
+
+		const restored = Poll.fromJSON(poll.toJSON());
+
+		assert.deepStrictEqual(restored.toJSON(), poll.toJSON());
+		restored.vote("u1", 0);
+		assert.deepStrictEqual(poll.getVotes("u1"), [1]);
+	});
+});
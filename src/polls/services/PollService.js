@@ -0,0 +1,258 @@
+const {
+	EmbedBuilder,
+	ActionRowBuilder,
+	ButtonBuilder,
+	ButtonStyle,
+} = require("discord.js");
+
+const JOB_NAME = "poll:close";
+const OPTION_EMOJIS = ["1️⃣", "2️⃣", "3️⃣", "4️⃣", "5️⃣", "6️⃣", "7️⃣", "8️⃣", "9️⃣", "🔟"];
+const BAR_LENGTH = 12;
+const BUTTONS_PER_ROW = 5;
+
+/**
+ * Draw a bar proportional to a share of the votes
+ * @param {number} share - Share between 0 and 1
+ * @returns {string}
+ */
+function drawBar(share) {
+	const filled = Math.round(share * BAR_LENGTH);
+	return `${"█".repeat(filled)}${"░".repeat(BAR_LENGTH - filled)}`;
+}
+
+/**
+ * Quote a CSV field when it contains separators, quotes or line breaks
+ * Text starting like a formula is prefixed so spreadsheets do not run it
+ * @param {string|number} value - Field value
+ * @returns {string}
+ */
+function csvField(value) {
+	const text =
+		typeof value === "string" && /^[=+\-@]/.test(value)
+			? `'${value}`
+			: `${value}`;
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * PollService posts polls, records votes and closes them when their time is up
+ */
+class PollService {
+	/**
+	 * @param {import("../managers/PollManager")} pollManager - Poll storage
+	 * @param {import("../../scheduler/services/JobScheduler")} scheduler - Shared job scheduler
+	 */
+	constructor(pollManager, scheduler) {
+		this.pollManager = pollManager;
+		this.scheduler = scheduler;
+	}
+
+	/**
+	 * Get the scheduler key of the automatic close of a poll
+	 * @param {string} messageId - Discord message ID of the poll
+	 * @returns {string}
+	 */
+	static getJobKey(messageId) {
+		return `${JOB_NAME}:${messageId}`;
+	}
+
+	/**
+	 * Draw the results of a poll as a bar chart
+	 * @param {import("../models/Poll")} poll - Poll
+	 * @returns {string}
+	 */
+	static buildResultsChart(poll) {
+		const results = poll.getResults();
+		const total = results.reduce((sum, result) => sum + result.count, 0);
+		const top = Math.max(...results.map((result) => result.count));
+
+		return results
+			.map(({ option, count }, index) => {
+				const share = total > 0 ? count / total : 0;
+				const winner = count > 0 && count === top ? " 🏆" : "";
+				return `${OPTION_EMOJIS[index]} **${option}**${winner}\n\`${drawBar(share)}\` ${Math.round(share * 100)}% (${count})`;
+			})
+			.join("\n");
+	}
+
+	/**
+	 * Export the results of a poll as CSV
+	 * Anonymous polls leave out the voters column
+	 * @param {import("../models/Poll")} poll - Poll
+	 * @param {Map<string, string>} voterNames - Display names by user ID, IDs are used for the missing ones
+	 * @returns {string}
+	 */
+	static buildResultsCsv(poll, voterNames = new Map()) {
+		const results = poll.getResults();
+		const total = results.reduce((sum, result) => sum + result.count, 0);
+		const header = ["opcion", "votos", "porcentaje"];
+		if (!poll.anonymous) {
+			header.push("votantes");
+		}
+
+		const rows = results.map(({ option, count, voters }) => {
+			const row = [
+				option,
+				count,
+				total > 0 ? `${Math.round((count / total) * 1000) / 10}%` : "0%",
+			];
+			if (!poll.anonymous) {
+				row.push(voters.map((id) => voterNames.get(id) ?? id).join("; "));
+			}
+			return row;
+		});
+
+		// The BOM makes spreadsheet programs read the accents correctly
+		return `\uFEFF${[header, ...rows].map((row) => row.map(csvField).join(",")).join("\r\n")}\r\n`;
+	}
+
+	/**
+	 * Build the poll message
+	 * Open polls show the options and voting buttons, closed polls show the results
+	 * @param {import("../models/Poll")} poll - Poll
+	 * @returns {Object} Message payload
+	 */
+	static buildPayload(poll) {
+		const voters = poll.getVoterCount();
+		const embed = new EmbedBuilder()
+			.setColor(poll.isClosed() ? 0x99aab5 : 0x5865f2)
+			.setTitle(`📊 Encuesta: ${poll.question}`)
+			.setTimestamp(new Date(poll.createdAt))
+			.setFooter({ text: `Encuesta iniciada por ${poll.creatorName}` });
+
+		if (poll.isClosed()) {
+			embed.setDescription(PollService.buildResultsChart(poll)).addFields({
+				name: "🔒 Encuesta cerrada",
+				value: `${voters} persona(s) votaron.`,
+			});
+			return { embeds: [embed], components: [] };
+		}
+
+		embed
+			.setDescription(
+				`${poll.options.map((option, index) => `${OPTION_EMOJIS[index]} ${option}`).join("\n")}\n\n${
+					poll.multipleChoice
+						? "Puedes elegir varias opciones. Pulsa una opción de nuevo para quitarla."
+						: "Elige una opción. Puedes cambiar tu voto cuando quieras."
+				}`,
+			)
+			.addFields({ name: "Votantes", value: `${voters}`, inline: true });
+		if (poll.anonymous) {
+			embed.addFields({
+				name: "🕵️ Anónima",
+				value: "Nadie puede ver quién votó.",
+				inline: true,
+			});
+		}
+		if (poll.roleId) {
+			embed.addFields({
+				name: "Pueden votar",
+				value: `<@&${poll.roleId}>`,
+				inline: true,
+			});
+		}
+		if (poll.endsAt) {
+			embed.addFields({
+				name: "Cierra",
+				value: `<t:${Math.floor(new Date(poll.endsAt).getTime() / 1000)}:R>`,
+				inline: true,
+			});
+		}
+
+		const buttons = poll.options.map((option, index) =>
+			new ButtonBuilder()
+				.setCustomId(`poll:vote:${index}`)
+				.setEmoji(OPTION_EMOJIS[index])
+				.setLabel(option)
+				.setStyle(ButtonStyle.Secondary),
+		);
+		buttons.push(
+			new ButtonBuilder()
+				.setCustomId("poll:close")
+				.setLabel("Cerrar")
+				.setEmoji("🔒")
+				.setStyle(ButtonStyle.Danger),
+		);
+
+		const components = [];
+		for (let i = 0; i < buttons.length; i += BUTTONS_PER_ROW) {
+			components.push(
+				new ActionRowBuilder().addComponents(
+					buttons.slice(i, i + BUTTONS_PER_ROW),
+				),
+			);
+		}
+		return { embeds: [embed], components };
+	}
+
+	/**
+	 * Store a poll that was just posted and schedule its close
+	 * @param {import("../models/Poll")} poll - Poll with the ID of its message
+	 * @returns {Promise<import("../models/Poll")>}
+	 */
+	async create(poll) {
+		await this.pollManager.savePoll(poll);
+
+		if (poll.endsAt) {
+			await this.scheduler.schedule(
+				JOB_NAME,
+				new Date(poll.endsAt),
+				{ messageId: poll.messageId },
+				{ key: PollService.getJobKey(poll.messageId) },
+			);
+		}
+		return poll;
+	}
+
+	/**
+	 * Register a vote
+	 * @param {string} messageId - Discord message ID of the poll
+	 * @param {string} userId - Discord user ID
+	 * @param {number} index - Index of the option
+	 * @returns {Promise<{poll: import("../models/Poll"), choices: number[]}|null>} null if the poll is closed or unknown
+	 */
+	async vote(messageId, userId, index) {
+		const poll = await this.pollManager.getPoll(messageId);
+		if (!poll || poll.isClosed() || !poll.options[index]) {
+			return null;
+		}
+
+		const choices = poll.vote(userId, index);
+		await this.pollManager.savePoll(poll);
+		return { poll, choices };
+	}
+
+	/**
+	 * Close a poll and replace its message with the results
+	 * @param {string} messageId - Discord message ID of the poll
+	 * @param {import("discord.js").Client} client - Discord client
+	 * @returns {Promise<import("../models/Poll")|null>} null if it was already closed or is unknown
+	 */
+	async close(messageId, client) {
+		const poll = await this.pollManager.getPoll(messageId);
+		if (!poll || poll.isClosed()) {
+			return null;
+		}
+
+		poll.closedAt = new Date().toISOString();
+		await this.pollManager.savePoll(poll);
+		await this.scheduler.cancel(PollService.getJobKey(messageId));
+
+		try {
+			const channel = await client.channels.fetch(poll.channelId);
+			const message = await channel.messages.fetch(poll.messageId);
+			await message.edit(PollService.buildPayload(poll));
+		} catch (error) {
+			// Unknown Channel or Unknown Message: nothing left to update
+			if (error.code !== 10003 && error.code !== 10008) {
+				throw error;
+			}
+		}
+		return poll;
+	}
+}
+
+PollService.JOB_NAME = JOB_NAME;
+PollService.OPTION_EMOJIS = OPTION_EMOJIS;
+
+module.exports = PollService;
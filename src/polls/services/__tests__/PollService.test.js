@@ -0,0 +1,198 @@
+const { test, describe, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs").promises;
+const path = require("path");
+const PollService = require("../PollService");
+const PollManager = require("../../managers/PollManager");
+const Poll = require("../../models/Poll");
+const JobScheduler = require("../../../scheduler/services/JobScheduler");
+const JobManager = require("../../../scheduler/managers/JobManager");
+
+describe("PollService", () => {
+	let service;
+	let scheduler;
+	let pollManager;
+	let tempDir;
+	let edits;
+
+	const createPoll = (endsAt = null) => {
+		const poll = new Poll("msg1", "guild1", "channel1", "¿Tabs o espacios?", [
+			"Tabs",
+			"Espacios",
+		]);
+		poll.createdBy = "user1";
+		poll.creatorName = "octocat";
+		poll.endsAt = endsAt;
+		return poll;
+	};
+
+	const createClient = (fetchError = null) => ({
+		channels: {
+			fetch: async () => ({
+				messages: {
+					fetch: async () => {
+						if (fetchError) {
+							throw fetchError;
+						}
+						return { edit: async (payload) => edits.push(payload) };
+					},
+				},
+			}),
+		},
+	});
+
+	beforeEach(async () => {
+		tempDir = path.join(__dirname, "temp-poll-service-data");
+		await fs.mkdir(tempDir, { recursive: true });
+
+		const jobManager = new JobManager();
+		jobManager.dataDir = tempDir;
+		jobManager.jobsFile = path.join(tempDir, "jobs.json");
+		scheduler = new JobScheduler(jobManager);
+		pollManager = new PollManager();
+		pollManager.dataDir = tempDir;
+		pollManager.pollsFile = path.join(tempDir, "polls.json");
+		service = new PollService(pollManager, scheduler);
+		edits = [];
+	});
+
+	afterEach(async () => {
+		scheduler.stop();
+		try {
+			await fs.rm(tempDir, { recursive: true, force: true });
+		} catch (_error) {
+			// Ignore cleanup errors
+		}
+	});
+
+	describe("buildPayload", () => {
+		test("should show one button per option plus the close button", () => {
+			const { components } = PollService.buildPayload(createPoll());
+
+			assert.deepStrictEqual(
+				components.flatMap((row) =>
+					row.components.map((button) => button.data.custom_id),
+				),
+				["poll:vote:0", "poll:vote:1", "poll:close"],
+			);
+		});
+
+		test("should use several rows for many options", () => {
+			const poll = createPoll();
+			poll.options = Array.from({ length: 10 }, (_, i) => `Opción ${i + 1}`);
+
+			const { components } = PollService.buildPayload(poll);
+
+			assert.deepStrictEqual(
+				components.map((row) => row.components.length),
+				[5, 5, 1],
+			);
+		});
+	});
+
+	describe("buildResultsChart", () => {
+		test("should draw a bar per option and mark the winner", () => {
+			const poll = createPoll();
+			poll.vote("u1", 0);
+			poll.vote("u2", 0);
+			poll.vote("u3", 0);
+			poll.vote("u4", 1);
+
+			const chart = PollService.buildResultsChart(poll);
+
+			assert.ok(chart.includes("**Tabs** 🏆\n`█████████░░░` 75% (3)"));
+			assert.ok(chart.includes("**Espacios**\n`███░░░░░░░░░` 25% (1)"));
+		});
+	});
+
+	describe("buildResultsCsv", () => {
+		test("should list options, percentages and voters", () => {
+			const poll = createPoll();
+			poll.options = ["Tabs, siempre", "=SUM(A1)"];
+			poll.vote("u1", 0);
+			poll.vote("u2", 0);
+			poll.vote("u3", 1);
+
+			const csv = PollService.buildResultsCsv(poll, new Map([["u1", "ana"]]));
+
+			assert.strictEqual(
+				csv,
+				'\uFEFFopcion,votos,porcentaje,votantes\r\n"Tabs, siempre",2,66.7%,ana; u2\r\n\'=SUM(A1),1,33.3%,u3\r\n',
+			);
+		});
+
+		test("should leave out the voters of anonymous polls", (t) => {
+			t.after(() => {
+				delete process.env.POLL_VOTER_SECRET;
+			});
+			process.env.POLL_VOTER_SECRET = "secreto";
+			const poll = createPoll();
+			poll.makeAnonymous();
+			poll.vote("u1", 1);
+
+			const csv = PollService.buildResultsCsv(poll);
+
+			assert.strictEqual(
+				csv,
+				"\uFEFFopcion,votos,porcentaje\r\nTabs,0,0%\r\nEspacios,1,100%\r\n",
+			);
+		});
+	});
+
+	describe("create", () => {
+		test("should schedule the close of polls with a duration", async () => {
+			await service.create(createPoll("2030-01-01T00:00:00.000Z"));
+
+			const job = await scheduler.getJob(PollService.getJobKey("msg1"));
+			assert.strictEqual(job.runAt, "2030-01-01T00:00:00.000Z");
+			assert.ok(await pollManager.getPoll("msg1"));
+		});
+	});
+
+	describe("vote", () => {
+		test("should ignore votes on closed polls and unknown options", async () => {
+			await service.create(createPoll());
+
+			assert.deepStrictEqual(
+				(await service.vote("msg1", "u1", 1)).choices,
+				[1],
+			);
+			assert.strictEqual(await service.vote("msg1", "u1", 5), null);
+
+			await service.close("msg1", createClient());
+			assert.strictEqual(await service.vote("msg1", "u2", 0), null);
+		});
+	});
+
+	describe("close", () => {
+		test("should show the results and cancel the scheduled close", async () => {
+			await service.create(createPoll("2030-01-01T00:00:00.000Z"));
+			await service.vote("msg1", "u1", 0);
+
+			const poll = await service.close("msg1", createClient());
+
+			assert.ok(poll.isClosed());
+			assert.strictEqual(edits.length, 1);
+			assert.deepStrictEqual(edits[0].components, []);
+			assert.ok(edits[0].embeds[0].data.description.includes("100% (1)"));
+			assert.strictEqual(
+				await scheduler.getJob(PollService.getJobKey("msg1")),
+				null,
+			);
+			assert.strictEqual(await service.close("msg1", createClient()), null);
+		});
+
+		test("should close polls whose message was deleted", async () => {
+			await service.create(createPoll());
+
+			const poll = await service.close(
+				"msg1",
+				createClient(
+					Object.assign(new Error("Unknown Message"), { code: 10008 }),
+				),
+			);
+
+			assert.ok(poll.isClosed());
+		});
+	});
+});
@@ -0,0 +1,235 @@
+const fs = require("fs").promises;
+const path = require("path");
+
+// Categories that existed when they were hardcoded in /repoadd and /repos
+const DEFAULT_CATEGORIES = [
+	"frontend",
+	"backend",
+	"fullstack",
+	"bot",
+	"api",
+	"cli",
+	"ai",
+	"web",
+	"tools",
+	"testing",
+	"cloud",
+	"security",
+	"devops",
+	"mobile",
+	"games",
+];
+// /repos offers every category plus "all" in a select menu, which holds 25 options
+const MAX_CATEGORIES = 24;
+const NAME_PATTERN = /^[a-z0-9][a-z0-9-]{0,31}$/;
+// Discord shows at most 25 autocomplete suggestions
+const MAX_SUGGESTIONS = 25;
+
+/**
+ * Build an error with a code the commands can react to
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function categoryError(code, message) {
+	return Object.assign(new Error(message), { code });
+}
+
+/**
+ * CategoryManager handles persistence and retrieval of the repository categories
+ */
+class CategoryManager {
+	constructor() {
+		this.dataDir = path.join(__dirname, "../../../.data");
+		this.categoriesFile = path.join(this.dataDir, "categories.json");
+		this.categories = [];
+		this.initialized = false;
+	}
+
+	/**
+	 * Initialize the manager by loading existing data
+	 */
+	async initialize() {
+		if (this.initialized) {
+			return;
+		}
+
+		try {
+			// Ensure data directory exists
+			await fs.mkdir(this.dataDir, { recursive: true });
+
+			// Load existing categories
+			await this.loadCategories();
+			this.initialized = true;
+		} catch (error) {
+			console.error("Error initializing CategoryManager:", error);
+			throw error;
+		}
+	}
+
+	/**
+	 * Load categories from JSON file
+	 */
+	async loadCategories() {
+		try {
+			const data = await fs.readFile(this.categoriesFile, "utf8");
+			this.categories = JSON.parse(data);
+		} catch (error) {
+			if (error.code === "ENOENT") {
+				// File doesn't exist yet, start with the original categories
+				this.categories = [...DEFAULT_CATEGORIES];
+			} else {
+				console.error("Error loading categories:", error);
+				throw error;
+			}
+		}
+	}
+
+	/**
+	 * Save categories to JSON file
+	 */
+	async saveCategories() {
+		try {
+			await fs.writeFile(
+				this.categoriesFile,
+				JSON.stringify(this.categories, null, 2),
+			);
+		} catch (error) {
+			console.error("Error saving categories:", error);
+			throw error;
+		}
+	}
+
+	/**
+	 * Normalize a category name typed by a user
+	 * @param {string} name - Category name
+	 * @returns {string}
+	 */
+	static normalizeName(name) {
+		return name.trim().toLowerCase().replace(/\s+/g, "-");
+	}
+
+	/**
+	 * Get every category, in the order they were added
+	 * @returns {string[]}
+	 */
+	async getCategories() {
+		await this.initialize();
+
+		return [...this.categories];
+	}
+
+	/**
+	 * Check whether a category exists
+	 * @param {string} name - Category name
+	 * @returns {boolean}
+	 */
+	async hasCategory(name) {
+		await this.initialize();
+
+		return this.categories.includes(CategoryManager.normalizeName(name));
+	}
+
+	/**
+	 * Get the categories matching what the user is typing, for autocomplete
+	 * @param {string} query - Partial category name
+	 * @returns {string[]}
+	 */
+	async searchCategories(query) {
+		await this.initialize();
+
+		const wanted = CategoryManager.normalizeName(query);
+		return (
+			this.categories
+				.filter((name) => name.includes(wanted))
+				// Names starting with the query come first
+				.sort(
+					(a, b) => Number(b.startsWith(wanted)) - Number(a.startsWith(wanted)),
+				)
+				.slice(0, MAX_SUGGESTIONS)
+		);
+	}
+
+	/**
+	 * Add a category
+	 * @param {string} name - Category name
+	 * @returns {string} Normalized name
+	 */
+	async addCategory(name) {
+		await this.initialize();
+
+		const normalized = this.validateNewName(name);
+		if (this.categories.length >= MAX_CATEGORIES) {
+			throw categoryError(
+				"limit_reached",
+				`There can be at most ${MAX_CATEGORIES} categories`,
+			);
+		}
+
+		this.categories.push(normalized);
+		await this.saveCategories();
+		return normalized;
+	}
+
+	/**
+	 * Rename a category, keeping its position
+	 * @param {string} name - Current category name
+	 * @param {string} newName - New category name
+	 * @returns {string} Normalized new name
+	 */
+	async renameCategory(name, newName) {
+		await this.initialize();
+
+		const index = this.getIndex(name);
+		const normalized = this.validateNewName(newName);
+
+		this.categories[index] = normalized;
+		await this.saveCategories();
+		return normalized;
+	}
+
+	/**
+	 * Remove a category
+	 * @param {string} name - Category name
+	 */
+	async removeCategory(name) {
+		await this.initialize();
+
+		this.categories.splice(this.getIndex(name), 1);
+		await this.saveCategories();
+	}
+
+	/**
+	 * Find the position of an existing category
+	 * @param {string} name - Category name
+	 * @returns {number}
+	 */
+	getIndex(name) {
+		const index = this.categories.indexOf(CategoryManager.normalizeName(name));
+		if (index === -1) {
+			throw categoryError("not_found", `Unknown category: ${name}`);
+		}
+		return index;
+	}
+
+	/**
+	 * Check that a name can be used for a new category
+	 * @param {string} name - Category name
+	 * @returns {string} Normalized name
+	 */
+	validateNewName(name) {
+		const normalized = CategoryManager.normalizeName(name);
+		if (!NAME_PATTERN.test(normalized)) {
+			throw categoryError("invalid_name", `Invalid category name: ${name}`);
+		}
+		if (this.categories.includes(normalized)) {
+			throw categoryError("exists", `Category already exists: ${normalized}`);
+		}
+		return normalized;
+	}
+}
+
+CategoryManager.DEFAULT_CATEGORIES = DEFAULT_CATEGORIES;
+CategoryManager.MAX_CATEGORIES = MAX_CATEGORIES;
+
+module.exports = CategoryManager;
@@ -0,0 +1,167 @@
+const fs = require("fs").promises;
+const path = require("path");
+const RepoWatch = require("../models/RepoWatch");
+
+/**
+ * RepoWatchManager handles persistence and retrieval of the repository activity feeds
+ */
+class RepoWatchManager {
+	constructor() {
+		this.dataDir = path.join(__dirname, "../../data/repos");
+		this.watchesFile = path.join(this.dataDir, "watches.json");
+		this.watches = [];
+		this.initialized = false;
+	}
+
+	/**
+	 * Initialize the manager by loading existing data
+	 */
+	async initialize() {
+		if (this.initialized) {
+			return;
+		}
+
+		try {
+			// Ensure data directory exists
+			await fs.mkdir(this.dataDir, { recursive: true });
+
+			// Load existing watches
+			await this.loadWatches();
+			this.initialized = true;
+		} catch (error) {
+			console.error("Error initializing RepoWatchManager:", error);
+			throw error;
+		}
+	}
+
+	/**
+	 * Load watches from JSON file
+	 */
+	async loadWatches() {
+		try {
+			const data = await fs.readFile(this.watchesFile, "utf8");
+			this.watches = JSON.parse(data).map((watchData) =>
+				RepoWatch.fromJSON(watchData),
+			);
+		} catch (error) {
+			if (error.code === "ENOENT") {
+				// File doesn't exist yet, no channel follows a repository
+				this.watches = [];
+			} else {
+				console.error("Error loading repository watches:", error);
+				throw error;
+			}
+		}
+	}
+
+	/**
+	 * Save watches to JSON file
+	 */
+	async saveWatches() {
+		try {
+			await fs.writeFile(
+				this.watchesFile,
+				JSON.stringify(
+					this.watches.map((watch) => watch.toJSON()),
+					null,
+					2,
+				),
+			);
+		} catch (error) {
+			console.error("Error saving repository watches:", error);
+			throw error;
+		}
+	}
+
+	/**
+	 * Get every watch
+	 * @returns {RepoWatch[]}
+	 */
+	async getWatches() {
+		await this.initialize();
+
+		return [...this.watches];
+	}
+
+	/**
+	 * Get the watches of a guild
+	 * @param {string} guildId - Discord guild ID
+	 * @returns {RepoWatch[]}
+	 */
+	async getGuildWatches(guildId) {
+		await this.initialize();
+
+		return this.watches.filter((watch) => watch.guildId === guildId);
+	}
+
+	/**
+	 * Find the watch of a repository in a channel
+	 * @param {string} channelId - Discord channel ID
+	 * @param {number} repositoryId - Repository ID
+	 * @returns {RepoWatch|null}
+	 */
+	async findWatch(channelId, repositoryId) {
+		await this.initialize();
+
+		return (
+			this.watches.find(
+				(watch) =>
+					watch.channelId === channelId && watch.repositoryId === repositoryId,
+			) || null
+		);
+	}
+
+	/**
+	 * Store a new watch with the next free ID
+	 * @param {RepoWatch} watch - Watch to store
+	 * @returns {RepoWatch}
+	 */
+	async addWatch(watch) {
+		await this.initialize();
+
+		watch.id =
+			this.watches.length > 0
+				? Math.max(...this.watches.map((existing) => existing.id)) + 1
+				: 1;
+		this.watches.push(watch);
+
+		await this.saveWatches();
+		return watch;
+	}
+
+	/**
+	 * Persist changes made to a stored watch
+	 * @param {RepoWatch} watch - Watch that was modified
+	 */
+	async updateWatch(watch) {
+		await this.initialize();
+
+		// The watch may have been removed while GitHub was being polled
+		if (this.watches.includes(watch)) {
+			await this.saveWatches();
+		}
+	}
+
+	/**
+	 * Remove a watch
+	 * @param {number} id - Watch ID
+	 * @param {string|null} guildId - Only remove it if it belongs to this guild
+	 * @returns {RepoWatch|null} Removed watch
+	 */
+	async removeWatch(id, guildId = null) {
+		await this.initialize();
+
+		const watch = this.watches.find(
+			(entry) => entry.id === id && (!guildId || entry.guildId === guildId),
+		);
+		if (!watch) {
+			return null;
+		}
+
+		this.watches = this.watches.filter((entry) => entry !== watch);
+		await this.saveWatches();
+		return watch;
+	}
+}
+
+module.exports = RepoWatchManager;
@@ -0,0 +1,301 @@
+const fs = require("fs").promises;
+const path = require("path");
+const Repository = require("../models/Repository");
+
+/**
+ * RepositoryManager handles persistence and retrieval of the shared repositories
+ */
+class RepositoryManager {
+	constructor() {
+		this.dataDir = path.join(__dirname, "../../../.data");
+		this.reposFile = path.join(this.dataDir, "repos.json");
+		this.repositories = [];
+		this.initialized = false;
+	}
+
+	/**
+	 * Initialize the manager by loading existing data
+	 */
+	async initialize() {
+		if (this.initialized) {
+			return;
+		}
+
+		try {
+			// Ensure data directory exists
+			await fs.mkdir(this.dataDir, { recursive: true });
+
+			// Load existing repositories
+			await this.loadRepositories();
+			this.initialized = true;
+		} catch (error) {
+			console.error("Error initializing RepositoryManager:", error);
+			throw error;
+		}
+	}
+
+	/**
+	 * Load repositories from JSON file
+	 */
+	async loadRepositories() {
+		try {
+			const data = await fs.readFile(this.reposFile, "utf8");
+			this.repositories = JSON.parse(data).map((repositoryData) =>
+				Repository.fromJSON(repositoryData),
+			);
+		} catch (error) {
+			if (error.code === "ENOENT") {
+				// File doesn't exist yet, nobody shared a repository
+				this.repositories = [];
+			} else {
+				console.error("Error loading repositories:", error);
+				throw error;
+			}
+		}
+	}
+
+	/**
+	 * Save repositories to JSON file
+	 */
+	async saveRepositories() {
+		try {
+			await fs.writeFile(
+				this.reposFile,
+				JSON.stringify(
+					this.repositories.map((repository) => repository.toJSON()),
+					null,
+					2,
+				),
+			);
+		} catch (error) {
+			console.error("Error saving repositories:", error);
+			throw error;
+		}
+	}
+
+	/**
+	 * Get every listed repository, in the order they were added
+	 * Deleted repositories and those pending or rejected in review are left out
+	 * @returns {Repository[]}
+	 */
+	async getRepositories() {
+		await this.initialize();
+
+		return this.repositories.filter((repository) => repository.isListed());
+	}
+
+	/**
+	 * Get the repositories waiting in the review queue, oldest first
+	 * @returns {Repository[]}
+	 */
+	async getPendingRepositories() {
+		await this.initialize();
+
+		return this.repositories.filter(
+			(repository) =>
+				repository.status === "pending" && !repository.isDeleted(),
+		);
+	}
+
+	/**
+	 * Get the deleted repositories, most recently deleted first
+	 * @returns {Repository[]}
+	 */
+	async getDeletedRepositories() {
+		await this.initialize();
+
+		return this.repositories
+			.filter((repository) => repository.isDeleted())
+			.sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+	}
+
+	/**
+	 * Get a listed repository by ID
+	 * @param {number} id - Repository ID
+	 * @returns {Repository|null}
+	 */
+	async getRepository(id) {
+		await this.initialize();
+
+		return (
+			this.repositories.find(
+				(repository) => repository.id === id && repository.isListed(),
+			) || null
+		);
+	}
+
+	/**
+	 * Find a repository by its owner/repo name, ignoring case like GitHub does
+	 * Pending repositories count, so the same one cannot be queued twice
+	 * @param {string} fullName - owner/repo
+	 * @returns {Repository|null}
+	 */
+	async findByName(fullName) {
+		await this.initialize();
+
+		const wanted = fullName.toLowerCase();
+		return (
+			this.repositories.find(
+				(repository) =>
+					!repository.isDeleted() &&
+					repository.status !== "rejected" &&
+					repository.getName().toLowerCase() === wanted,
+			) || null
+		);
+	}
+
+	/**
+	 * Get the repositories submitted by a user
+	 * @param {string} userId - Discord user ID
+	 * @returns {Repository[]}
+	 */
+	async getUserRepositories(userId) {
+		await this.initialize();
+
+		return this.repositories.filter(
+			(repository) =>
+				repository.isListed() && repository.submittedBy === userId,
+		);
+	}
+
+	/**
+	 * Add a repository with the next free ID
+	 * @param {Object} data - Repository fields
+	 * @returns {Repository}
+	 */
+	async addRepository(data) {
+		await this.initialize();
+
+		const nextId =
+			this.repositories.length > 0
+				? Math.max(
+						...this.repositories.map((repository) => repository.id || 0),
+					) + 1
+				: 1;
+		const repository = Repository.fromJSON({ ...data, id: nextId });
+		this.repositories.push(repository);
+
+		await this.saveRepositories();
+		return repository;
+	}
+
+	/**
+	 * Count the repositories of a category, including pending and deleted ones
+	 * @param {string} categoria - Category name
+	 * @returns {number}
+	 */
+	async countInCategory(categoria) {
+		await this.initialize();
+
+		return this.repositories.filter(
+			(repository) => repository.categoria === categoria,
+		).length;
+	}
+
+	/**
+	 * Move every repository of a category to another one
+	 * Deleted repositories move too, so they come back in a valid category if restored
+	 * @param {string} categoria - Current category name
+	 * @param {string} newCategoria - New category name
+	 * @returns {number} Number of repositories moved
+	 */
+	async moveCategory(categoria, newCategoria) {
+		await this.initialize();
+
+		const moved = this.repositories.filter(
+			(repository) => repository.categoria === categoria,
+		);
+		if (moved.length === 0) {
+			return 0;
+		}
+
+		for (const repository of moved) {
+			repository.categoria = newCategoria;
+		}
+		await this.saveRepositories();
+		return moved.length;
+	}
+
+	/**
+	 * Approve or reject a repository waiting in the review queue
+	 * @param {number} id - Repository ID
+	 * @param {boolean} approved - Whether the repository is approved
+	 * @param {string} reviewerId - Discord user ID of the reviewer
+	 * @param {string|null} reason - Reason given by the reviewer
+	 * @returns {Repository|null} null if it is no longer pending
+	 */
+	async reviewRepository(id, approved, reviewerId, reason = null) {
+		await this.initialize();
+
+		const repository = this.repositories.find(
+			(entry) =>
+				entry.id === id && entry.status === "pending" && !entry.isDeleted(),
+		);
+		if (!repository) {
+			return null;
+		}
+
+		repository.recordReview(approved, reviewerId, reason);
+		await this.saveRepositories();
+		return repository;
+	}
+
+	/**
+	 * Delete a repository, keeping it so an admin can restore it
+	 * Pending repositories can be deleted too, which withdraws them from the review queue
+	 * @param {number} id - Repository ID
+	 * @param {string} userId - Discord ID of who deletes it
+	 * @returns {Repository|null} Deleted repository, null if it was already deleted or rejected
+	 */
+	async deleteRepository(id, userId) {
+		await this.initialize();
+
+		const repository = this.repositories.find(
+			(entry) =>
+				entry.id === id &&
+				!entry.isDeleted() &&
+				(entry.isListed() || entry.status === "pending"),
+		);
+		if (!repository) {
+			return null;
+		}
+
+		repository.deletedBy = userId;
+		repository.deletedAt = new Date().toISOString();
+		await this.saveRepositories();
+		return repository;
+	}
+
+	/**
+	 * Restore a deleted repository
+	 * Withdrawn submissions keep their pending status and have to be reviewed again
+	 * @param {number} id - Repository ID
+	 * @returns {Repository} Restored repository
+	 * @throws {Error} With code not_found, or duplicate if the repository was submitted again meanwhile
+	 */
+	async restoreRepository(id) {
+		await this.initialize();
+
+		const repository = this.repositories.find(
+			(entry) => entry.id === id && entry.isDeleted(),
+		);
+		if (!repository) {
+			throw Object.assign(new Error(`No deleted repository ${id}`), {
+				code: "not_found",
+			});
+		}
+		if (await this.findByName(repository.getName())) {
+			throw Object.assign(
+				new Error(`${repository.getName()} was submitted again`),
+				{ code: "duplicate" },
+			);
+		}
+
+		repository.deletedBy = null;
+		repository.deletedAt = null;
+		await this.saveRepositories();
+		return repository;
+	}
+}
+
+module.exports = RepositoryManager;
@@ -0,0 +1,112 @@
+const { test, describe, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs").promises;
+const path = require("path");
+const CategoryManager = require("../CategoryManager");
+
+describe("CategoryManager", () => {
+	let manager;
+	let tempDir;
+
+	const createManager = () => {
+		const instance = new CategoryManager();
+		// Override the data directory for testing
+		instance.dataDir = tempDir;
+		instance.categoriesFile = path.join(tempDir, "categories.json");
+		return instance;
+	};
+
+	beforeEach(async () => {
+		// Create a temporary directory for testing
+		tempDir = path.join(__dirname, "temp-categories-data");
+		await fs.mkdir(tempDir, { recursive: true });
+
+		manager = createManager();
+	});
+
+	afterEach(async () => {
+		// Clean up temporary directory
+		try {
+			await fs.rm(tempDir, { recursive: true, force: true });
+		} catch (_error) {
+			// Ignore cleanup errors
+		}
+	});
+
+	test("should start with the default categories", async () => {
+		assert.deepStrictEqual(
+			await manager.getCategories(),
+			CategoryManager.DEFAULT_CATEGORIES,
+		);
+	});
+
+	describe("addCategory", () => {
+		test("should normalize and persist the name", async () => {
+			const name = await manager.addCategory("  Data Science ");
+
+			assert.strictEqual(name, "data-science");
+			assert.ok(await createManager().hasCategory("data-science"));
+		});
+
+		test("should reject invalid, duplicated and excess categories", async () => {
+			await assert.rejects(manager.addCategory("¿qué?"), {
+				code: "invalid_name",
+			});
+			await assert.rejects(manager.addCategory("Backend"), { code: "exists" });
+
+			const free =
+				CategoryManager.MAX_CATEGORIES -
+				CategoryManager.DEFAULT_CATEGORIES.length;
+			for (let i = 0; i < free; i++) {
+				await manager.addCategory(`extra-${i}`);
+			}
+			await assert.rejects(manager.addCategory("one-more"), {
+				code: "limit_reached",
+			});
+		});
+	});
+
+	describe("renameCategory", () => {
+		test("should keep the position of the category", async () => {
+			await manager.renameCategory("frontend", "ui");
+
+			const categories = await manager.getCategories();
+			assert.strictEqual(categories[0], "ui");
+			assert.ok(!categories.includes("frontend"));
+		});
+
+		test("should reject unknown categories and taken names", async () => {
+			await assert.rejects(manager.renameCategory("nope", "other"), {
+				code: "not_found",
+			});
+			await assert.rejects(manager.renameCategory("frontend", "backend"), {
+				code: "exists",
+			});
+		});
+	});
+
+	describe("removeCategory", () => {
+		test("should remove the category", async () => {
+			await manager.removeCategory("games");
+
+			assert.ok(!(await manager.hasCategory("games")));
+			await assert.rejects(manager.removeCategory("games"), {
+				code: "not_found",
+			});
+		});
+	});
+
+	describe("searchCategories", () => {
+		test("should list names starting with the query first", async () => {
+			assert.deepStrictEqual(await manager.searchCategories("ps"), ["devops"]);
+			assert.deepStrictEqual(
+				(await manager.searchCategories("b")).slice(0, 2),
+				["backend", "bot"],
+			);
+			assert.strictEqual(
+				(await manager.searchCategories("")).length,
+				CategoryManager.DEFAULT_CATEGORIES.length,
+			);
+		});
+	});
+});
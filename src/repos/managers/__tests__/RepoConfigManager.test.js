@@ -0,0 +1,60 @@
+const { test, describe, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs").promises;
+const path = require("path");
+const RepoConfigManager = require("../RepoConfigManager");
+
+describe("RepoConfigManager", () => {
+	let manager;
+	let tempDir;
+	const testGuildId = "guild456";
+
+	const createManager = () => {
+		const instance = new RepoConfigManager();
+		// Override the data directory for testing
+		instance.dataDir = tempDir;
+		instance.configsFile = path.join(tempDir, "configs.json");
+		return instance;
+	};
+
+	beforeEach(async () => {
+		// Create a temporary directory for testing
+		tempDir = path.join(__dirname, "temp-repo-config-data");
+		await fs.mkdir(tempDir, { recursive: true });
+
+		manager = createManager();
+	});
+
+	afterEach(async () => {
+		// Clean up temporary directory
+		try {
+			await fs.rm(tempDir, { recursive: true, force: true });
+		} catch (_error) {
+			// Ignore cleanup errors
+		}
+	});
+
+	test("should save a valid change", async () => {
+		const result = await manager.updateConfig(testGuildId, (config) =>
+			config.update({ reviewEnabled: true, reviewChannelId: "channel789" }),
+		);
+
+		assert.strictEqual(result.isValid, true);
+		const reloaded = await createManager().getConfig(testGuildId);
+		assert.strictEqual(reloaded.reviewEnabled, true);
+		assert.strictEqual(reloaded.reviewChannelId, "channel789");
+	});
+
+	test("should leave the config untouched when the change is invalid", async () => {
+		const result = await manager.updateConfig(testGuildId, (config) =>
+			config.update({ reviewEnabled: true }),
+		);
+
+		assert.strictEqual(result.isValid, false);
+		assert.strictEqual(result.config.reviewEnabled, false);
+		assert.strictEqual(
+			(await manager.getConfig(testGuildId)).reviewEnabled,
+			false,
+		);
+	});
+});
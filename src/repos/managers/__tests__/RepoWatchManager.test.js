@@ -0,0 +1,69 @@
+const { test, describe, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs").promises;
+const path = require("path");
+const RepoWatchManager = require("../RepoWatchManager");
+const RepoWatch = require("../../models/RepoWatch");
+
+describe("RepoWatchManager", () => {
+	let manager;
+	let tempDir;
+
+	const createManager = () => {
+		const instance = new RepoWatchManager();
+		// Override the data directory for testing
+		instance.dataDir = tempDir;
+		instance.watchesFile = path.join(tempDir, "watches.json");
+		return instance;
+	};
+
+	beforeEach(async () => {
+		// Create a temporary directory for testing
+		tempDir = path.join(__dirname, "temp-watches-data");
+		await fs.mkdir(tempDir, { recursive: true });
+
+		manager = createManager();
+	});
+
+	afterEach(async () => {
+		// Clean up temporary directory
+		try {
+			await fs.rm(tempDir, { recursive: true, force: true });
+		} catch (_error) {
+			// Ignore cleanup errors
+		}
+	});
+
+	test("should store watches and find them by channel and repository", async () => {
+		const first = await manager.addWatch(new RepoWatch("g1", "c1", 1));
+		const second = await manager.addWatch(new RepoWatch("g2", "c2", 1));
+
+		assert.strictEqual(first.id, 1);
+		assert.strictEqual(second.id, 2);
+
+		const reloaded = createManager();
+		assert.strictEqual((await reloaded.findWatch("c1", 1)).id, 1);
+		assert.strictEqual(await reloaded.findWatch("c1", 2), null);
+		assert.deepStrictEqual(
+			(await reloaded.getGuildWatches("g2")).map((watch) => watch.id),
+			[2],
+		);
+	});
+
+	test("should persist the state saved by updateWatch", async () => {
+		const watch = await manager.addWatch(new RepoWatch("g1", "c1", 1));
+		watch.lastReleaseId = 42;
+		await manager.updateWatch(watch);
+
+		const [reloaded] = await createManager().getWatches();
+		assert.strictEqual(reloaded.lastReleaseId, 42);
+	});
+
+	test("should only remove watches of the given guild", async () => {
+		const watch = await manager.addWatch(new RepoWatch("g1", "c1", 1));
+
+		assert.strictEqual(await manager.removeWatch(watch.id, "g2"), null);
+		assert.strictEqual((await manager.removeWatch(watch.id, "g1")).id, 1);
+		assert.deepStrictEqual(await manager.getWatches(), []);
+	});
+});
@@ -0,0 +1,289 @@
+const { test, describe, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs").promises;
+const path = require("path");
+const RepositoryManager = require("../RepositoryManager");
+
+describe("RepositoryManager", () => {
+	let manager;
+	let tempDir;
+
+	const createManager = () => {
+		const instance = new RepositoryManager();
+		// Override the data directory for testing
+		instance.dataDir = tempDir;
+		instance.reposFile = path.join(tempDir, "repos.json");
+		return instance;
+	};
+
+	beforeEach(async () => {
+		// Create a temporary directory for testing
+		tempDir = path.join(__dirname, "temp-repos-data");
+		await fs.mkdir(tempDir, { recursive: true });
+
+		manager = createManager();
+	});
+
+	afterEach(async () => {
+		// Clean up temporary directory
+		try {
+			await fs.rm(tempDir, { recursive: true, force: true });
+		} catch (_error) {
+			// Ignore cleanup errors
+		}
+	});
+
+	describe("addRepository", () => {
+		test("should assign increasing IDs and persist them", async () => {
+			const first = await manager.addRepository({
+				url: "https://github.com/octocat/hello",
+				categoria: "web",
+				fullName: "octocat/hello",
+			});
+			const second = await manager.addRepository({
+				url: "https://github.com/octocat/world",
+				categoria: "cli",
+				fullName: "octocat/world",
+			});
+
+			assert.strictEqual(first.id, 1);
+			assert.strictEqual(second.id, 2);
+
+			const reloaded = await createManager().getRepositories();
+			assert.deepStrictEqual(
+				reloaded.map((repository) => repository.fullName),
+				["octocat/hello", "octocat/world"],
+			);
+		});
+
+		test("should keep counting from legacy entries", async () => {
+			await fs.writeFile(
+				path.join(tempDir, "repos.json"),
+				JSON.stringify([
+					{ id: 7, url: "https://github.com/octocat/hello", categoria: "web" },
+				]),
+			);
+
+			const repository = await manager.addRepository({
+				url: "https://github.com/octocat/world",
+				categoria: "web",
+			});
+
+			assert.strictEqual(repository.id, 8);
+		});
+	});
+
+	describe("findByName", () => {
+		test("should match names ignoring case, including legacy URLs", async () => {
+			await fs.writeFile(
+				path.join(tempDir, "repos.json"),
+				JSON.stringify([
+					{ id: 1, url: "https://github.com/Octocat/Hello", categoria: "web" },
+				]),
+			);
+
+			const repository = await manager.findByName("octocat/hello");
+
+			assert.strictEqual(repository.id, 1);
+			assert.strictEqual(await manager.findByName("octocat/other"), null);
+		});
+	});
+
+	describe("moveCategory", () => {
+		test("should move only the repositories of the category", async () => {
+			await manager.addRepository({
+				url: "https://github.com/a/a",
+				categoria: "web",
+			});
+			await manager.addRepository({
+				url: "https://github.com/b/b",
+				categoria: "cli",
+			});
+
+			const moved = await manager.moveCategory("web", "frontend");
+
+			assert.strictEqual(moved, 1);
+			const reloaded = await createManager().getRepositories();
+			assert.deepStrictEqual(
+				reloaded.map((repository) => repository.categoria),
+				["frontend", "cli"],
+			);
+		});
+	});
+
+	describe("countInCategory", () => {
+		test("should count pending and deleted repositories too", async () => {
+			await manager.addRepository({
+				url: "https://github.com/octocat/hello",
+				categoria: "web",
+				status: "pending",
+			});
+			const deleted = await manager.addRepository({
+				url: "https://github.com/octocat/site",
+				categoria: "web",
+			});
+			await manager.deleteRepository(deleted.id, "mod456");
+			await manager.addRepository({
+				url: "https://github.com/octocat/cli",
+				categoria: "cli",
+			});
+
+			assert.deepStrictEqual(await manager.getRepositories(), [
+				await manager.getRepository(3),
+			]);
+			assert.strictEqual(await manager.countInCategory("web"), 2);
+		});
+	});
+
+	describe("reviewRepository", () => {
+		test("should keep pending repositories out of the list until approved", async () => {
+			const repository = await manager.addRepository({
+				url: "https://github.com/octocat/hello",
+				categoria: "web",
+				submittedBy: "user123",
+				status: "pending",
+			});
+
+			assert.deepStrictEqual(await manager.getRepositories(), []);
+			assert.strictEqual(await manager.getRepository(repository.id), null);
+			assert.deepStrictEqual(await manager.getUserRepositories("user123"), []);
+			assert.ok(await manager.findByName("octocat/hello"));
+			assert.deepStrictEqual(
+				(await manager.getPendingRepositories()).map((entry) => entry.id),
+				[repository.id],
+			);
+
+			const reviewed = await manager.reviewRepository(
+				repository.id,
+				true,
+				"mod456",
+				"",
+			);
+
+			assert.strictEqual(reviewed.status, "approved");
+			assert.strictEqual(reviewed.reviewedBy, "mod456");
+			assert.strictEqual(reviewed.reviewReason, null);
+			assert.ok(await createManager().getRepository(repository.id));
+			assert.deepStrictEqual(await manager.getPendingRepositories(), []);
+		});
+
+		test("should let rejected repositories be submitted again", async () => {
+			const repository = await manager.addRepository({
+				url: "https://github.com/octocat/hello",
+				categoria: "web",
+				status: "pending",
+			});
+
+			const reviewed = await manager.reviewRepository(
+				repository.id,
+				false,
+				"mod456",
+				"Spam",
+			);
+
+			assert.strictEqual(reviewed.status, "rejected");
+			assert.strictEqual(reviewed.reviewReason, "Spam");
+			assert.strictEqual(await manager.findByName("octocat/hello"), null);
+			assert.strictEqual(
+				await manager.reviewRepository(repository.id, true, "mod456"),
+				null,
+			);
+		});
+	});
+
+	describe("deleteRepository", () => {
+		test("should hide the repository but keep it on disk", async () => {
+			const repository = await manager.addRepository({
+				url: "https://github.com/octocat/hello",
+				categoria: "web",
+				fullName: "octocat/hello",
+				submittedBy: "user123",
+			});
+
+			const deleted = await manager.deleteRepository(repository.id, "mod456");
+
+			assert.strictEqual(deleted.deletedBy, "mod456");
+			assert.strictEqual(await manager.getRepository(repository.id), null);
+			assert.strictEqual(await manager.findByName("octocat/hello"), null);
+			assert.deepStrictEqual(await manager.getUserRepositories("user123"), []);
+			assert.strictEqual(
+				await manager.deleteRepository(repository.id, "mod456"),
+				null,
+			);
+
+			const trash = await createManager().getDeletedRepositories();
+			assert.deepStrictEqual(
+				trash.map((entry) => entry.id),
+				[repository.id],
+			);
+		});
+
+		test("should withdraw pending repositories from the review queue", async () => {
+			const repository = await manager.addRepository({
+				url: "https://github.com/octocat/hello",
+				categoria: "web",
+				submittedBy: "user123",
+				status: "pending",
+			});
+
+			const deleted = await manager.deleteRepository(repository.id, "user123");
+
+			assert.strictEqual(deleted.id, repository.id);
+			assert.deepStrictEqual(await manager.getPendingRepositories(), []);
+			assert.strictEqual(
+				await manager.reviewRepository(repository.id, true, "mod456"),
+				null,
+			);
+		});
+	});
+
+	describe("restoreRepository", () => {
+		test("should bring a deleted repository back", async () => {
+			const repository = await manager.addRepository({
+				url: "https://github.com/octocat/hello",
+				categoria: "web",
+			});
+			await manager.deleteRepository(repository.id, "mod456");
+
+			const restored = await manager.restoreRepository(repository.id);
+
+			assert.strictEqual(restored.isDeleted(), false);
+			assert.strictEqual(restored.deletedBy, null);
+			assert.ok(await manager.getRepository(repository.id));
+			await assert.rejects(manager.restoreRepository(repository.id), {
+				code: "not_found",
+			});
+		});
+
+		test("should send withdrawn submissions back to the review queue", async () => {
+			const repository = await manager.addRepository({
+				url: "https://github.com/octocat/hello",
+				categoria: "web",
+				status: "pending",
+			});
+			await manager.deleteRepository(repository.id, "user1");
+
+			const restored = await manager.restoreRepository(repository.id);
+
+			assert.strictEqual(restored.status, "pending");
+			assert.strictEqual(await manager.getRepository(repository.id), null);
+			assert.ok(await manager.reviewRepository(repository.id, true, "mod456"));
+		});
+
+		test("should refuse when the repository was submitted again", async () => {
+			const repository = await manager.addRepository({
+				url: "https://github.com/octocat/hello",
+				categoria: "web",
+			});
+			await manager.deleteRepository(repository.id, "mod456");
+			await manager.addRepository({
+				url: "https://github.com/octocat/hello",
+				categoria: "cli",
+			});
+
+			await assert.rejects(manager.restoreRepository(repository.id), {
+				code: "duplicate",
+			});
+		});
+	});
+});
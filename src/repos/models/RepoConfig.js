@@ -0,0 +1,66 @@
+/**
+ * RepoConfig model representing the repository showcase settings of a guild
+ */
+class RepoConfig {
+	constructor(guildId) {
+		this.guildId = guildId;
+		this.reviewEnabled = false;
+		this.reviewChannelId = null;
+	}
+
+	/**
+	 * Create RepoConfig from JSON data
+	 * @param {Object} data - JSON data
+	 * @returns {RepoConfig}
+	 */
+	static fromJSON(data) {
+		const config = new RepoConfig(data.guildId);
+		Object.assign(config, data);
+		return config;
+	}
+
+	/**
+	 * Convert RepoConfig to JSON
+	 * @returns {Object}
+	 */
+	toJSON() {
+		return {
+			guildId: this.guildId,
+			reviewEnabled: this.reviewEnabled,
+			reviewChannelId: this.reviewChannelId,
+		};
+	}
+
+	/**
+	 * Update configuration with new values
+	 * @param {Object} updates - Updates to apply
+	 */
+	update(updates) {
+		Object.assign(this, updates);
+	}
+
+	/**
+	 * Validate configuration values
+	 * @returns {Object} Validation result with isValid and errors
+	 */
+	validate() {
+		const errors = [];
+
+		if (!this.guildId) {
+			errors.push("Guild ID es requerido");
+		}
+
+		if (this.reviewEnabled && !this.reviewChannelId) {
+			errors.push(
+				"La cola de revisión necesita un canal donde el staff revise los envíos",
+			);
+		}
+
+		return {
+			isValid: errors.length === 0,
+			errors,
+		};
+	}
+}
+
+module.exports = RepoConfig;
@@ -0,0 +1,104 @@
+const EVENT_TYPES = ["releases", "tags", "pulls"];
+// Tags have no date, so the names already seen are remembered instead
+const MAX_KNOWN_TAGS = 100;
+
+/**
+ * RepoWatch model representing a channel subscribed to the activity of a shared repository
+ */
+class RepoWatch {
+	constructor(guildId, channelId, repositoryId, events = [...EVENT_TYPES]) {
+		this.id = null;
+		this.guildId = guildId;
+		this.channelId = channelId;
+		this.repositoryId = repositoryId;
+		this.events = events;
+		this.createdBy = null;
+		this.createdAt = new Date().toISOString();
+		// What was already seen, so nothing is announced twice
+		this.lastCheckedAt = null;
+		this.lastReleaseId = null;
+		this.knownTags = [];
+		this.lastMergedAt = null;
+	}
+
+	/**
+	 * Create RepoWatch from JSON data
+	 * @param {Object} data - JSON data
+	 * @returns {RepoWatch}
+	 */
+	static fromJSON(data) {
+		const watch = new RepoWatch(
+			data.guildId,
+			data.channelId,
+			data.repositoryId,
+			data.events,
+		);
+		Object.assign(watch, data);
+		watch.events = [...(data.events || EVENT_TYPES)];
+		watch.knownTags = [...(data.knownTags || [])];
+		return watch;
+	}
+
+	/**
+	 * Convert RepoWatch to JSON
+	 * @returns {Object}
+	 */
+	toJSON() {
+		return {
+			id: this.id,
+			guildId: this.guildId,
+			channelId: this.channelId,
+			repositoryId: this.repositoryId,
+			events: [...this.events],
+			createdBy: this.createdBy,
+			createdAt: this.createdAt,
+			lastCheckedAt: this.lastCheckedAt,
+			lastReleaseId: this.lastReleaseId,
+			knownTags: [...this.knownTags],
+			lastMergedAt: this.lastMergedAt,
+		};
+	}
+
+	/**
+	 * Check whether the watch announces a type of event
+	 * @param {string} type - releases, tags or pulls
+	 * @returns {boolean}
+	 */
+	watches(type) {
+		return this.events.includes(type);
+	}
+
+	/**
+	 * Check whether the first check, which only records the current state, already ran
+	 * @returns {boolean}
+	 */
+	hasBaseline() {
+		return this.lastCheckedAt !== null;
+	}
+
+	/**
+	 * Keep the most recent tag names, dropping the oldest ones
+	 * @param {string[]} names - Tag names returned by GitHub
+	 */
+	rememberTags(names) {
+		this.knownTags = [
+			...names,
+			...this.knownTags.filter((name) => !names.includes(name)),
+		].slice(0, MAX_KNOWN_TAGS);
+	}
+
+	/**
+	 * Move to the position reached by a checked copy of this watch
+	 * @param {RepoWatch} checked - Copy whose activity was announced
+	 */
+	advanceTo(checked) {
+		this.lastCheckedAt = checked.lastCheckedAt;
+		this.lastReleaseId = checked.lastReleaseId;
+		this.knownTags = [...checked.knownTags];
+		this.lastMergedAt = checked.lastMergedAt;
+	}
+}
+
+RepoWatch.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = RepoWatch;
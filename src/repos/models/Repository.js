@@ -0,0 +1,113 @@
+/**
+ * Repository model representing a GitHub repository shared with /repoadd
+ */
+class Repository {
+	constructor(id, url, categoria) {
+		this.id = id;
+		this.url = url;
+		this.categoria = categoria;
+		this.fullName = null; // owner/repo as GitHub spells it
+		this.description = null;
+		this.stars = 0;
+		this.language = null;
+		this.license = null;
+		this.lastPushAt = null;
+		this.submittedBy = null;
+		this.submittedAt = null;
+		this.status = "approved"; // pending while it waits in the review queue, or rejected
+		this.reviewedBy = null;
+		this.reviewedAt = null;
+		this.reviewReason = null;
+		this.deletedBy = null;
+		this.deletedAt = null;
+	}
+
+	/**
+	 * Create Repository from JSON data
+	 * Entries saved before metadata was fetched only have id, url and categoria
+	 * @param {Object} data - JSON data
+	 * @returns {Repository}
+	 */
+	static fromJSON(data) {
+		const repository = new Repository(data.id, data.url, data.categoria);
+		Object.assign(repository, data);
+		return repository;
+	}
+
+	/**
+	 * Convert Repository to JSON
+	 * @returns {Object}
+	 */
+	toJSON() {
+		return {
+			id: this.id,
+			url: this.url,
+			categoria: this.categoria,
+			fullName: this.fullName,
+			description: this.description,
+			stars: this.stars,
+			language: this.language,
+			license: this.license,
+			lastPushAt: this.lastPushAt,
+			submittedBy: this.submittedBy,
+			submittedAt: this.submittedAt,
+			status: this.status,
+			reviewedBy: this.reviewedBy,
+			reviewedAt: this.reviewedAt,
+			reviewReason: this.reviewReason,
+			deletedBy: this.deletedBy,
+			deletedAt: this.deletedAt,
+		};
+	}
+
+	/**
+	 * Check whether the repository was deleted and awaits an admin to restore it
+	 * @returns {boolean}
+	 */
+	isDeleted() {
+		return this.deletedAt !== null;
+	}
+
+	/**
+	 * Check whether the repository appears in the public list
+	 * @returns {boolean}
+	 */
+	isListed() {
+		return this.status === "approved" && !this.isDeleted();
+	}
+
+	/**
+	 * Record the decision of a reviewer
+	 * @param {boolean} approved - Whether the repository was approved
+	 * @param {string} reviewerId - Discord user ID of the reviewer
+	 * @param {string|null} reason - Reason given by the reviewer
+	 */
+	recordReview(approved, reviewerId, reason) {
+		this.status = approved ? "approved" : "rejected";
+		this.reviewedBy = reviewerId;
+		this.reviewedAt = new Date().toISOString();
+		this.reviewReason = reason || null;
+	}
+
+	/**
+	 * Check whether a user may delete the repository
+	 * Entries saved before the submitter was recorded can only be deleted by moderators
+	 * @param {string} userId - Discord user ID
+	 * @returns {boolean}
+	 */
+	isSubmittedBy(userId) {
+		return this.submittedBy !== null && this.submittedBy === userId;
+	}
+
+	/**
+	 * Get the owner/repo name, falling back to the URL for old entries
+	 * @returns {string}
+	 */
+	getName() {
+		return (
+			this.fullName || this.url.replace(/^https?:\/\/(www\.)?github\.com\//, "")
+		);
+	}
+}
+
+module.exports = Repository;
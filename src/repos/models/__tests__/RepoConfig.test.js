@@ -0,0 +1,32 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert");
+const RepoConfig = require("../RepoConfig");
+
+describe("RepoConfig", () => {
+	test("should publish submissions directly by default", () => {
+		const config = new RepoConfig("guild123");
+
+		assert.strictEqual(config.reviewEnabled, false);
+		assert.strictEqual(config.validate().isValid, true);
+	});
+
+	test("should require a review channel when the queue is enabled", () => {
+		const config = new RepoConfig("guild123");
+		config.update({ reviewEnabled: true });
+
+		assert.strictEqual(config.validate().isValid, false);
+
+		config.update({ reviewChannelId: "channel456" });
+		assert.strictEqual(config.validate().isValid, true);
+	});
+
+	test("should round-trip through JSON", () => {
+		const config = RepoConfig.fromJSON({
+			guildId: "guild123",
+			reviewEnabled: true,
+			reviewChannelId: "channel456",
+		});
+
+		assert.deepStrictEqual(RepoConfig.fromJSON(config.toJSON()), config);
+	});
+});
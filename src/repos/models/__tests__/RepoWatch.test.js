@@ -0,0 +1,34 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert");
+const RepoWatch = require("../RepoWatch");
+
+describe("RepoWatch", () => {
+	test("should watch every event type by default", () => {
+		const watch = new RepoWatch("guild123", "channel456", 1);
+
+		for (const type of RepoWatch.EVENT_TYPES) {
+			assert.strictEqual(watch.watches(type), true);
+		}
+		assert.strictEqual(watch.hasBaseline(), false);
+	});
+
+	test("should keep the newest tags first without duplicates", () => {
+		const watch = new RepoWatch("guild123", "channel456", 1, ["tags"]);
+		watch.rememberTags(["v1.0.0", "v0.9.0"]);
+		watch.rememberTags(["v1.1.0", "v1.0.0"]);
+
+		assert.deepStrictEqual(watch.knownTags, ["v1.1.0", "v1.0.0", "v0.9.0"]);
+		assert.strictEqual(watch.watches("releases"), false);
+	});
+
+	test("should round-trip through JSON", () => {
+		const watch = new RepoWatch("guild123", "channel456", 1, ["pulls"]);
+		watch.id = 3;
+		watch.lastMergedAt = "2026-01-01T00:00:00Z";
+
+		assert.deepStrictEqual(
+			RepoWatch.fromJSON(watch.toJSON()).toJSON(),
+			watch.toJSON(),
+		);
+	});
+});
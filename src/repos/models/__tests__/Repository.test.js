@@ -0,0 +1,47 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert");
+const Repository = require("../Repository");
+
+describe("Repository", () => {
+	test("should load entries saved before metadata was stored", () => {
+		const repository = Repository.fromJSON({
+			id: 3,
+			url: "https://github.com/octocat/hello",
+			categoria: "web",
+		});
+
+		assert.strictEqual(repository.id, 3);
+		assert.strictEqual(repository.stars, 0);
+		assert.strictEqual(repository.submittedBy, null);
+		assert.strictEqual(repository.getName(), "octocat/hello");
+	});
+
+	test("should round-trip through JSON", () => {
+		const repository = Repository.fromJSON({
+			id: 1,
+			url: "https://github.com/octocat/Hello-World",
+			categoria: "cli",
+			fullName: "octocat/Hello-World",
+			stars: 42,
+			language: "Go",
+			submittedBy: "user123",
+		});
+
+		const restored = Repository.fromJSON(repository.toJSON());
+
+		assert.deepStrictEqual(restored.toJSON(), repository.toJSON());
+		assert.strictEqual(restored.getName(), "octocat/Hello-World");
+	});
+
+	test("should only consider recorded submitters as owners", () => {
+		const legacy = new Repository(1, "https://github.com/a/b", "web");
+		const owned = Repository.fromJSON({
+			...legacy.toJSON(),
+			submittedBy: "u1",
+		});
+
+		assert.strictEqual(legacy.isSubmittedBy(null), false);
+		assert.strictEqual(owned.isSubmittedBy("u1"), true);
+		assert.strictEqual(owned.isSubmittedBy("u2"), false);
+	});
+});
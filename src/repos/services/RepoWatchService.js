@@ -0,0 +1,311 @@
+const { EmbedBuilder } = require("discord.js");
+const RepoWatch = require("../models/RepoWatch");
+
+const JOB_NAME = "repo-watch:poll";
+const POLL_INTERVAL_MS = 10 * 60 * 1000;
+// Keeps API usage bounded, every watch costs up to three requests per poll
+const MAX_WATCHES_PER_GUILD = 25;
+// A burst of activity is summarized instead of flooding the channel
+const MAX_EVENTS_PER_TYPE = 5;
+const MAX_EMBEDS_PER_MESSAGE = 10;
+
+/**
+ * Build an error with a code the commands can react to
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function watchError(code, message) {
+	return Object.assign(new Error(message), { code });
+}
+
+/**
+ * Truncate a text to fit in an embed
+ * @param {string|null} text - Text to truncate
+ * @param {number} length - Maximum length
+ * @returns {string|null}
+ */
+function truncate(text, length) {
+	if (!text) {
+		return null;
+	}
+	return text.length > length ? `${text.slice(0, length - 3)}...` : text;
+}
+
+/**
+ * RepoWatchService polls GitHub for the activity of watched repositories and posts it to their channels
+ */
+class RepoWatchService {
+	/**
+	 * @param {import("../managers/RepoWatchManager")} watchManager - Watch storage
+	 * @param {import("../managers/RepositoryManager")} repositoryManager - Repository storage
+	 * @param {import("../../github/services/GitHubApiClient")} githubApi - GitHub API client
+	 * @param {import("../../scheduler/services/JobScheduler")} scheduler - Shared job scheduler
+	 */
+	constructor(watchManager, repositoryManager, githubApi, scheduler) {
+		this.watchManager = watchManager;
+		this.repositoryManager = repositoryManager;
+		this.githubApi = githubApi;
+		this.scheduler = scheduler;
+	}
+
+	/**
+	 * Build the announcement of a repository event
+	 * @param {string} type - releases, tags or pulls
+	 * @param {Object} item - Release, tag or pull request returned by GitHub
+	 * @param {import("../models/Repository")} repository - Watched repository
+	 * @returns {EmbedBuilder}
+	 */
+	static buildEventEmbed(type, item, repository) {
+		const embed = new EmbedBuilder().setAuthor({
+			name: repository.getName(),
+			url: repository.url,
+		});
+
+		if (type === "releases") {
+			return embed
+				.setColor(0x57f287)
+				.setTitle(
+					`🚀 Nueva release: ${truncate(item.name || item.tag_name, 200)}`,
+				)
+				.setURL(item.html_url)
+				.setDescription(truncate(item.body, 400) || "Sin notas de la versión.")
+				.setFooter({ text: item.tag_name })
+				.setTimestamp(new Date(item.published_at || item.created_at));
+		}
+		if (type === "tags") {
+			return embed
+				.setColor(0xfee75c)
+				.setTitle(`🏷️ Nuevo tag: ${truncate(item.name, 200)}`)
+				.setURL(
+					`${repository.url}/releases/tag/${encodeURIComponent(item.name)}`,
+				)
+				.setFooter({ text: item.commit.sha.slice(0, 7) });
+		}
+		return embed
+			.setColor(0x8957e5)
+			.setTitle(`🔀 PR fusionado #${item.number}: ${truncate(item.title, 200)}`)
+			.setURL(item.html_url)
+			.setFooter({ text: `por ${item.user?.login ?? "desconocido"}` })
+			.setTimestamp(new Date(item.merged_at));
+	}
+
+	/**
+	 * Make sure the recurring poll is scheduled
+	 */
+	async ensurePolling() {
+		if (await this.scheduler.getJob(JOB_NAME)) {
+			return;
+		}
+		await this.scheduler.schedule(
+			JOB_NAME,
+			new Date(Date.now() + POLL_INTERVAL_MS),
+			{},
+			{ key: JOB_NAME, intervalMs: POLL_INTERVAL_MS },
+		);
+	}
+
+	/**
+	 * Subscribe a channel to the activity of a shared repository
+	 * @param {string} guildId - Discord guild ID
+	 * @param {string} channelId - Channel that receives the announcements
+	 * @param {number} repositoryId - ID of a repository listed in /repos
+	 * @param {string[]} events - Event types to announce
+	 * @param {string} userId - Discord ID of who creates the watch
+	 * @returns {Promise<RepoWatch>}
+	 */
+	async watch(guildId, channelId, repositoryId, events, userId) {
+		const repository = await this.repositoryManager.getRepository(repositoryId);
+		if (!repository) {
+			throw watchError("not_found", `Unknown repository ${repositoryId}`);
+		}
+		if (await this.watchManager.findWatch(channelId, repositoryId)) {
+			throw watchError(
+				"duplicate",
+				`${repositoryId} is watched in ${channelId}`,
+			);
+		}
+		if (
+			(await this.watchManager.getGuildWatches(guildId)).length >=
+			MAX_WATCHES_PER_GUILD
+		) {
+			throw watchError(
+				"limit_reached",
+				`Guild ${guildId} has too many watches`,
+			);
+		}
+
+		const watch = new RepoWatch(guildId, channelId, repositoryId, events);
+		watch.createdBy = userId;
+
+		// The current activity is only recorded, so old releases are not announced
+		try {
+			await this.collectEvents(watch, repository);
+		} catch (error) {
+			console.error(
+				`Could not record the activity of ${repository.getName()}, the first poll will:`,
+				error.message,
+			);
+		}
+
+		await this.watchManager.addWatch(watch);
+		await this.ensurePolling();
+		return watch;
+	}
+
+	/**
+	 * Remove a watch of a guild
+	 * @param {string} guildId - Discord guild ID
+	 * @param {number} watchId - Watch ID
+	 * @returns {Promise<RepoWatch|null>}
+	 */
+	async unwatch(guildId, watchId) {
+		return this.watchManager.removeWatch(watchId, guildId);
+	}
+
+	/**
+	 * Get the new events of a watched repository and remember them as seen
+	 * The first check only records what exists and returns nothing
+	 * @param {RepoWatch} watch - Watch to check
+	 * @param {import("../models/Repository")} repository - Watched repository
+	 * @returns {Promise<Object[]>} Events with type and item, oldest first
+	 */
+	async collectEvents(watch, repository) {
+		const [owner, repo] = repository.getName().split("/");
+		const baseline = watch.hasBaseline();
+		const events = [];
+		const take = (type, items) =>
+			events.push(
+				...items
+					.slice(0, MAX_EVENTS_PER_TYPE)
+					.reverse()
+					.map((item) => ({ type, item })),
+			);
+
+		if (watch.watches("releases")) {
+			const releases = (
+				await this.githubApi.getRepoReleases(owner, repo)
+			).filter((release) => !release.draft);
+			if (baseline) {
+				take(
+					"releases",
+					releases.filter((release) => release.id > (watch.lastReleaseId ?? 0)),
+				);
+			}
+			watch.lastReleaseId = Math.max(
+				watch.lastReleaseId ?? 0,
+				...releases.map((release) => release.id),
+			);
+		}
+
+		if (watch.watches("tags")) {
+			const tags = await this.githubApi.getRepoTags(owner, repo);
+			if (baseline) {
+				take(
+					"tags",
+					tags.filter((tag) => !watch.knownTags.includes(tag.name)),
+				);
+			}
+			watch.rememberTags(tags.map((tag) => tag.name));
+		}
+
+		if (watch.watches("pulls")) {
+			const merged = (await this.githubApi.getClosedPulls(owner, repo))
+				.filter((pull) => pull.merged_at)
+				.sort((a, b) => b.merged_at.localeCompare(a.merged_at));
+			if (baseline) {
+				take(
+					"pulls",
+					merged.filter(
+						(pull) =>
+							!watch.lastMergedAt || pull.merged_at > watch.lastMergedAt,
+					),
+				);
+			}
+			if (
+				merged.length > 0 &&
+				merged[0].merged_at > (watch.lastMergedAt ?? "")
+			) {
+				watch.lastMergedAt = merged[0].merged_at;
+			}
+		}
+
+		watch.lastCheckedAt = new Date().toISOString();
+		return events;
+	}
+
+	/**
+	 * Check every watch and post the new activity
+	 * @param {import("discord.js").Client} client - Discord client
+	 * @returns {Promise<number>} Number of events announced
+	 */
+	async poll(client) {
+		const watches = await this.watchManager.getWatches();
+		if (watches.length === 0) {
+			// Nothing left to poll, the job is scheduled again with the next watch
+			await this.scheduler.cancel(JOB_NAME);
+			return 0;
+		}
+
+		let announced = 0;
+		for (const watch of watches) {
+			try {
+				announced += await this.pollWatch(client, watch);
+			} catch (error) {
+				// One failing repository must not stop the others
+				console.error(`Error polling repository watch ${watch.id}:`, error);
+			}
+		}
+		return announced;
+	}
+
+	/**
+	 * Check a single watch and post its new activity
+	 * @param {import("discord.js").Client} client - Discord client
+	 * @param {RepoWatch} watch - Watch to check
+	 * @returns {Promise<number>} Number of events announced
+	 */
+	async pollWatch(client, watch) {
+		const repository = await this.repositoryManager.getRepository(
+			watch.repositoryId,
+		);
+		if (!repository) {
+			// The repository was deleted from the list
+			await this.watchManager.removeWatch(watch.id);
+			return 0;
+		}
+
+		let channel;
+		try {
+			channel = await client.channels.fetch(watch.channelId);
+		} catch (error) {
+			// Unknown Channel: the channel was deleted
+			if (error.code === 10003) {
+				await this.watchManager.removeWatch(watch.id);
+				return 0;
+			}
+			throw error;
+		}
+
+		// Events are collected on a copy, so a failed send leaves them to the next poll
+		const checked = RepoWatch.fromJSON(watch.toJSON());
+		const events = await this.collectEvents(checked, repository);
+		const embeds = events.map(({ type, item }) =>
+			RepoWatchService.buildEventEmbed(type, item, repository),
+		);
+		for (let i = 0; i < embeds.length; i += MAX_EMBEDS_PER_MESSAGE) {
+			await channel.send({
+				embeds: embeds.slice(i, i + MAX_EMBEDS_PER_MESSAGE),
+			});
+		}
+
+		watch.advanceTo(checked);
+		await this.watchManager.updateWatch(watch);
+		return events.length;
+	}
+}
+
+RepoWatchService.JOB_NAME = JOB_NAME;
+RepoWatchService.MAX_WATCHES_PER_GUILD = MAX_WATCHES_PER_GUILD;
+
+module.exports = RepoWatchService;
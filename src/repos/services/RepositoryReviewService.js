@@ -0,0 +1,164 @@
+const {
+	EmbedBuilder,
+	ActionRowBuilder,
+	ButtonBuilder,
+	ButtonStyle,
+} = require("discord.js");
+
+const STATUS_STYLES = {
+	pending: { color: 0xfee75c, label: "⏳ Pendiente de revisión" },
+	approved: { color: 0x57f287, label: "✅ Aprobado" },
+	rejected: { color: 0xed4245, label: "❌ Rechazado" },
+};
+
+/**
+ * RepositoryReviewService sends submissions to the staff review queue and applies the decisions
+ */
+class RepositoryReviewService {
+	/**
+	 * @param {import("../managers/RepositoryManager")} repositoryManager - Repository storage
+	 * @param {import("../managers/RepoConfigManager")} configManager - Per-guild showcase settings
+	 */
+	constructor(repositoryManager, configManager) {
+		this.repositoryManager = repositoryManager;
+		this.configManager = configManager;
+	}
+
+	/**
+	 * Build the message reviewers see for a submission
+	 * Buttons are only shown while the repository is pending
+	 * @param {import("../models/Repository")} repository - Submitted repository
+	 * @returns {Object} Message payload
+	 */
+	static buildReviewPayload(repository) {
+		const style = STATUS_STYLES[repository.status];
+		const embed = new EmbedBuilder()
+			.setColor(style.color)
+			.setTitle(`#${repository.id} · ${repository.getName()}`)
+			.setURL(repository.url)
+			.setDescription(repository.description || "Sin descripción.")
+			.addFields(
+				{
+					name: "Enviado por",
+					value: `<@${repository.submittedBy}>`,
+					inline: true,
+				},
+				{ name: "Categoría", value: repository.categoria, inline: true },
+				{ name: "⭐ Estrellas", value: `${repository.stars}`, inline: true },
+				{
+					name: "💻 Lenguaje",
+					value: repository.language || "Desconocido",
+					inline: true,
+				},
+				{
+					name: "📄 Licencia",
+					value: repository.license || "Sin licencia",
+					inline: true,
+				},
+				{ name: "Estado", value: style.label, inline: true },
+			)
+			.setTimestamp(new Date(repository.submittedAt));
+
+		if (repository.reviewedBy) {
+			embed.addFields({
+				name: "Revisado por",
+				value: `<@${repository.reviewedBy}>${repository.reviewReason ? `\nRazón: ${repository.reviewReason}` : ""}`,
+			});
+		}
+
+		if (repository.status !== "pending") {
+			return { embeds: [embed], components: [] };
+		}
+
+		const row = new ActionRowBuilder().addComponents(
+			new ButtonBuilder()
+				.setCustomId(`repo-review:approve:${repository.id}`)
+				.setLabel("Aprobar")
+				.setStyle(ButtonStyle.Success),
+			new ButtonBuilder()
+				.setCustomId(`repo-review:reject:${repository.id}`)
+				.setLabel("Rechazar")
+				.setStyle(ButtonStyle.Danger),
+		);
+		return { embeds: [embed], components: [row] };
+	}
+
+	/**
+	 * Check whether submissions of a guild have to go through the review queue
+	 * @param {string} guildId - Discord guild ID
+	 * @returns {boolean}
+	 */
+	async isReviewEnabled(guildId) {
+		const config = await this.configManager.getConfig(guildId);
+		return config.reviewEnabled;
+	}
+
+	/**
+	 * Post a pending submission in the review channel of a guild
+	 * @param {import("discord.js").Guild} guild - Guild the repository was submitted in
+	 * @param {import("../models/Repository")} repository - Pending repository
+	 * @returns {boolean} Whether the message could be sent
+	 */
+	async sendForReview(guild, repository) {
+		const config = await this.configManager.getConfig(guild.id);
+
+		try {
+			const channel = await guild.channels.fetch(config.reviewChannelId);
+			await channel.send(
+				RepositoryReviewService.buildReviewPayload(repository),
+			);
+			return true;
+		} catch (error) {
+			console.error(
+				`Could not post repository ${repository.id} for review in guild ${guild.id}:`,
+				error,
+			);
+			return false;
+		}
+	}
+
+	/**
+	 * Apply a reviewer's decision and tell the submitter by DM
+	 * @param {import("discord.js").Client} client - Discord client
+	 * @param {number} repositoryId - Repository ID
+	 * @param {boolean} approved - Whether the repository is approved
+	 * @param {import("discord.js").User} reviewer - Reviewer
+	 * @param {string|null} reason - Reason given by the reviewer
+	 * @returns {import("../models/Repository")|null} null if someone else reviewed it first
+	 */
+	async decide(client, repositoryId, approved, reviewer, reason) {
+		const repository = await this.repositoryManager.reviewRepository(
+			repositoryId,
+			approved,
+			reviewer.id,
+			reason,
+		);
+		if (!repository) {
+			return null;
+		}
+
+		const lines = [
+			approved
+				? `✅ Tu repositorio **${repository.getName()}** fue aprobado y ya aparece en \`/repos\`.`
+				: `❌ Tu repositorio **${repository.getName()}** no fue aprobado.`,
+		];
+		if (repository.reviewReason) {
+			lines.push(`Razón: ${repository.reviewReason}`);
+		}
+
+		try {
+			const submitter = await client.users.fetch(repository.submittedBy);
+			await submitter.send(lines.join("\n"));
+		} catch (error) {
+			// Users with closed DMs simply miss the notice
+			console.error(
+				`Could not DM the review decision of repository ${repository.id}:`,
+				error.message,
+			);
+		}
+
+		return repository;
+	}
+}
+
+module.exports = RepositoryReviewService;
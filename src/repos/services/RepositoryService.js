@@ -0,0 +1,214 @@
+// First path segments of github.com that are site pages, not users or organizations
+const RESERVED_OWNERS = new Set([
+	"about",
+	"apps",
+	"collections",
+	"contact",
+	"customer-stories",
+	"enterprise",
+	"events",
+	"explore",
+	"features",
+	"issues",
+	"login",
+	"marketplace",
+	"new",
+	"notifications",
+	"orgs",
+	"pricing",
+	"pulls",
+	"search",
+	"settings",
+	"signup",
+	"sponsors",
+	"topics",
+	"trending",
+]);
+const OWNER_PATTERN = /^[a-z\d](?:[a-z\d-]{0,38})$/i;
+const REPO_PATTERN = /^[\w.-]{1,100}$/;
+
+/**
+ * Lowercase a text and strip its accents so searches match "automatización" with "automatizacion"
+ * @param {string} text - Text to normalize
+ * @returns {string}
+ */
+function normalize(text) {
+	return text
+		.normalize("NFD")
+		.replace(/\p{Diacritic}/gu, "")
+		.toLowerCase();
+}
+
+/**
+ * Build an error with a code the commands can react to
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function repositoryError(code, message) {
+	return Object.assign(new Error(message), { code });
+}
+
+/**
+ * RepositoryService validates submitted repositories and enriches them with GitHub metadata
+ */
+class RepositoryService {
+	/**
+	 * @param {import("../managers/RepositoryManager")} repositoryManager - Repository storage
+	 * @param {import("../../github/services/GitHubApiClient")} githubApi - GitHub API client
+	 */
+	constructor(repositoryManager, githubApi) {
+		this.repositoryManager = repositoryManager;
+		this.githubApi = githubApi;
+	}
+
+	/**
+	 * Extract owner and repository from a GitHub URL
+	 * Accepts links to any page inside the repository and clone URLs ending in .git
+	 * @param {string} input - URL typed by the user
+	 * @returns {{owner: string, repo: string}|null} null when it does not point to a repository
+	 */
+	static parseRepositoryUrl(input) {
+		let url;
+		try {
+			url = new URL(/^https?:\/\//i.test(input) ? input : `https://${input}`);
+		} catch {
+			return null;
+		}
+
+		if (
+			!["github.com", "www.github.com"].includes(url.hostname.toLowerCase())
+		) {
+			return null;
+		}
+
+		const [owner, rawRepo] = url.pathname.split("/").filter(Boolean);
+		if (!owner || !rawRepo) {
+			return null;
+		}
+
+		const repo = rawRepo.replace(/\.git$/i, "");
+		if (
+			!OWNER_PATTERN.test(owner) ||
+			RESERVED_OWNERS.has(owner.toLowerCase()) ||
+			!REPO_PATTERN.test(repo) ||
+			repo === "." ||
+			repo === ".."
+		) {
+			return null;
+		}
+
+		return { owner, repo };
+	}
+
+	/**
+	 * Filter and sort repositories for listing
+	 * @param {import("../models/Repository")[]} repositories - Repositories to list
+	 * @param {Object} options - categoria, free-text query and sort order (newest, stars or name)
+	 * @returns {import("../models/Repository")[]}
+	 */
+	static filterRepositories(
+		repositories,
+		{ categoria = null, query = null, sort = "newest" } = {},
+	) {
+		const terms = query ? normalize(query).split(/\s+/).filter(Boolean) : [];
+
+		const matches = repositories.filter((repository) => {
+			if (categoria && repository.categoria !== categoria) {
+				return false;
+			}
+			const haystack = normalize(
+				[repository.getName(), repository.description, repository.language]
+					.filter(Boolean)
+					.join(" "),
+			);
+			return terms.every((term) => haystack.includes(term));
+		});
+
+		switch (sort) {
+			case "stars":
+				return matches.sort((a, b) => b.stars - a.stars || b.id - a.id);
+			case "name":
+				return matches.sort((a, b) =>
+					a.getName().localeCompare(b.getName(), "es", { sensitivity: "base" }),
+				);
+			default:
+				// IDs grow with every submission, including entries without a date
+				return matches.sort((a, b) => b.id - a.id);
+		}
+	}
+
+	/**
+	 * Describe a submission error in Spanish for the user
+	 * @param {Error} error - Error thrown by submit
+	 * @returns {string}
+	 */
+	static describeError(error) {
+		switch (error.code) {
+			case "invalid_url":
+				return "❌ URL inválida. Usa el enlace de un repositorio, por ejemplo `https://github.com/usuario/repositorio`.";
+			case "duplicate":
+				return "⚠️ Ese repo ya está guardado.";
+			case "not_found":
+				return "❌ Ese repositorio no existe o es privado.";
+			case "archived":
+				return "❌ Ese repositorio está archivado y ya no recibe cambios.";
+			case "rate_limited":
+				return "⏳ GitHub está limitando las consultas. Inténtalo de nuevo en unos minutos.";
+			default:
+				return "❌ No pude consultar el repositorio en GitHub en este momento.";
+		}
+	}
+
+	/**
+	 * Validate a repository URL, fetch its metadata and store it
+	 * @param {string} input - URL typed by the user
+	 * @param {string} categoria - Category name
+	 * @param {string} userId - Discord ID of the submitter
+	 * @param {Object} [options] - pending keeps it out of the list until a reviewer approves it
+	 * @returns {Promise<import("../models/Repository")>}
+	 */
+	async submit(input, categoria, userId, { pending = false } = {}) {
+		const parsed = RepositoryService.parseRepositoryUrl(input.trim());
+		if (!parsed) {
+			throw repositoryError("invalid_url", `Not a repository URL: ${input}`);
+		}
+
+		// Checked before asking GitHub so repeated submissions cost no requests
+		if (
+			await this.repositoryManager.findByName(`${parsed.owner}/${parsed.repo}`)
+		) {
+			throw repositoryError("duplicate", `${parsed.owner}/${parsed.repo}`);
+		}
+
+		const data = await this.githubApi.getRepo(parsed.owner, parsed.repo);
+		if (data.archived) {
+			throw repositoryError("archived", `${data.full_name} is archived`);
+		}
+
+		// Renamed repositories redirect, so the canonical name may differ from the URL
+		if (await this.repositoryManager.findByName(data.full_name)) {
+			throw repositoryError("duplicate", data.full_name);
+		}
+
+		return this.repositoryManager.addRepository({
+			url: data.html_url,
+			categoria,
+			fullName: data.full_name,
+			description: data.description,
+			stars: data.stargazers_count,
+			language: data.language,
+			// Licenses GitHub cannot identify come as NOASSERTION
+			license:
+				data.license && data.license.spdx_id !== "NOASSERTION"
+					? data.license.spdx_id
+					: (data.license?.name ?? null),
+			lastPushAt: data.pushed_at,
+			submittedBy: userId,
+			submittedAt: new Date().toISOString(),
+			status: pending ? "pending" : "approved",
+		});
+	}
+}
+
+module.exports = RepositoryService;
@@ -0,0 +1,242 @@
+const { test, describe, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs").promises;
+const path = require("path");
+const RepoWatchService = require("../RepoWatchService");
+const RepoWatchManager = require("../../managers/RepoWatchManager");
+const RepositoryManager = require("../../managers/RepositoryManager");
+const JobScheduler = require("../../../scheduler/services/JobScheduler");
+const JobManager = require("../../../scheduler/managers/JobManager");
+
+describe("RepoWatchService", () => {
+	let service;
+	let scheduler;
+	let watchManager;
+	let repositoryManager;
+	let tempDir;
+	let github;
+	let sent;
+	let repository;
+
+	const release = (id, tag) => ({
+		id,
+		tag_name: tag,
+		name: tag,
+		html_url: `https://github.com/octocat/hello/releases/tag/${tag}`,
+		published_at: "2026-01-01T00:00:00Z",
+	});
+	const pull = (number, mergedAt) => ({
+		number,
+		title: `PR ${number}`,
+		html_url: `https://github.com/octocat/hello/pull/${number}`,
+		merged_at: mergedAt,
+		user: { login: "octocat" },
+	});
+
+	const createClient = (channelError = null) => ({
+		channels: {
+			fetch: async (id) => {
+				if (channelError) {
+					throw channelError;
+				}
+				return { id, send: async (payload) => sent.push(payload) };
+			},
+		},
+	});
+
+	beforeEach(async () => {
+		tempDir = path.join(__dirname, "temp-repo-watch-service-data");
+		await fs.mkdir(tempDir, { recursive: true });
+
+		const jobManager = new JobManager();
+		jobManager.dataDir = tempDir;
+		jobManager.jobsFile = path.join(tempDir, "jobs.json");
+		scheduler = new JobScheduler(jobManager);
+		watchManager = new RepoWatchManager();
+		watchManager.dataDir = tempDir;
+		watchManager.watchesFile = path.join(tempDir, "watches.json");
+		repositoryManager = new RepositoryManager();
+		repositoryManager.dataDir = tempDir;
+		repositoryManager.reposFile = path.join(tempDir, "repos.json");
+
+		github = {
+			releases: [release(1, "v1.0.0")],
+			tags: [{ name: "v1.0.0", commit: { sha: "abcdef123456" } }],
+			pulls: [pull(1, "2026-01-01T00:00:00Z"), pull(2, null)],
+		};
+		const githubApi = {
+			getRepoReleases: async () => github.releases,
+			getRepoTags: async () => github.tags,
+			getClosedPulls: async () => github.pulls,
+		};
+		sent = [];
+		service = new RepoWatchService(
+			watchManager,
+			repositoryManager,
+			githubApi,
+			scheduler,
+		);
+		repository = await repositoryManager.addRepository({
+			url: "https://github.com/octocat/hello",
+			categoria: "web",
+			fullName: "octocat/hello",
+		});
+	});
+
+	afterEach(async () => {
+		scheduler.stop();
+		try {
+			await fs.rm(tempDir, { recursive: true, force: true });
+		} catch (_error) {
+			// Ignore cleanup errors
+		}
+	});
+
+	describe("watch", () => {
+		test("should record the current activity and schedule the poll", async () => {
+			const watch = await service.watch(
+				"guild123",
+				"channel456",
+				repository.id,
+				["releases", "tags", "pulls"],
+				"user789",
+			);
+
+			assert.ok(watch.hasBaseline());
+			assert.strictEqual(watch.lastReleaseId, 1);
+			assert.deepStrictEqual(watch.knownTags, ["v1.0.0"]);
+			assert.strictEqual(watch.lastMergedAt, "2026-01-01T00:00:00Z");
+			assert.ok(await scheduler.getJob(RepoWatchService.JOB_NAME));
+		});
+
+		test("should reject unknown repositories and duplicated watches", async () => {
+			await assert.rejects(
+				service.watch("guild123", "channel456", 99, ["tags"], "user789"),
+				{ code: "not_found" },
+			);
+
+			await service.watch(
+				"guild123",
+				"channel456",
+				repository.id,
+				["tags"],
+				"u",
+			);
+			await assert.rejects(
+				service.watch("guild123", "channel456", repository.id, ["pulls"], "u"),
+				{ code: "duplicate" },
+			);
+		});
+	});
+
+	describe("poll", () => {
+		test("should announce only what is new, once", async () => {
+			await service.watch(
+				"guild123",
+				"channel456",
+				repository.id,
+				["releases", "tags", "pulls"],
+				"user789",
+			);
+
+			assert.strictEqual(await service.poll(createClient()), 0);
+
+			github.releases = [release(2, "v1.1.0"), ...github.releases];
+			github.tags = [
+				{ name: "v1.1.0", commit: { sha: "123456abcdef" } },
+				...github.tags,
+			];
+			github.pulls = [pull(3, "2026-02-01T00:00:00Z"), ...github.pulls];
+
+			assert.strictEqual(await service.poll(createClient()), 3);
+			assert.deepStrictEqual(
+				sent[0].embeds.map((embed) => embed.data.title),
+				[
+					"🚀 Nueva release: v1.1.0",
+					"🏷️ Nuevo tag: v1.1.0",
+					"🔀 PR fusionado #3: PR 3",
+				],
+			);
+
+			// A restart reloads the state, so nothing is announced again
+			const reloaded = new RepoWatchManager();
+			reloaded.dataDir = tempDir;
+			reloaded.watchesFile = watchManager.watchesFile;
+			service.watchManager = reloaded;
+			assert.strictEqual(await service.poll(createClient()), 0);
+		});
+
+		test("should announce again what a failed send could not post", async () => {
+			await service.watch(
+				"guild123",
+				"channel456",
+				repository.id,
+				["releases"],
+				"u",
+			);
+			github.releases = [release(2, "v1.1.0"), ...github.releases];
+			const failingClient = {
+				channels: {
+					fetch: async (id) => ({
+						id,
+						send: async () => {
+							throw Object.assign(new Error("Missing Access"), {
+								code: 50001,
+							});
+						},
+					}),
+				},
+			};
+
+			assert.strictEqual(await service.poll(failingClient), 0);
+			const [stored] = await watchManager.getWatches();
+			assert.strictEqual(stored.lastReleaseId, 1);
+
+			assert.strictEqual(await service.poll(createClient()), 1);
+			assert.strictEqual(
+				sent[0].embeds[0].data.title,
+				"🚀 Nueva release: v1.1.0",
+			);
+			assert.strictEqual(stored.lastReleaseId, 2);
+		});
+
+		test("should drop watches of deleted channels and repositories", async () => {
+			await service.watch(
+				"guild123",
+				"channel456",
+				repository.id,
+				["tags"],
+				"u",
+			);
+
+			await service.poll(
+				createClient(
+					Object.assign(new Error("Unknown Channel"), { code: 10003 }),
+				),
+			);
+			assert.deepStrictEqual(await watchManager.getWatches(), []);
+
+			await service.watch(
+				"guild123",
+				"channel456",
+				repository.id,
+				["tags"],
+				"u",
+			);
+			await repositoryManager.deleteRepository(repository.id, "mod");
+			await service.poll(createClient());
+			assert.deepStrictEqual(await watchManager.getWatches(), []);
+		});
+
+		test("should stop polling when nothing is watched", async () => {
+			await service.ensurePolling();
+
+			await service.poll(createClient());
+
+			assert.strictEqual(
+				await scheduler.getJob(RepoWatchService.JOB_NAME),
+				null,
+			);
+		});
+	});
+});
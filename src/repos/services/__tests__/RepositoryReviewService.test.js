@@ -0,0 +1,117 @@
+const { test, describe, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs").promises;
+const path = require("path");
+const RepositoryReviewService = require("../RepositoryReviewService");
+const RepositoryManager = require("../../managers/RepositoryManager");
+const RepoConfigManager = require("../../managers/RepoConfigManager");
+
+describe("RepositoryReviewService", () => {
+	let service;
+	let manager;
+	let tempDir;
+	let sent;
+	let client;
+
+	beforeEach(async () => {
+		tempDir = path.join(__dirname, "temp-repository-review-data");
+		await fs.mkdir(tempDir, { recursive: true });
+
+		manager = new RepositoryManager();
+		manager.dataDir = tempDir;
+		manager.reposFile = path.join(tempDir, "repos.json");
+		const configManager = new RepoConfigManager();
+		configManager.dataDir = tempDir;
+		configManager.configsFile = path.join(tempDir, "configs.json");
+		service = new RepositoryReviewService(manager, configManager);
+
+		sent = [];
+		client = {
+			users: {
+				fetch: async (userId) => ({
+					send: async (content) => sent.push({ userId, content }),
+				}),
+			},
+		};
+	});
+
+	afterEach(async () => {
+		try {
+			await fs.rm(tempDir, { recursive: true, force: true });
+		} catch (_error) {
+			// Ignore cleanup errors
+		}
+	});
+
+	const addPending = () =>
+		manager.addRepository({
+			url: "https://github.com/octocat/hello",
+			categoria: "web",
+			fullName: "octocat/hello",
+			submittedBy: "user123",
+			submittedAt: new Date().toISOString(),
+			status: "pending",
+		});
+
+	describe("buildReviewPayload", () => {
+		test("should show buttons only while the repository is pending", async () => {
+			const repository = await addPending();
+
+			const payload = RepositoryReviewService.buildReviewPayload(repository);
+			assert.deepStrictEqual(
+				payload.components[0].components.map((button) => button.data.custom_id),
+				[
+					`repo-review:approve:${repository.id}`,
+					`repo-review:reject:${repository.id}`,
+				],
+			);
+
+			repository.recordReview(true, "mod456", null);
+			assert.deepStrictEqual(
+				RepositoryReviewService.buildReviewPayload(repository).components,
+				[],
+			);
+		});
+	});
+
+	describe("decide", () => {
+		test("should record the decision and DM the submitter", async () => {
+			const repository = await addPending();
+
+			const reviewed = await service.decide(
+				client,
+				repository.id,
+				false,
+				{ id: "mod456" },
+				"Es autopromoción",
+			);
+
+			assert.strictEqual(reviewed.status, "rejected");
+			assert.strictEqual(sent.length, 1);
+			assert.strictEqual(sent[0].userId, "user123");
+			assert.ok(sent[0].content.includes("Es autopromoción"));
+		});
+
+		test("should ignore repositories that were already reviewed", async () => {
+			const repository = await addPending();
+			await service.decide(client, repository.id, true, { id: "mod456" }, "");
+
+			const second = await service.decide(
+				client,
+				repository.id,
+				false,
+				{ id: "mod789" },
+				"Tarde",
+			);
+
+			assert.strictEqual(second, null);
+			assert.strictEqual(sent.length, 1);
+		});
+	});
+
+	describe("isReviewEnabled", () => {
+		test("should be off until a guild enables it", async () => {
+			assert.strictEqual(await service.isReviewEnabled("guild123"), false);
+		});
+	});
+});
@@ -0,0 +1,241 @@
+const { test, describe, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs").promises;
+const path = require("path");
+const RepositoryService = require("../RepositoryService");
+const RepositoryManager = require("../../managers/RepositoryManager");
+const Repository = require("../../models/Repository");
+
+describe("RepositoryService", () => {
+	let service;
+	let manager;
+	let tempDir;
+	let requests;
+	let repoData;
+
+	beforeEach(async () => {
+		tempDir = path.join(__dirname, "temp-repository-service-data");
+		await fs.mkdir(tempDir, { recursive: true });
+
+		manager = new RepositoryManager();
+		manager.dataDir = tempDir;
+		manager.reposFile = path.join(tempDir, "repos.json");
+
+		requests = [];
+		repoData = {
+			full_name: "octocat/Hello-World",
+			html_url: "https://github.com/octocat/Hello-World",
+			description: "My first repository",
+			stargazers_count: 42,
+			language: "JavaScript",
+			license: { spdx_id: "MIT", name: "MIT License" },
+			pushed_at: "2026-01-01T00:00:00Z",
+			archived: false,
+		};
+		const githubApi = {
+			getRepo: async (owner, repo) => {
+				requests.push(`${owner}/${repo}`);
+				if (repoData === null) {
+					throw Object.assign(new Error("missing"), { code: "not_found" });
+				}
+				return repoData;
+			},
+		};
+		service = new RepositoryService(manager, githubApi);
+	});
+
+	afterEach(async () => {
+		try {
+			await fs.rm(tempDir, { recursive: true, force: true });
+		} catch (_error) {
+			// Ignore cleanup errors
+		}
+	});
+
+	describe("parseRepositoryUrl", () => {
+		test("should accept links to a repository and its pages", () => {
+			for (const input of [
+				"https://github.com/octocat/Hello-World",
+				"https://www.github.com/octocat/Hello-World/",
+				"http://github.com/octocat/Hello-World.git",
+				"github.com/octocat/Hello-World/tree/main/src",
+				"https://github.com/octocat/Hello-World?tab=readme",
+			]) {
+				assert.deepStrictEqual(
+					RepositoryService.parseRepositoryUrl(input),
+					{ owner: "octocat", repo: "Hello-World" },
+					input,
+				);
+			}
+		});
+
+		test("should reject profiles, site pages and other hosts", () => {
+			for (const input of [
+				"https://github.com",
+				"https://github.com/octocat",
+				"https://github.com/orgs/octocat",
+				"https://github.com/topics/javascript",
+				"https://gitlab.com/octocat/Hello-World",
+				"https://github.com.evil.dev/octocat/Hello-World",
+				"https://github.com/-octocat/repo",
+				"https://github.com/octocat/..",
+				"no es una url",
+			]) {
+				assert.strictEqual(
+					RepositoryService.parseRepositoryUrl(input),
+					null,
+					input,
+				);
+			}
+		});
+	});
+
+	describe("submit", () => {
+		test("should store the metadata and the submitter", async () => {
+			const repository = await service.submit(
+				"https://github.com/octocat/hello-world/issues",
+				"web",
+				"user123",
+			);
+
+			assert.deepStrictEqual(requests, ["octocat/hello-world"]);
+			assert.strictEqual(repository.fullName, "octocat/Hello-World");
+			assert.strictEqual(
+				repository.url,
+				"https://github.com/octocat/Hello-World",
+			);
+			assert.strictEqual(repository.stars, 42);
+			assert.strictEqual(repository.language, "JavaScript");
+			assert.strictEqual(repository.license, "MIT");
+			assert.strictEqual(repository.lastPushAt, "2026-01-01T00:00:00Z");
+			assert.strictEqual(repository.submittedBy, "user123");
+			assert.ok(repository.submittedAt);
+		});
+
+		test("should reject invalid URLs without calling GitHub", async () => {
+			await assert.rejects(
+				service.submit("https://github.com/octocat", "web", "user123"),
+				{ code: "invalid_url" },
+			);
+			assert.deepStrictEqual(requests, []);
+		});
+
+		test("should reject duplicates, including renamed repositories", async () => {
+			await service.submit(
+				"https://github.com/octocat/Hello-World",
+				"web",
+				"user123",
+			);
+
+			await assert.rejects(
+				service.submit("https://github.com/OCTOCAT/hello-world", "web", "u2"),
+				{ code: "duplicate" },
+			);
+			assert.strictEqual(requests.length, 1);
+
+			await assert.rejects(
+				service.submit("https://github.com/octocat/old-name", "web", "u2"),
+				{ code: "duplicate" },
+			);
+		});
+
+		test("should reject archived and missing repositories", async () => {
+			repoData.archived = true;
+			await assert.rejects(
+				service.submit("https://github.com/octocat/Hello-World", "web", "u1"),
+				{ code: "archived" },
+			);
+
+			repoData = null;
+			await assert.rejects(
+				service.submit("https://github.com/octocat/missing", "web", "u1"),
+				{ code: "not_found" },
+			);
+
+			assert.deepStrictEqual(await manager.getRepositories(), []);
+		});
+	});
+
+	describe("filterRepositories", () => {
+		const repositories = [
+			Repository.fromJSON({
+				id: 1,
+				url: "https://github.com/octocat/zeta",
+				categoria: "web",
+				fullName: "octocat/zeta",
+				description: "Herramienta de automatización",
+				stars: 5,
+				language: "TypeScript",
+			}),
+			Repository.fromJSON({
+				id: 2,
+				url: "https://github.com/octocat/alpha",
+				categoria: "cli",
+				fullName: "octocat/alpha",
+				stars: 50,
+				language: "Go",
+			}),
+			// Entry saved before metadata was stored
+			Repository.fromJSON({
+				id: 3,
+				url: "https://github.com/octocat/Beta",
+				categoria: "web",
+			}),
+		];
+		const ids = (list) => list.map((repository) => repository.id);
+
+		test("should sort by newest, stars or name", () => {
+			assert.deepStrictEqual(
+				ids(RepositoryService.filterRepositories(repositories)),
+				[3, 2, 1],
+			);
+			assert.deepStrictEqual(
+				ids(
+					RepositoryService.filterRepositories(repositories, { sort: "stars" }),
+				),
+				[2, 1, 3],
+			);
+			assert.deepStrictEqual(
+				ids(
+					RepositoryService.filterRepositories(repositories, { sort: "name" }),
+				),
+				[2, 3, 1],
+			);
+		});
+
+		test("should search name, description and language ignoring accents", () => {
+			assert.deepStrictEqual(
+				ids(
+					RepositoryService.filterRepositories(repositories, {
+						query: "AUTOMATIZACION typescript",
+					}),
+				),
+				[1],
+			);
+			assert.deepStrictEqual(
+				ids(
+					RepositoryService.filterRepositories(repositories, { query: "beta" }),
+				),
+				[3],
+			);
+		});
+
+		test("should filter by category", () => {
+			assert.deepStrictEqual(
+				ids(
+					RepositoryService.filterRepositories(repositories, {
+						categoria: "web",
+						query: "octocat",
+					}),
+				),
+				[3, 1],
+			);
+		});
+
+		test("should not modify the given list", () => {
+			RepositoryService.filterRepositories(repositories, { sort: "name" });
+
+			assert.deepStrictEqual(ids(repositories), [1, 2, 3]);
+		});
+	});
+});
@@ -0,0 +1,167 @@
+const fs = require("fs").promises;
+const path = require("path");
+const Job = require("../models/Job");
+
+/**
+ * JobManager handles persistence of scheduled jobs
+ */
+class JobManager {
+	constructor() {
+		this.dataDir = path.join(__dirname, "../../data/scheduler");
+		this.jobsFile = path.join(this.dataDir, "jobs.json");
+		this.jobs = new Map();
+		this.initialized = false;
+	}
+
+	/**
+	 * Initialize the manager by loading existing data
+	 */
+	async initialize() {
+		if (this.initialized) {
+			return;
+		}
+
+		try {
+			// Ensure data directory exists
+			await fs.mkdir(this.dataDir, { recursive: true });
+
+			// Load pending jobs
+			await this.loadJobs();
+			this.initialized = true;
+		} catch (error) {
+			console.error("Error initializing JobManager:", error);
+			throw error;
+		}
+	}
+
+	/**
+	 * Load jobs from JSON file
+	 */
+	async loadJobs() {
+		try {
+			const data = await fs.readFile(this.jobsFile, "utf8");
+			const jobsData = JSON.parse(data);
+
+			this.jobs.clear();
+			for (const jobData of jobsData) {
+				this.jobs.set(jobData.id, Job.fromJSON(jobData));
+			}
+		} catch (error) {
+			if (error.code === "ENOENT") {
+				// File doesn't exist yet, there are no pending jobs
+				this.jobs.clear();
+			} else {
+				console.error("Error loading jobs:", error);
+				throw error;
+			}
+		}
+	}
+
+	/**
+	 * Save jobs to JSON file
+	 */
+	async saveJobs() {
+		try {
+			const jobsData = [...this.jobs.values()].map((job) => job.toJSON());
+
+			await fs.writeFile(this.jobsFile, JSON.stringify(jobsData, null, 2));
+		} catch (error) {
+			console.error("Error saving jobs:", error);
+			throw error;
+		}
+	}
+
+	/**
+	 * Store a job, replacing any other job with the same key
+	 * @param {Job} job - Job to store
+	 * @returns {Job}
+	 */
+	async addJob(job) {
+		await this.initialize();
+
+		if (job.key) {
+			for (const existing of this.jobs.values()) {
+				if (existing.key === job.key) {
+					this.jobs.delete(existing.id);
+				}
+			}
+		}
+		this.jobs.set(job.id, job);
+
+		await this.saveJobs();
+		return job;
+	}
+
+	/**
+	 * Persist changes made to a stored job
+	 * @param {Job} job - Job that was modified
+	 */
+	async updateJob(job) {
+		await this.initialize();
+
+		this.jobs.set(job.id, job);
+		await this.saveJobs();
+	}
+
+	/**
+	 * Check if a job is still pending
+	 * @param {string} id - Job ID
+	 * @returns {boolean}
+	 */
+	async hasJob(id) {
+		await this.initialize();
+
+		return this.jobs.has(id);
+	}
+
+	/**
+	 * Get a job by its ID
+	 * @param {string} id - Job ID
+	 * @returns {Job|null}
+	 */
+	async getJob(id) {
+		await this.initialize();
+
+		return this.jobs.get(id) || null;
+	}
+
+	/**
+	 * Get a job by its key
+	 * @param {string} key - Job key
+	 * @returns {Job|null}
+	 */
+	async getJobByKey(key) {
+		await this.initialize();
+
+		return [...this.jobs.values()].find((job) => job.key === key) || null;
+	}
+
+	/**
+	 * Remove a job
+	 * @param {string} id - Job ID
+	 * @returns {boolean} Whether the job existed
+	 */
+	async removeJob(id) {
+		await this.initialize();
+
+		const removed = this.jobs.delete(id);
+		if (removed) {
+			await this.saveJobs();
+		}
+		return removed;
+	}
+
+	/**
+	 * Get every pending job, soonest first
+	 * @returns {Job[]}
+	 */
+	async getJobs() {
+		await this.initialize();
+
+		return [...this.jobs.values()].sort(
+			(a, b) => new Date(a.runAt) - new Date(b.runAt),
+		);
+	}
+}
+
+module.exports = JobManager;
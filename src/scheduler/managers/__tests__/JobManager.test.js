@@ -0,0 +1,115 @@
+const { test, describe, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs").promises;
+const path = require("path");
+const JobManager = require("../JobManager");
+const Job = require("../../models/Job");
+
+describe("JobManager", () => {
+	let manager;
+	let tempDir;
+
+	const createManager = () => {
+		const instance = new JobManager();
+		// Override the data directory for testing
+		instance.dataDir = tempDir;
+		instance.jobsFile = path.join(tempDir, "jobs.json");
+		return instance;
+	};
+
+	const createJob = (runAt, key = null) => {
+		const job = new Job("test", runAt.toISOString(), { value: 1 });
+		job.key = key;
+		return job;
+	};
+
+	beforeEach(async () => {
+		// Create a temporary directory for testing
+		tempDir = path.join(__dirname, "temp-job-data");
+		await fs.mkdir(tempDir, { recursive: true });
+
+		manager = createManager();
+	});
+
+	afterEach(async () => {
+		// Clean up temporary directory
+		try {
+			await fs.rm(tempDir, { recursive: true, force: true });
+		} catch (_error) {
+			// Ignore cleanup errors
+		}
+	});
+
+	describe("addJob", () => {
+		test("should store a job", async () => {
+			const job = await manager.addJob(createJob(new Date()));
+
+			assert.strictEqual(await manager.hasJob(job.id), true);
+		});
+
+		test("should replace a job with the same key", async () => {
+			const first = await manager.addJob(createJob(new Date(), "same"));
+			const second = await manager.addJob(createJob(new Date(), "same"));
+
+			assert.strictEqual(await manager.hasJob(first.id), false);
+			assert.strictEqual((await manager.getJobByKey("same")).id, second.id);
+			assert.strictEqual((await manager.getJobs()).length, 1);
+		});
+
+		test("should persist jobs to disk", async () => {
+			const job = await manager.addJob(createJob(new Date(), "persisted"));
+
+			const reloaded = createManager();
+			const restored = await reloaded.getJobByKey("persisted");
+
+			assert.ok(restored instanceof Job);
+			assert.strictEqual(restored.id, job.id);
+			assert.deepStrictEqual(restored.data, { value: 1 });
+		});
+	});
+
+	describe("getJobs", () => {
+		test("should return jobs soonest first", async () => {
+			await manager.addJob(createJob(new Date(Date.now() + 60_000), "later"));
+			await manager.addJob(createJob(new Date(Date.now() - 60_000), "earlier"));
+
+			const jobs = await manager.getJobs();
+
+			assert.deepStrictEqual(
+				jobs.map((job) => job.key),
+				["earlier", "later"],
+			);
+		});
+	});
+
+	describe("getJob", () => {
+		test("should return a job by its ID", async () => {
+			const job = await manager.addJob(createJob(new Date()));
+
+			assert.strictEqual(await manager.getJob(job.id), job);
+			assert.strictEqual(await manager.getJob("missing"), null);
+		});
+	});
+
+	describe("removeJob", () => {
+		test("should remove a job", async () => {
+			const job = await manager.addJob(createJob(new Date()));
+
+			assert.strictEqual(await manager.removeJob(job.id), true);
+			assert.strictEqual(await manager.removeJob(job.id), false);
+			assert.strictEqual((await createManager().getJobs()).length, 0);
+		});
+	});
+
+	describe("updateJob", () => {
+		test("should persist changes to a job", async () => {
+			const job = await manager.addJob(createJob(new Date(), "updated"));
+			job.attempts = 2;
+			await manager.updateJob(job);
+
+			const restored = await createManager().getJobByKey("updated");
+
+			assert.strictEqual(restored.attempts, 2);
+		});
+	});
+});
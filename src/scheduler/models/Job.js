@@ -0,0 +1,64 @@
+const { randomUUID } = require("crypto");
+
+/**
+ * Job model representing an action the bot has to run at a given time
+ */
+class Job {
+	constructor(name, runAt, data = {}) {
+		this.id = randomUUID();
+		this.name = name;
+		this.runAt = runAt;
+		this.data = data;
+		this.key = null; // Optional unique key, scheduling a job with the same key replaces it
+		this.intervalMs = null; // Set for recurring jobs
+		this.attempts = 0;
+		this.createdAt = new Date().toISOString();
+	}
+
+	/**
+	 * Create Job from JSON data
+	 * @param {Object} data - JSON data
+	 * @returns {Job}
+	 */
+	static fromJSON(data) {
+		const job = new Job(data.name, data.runAt, data.data);
+		Object.assign(job, data);
+		return job;
+	}
+
+	/**
+	 * Convert Job to JSON
+	 * @returns {Object}
+	 */
+	toJSON() {
+		return {
+			id: this.id,
+			name: this.name,
+			runAt: this.runAt,
+			data: this.data,
+			key: this.key,
+			intervalMs: this.intervalMs,
+			attempts: this.attempts,
+			createdAt: this.createdAt,
+		};
+	}
+
+	/**
+	 * Check if the job should already have run
+	 * @param {Date} now - Reference date
+	 * @returns {boolean}
+	 */
+	isDue(now = new Date()) {
+		return new Date(this.runAt).getTime() <= now.getTime();
+	}
+
+	/**
+	 * Check if the job repeats after running
+	 * @returns {boolean}
+	 */
+	isRecurring() {
+		return this.intervalMs !== null && this.intervalMs > 0;
+	}
+}
+
+module.exports = Job;
@@ -0,0 +1,64 @@
+const { test, describe, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const Job = require("../Job");
+
+describe("Job", () => {
+	let job;
+
+	beforeEach(() => {
+		job = new Job("tempban:expire", "2026-01-01T00:00:00.000Z", {
+			userId: "user123",
+		});
+	});
+
+	describe("constructor", () => {
+		test("should initialize with correct default values", () => {
+			assert.ok(job.id);
+			assert.strictEqual(job.name, "tempban:expire");
+			assert.strictEqual(job.runAt, "2026-01-01T00:00:00.000Z");
+			assert.deepStrictEqual(job.data, { userId: "user123" });
+			assert.strictEqual(job.key, null);
+			assert.strictEqual(job.intervalMs, null);
+			assert.strictEqual(job.attempts, 0);
+			assert.ok(job.createdAt);
+		});
+
+		test("should give every job a different id", () => {
+			assert.notStrictEqual(job.id, new Job("other", job.runAt).id);
+		});
+	});
+
+	describe("fromJSON / toJSON", () => {
+		test("should round-trip every field", () => {
+			job.key = "tempban:expire:guild456:user123";
+			job.intervalMs = 60_000;
+			job.attempts = 2;
+
+			const restored = Job.fromJSON(job.toJSON());
+
+			assert.ok(restored instanceof Job);
+			assert.deepStrictEqual(restored.toJSON(), job.toJSON());
+		});
+	});
+
+	describe("isDue", () => {
+		test("should be due once its time has come", () => {
+			assert.strictEqual(
+				job.isDue(new Date("2025-12-31T23:59:59.000Z")),
+				false,
+			);
+			assert.strictEqual(job.isDue(new Date("2026-01-01T00:00:00.000Z")), true);
+			assert.strictEqual(job.isDue(new Date("2026-01-02T00:00:00.000Z")), true);
+		});
+	});
+
+	describe("isRecurring", () => {
+		test("should only be recurring with a positive interval", () => {
+			assert.strictEqual(job.isRecurring(), false);
+			job.intervalMs = 0;
+			assert.strictEqual(job.isRecurring(), false);
+			job.intervalMs = 60_000;
+			assert.strictEqual(job.isRecurring(), true);
+		});
+	});
+});
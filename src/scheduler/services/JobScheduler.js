@@ -0,0 +1,229 @@
+const Job = require("../models/Job");
+
+// setTimeout cannot wait longer than ~24.8 days, far away jobs are re-checked hourly
+const MAX_TIMER_DELAY_MS = 60 * 60 * 1000;
+const RETRY_DELAY_MS = 60 * 1000;
+const MAX_ATTEMPTS = 3;
+
+/**
+ * JobScheduler runs persisted jobs at their time through handlers registered by name
+ */
+class JobScheduler {
+	/**
+	 * @param {import("../managers/JobManager")} jobManager - Shared job manager
+	 */
+	constructor(jobManager) {
+		this.jobManager = jobManager;
+		this.handlers = new Map();
+		this.client = null;
+		this.timer = null;
+		this.ticking = false;
+	}
+
+	/**
+	 * Register the function that runs the jobs with a given name
+	 * @param {string} name - Job name
+	 * @param {(job: Job, client: import("discord.js").Client) => Promise<void>} handler - Job handler
+	 */
+	registerHandler(name, handler) {
+		if (this.handlers.has(name)) {
+			throw new Error(`A handler for job "${name}" is already registered`);
+		}
+
+		this.handlers.set(name, handler);
+		// Jobs waiting for this handler may already be due
+		this.arm().catch((error) =>
+			console.error("Error scheduling next job:", error),
+		);
+	}
+
+	/**
+	 * Start running jobs, catching up on the ones missed while offline
+	 * @param {import("discord.js").Client} client - Discord client
+	 * @returns {Promise<void>} Resolves once the missed jobs have run
+	 */
+	start(client) {
+		if (this.client) {
+			return;
+		}
+
+		this.client = client;
+		return this.tick();
+	}
+
+	/**
+	 * Stop running jobs
+	 */
+	stop() {
+		clearTimeout(this.timer);
+		this.timer = null;
+		this.client = null;
+	}
+
+	/**
+	 * Schedule a job
+	 * @param {string} name - Name of the handler that runs the job
+	 * @param {Date} runAt - When the job should run
+	 * @param {Object} data - Data passed to the handler
+	 * @param {Object} options - Optional unique key and repeat interval
+	 * @returns {Promise<Job>}
+	 */
+	async schedule(
+		name,
+		runAt,
+		data = {},
+		{ key = null, intervalMs = null } = {},
+	) {
+		const job = new Job(name, runAt.toISOString(), data);
+		job.key = key;
+		job.intervalMs = intervalMs;
+
+		await this.jobManager.addJob(job);
+		await this.arm();
+		return job;
+	}
+
+	/**
+	 * Cancel the job with a given key
+	 * @param {string} key - Job key
+	 * @returns {Promise<boolean>} Whether a job was cancelled
+	 */
+	async cancel(key) {
+		const job = await this.jobManager.getJobByKey(key);
+		if (!job) {
+			return false;
+		}
+
+		await this.jobManager.removeJob(job.id);
+		await this.arm();
+		return true;
+	}
+
+	/**
+	 * Get the pending job with a given key
+	 * @param {string} key - Job key
+	 * @returns {Promise<Job|null>}
+	 */
+	async getJob(key) {
+		return this.jobManager.getJobByKey(key);
+	}
+
+	/**
+	 * Run due jobs and wait for the next one
+	 */
+	async tick() {
+		if (this.ticking) {
+			return;
+		}
+
+		this.ticking = true;
+		try {
+			await this.runDue();
+		} catch (error) {
+			console.error("Error running scheduled jobs:", error);
+		} finally {
+			this.ticking = false;
+		}
+
+		await this.arm().catch((error) =>
+			console.error("Error scheduling next job:", error),
+		);
+	}
+
+	/**
+	 * Set the timer for the next job that has a handler
+	 */
+	async arm() {
+		if (!this.client) {
+			return;
+		}
+
+		const next = (await this.jobManager.getJobs()).find((job) =>
+			this.handlers.has(job.name),
+		);
+
+		clearTimeout(this.timer);
+		this.timer = null;
+		if (!next || !this.client) {
+			return;
+		}
+
+		const delay = Math.min(
+			Math.max(new Date(next.runAt).getTime() - Date.now(), 0),
+			MAX_TIMER_DELAY_MS,
+		);
+		this.timer = setTimeout(() => this.tick(), delay);
+		this.timer.unref?.();
+	}
+
+	/**
+	 * Run every due job that has a handler
+	 * @param {Date} now - Reference date
+	 * @returns {Promise<number>} Number of jobs run
+	 */
+	async runDue(now = new Date()) {
+		const dueJobs = (await this.jobManager.getJobs())
+			.filter((job) => job.isDue(now) && this.handlers.has(job.name))
+			.map((job) => ({ id: job.id, runAt: job.runAt }));
+
+		let processed = 0;
+		for (const due of dueJobs) {
+			// An earlier handler may have cancelled or rescheduled this job
+			const job = await this.jobManager.getJob(due.id);
+			if (!job || job.runAt !== due.runAt) {
+				continue;
+			}
+
+			await this.runJob(job);
+			processed++;
+		}
+		return processed;
+	}
+
+	/**
+	 * Run a single job, then remove it, repeat it or retry it
+	 * @param {Job} job - Due job
+	 */
+	async runJob(job) {
+		const handler = this.handlers.get(job.name);
+
+		let failed = false;
+		try {
+			await handler(job, this.client);
+		} catch (error) {
+			console.error(`Error running job ${job.name} (${job.id}):`, error);
+			failed = true;
+		}
+
+		// The handler may have cancelled or replaced its own job
+		if (!(await this.jobManager.hasJob(job.id))) {
+			return;
+		}
+
+		if (failed) {
+			job.attempts += 1;
+			if (job.attempts < MAX_ATTEMPTS) {
+				job.runAt = new Date(
+					Date.now() + RETRY_DELAY_MS * job.attempts,
+				).toISOString();
+				await this.jobManager.updateJob(job);
+				return;
+			}
+			console.error(
+				`Giving up on job ${job.name} (${job.id}) after ${job.attempts} attempts`,
+			);
+		}
+
+		if (job.isRecurring()) {
+			job.attempts = 0;
+			job.runAt = new Date(Date.now() + job.intervalMs).toISOString();
+			await this.jobManager.updateJob(job);
+		} else {
+			await this.jobManager.removeJob(job.id);
+		}
+	}
+}
+
+JobScheduler.MAX_ATTEMPTS = MAX_ATTEMPTS;
+
+module.exports = JobScheduler;
@@ -0,0 +1,165 @@
+const { test, describe, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs").promises;
+const path = require("path");
+const JobScheduler = require("../JobScheduler");
+const JobManager = require("../../managers/JobManager");
+
+describe("JobScheduler", () => {
+	let scheduler;
+	let manager;
+	let tempDir;
+	let runs;
+	const client = { user: { id: "bot" } };
+	const past = () => new Date(Date.now() - 1000);
+	const future = () => new Date(Date.now() + 60 * 60 * 1000);
+
+	beforeEach(async () => {
+		tempDir = path.join(__dirname, "temp-scheduler-data");
+		await fs.mkdir(tempDir, { recursive: true });
+
+		manager = new JobManager();
+		manager.dataDir = tempDir;
+		manager.jobsFile = path.join(tempDir, "jobs.json");
+		// The scheduler is not started so no timer runs jobs behind the tests' back
+		scheduler = new JobScheduler(manager);
+		runs = [];
+		scheduler.registerHandler("test", async (job, jobClient) => {
+			runs.push([job.data.value, jobClient?.user.id]);
+		});
+	});
+
+	afterEach(async () => {
+		scheduler.stop();
+		try {
+			await fs.rm(tempDir, { recursive: true, force: true });
+		} catch (_error) {
+			// Ignore cleanup errors
+		}
+	});
+
+	describe("registerHandler", () => {
+		test("should reject a second handler with the same name", () => {
+			assert.throws(() =>
+				scheduler.registerHandler("test", async () => runs.push("duplicate")),
+			);
+		});
+	});
+
+	describe("runDue", () => {
+		test("should run due jobs and remove them", async () => {
+			await scheduler.schedule("test", past(), { value: 1 });
+			await scheduler.schedule("test", future(), { value: 2 });
+
+			const processed = await scheduler.runDue();
+
+			assert.strictEqual(processed, 1);
+			assert.deepStrictEqual(runs, [[1, undefined]]);
+			assert.strictEqual((await manager.getJobs()).length, 1);
+		});
+
+		test("should keep jobs whose handler is not registered", async () => {
+			await scheduler.schedule("unknown", past());
+
+			const processed = await scheduler.runDue();
+
+			assert.strictEqual(processed, 0);
+			assert.strictEqual((await manager.getJobs()).length, 1);
+		});
+
+		test("should reschedule recurring jobs", async () => {
+			const job = await scheduler.schedule(
+				"test",
+				past(),
+				{ value: 1 },
+				{ intervalMs: 60_000 },
+			);
+
+			await scheduler.runDue();
+
+			const [pending] = await manager.getJobs();
+			assert.strictEqual(pending.id, job.id);
+			assert.ok(new Date(pending.runAt) > new Date());
+		});
+
+		test("should retry failed jobs and give up after the last attempt", async () => {
+			scheduler.registerHandler("failing", async () => {
+				throw new Error("Boom");
+			});
+			const job = await scheduler.schedule("failing", past());
+
+			for (let attempt = 1; attempt < JobScheduler.MAX_ATTEMPTS; attempt++) {
+				await scheduler.runDue(future());
+				const [pending] = await manager.getJobs();
+				assert.strictEqual(pending.id, job.id);
+				assert.strictEqual(pending.attempts, attempt);
+			}
+
+			await scheduler.runDue(future());
+			assert.strictEqual((await manager.getJobs()).length, 0);
+		});
+
+		test("should not bring back a job cancelled by its handler", async () => {
+			scheduler.registerHandler("self-cancel", async (job) => {
+				await scheduler.cancel(job.key);
+			});
+			await scheduler.schedule(
+				"self-cancel",
+				past(),
+				{},
+				{
+					key: "cancelled",
+					intervalMs: 60_000,
+				},
+			);
+
+			await scheduler.runDue();
+
+			assert.strictEqual(await scheduler.getJob("cancelled"), null);
+		});
+
+		test("should skip jobs that an earlier job cancelled or moved", async () => {
+			scheduler.registerHandler("cleanup", async () => {
+				await scheduler.cancel("removed");
+				const moved = await scheduler.getJob("moved");
+				moved.runAt = future().toISOString();
+				await manager.updateJob(moved);
+			});
+			await scheduler.schedule("cleanup", new Date(Date.now() - 3000));
+			await scheduler.schedule(
+				"test",
+				past(),
+				{ value: 1 },
+				{ key: "removed" },
+			);
+			await scheduler.schedule("test", past(), { value: 2 }, { key: "moved" });
+
+			const processed = await scheduler.runDue();
+
+			assert.strictEqual(processed, 1);
+			assert.deepStrictEqual(runs, []);
+			assert.ok(await scheduler.getJob("moved"));
+		});
+	});
+
+	describe("cancel", () => {
+		test("should cancel a job by its key", async () => {
+			await scheduler.schedule("test", future(), {}, { key: "job-key" });
+
+			assert.strictEqual(await scheduler.cancel("job-key"), true);
+			assert.strictEqual(await scheduler.cancel("job-key"), false);
+			assert.strictEqual(await scheduler.getJob("job-key"), null);
+		});
+	});
+
+	describe("start", () => {
+		test("should catch up on jobs missed while offline", async () => {
+			await scheduler.schedule("test", past(), { value: 1 });
+
+			await scheduler.start(client);
+
+			assert.deepStrictEqual(runs, [[1, "bot"]]);
+			assert.strictEqual((await manager.getJobs()).length, 0);
+		});
+	});
+});